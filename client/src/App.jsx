@@ -5,7 +5,12 @@
  * Routes:
  * - /login - User login page
  * - /signup - User registration page
+ * - /forgot-password - Request a password reset link
+ * - /reset-password - Set a new password from a reset link
+ * - /verify-email - Confirm an email address from a verification link
+ * - /invitations/accept - Join an organisation team from an invitation link
  * - /auth/callback - OAuth callback handler
+ * - /two-factor-setup - Set up two-factor authentication when the role requires it
  * - /dashboard - User dashboard (regular users)
  * - /organisation - Organisation dashboard (organisation role)
  * - /admin - Admin panel (admin role required)
@@ -19,7 +24,12 @@ import { AuthProvider } from '@/context/AuthContext';
 import ProtectedRoute from '@/components/ProtectedRoute';
 import Login from '@/pages/Login';
 import Signup from '@/pages/Signup';
+import ForgotPassword from '@/pages/ForgotPassword';
+import ResetPassword from '@/pages/ResetPassword';
+import VerifyEmail from '@/pages/VerifyEmail';
+import AcceptInvitation from '@/pages/AcceptInvitation';
 import OAuthCallback from '@/pages/OAuthCallback';
+import TwoFactorSetupRequired from '@/pages/TwoFactorSetupRequired';
 import AdminPanel from '@/pages/AdminPanel';
 import UserDashboard from '@/pages/UserDashboard';
 import OrganisationDashboard from '@/pages/OrganisationDashboard';
@@ -45,7 +55,12 @@ function App() {
           <Route path="/" element={<Navigate to="/login" replace />} />
           <Route path="/login" element={<Login />} />
           <Route path="/signup" element={<Signup />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/invitations/accept" element={<AcceptInvitation />} />
           <Route path="/auth/callback" element={<OAuthCallback />} />
+          <Route path="/two-factor-setup" element={<TwoFactorSetupRequired />} />
 
           {/* User dashboard - any authenticated user */}
           <Route
@@ -0,0 +1,41 @@
+/**
+ * AuthPageLayout Component
+ *
+ * Simple centered layout for the secondary account pages
+ * (forgot password, reset password, email verification)
+ */
+
+import { Link } from 'react-router-dom';
+import LanguageSwitcher from '@/components/LanguageSwitcher';
+import { Calendar } from 'lucide-react';
+
+/**
+ * AuthPageLayout Component
+ * @param {ReactNode} children - Page content (usually a Card)
+ */
+export default function AuthPageLayout({ children }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 sm:p-6 lg:p-8 bg-background">
+      <div className="w-full max-w-md space-y-6">
+        {/* Language Switcher */}
+        <div className="flex justify-end">
+          <LanguageSwitcher />
+        </div>
+
+        {/* Logo */}
+        <div className="text-center">
+          <Link to="/login" className="inline-flex items-center gap-3">
+            <div className="w-10 h-10 bg-gradient-to-br from-violet-600 to-purple-600 rounded-xl flex items-center justify-center">
+              <Calendar className="w-6 h-6 text-white" />
+            </div>
+            <span className="text-2xl font-bold bg-gradient-to-r from-violet-600 to-purple-600 bg-clip-text text-transparent">
+              EventHub
+            </span>
+          </Link>
+        </div>
+
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+/**
+ * EventPicker Component
+ *
+ * Dropdown for choosing one event out of many
+ * - Searches event titles on the server as you type
+ * - Loads further results with the listing cursor instead of the whole list
+ */
+
+import { useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import SearchPicker from '@/components/SearchPicker';
+
+// Events fetched per request
+const PAGE_SIZE = 20;
+
+/**
+ * Event title with its start date, to tell repeated events apart
+ */
+const getEventLabel = (event) => (
+  event.startDate
+    ? `${event.title} (${new Date(event.startDate).toLocaleDateString()})`
+    : event.title
+);
+
+/**
+ * EventPicker Component
+ * @param {string} value - Selected event ID, empty for none
+ * @param {function} onChange - Called with the chosen event ID (empty when cleared)
+ * @param {function} loadEvents - Fetches an event listing, e.g. getEvents of a context
+ * @param {string} [organisationId] - Only events of this organisation
+ * @param {string} [status] - Only events with these statuses, e.g. 'published,ongoing'
+ * @param {string} [sort] - Listing order, newest first by default
+ * @param {string} placeholder - Shown while nothing is selected
+ * @param {string} [emptyLabel] - Shown when nothing matches
+ * @param {string} [clearLabel] - Adds a first option that clears the selection
+ * @param {string} [className] - Classes for the wrapper
+ */
+export default function EventPicker({
+  loadEvents,
+  organisationId,
+  status,
+  sort = '-startDate',
+  emptyLabel,
+  ...props
+}) {
+  const { t } = useTranslation();
+
+  const loadPage = useCallback(async (search, after) => {
+    const data = await loadEvents({
+      limit: PAGE_SIZE,
+      sort,
+      fields: 'title,startDate',
+      ...(organisationId && { organisationId }),
+      ...(status && { status }),
+      ...(search && { search }),
+      ...(after && { after }),
+    });
+    return { items: data.data.events || [], nextCursor: data.nextCursor };
+  }, [loadEvents, organisationId, status, sort]);
+
+  return (
+    <SearchPicker
+      {...props}
+      loadPage={loadPage}
+      getLabel={getEventLabel}
+      searchPlaceholder={t('events.searchPlaceholder')}
+      emptyLabel={emptyLabel || t('events.noEventsFound')}
+    />
+  );
+}
@@ -2,9 +2,13 @@
  * LanguageSwitcher Component
  *
  * Dropdown to switch between English and Georgian languages
+ * For signed-in users the choice is also saved to the profile, so emails
+ * arrive in the same language
  */
 
 import { useTranslation } from 'react-i18next';
+import { useAuth } from '@/context/AuthContext';
+import { authFetch } from '@/lib/authFetch';
 import {
   Select,
   SelectContent,
@@ -13,18 +17,30 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
 /**
  * LanguageSwitcher Component
  * Allows users to switch between available languages
  */
 export default function LanguageSwitcher() {
   const { i18n, t } = useTranslation();
+  const { isAuthenticated } = useAuth();
 
   /**
    * Handle language change
    */
   const handleLanguageChange = (value) => {
     i18n.changeLanguage(value);
+
+    // Best effort: the app language works even if saving it fails
+    if (isAuthenticated) {
+      authFetch(`${API_URL}/auth/profile`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language: value }),
+      }).catch(() => {});
+    }
   };
 
   return (
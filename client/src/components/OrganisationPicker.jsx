@@ -0,0 +1,55 @@
+/**
+ * OrganisationPicker Component
+ *
+ * Dropdown for choosing one organisation out of many
+ * - Searches organisations on the server as you type
+ * - Loads further results with the listing cursor instead of the whole list
+ */
+
+import { useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import SearchPicker from '@/components/SearchPicker';
+
+// Organisations fetched per request
+const PAGE_SIZE = 20;
+
+/**
+ * Organisation name for the picker
+ */
+const getOrganisationLabel = (org) => org.name;
+
+/**
+ * OrganisationPicker Component
+ * @param {string} value - Selected organisation ID, empty for none
+ * @param {function} onChange - Called with the chosen organisation ID (empty when cleared)
+ * @param {function} loadOrganisations - Fetches an organisation listing, e.g. getOrganisations of a context
+ * @param {string} placeholder - Shown while nothing is selected
+ * @param {string} [selectedLabel] - Name of the initially selected organisation
+ * @param {string} [clearLabel] - Adds a first option that clears the selection
+ * @param {string} [excludeId] - Organisation left out of the results
+ * @param {string} [className] - Classes for the wrapper
+ */
+export default function OrganisationPicker({ loadOrganisations, ...props }) {
+  const { t } = useTranslation();
+
+  const loadPage = useCallback(async (search, after) => {
+    const data = await loadOrganisations({
+      limit: PAGE_SIZE,
+      sort: 'name',
+      fields: 'name',
+      ...(search && { search }),
+      ...(after && { after }),
+    });
+    return { items: data.data.organisations || [], nextCursor: data.nextCursor };
+  }, [loadOrganisations]);
+
+  return (
+    <SearchPicker
+      {...props}
+      loadPage={loadPage}
+      getLabel={getOrganisationLabel}
+      searchPlaceholder={t('organisations.searchPlaceholder')}
+      emptyLabel={t('organisations.noOrganisationsFound')}
+    />
+  );
+}
@@ -4,6 +4,7 @@
  * Guards routes that require authentication
  * Optionally checks for specific user roles
  * Redirects to appropriate dashboard if role doesn't match
+ * Redirects to the two-factor setup page while required 2FA is not set up
  *
  * @param {ReactNode} children - Child components to render if authorized
  * @param {string} requiredRole - Optional role required to access the route
@@ -43,6 +44,10 @@ export default function ProtectedRoute({ children, requiredRole }) {
     return <Navigate to="/login" replace />;
   }
 
+  if (user?.twoFactorSetupRequired) {
+    return <Navigate to="/two-factor-setup" replace />;
+  }
+
   // Check role requirement if specified
   // Redirect to user's appropriate dashboard if role doesn't match
   if (requiredRole && user?.role !== requiredRole) {
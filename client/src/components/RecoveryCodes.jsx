@@ -0,0 +1,61 @@
+/**
+ * RecoveryCodes Component
+ *
+ * Shows freshly generated two-factor recovery codes once,
+ * with buttons to copy or download them
+ */
+
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Copy, Download } from 'lucide-react';
+
+/**
+ * RecoveryCodes Component
+ * @param {string[]} codes - Recovery codes
+ */
+export default function RecoveryCodes({ codes }) {
+  const { t } = useTranslation();
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success(t('twoFactor.codesCopied'));
+    } catch {
+      toast.error(t('twoFactor.copyFailed'));
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-3">
+        {t('twoFactor.recoveryCodesWarning')}
+      </p>
+      <ul className="grid grid-cols-2 gap-2 p-4 rounded-lg bg-muted font-mono text-sm">
+        {codes.map((code) => (
+          <li key={code} className="text-center">{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          <Copy className="w-4 h-4 mr-2" />
+          {t('twoFactor.copyCodes')}
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+          <Download className="w-4 h-4 mr-2" />
+          {t('twoFactor.downloadCodes')}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+/**
+ * SearchPicker Component
+ *
+ * Dropdown for choosing one item out of a server-side listing
+ * - Searches on the server as you type
+ * - Loads further results with the listing cursor instead of the whole list
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { cn } from '@/lib/utils';
+import { Check, ChevronDown, Loader2 } from 'lucide-react';
+
+/**
+ * SearchPicker Component
+ * @param {string} value - Selected item ID, empty for none
+ * @param {function} onChange - Called with the chosen item ID (empty when cleared)
+ * @param {function} loadPage - (search, cursor) => Promise<{ items, nextCursor }>, keep it stable (useCallback)
+ * @param {function} getLabel - Text shown for an item
+ * @param {string} placeholder - Shown while nothing is selected
+ * @param {string} searchPlaceholder - Placeholder of the search input
+ * @param {string} emptyLabel - Shown when nothing matches
+ * @param {string} [selectedLabel] - Label of the initial value, before it shows up in the results
+ * @param {string} [clearLabel] - Adds a first option that clears the selection
+ * @param {string} [excludeId] - Item left out of the results
+ * @param {string} [className] - Classes for the wrapper
+ */
+export default function SearchPicker({
+  value,
+  onChange,
+  loadPage,
+  getLabel,
+  placeholder,
+  searchPlaceholder,
+  emptyLabel,
+  selectedLabel,
+  clearLabel,
+  excludeId,
+  className,
+}) {
+  const { t } = useTranslation();
+  const containerRef = useRef(null);
+
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  // Search text sent to the server, follows search after a pause in typing
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [fetching, setFetching] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Load the first page when opened and whenever the search changes
+  useEffect(() => {
+    if (!open) return undefined;
+
+    let cancelled = false;
+    setFetching(true);
+    loadPage(query)
+      .then((page) => {
+        if (cancelled) return;
+        setResults(page.items);
+        setNextCursor(page.nextCursor);
+      })
+      .catch((err) => !cancelled && console.error('Failed to fetch options:', err))
+      .finally(() => !cancelled && setFetching(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, query, loadPage]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handlePointerDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [open]);
+
+  /**
+   * Append the next page of results
+   */
+  const handleLoadMore = async () => {
+    setFetching(true);
+    try {
+      const page = await loadPage(query, nextCursor);
+      setResults((prev) => [...prev, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Failed to fetch options:', err);
+    } finally {
+      setFetching(false);
+    }
+  };
+
+  /**
+   * Choose an item (or clear the choice) and close
+   */
+  const handleSelect = (item) => {
+    setSelected(item);
+    onChange(item?._id || '');
+    setOpen(false);
+  };
+
+  const options = results.filter((item) => item._id !== excludeId);
+  const current = [selected, ...results].find((item) => item && item._id === value);
+  const label = value ? (current ? getLabel(current) : selectedLabel || placeholder) : placeholder;
+
+  const optionClass = 'flex w-full items-center justify-between gap-2 rounded-sm px-2 py-1.5 text-sm text-left hover:bg-accent hover:text-accent-foreground';
+
+  return (
+    <div ref={containerRef} className={cn('relative', className)}>
+      <Button
+        type="button"
+        variant="outline"
+        className="w-full justify-between font-normal"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-expanded={open}
+      >
+        <span className={cn('truncate', !value && 'text-muted-foreground')}>{label}</span>
+        <ChevronDown className="w-4 h-4 opacity-50" />
+      </Button>
+
+      {open && (
+        <div
+          className="absolute z-50 mt-1 w-full min-w-[220px] rounded-md border bg-popover text-popover-foreground shadow-md p-2 space-y-2"
+          onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        >
+          <Input
+            autoFocus
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={searchPlaceholder}
+          />
+
+          <div className="max-h-60 overflow-y-auto">
+            {clearLabel && (
+              <button type="button" className={optionClass} onClick={() => handleSelect(null)}>
+                <span className="truncate">{clearLabel}</span>
+                {!value && <Check className="w-4 h-4" />}
+              </button>
+            )}
+            {options.map((item) => (
+              <button key={item._id} type="button" className={optionClass} onClick={() => handleSelect(item)}>
+                <span className="truncate">{getLabel(item)}</span>
+                {item._id === value && <Check className="w-4 h-4" />}
+              </button>
+            ))}
+
+            {fetching ? (
+              <div className="flex justify-center py-2">
+                <Loader2 className="w-4 h-4 animate-spin text-muted-foreground" />
+              </div>
+            ) : options.length === 0 ? (
+              <p className="px-2 py-1.5 text-sm text-muted-foreground">{emptyLabel}</p>
+            ) : nextCursor && (
+              <Button type="button" variant="ghost" size="sm" className="w-full" onClick={handleLoadMore}>
+                {t('common.loadMore')}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+/**
+ * TwoFactorSettings Component
+ *
+ * Settings card for two-factor authentication:
+ * - Set it up when it is off
+ * - When it is on: new recovery codes, or turn it off (unless required for the role)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import TwoFactorSetup from '@/components/TwoFactorSetup';
+import RecoveryCodes from '@/components/RecoveryCodes';
+import { useAuth } from '@/context/AuthContext';
+import { authRequest } from '@/lib/authFetch';
+import { Loader2, ShieldCheck } from 'lucide-react';
+
+const formatDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+export default function TwoFactorSettings() {
+  const { t } = useTranslation();
+  const { login } = useAuth();
+
+  // { enabled, enabledAt, required, hasPassword, recoveryCodesRemaining }, null until loaded
+  const [status, setStatus] = useState(null);
+  // 'regenerate' or 'disable' while its form is open
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [newCodes, setNewCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadStatus = useCallback(() => {
+    return authRequest('/auth/2fa')
+      .then((data) => setStatus(data.twoFactor))
+      .catch((err) => toast.error(err.message));
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const openAction = (next) => {
+    setAction(next);
+    setCode('');
+    setPassword('');
+    setNewCodes(null);
+  };
+
+  const handleEnabled = (user) => {
+    login(user);
+    loadStatus();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      if (action === 'regenerate') {
+        const data = await authRequest('/auth/2fa/recovery-codes', { method: 'POST', body: { code } });
+        setNewCodes(data.recoveryCodes);
+      } else {
+        await authRequest('/auth/2fa/disable', { method: 'POST', body: { code, password } });
+        toast.success(t('twoFactor.disabledSuccess'));
+      }
+      setAction(null);
+      await loadStatus();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5" />
+          {t('twoFactor.title')}
+        </CardTitle>
+        <CardDescription>{t('twoFactor.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!status ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-6 h-6 text-violet-500 animate-spin" />
+          </div>
+        ) : !status.enabled ? (
+          <TwoFactorSetup onEnabled={handleEnabled} />
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+              <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-700 font-medium">
+                {t('twoFactor.enabledSince', { date: formatDate(status.enabledAt) })}
+              </span>
+              <span className="text-muted-foreground">
+                {t('twoFactor.recoveryCodesRemaining', { count: status.recoveryCodesRemaining })}
+              </span>
+            </div>
+
+            {newCodes && <RecoveryCodes codes={newCodes} />}
+
+            {action ? (
+              <form onSubmit={handleSubmit} className="space-y-3 p-4 rounded-lg border">
+                <p className="text-sm font-medium">
+                  {action === 'regenerate' ? t('twoFactor.regenerateCodes') : t('twoFactor.disable')}
+                </p>
+                {action === 'disable' && status.hasPassword && (
+                  <div className="space-y-2">
+                    <Label htmlFor="twoFactorPassword">{t('auth.password')}</Label>
+                    <Input
+                      id="twoFactorPassword"
+                      type="password"
+                      autoComplete="current-password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                    />
+                  </div>
+                )}
+                <div className="space-y-2">
+                  <Label htmlFor="twoFactorCode">{t('twoFactor.code')}</Label>
+                  <Input
+                    id="twoFactorCode"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    placeholder="123456"
+                    maxLength={6}
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                    required
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    type="submit"
+                    size="sm"
+                    variant={action === 'disable' ? 'destructive' : 'default'}
+                    disabled={submitting || code.length !== 6}
+                  >
+                    {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    {t('common.confirm')}
+                  </Button>
+                  <Button type="button" size="sm" variant="ghost" onClick={() => setAction(null)} disabled={submitting}>
+                    {t('common.cancel')}
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                <Button variant="outline" size="sm" onClick={() => openAction('regenerate')}>
+                  {t('twoFactor.regenerateCodes')}
+                </Button>
+                {status.required ? (
+                  <p className="text-sm text-muted-foreground self-center">{t('twoFactor.requiredForRole')}</p>
+                ) : (
+                  <Button variant="outline" size="sm" className="text-red-600" onClick={() => openAction('disable')}>
+                    {t('twoFactor.disable')}
+                  </Button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,115 @@
+/**
+ * TwoFactorSetup Component
+ *
+ * Enrolment in two-factor authentication:
+ * 1. Scan the QR code (or type the key) into an authenticator app
+ * 2. Confirm with a first code, which turns 2FA on
+ * 3. Save the recovery codes
+ */
+
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import QRCode from 'react-qr-code';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import RecoveryCodes from '@/components/RecoveryCodes';
+import { authRequest } from '@/lib/authFetch';
+import { Loader2, ShieldCheck } from 'lucide-react';
+
+/**
+ * TwoFactorSetup Component
+ * @param {function} onEnabled - Called with the updated user once the recovery codes were saved
+ */
+export default function TwoFactorSetup({ onEnabled }) {
+  const { t } = useTranslation();
+  // { secret, otpauthUrl } while confirming the first code
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  // Result of enabling: { recoveryCodes, user }
+  const [enabled, setEnabled] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleStart = async () => {
+    setLoading(true);
+    try {
+      const data = await authRequest('/auth/2fa/setup', { method: 'POST' });
+      setSetup({ secret: data.secret, otpauthUrl: data.otpauthUrl });
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const data = await authRequest('/auth/2fa/enable', { method: 'POST', body: { code } });
+      setEnabled({ recoveryCodes: data.recoveryCodes, user: data.user });
+      toast.success(t('twoFactor.enabledSuccess'));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (enabled) {
+    return (
+      <div className="space-y-4">
+        <h3 className="font-semibold">{t('twoFactor.saveRecoveryCodes')}</h3>
+        <RecoveryCodes codes={enabled.recoveryCodes} />
+        <Button className="w-full" onClick={() => onEnabled(enabled.user)}>
+          {t('twoFactor.savedCodes')}
+        </Button>
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-muted-foreground">{t('twoFactor.setupIntro')}</p>
+        <Button onClick={handleStart} disabled={loading}>
+          {loading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ShieldCheck className="w-4 h-4 mr-2" />}
+          {t('twoFactor.setUp')}
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleEnable} className="space-y-4">
+      <p className="text-sm text-muted-foreground">{t('twoFactor.scanQrCode')}</p>
+      <div className="flex justify-center">
+        <div className="p-4 bg-white rounded-xl border">
+          <QRCode value={setup.otpauthUrl} size={180} />
+        </div>
+      </div>
+      <div className="text-center">
+        <p className="text-xs text-muted-foreground">{t('twoFactor.manualKey')}</p>
+        <p className="font-mono text-sm break-all select-all">{setup.secret.match(/.{1,4}/g).join(' ')}</p>
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="twoFactorSetupCode">{t('twoFactor.code')}</Label>
+        <Input
+          id="twoFactorSetupCode"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="123456"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          required
+        />
+      </div>
+      <Button type="submit" className="w-full" disabled={loading || code.length !== 6}>
+        {loading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+        {t('twoFactor.enable')}
+      </Button>
+    </form>
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * ApplicationAnswers Component
+ *
+ * Compact list of an applicant's answers to the event's
+ * registration questions
+ */
+
+import { useTranslation } from 'react-i18next';
+
+/**
+ * Format an answer value for display
+ */
+const formatValue = (value, t) => {
+  if (value === true) return t('common.yes');
+  if (value === false) return t('common.no');
+  return String(value);
+};
+
+/**
+ * ApplicationAnswers Component
+ * @param {array} answers - Application answers ({ questionId, label, value })
+ * @param {string} className - Extra classes for the wrapper
+ */
+export default function ApplicationAnswers({ answers, className = '' }) {
+  const { t } = useTranslation();
+
+  if (!answers || answers.length === 0) return null;
+
+  return (
+    <dl className={`grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs ${className}`}>
+      {answers.map((answer) => (
+        <div key={answer.questionId} className="contents">
+          <dt className="text-muted-foreground">{answer.label}:</dt>
+          <dd className="font-medium break-words">{formatValue(answer.value, t)}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
@@ -4,7 +4,9 @@
  * Displays list of all event applications for admin
  * - View all applications with user and event info
  * - Filter by status and event
- * - Accept or reject pending applications
+ * - Accept or reject pending and waitlisted applications
+ * - Multi-select with bulk accept/reject/message
+ * - Answers to the event's registration questions
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -37,6 +39,12 @@ import {
 } from '@/components/ui/dialog';
 import { Textarea } from '@/components/ui/textarea';
 import { useAdmin } from '@/context/AdminContext';
+import ApplicationAnswers from '@/components/admin/ApplicationAnswers';
+import BulkActionsBar from '@/components/admin/BulkActionsBar';
+import EventPicker from '@/components/EventPicker';
+import { Download } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
 /**
  * Format date for display
@@ -59,6 +67,7 @@ const getStatusColor = (status) => {
     accepted: 'bg-green-100 text-green-800',
     rejected: 'bg-red-100 text-red-800',
     cancelled: 'bg-gray-100 text-gray-800',
+    waitlisted: 'bg-orange-100 text-orange-800',
   };
   return colors[status] || colors.pending;
 };
@@ -79,6 +88,11 @@ export default function ApplicationsTab() {
 
   // Filter state
   const [filterStatus, setFilterStatus] = useState('all');
+  const [filterEvent, setFilterEvent] = useState('all');
+
+  // Selection state (IDs, or every application matching the filter)
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
 
   // Dialog state
   const [actionDialogOpen, setActionDialogOpen] = useState(false);
@@ -90,6 +104,7 @@ export default function ApplicationsTab() {
   // Get admin context
   const {
     getAdminApplications,
+    getEvents,
     updateApplicationStatus,
     loading,
     error,
@@ -99,12 +114,15 @@ export default function ApplicationsTab() {
    * Fetch applications from API
    */
   const fetchApplications = useCallback(
-    async (page = 1, status = 'all') => {
+    async (page = 1, status = 'all', eventId = 'all') => {
       try {
         const params = { page, limit: 10 };
         if (status && status !== 'all') {
           params.status = status;
         }
+        if (eventId && eventId !== 'all') {
+          params.eventId = eventId;
+        }
         const data = await getAdminApplications(params);
         setApplications(data.data.applications);
         setPagination({
@@ -124,21 +142,67 @@ export default function ApplicationsTab() {
     fetchApplications();
   }, [fetchApplications]);
 
+  /**
+   * Clear the bulk selection
+   */
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setSelectAllMatching(false);
+  };
+
   /**
    * Handle status filter change
    */
   const handleFilterChange = (value) => {
     setFilterStatus(value);
-    fetchApplications(1, value);
+    clearSelection();
+    fetchApplications(1, value, filterEvent);
+  };
+
+  /**
+   * Handle event filter change
+   */
+  const handleEventFilterChange = (value) => {
+    setFilterEvent(value || 'all');
+    clearSelection();
+    fetchApplications(1, filterStatus, value || 'all');
   };
 
   /**
    * Handle page change
    */
   const handlePageChange = (newPage) => {
-    fetchApplications(newPage, filterStatus);
+    fetchApplications(newPage, filterStatus, filterEvent);
   };
 
+  /**
+   * Toggle one application in the selection
+   */
+  const toggleSelected = (id) => {
+    setSelectAllMatching(false);
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  /**
+   * Toggle every application on the current page
+   */
+  const pageIds = applications.map((app) => app._id);
+  const allOnPageSelected = pageIds.length > 0 && pageIds.every((id) => selectedIds.includes(id));
+  const togglePage = () => {
+    setSelectAllMatching(false);
+    setSelectedIds((prev) =>
+      allOnPageSelected
+        ? prev.filter((id) => !pageIds.includes(id))
+        : [...new Set([...prev, ...pageIds])]
+    );
+  };
+
+  // Bulk actions target the filter only when an event is chosen
+  const bulkSelection = selectAllMatching
+    ? { filter: { eventId: filterEvent, ...(filterStatus !== 'all' && { status: filterStatus }) } }
+    : { ids: selectedIds };
+  const bulkCount = selectAllMatching ? pagination.total : selectedIds.length;
+
   /**
    * Open action dialog
    */
@@ -165,7 +229,7 @@ export default function ApplicationsTab() {
       );
       setActionDialogOpen(false);
       setSelectedApplication(null);
-      fetchApplications(pagination.page, filterStatus);
+      fetchApplications(pagination.page, filterStatus, filterEvent);
       toast.success(actionType === 'accept' ? t('applications.applicationAccepted') : t('applications.applicationRejected'));
     } catch (err) {
       console.error('Failed to update application:', err);
@@ -190,12 +254,31 @@ export default function ApplicationsTab() {
               <SelectItem value="accepted">{t('applications.statuses.accepted')}</SelectItem>
               <SelectItem value="rejected">{t('applications.statuses.rejected')}</SelectItem>
               <SelectItem value="cancelled">{t('applications.statuses.cancelled')}</SelectItem>
+              <SelectItem value="waitlisted">{t('applications.statuses.waitlisted')}</SelectItem>
             </SelectContent>
           </Select>
+          <EventPicker
+            value={filterEvent === 'all' ? '' : filterEvent}
+            onChange={handleEventFilterChange}
+            loadEvents={getEvents}
+            placeholder={t('bulkActions.allEvents')}
+            clearLabel={t('bulkActions.allEvents')}
+            className="w-[220px]"
+          />
         </div>
         <div className="text-sm text-muted-foreground">
           {t('applications.totalApplications', { count: pagination.total })}
         </div>
+        <Button variant="outline" size="sm" className="ml-auto" asChild>
+          <a href={`${API_URL}/applications/admin/export?${new URLSearchParams({
+            format: 'csv',
+            ...(filterStatus !== 'all' && { status: filterStatus }),
+            ...(filterEvent !== 'all' && { eventId: filterEvent }),
+          })}`}>
+            <Download className="w-4 h-4 mr-2" />
+            {t('applications.exportCsv')}
+          </a>
+        </Button>
       </div>
 
       {/* Error display */}
@@ -205,11 +288,31 @@ export default function ApplicationsTab() {
         </div>
       )}
 
+      {/* Bulk actions */}
+      <BulkActionsBar
+        selection={bulkSelection}
+        count={bulkCount}
+        matchingCount={filterEvent !== 'all' ? pagination.total : 0}
+        onSelectAllMatching={() => setSelectAllMatching(true)}
+        onClear={clearSelection}
+        onComplete={() => fetchApplications(pagination.page, filterStatus, filterEvent)}
+        getLabel={(id) => applications.find((app) => app._id === id)?.userId?.name || id}
+      />
+
       {/* Applications table */}
       <div className="border rounded-md">
         <Table>
           <TableHeader>
             <TableRow>
+              <TableHead className="w-10">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4"
+                  checked={allOnPageSelected || selectAllMatching}
+                  onChange={togglePage}
+                  aria-label={t('bulkActions.selectPage')}
+                />
+              </TableHead>
               <TableHead>{t('applications.user')}</TableHead>
               <TableHead>{t('applications.event')}</TableHead>
               <TableHead>{t('applications.organisation')}</TableHead>
@@ -222,25 +325,35 @@ export default function ApplicationsTab() {
           <TableBody>
             {loading.applications ? (
               <TableRow>
-                <TableCell colSpan={7} className="text-center py-8">
+                <TableCell colSpan={8} className="text-center py-8">
                   {t('common.loading')}
                 </TableCell>
               </TableRow>
             ) : applications.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={7} className="text-center py-8">
+                <TableCell colSpan={8} className="text-center py-8">
                   {t('applications.noApplicationsFound')}
                 </TableCell>
               </TableRow>
             ) : (
               applications.map((app) => (
                 <TableRow key={app._id}>
+                  <TableCell>
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4"
+                      checked={selectAllMatching || selectedIds.includes(app._id)}
+                      onChange={() => toggleSelected(app._id)}
+                      aria-label={app.userId?.name}
+                    />
+                  </TableCell>
                   <TableCell>
                     <div>
                       <p className="font-medium">{app.userId?.name}</p>
                       <p className="text-sm text-muted-foreground">
                         {app.userId?.email}
                       </p>
+                      <ApplicationAnswers answers={app.answers} className="mt-2" />
                     </div>
                   </TableCell>
                   <TableCell>
@@ -266,7 +379,7 @@ export default function ApplicationsTab() {
                   </TableCell>
                   <TableCell>{formatDate(app.createdAt)}</TableCell>
                   <TableCell className="text-right">
-                    {app.status === 'pending' ? (
+                    {['pending', 'waitlisted'].includes(app.status) ? (
                       <div className="flex justify-end gap-2">
                         <Button
                           size="sm"
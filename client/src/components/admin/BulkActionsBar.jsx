@@ -0,0 +1,219 @@
+/**
+ * BulkActionsBar Component
+ *
+ * Actions for a multi-selection of applications
+ * - Accept, reject (with optional reason) or message the selection
+ * - Optionally extend the selection to every application matching the filter
+ * - Shows the per-application result report after an action
+ */
+
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useAdmin } from '@/context/AdminContext';
+import { Check, X, MessageSquare, Loader2 } from 'lucide-react';
+
+/**
+ * BulkActionsBar Component
+ * @param {object} selection - { ids: [...] } or { filter: { eventId, status } }
+ * @param {number} count - Number of selected applications
+ * @param {number} matchingCount - Applications matching the current filter (0 hides "select all")
+ * @param {function} onSelectAllMatching - Switch the selection to the whole filter
+ * @param {function} onClear - Clear the selection
+ * @param {function} onComplete - Called after an action so the list can refresh
+ * @param {function} getLabel - Returns a display name for an application ID
+ * @param {boolean} canDecide - Show accept and reject (organisation roles without review rights can only message)
+ */
+export default function BulkActionsBar({
+  selection,
+  count,
+  matchingCount = 0,
+  onSelectAllMatching,
+  onClear,
+  onComplete,
+  getLabel = (id) => id,
+  canDecide = true,
+}) {
+  const { t } = useTranslation();
+  const { bulkUpdateApplicationStatus, bulkMessageApplicants } = useAdmin();
+
+  // 'accept' | 'reject' | 'message' | null
+  const [dialog, setDialog] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [messageTitle, setMessageTitle] = useState('');
+  const [messageBody, setMessageBody] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const [report, setReport] = useState(null);
+
+  if (count === 0 && !report) return null;
+
+  const openDialog = (type) => {
+    setRejectionReason('');
+    setMessageTitle('');
+    setMessageBody('');
+    setDialog(type);
+  };
+
+  /**
+   * Run the chosen bulk action and show its report
+   */
+  const handleConfirm = async () => {
+    setProcessing(true);
+    try {
+      const data = dialog === 'message'
+        ? await bulkMessageApplicants(selection, messageTitle || undefined, messageBody)
+        : await bulkUpdateApplicationStatus(
+          selection,
+          dialog === 'accept' ? 'accepted' : 'rejected',
+          dialog === 'reject' ? rejectionReason || undefined : undefined
+        );
+
+      const { summary, results } = data.data;
+      if (summary.failed === 0) {
+        toast.success(t('bulkActions.allSucceeded', { count: summary.succeeded }));
+      } else {
+        setReport(results.filter((result) => !result.success));
+        toast.warning(t('bulkActions.partiallySucceeded', { succeeded: summary.succeeded, failed: summary.failed }));
+      }
+      setDialog(null);
+      onClear();
+      onComplete?.();
+    } catch (err) {
+      toast.error(err.message || t('bulkActions.failed'));
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <>
+      {count > 0 && (
+        <div className="flex flex-wrap items-center gap-3 p-3 bg-violet-50 border border-violet-200 rounded-lg">
+          <span className="text-sm font-medium">{t('bulkActions.selected', { count })}</span>
+          {matchingCount > count && !selection.filter && (
+            <button type="button" className="text-sm text-violet-600 hover:underline" onClick={onSelectAllMatching}>
+              {t('bulkActions.selectAllMatching', { count: matchingCount })}
+            </button>
+          )}
+          <div className="flex flex-wrap gap-2 ml-auto">
+            {canDecide && (
+              <>
+                <Button size="sm" className="bg-green-600 hover:bg-green-700" onClick={() => openDialog('accept')}>
+                  <Check className="w-4 h-4 mr-1" /> {t('applications.accept')}
+                </Button>
+                <Button size="sm" variant="outline" className="text-red-600 hover:text-red-700" onClick={() => openDialog('reject')}>
+                  <X className="w-4 h-4 mr-1" /> {t('applications.reject')}
+                </Button>
+              </>
+            )}
+            <Button size="sm" variant="outline" onClick={() => openDialog('message')}>
+              <MessageSquare className="w-4 h-4 mr-1" /> {t('bulkActions.message')}
+            </Button>
+            <Button size="sm" variant="ghost" onClick={onClear}>
+              {t('bulkActions.clear')}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Confirmation Dialog */}
+      <Dialog open={!!dialog} onOpenChange={(open) => !open && setDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {dialog === 'accept' && t('bulkActions.acceptTitle', { count })}
+              {dialog === 'reject' && t('bulkActions.rejectTitle', { count })}
+              {dialog === 'message' && t('bulkActions.messageTitle', { count })}
+            </DialogTitle>
+            <DialogDescription>
+              {dialog === 'accept' && t('bulkActions.acceptDescription')}
+              {dialog === 'reject' && t('bulkActions.rejectDescription')}
+              {dialog === 'message' && t('bulkActions.messageDescription')}
+            </DialogDescription>
+          </DialogHeader>
+
+          {dialog === 'reject' && (
+            <Textarea
+              placeholder={t('applications.rejectionReason')}
+              value={rejectionReason}
+              onChange={(e) => setRejectionReason(e.target.value)}
+              maxLength={500}
+              rows={3}
+            />
+          )}
+
+          {dialog === 'message' && (
+            <div className="space-y-3">
+              <div className="space-y-2">
+                <Label htmlFor="bulk-message-title">{t('bulkActions.messageSubject')}</Label>
+                <Input
+                  id="bulk-message-title"
+                  value={messageTitle}
+                  onChange={(e) => setMessageTitle(e.target.value)}
+                  maxLength={200}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="bulk-message-body">{t('bulkActions.messageBody')} *</Label>
+                <Textarea
+                  id="bulk-message-body"
+                  value={messageBody}
+                  onChange={(e) => setMessageBody(e.target.value)}
+                  maxLength={500}
+                  rows={4}
+                />
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDialog(null)} disabled={processing}>
+              {t('common.cancel')}
+            </Button>
+            <Button
+              onClick={handleConfirm}
+              disabled={processing || (dialog === 'message' && !messageBody.trim())}
+              className={dialog === 'reject' ? 'bg-red-600 hover:bg-red-700' : dialog === 'accept' ? 'bg-green-600 hover:bg-green-700' : ''}
+            >
+              {processing && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {dialog === 'message' ? t('bulkActions.send') : t('common.confirm')}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Result Report Dialog */}
+      <Dialog open={!!report} onOpenChange={(open) => !open && setReport(null)}>
+        <DialogContent className="max-h-[80vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{t('bulkActions.reportTitle')}</DialogTitle>
+            <DialogDescription>{t('bulkActions.reportDescription', { count: report?.length || 0 })}</DialogDescription>
+          </DialogHeader>
+          <ul className="divide-y text-sm">
+            {report?.map((result) => (
+              <li key={result.id} className="py-2 flex justify-between gap-4">
+                <span className="font-medium truncate">{getLabel(result.id)}</span>
+                <span className="text-red-600 text-right">{result.error}</span>
+              </li>
+            ))}
+          </ul>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setReport(null)}>{t('common.close')}</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -0,0 +1,257 @@
+/**
+ * CheckInPanel Component
+ *
+ * Event-day attendee check-in for organisers
+ * - Pick one of the organisation's events
+ * - Scan QR tickets with the device camera (where supported)
+ * - Type in ticket codes manually
+ * - Live checked-in / accepted counts
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { useAdmin } from '@/context/AdminContext';
+import EventPicker from '@/components/EventPicker';
+import { Camera, CameraOff, CheckCircle2, XCircle, Loader2, UserCheck } from 'lucide-react';
+
+// How often the counts are refreshed while the panel is open
+const STATS_REFRESH_MS = 10 * 1000;
+
+// Ignore the same QR code while it stays in front of the camera
+const RESCAN_DELAY_MS = 3000;
+
+/**
+ * Format time for display
+ */
+const formatTime = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+/**
+ * CheckInPanel Component
+ * @param {object} organisation - Organisation whose events are checked in
+ */
+export default function CheckInPanel({ organisation }) {
+  const { t } = useTranslation();
+  const { getEvents, checkInAttendee, getCheckInStats } = useAdmin();
+
+  const [eventId, setEventId] = useState('');
+  const [stats, setStats] = useState(null);
+  const [recent, setRecent] = useState([]);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const [scanning, setScanning] = useState(false);
+
+  const videoRef = useRef(null);
+  const lastScanRef = useRef({ value: null, at: 0 });
+
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  /**
+   * Refresh counts and the recent check-ins list
+   */
+  const fetchStats = useCallback(async () => {
+    if (!eventId) return;
+    try {
+      const data = await getCheckInStats(eventId);
+      setStats(data.data.stats);
+      setRecent(data.data.recent);
+    } catch (err) {
+      console.error('Failed to fetch check-in stats:', err);
+    }
+  }, [eventId, getCheckInStats]);
+
+  useEffect(() => {
+    if (!eventId) return;
+    fetchStats();
+    const interval = setInterval(fetchStats, STATS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [eventId, fetchStats]);
+
+  /**
+   * Submit a ticket ({ token } or { code }) for check-in
+   */
+  const submitTicket = useCallback(async (ticket) => {
+    if (!eventId) return;
+    setSubmitting(true);
+    try {
+      const data = await checkInAttendee(eventId, ticket);
+      const attendee = data.data.application.userId;
+      setStats(data.data.stats);
+      setLastResult({ success: true, message: t('checkIn.checkedIn', { name: attendee?.name }) });
+      setCode('');
+      fetchStats();
+    } catch (err) {
+      setLastResult({ success: false, message: err.message || t('checkIn.failed') });
+    } finally {
+      setSubmitting(false);
+    }
+  }, [eventId, checkInAttendee, fetchStats, t]);
+
+  // Camera scanning loop using the browser's BarcodeDetector
+  useEffect(() => {
+    if (!scanning || !canScan) return;
+
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const tick = async () => {
+      if (stopped || !videoRef.current) return;
+      try {
+        const codes = await detector.detect(videoRef.current);
+        const value = codes[0]?.rawValue;
+        const now = Date.now();
+        const last = lastScanRef.current;
+        if (value && (value !== last.value || now - last.at > RESCAN_DELAY_MS)) {
+          lastScanRef.current = { value, at: now };
+          await submitTicket({ token: value });
+        }
+      } catch {
+        // Frame not ready yet - try again on the next tick
+      }
+      if (!stopped) timer = setTimeout(tick, 300);
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: 'environment' } })
+      .then((mediaStream) => {
+        if (stopped) {
+          mediaStream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        videoRef.current.play();
+        tick();
+      })
+      .catch(() => {
+        toast.error(t('checkIn.cameraUnavailable'));
+        setScanning(false);
+      });
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [scanning, canScan, submitTicket, t]);
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) submitTicket({ code: code.trim() });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Event selector */}
+      <div className="flex flex-wrap items-center gap-4">
+        {/* Only events that can still be checked in to */}
+        {organisation?._id && (
+          <EventPicker
+            value={eventId}
+            onChange={(v) => { setEventId(v); setStats(null); setRecent([]); setLastResult(null); }}
+            loadEvents={getEvents}
+            organisationId={organisation._id}
+            status="published,ongoing"
+            sort="startDate"
+            placeholder={t('checkIn.selectEvent')}
+            emptyLabel={t('checkIn.noEvents')}
+            className="w-[320px]"
+          />
+        )}
+      </div>
+
+      {eventId && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Scanner & manual entry */}
+          <Card className="border-0 shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-lg">{t('checkIn.scanTicket')}</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {canScan ? (
+                <>
+                  {scanning && (
+                    <video ref={videoRef} className="w-full rounded-xl bg-black aspect-video object-cover" muted playsInline />
+                  )}
+                  <Button variant="outline" className="w-full gap-2" onClick={() => setScanning(!scanning)}>
+                    {scanning ? <CameraOff className="w-4 h-4" /> : <Camera className="w-4 h-4" />}
+                    {scanning ? t('checkIn.stopCamera') : t('checkIn.startCamera')}
+                  </Button>
+                </>
+              ) : (
+                <p className="text-sm text-muted-foreground">{t('checkIn.scannerNotSupported')}</p>
+              )}
+
+              <form onSubmit={handleManualSubmit} className="flex gap-2">
+                <Input
+                  placeholder={t('checkIn.codePlaceholder')}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.toUpperCase())}
+                  className="font-mono tracking-widest"
+                  maxLength={10}
+                />
+                <Button type="submit" disabled={submitting || !code.trim()} className="bg-gradient-to-r from-violet-600 to-purple-600">
+                  {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : t('checkIn.checkIn')}
+                </Button>
+              </form>
+
+              {lastResult && (
+                <div className={`flex items-center gap-2 p-3 rounded-lg text-sm ${lastResult.success ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+                  {lastResult.success ? <CheckCircle2 className="w-5 h-5" /> : <XCircle className="w-5 h-5" />}
+                  {lastResult.message}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Live counts */}
+          <Card className="border-0 shadow-sm">
+            <CardHeader>
+              <CardTitle className="text-lg">{t('checkIn.attendance')}</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex items-center gap-4">
+                <div className="w-12 h-12 bg-green-100 rounded-xl flex items-center justify-center">
+                  <UserCheck className="w-6 h-6 text-green-600" />
+                </div>
+                <div>
+                  <p className="text-3xl font-bold">
+                    {stats ? stats.checkedIn : '-'}
+                    <span className="text-lg text-muted-foreground font-normal"> / {stats ? stats.accepted : '-'}</span>
+                  </p>
+                  <p className="text-sm text-muted-foreground">{t('checkIn.checkedInCount')}</p>
+                </div>
+              </div>
+
+              {recent.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium mb-2">{t('checkIn.recent')}</p>
+                  <ul className="divide-y">
+                    {recent.map((app) => (
+                      <li key={app._id} className="flex items-center justify-between py-2 text-sm">
+                        <span className="truncate">{app.userId?.name}</span>
+                        <span className="text-muted-foreground">{formatTime(app.checkedInAt)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,9 @@
  *
  * Form for creating and editing events
  * Handles form validation and date inputs
+ * Includes a builder for custom registration questions
+ * Asks for a reason when an event is cancelled or moved, which is sent
+ * to its applicants
  */
 
 import { useState, useEffect, useRef } from 'react';
@@ -26,7 +29,9 @@ import {
   DialogHeader,
   DialogTitle,
 } from '@/components/ui/dialog';
-import { Upload, X, ImageIcon } from 'lucide-react';
+import { Upload, X, ImageIcon, Plus, Trash2 } from 'lucide-react';
+import { formErrors } from '@/lib/authFetch';
+import OrganisationPicker from '@/components/OrganisationPicker';
 
 // Event category keys for translation
 const EVENT_CATEGORY_KEYS = [
@@ -40,6 +45,9 @@ const EVENT_TYPE_KEYS = ['online', 'offline', 'hybrid'];
 // Event status keys for translation
 const EVENT_STATUS_KEYS = ['draft', 'published', 'ongoing', 'completed', 'cancelled'];
 
+// Registration question types
+const QUESTION_TYPE_KEYS = ['text', 'number', 'select', 'checkbox'];
+
 // Map category key to translation key (handle career-fair -> careerFair)
 const getCategoryTranslationKey = (key) => {
   if (key === 'career-fair') return 'careerFair';
@@ -55,13 +63,28 @@ const formatDateForInput = (date) => {
   return d.toISOString().slice(0, 16);
 };
 
+/**
+ * Convert stored questions to editable form state
+ * Select options are edited as a comma-separated string
+ */
+const toEditableQuestions = (questions = []) =>
+  questions.map((q) => ({
+    _id: q._id,
+    key: q._id,
+    label: q.label || '',
+    type: q.type || 'text',
+    required: !!q.required,
+    optionsText: (q.options || []).join(', '),
+  }));
+
 /**
  * EventForm Component
  * @param {boolean} open - Dialog open state
  * @param {function} onOpenChange - Handler for dialog open state change
  * @param {object} event - Existing event data for editing (null for create)
- * @param {array} organisations - List of organisations to select from
- * @param {function} onSubmit - Handler for form submission
+ * @param {array} [organisations] - List of organisations to select from
+ * @param {function} [loadOrganisations] - Searches all organisations instead, e.g. getOrganisations of a context
+ * @param {function} onSubmit - Handler for form submission; may reject with the server's field errors
  * @param {boolean} loading - Loading state during submission
  */
 export default function EventForm({
@@ -69,6 +92,7 @@ export default function EventForm({
   onOpenChange,
   event,
   organisations,
+  loadOrganisations,
   onSubmit,
   loading,
 }) {
@@ -91,6 +115,8 @@ export default function EventForm({
     city: '',
     address: '',
     onlineLink: '',
+    cancellationReason: '',
+    rescheduleReason: '',
   });
   const [coverImage, setCoverImage] = useState(null);
   const [coverImagePreview, setCoverImagePreview] = useState(null);
@@ -98,12 +124,21 @@ export default function EventForm({
   const [additionalImagePreviews, setAdditionalImagePreviews] = useState([]);
   const [dragActive, setDragActive] = useState(false);
   const [errors, setErrors] = useState({});
+  const [questions, setQuestions] = useState([]);
   const coverInputRef = useRef(null);
   const imagesInputRef = useRef(null);
 
   // Determine if editing or creating
   const isEditing = !!event;
 
+  // Changes that are announced to the event's applicants
+  const isCancelled = isEditing && event.status === 'cancelled';
+  const isCancelling = isEditing && !isCancelled && formData.status === 'cancelled';
+  const isRescheduling = isEditing && !isCancelled && !isCancelling && event.status !== 'draft' && (
+    formData.startDate !== formatDateForInput(event.startDate) ||
+    formData.endDate !== formatDateForInput(event.endDate)
+  );
+
   // Populate form when editing
   useEffect(() => {
     if (event) {
@@ -123,10 +158,13 @@ export default function EventForm({
         city: event.city || '',
         address: event.address || '',
         onlineLink: event.onlineLink || '',
+        cancellationReason: '',
+        rescheduleReason: '',
       });
       // Set existing images as previews
       setCoverImagePreview(event.coverImage || null);
       setAdditionalImagePreviews(event.images || []);
+      setQuestions(toEditableQuestions(event.registrationQuestions));
     } else {
       // Reset form for new event
       setFormData({
@@ -145,11 +183,14 @@ export default function EventForm({
         city: '',
         address: '',
         onlineLink: '',
+        cancellationReason: '',
+        rescheduleReason: '',
       });
       setCoverImage(null);
       setCoverImagePreview(null);
       setAdditionalImages([]);
       setAdditionalImagePreviews([]);
+      setQuestions([]);
     }
     setErrors({});
   }, [event, open, organisations]);
@@ -251,6 +292,39 @@ export default function EventForm({
     }
   };
 
+  /**
+   * Add an empty registration question
+   */
+  const addQuestion = () => {
+    setQuestions((prev) => [
+      ...prev,
+      { key: `new-${Date.now()}`, label: '', type: 'text', required: false, optionsText: '' },
+    ]);
+  };
+
+  /**
+   * Update one field of a registration question
+   */
+  const updateQuestion = (key, field, value) => {
+    setQuestions((prev) => prev.map((q) => (q.key === key ? { ...q, [field]: value } : q)));
+    if (errors.questions) {
+      setErrors((prev) => ({ ...prev, questions: '' }));
+    }
+  };
+
+  /**
+   * Remove a registration question
+   */
+  const removeQuestion = (key) => {
+    setQuestions((prev) => prev.filter((q) => q.key !== key));
+  };
+
+  /**
+   * Parse comma-separated select options
+   */
+  const parseOptions = (text) =>
+    text.split(',').map((o) => o.trim()).filter(Boolean);
+
   /**
    * Validate form fields
    */
@@ -285,9 +359,17 @@ export default function EventForm({
         newErrors.registrationEndDate = t('validation.registrationBeforeStart');
       }
     }
+    if (isCancelling && !formData.cancellationReason.trim()) {
+      newErrors.cancellationReason = t('validation.cancellationReasonRequired');
+    }
     if (formData.capacity < 5) {
       newErrors.capacity = t('validation.capacityMin', { min: 5 });
     }
+    if (questions.some((q) => !q.label.trim())) {
+      newErrors.questions = t('validation.questionLabelRequired');
+    } else if (questions.some((q) => q.type === 'select' && parseOptions(q.optionsText).length < 2)) {
+      newErrors.questions = t('validation.questionOptionsRequired');
+    }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -296,7 +378,7 @@ export default function EventForm({
   /**
    * Handle form submission
    */
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
 
     if (!validateForm()) {
@@ -306,11 +388,25 @@ export default function EventForm({
     // Create FormData for file upload support
     const submitData = new FormData();
     Object.entries(formData).forEach(([key, value]) => {
+      // Reasons only matter for the change they explain
+      if (key === 'cancellationReason' && !isCancelling) return;
+      if (key === 'rescheduleReason' && !isRescheduling) return;
       if (value !== '' && value !== null && value !== undefined) {
         submitData.append(key, value);
       }
     });
 
+    // Registration questions travel as JSON inside the multipart body
+    submitData.append('registrationQuestions', JSON.stringify(
+      questions.map((q) => ({
+        ...(q._id && { _id: q._id }),
+        label: q.label.trim(),
+        type: q.type,
+        required: q.required,
+        options: q.type === 'select' ? parseOptions(q.optionsText) : [],
+      }))
+    ));
+
     // Add cover image
     if (coverImage) {
       submitData.append('coverImage', coverImage);
@@ -321,7 +417,15 @@ export default function EventForm({
       submitData.append('images', img);
     });
 
-    onSubmit(submitData);
+    try {
+      await onSubmit(submitData);
+    } catch (err) {
+      // The parent reports the failure; validation messages also go next to their fields
+      const serverErrors = formErrors(err, { registrationQuestions: 'questions' });
+      if (serverErrors) {
+        setErrors(serverErrors);
+      }
+    }
   };
 
   return (
@@ -355,23 +459,33 @@ export default function EventForm({
           {/* Organisation Field */}
           <div className="space-y-2">
             <Label htmlFor="organisationId">{t('applications.organisation')} *</Label>
-            <Select
-              value={formData.organisationId}
-              onValueChange={(value) =>
-                handleSelectChange('organisationId', value)
-              }
-            >
-              <SelectTrigger>
-                <SelectValue placeholder={t('filters.selectOrganisation')} />
-              </SelectTrigger>
-              <SelectContent>
-                {organisations?.map((org) => (
-                  <SelectItem key={org._id} value={org._id}>
-                    {org.name}
-                  </SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
+            {loadOrganisations ? (
+              <OrganisationPicker
+                value={formData.organisationId}
+                onChange={(value) => handleSelectChange('organisationId', value)}
+                loadOrganisations={loadOrganisations}
+                selectedLabel={event?.organisationId?.name}
+                placeholder={t('filters.selectOrganisation')}
+              />
+            ) : (
+              <Select
+                value={formData.organisationId}
+                onValueChange={(value) =>
+                  handleSelectChange('organisationId', value)
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder={t('filters.selectOrganisation')} />
+                </SelectTrigger>
+                <SelectContent>
+                  {organisations?.map((org) => (
+                    <SelectItem key={org._id} value={org._id}>
+                      {org.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
             {errors.organisationId && (
               <p className="text-sm text-red-500">{errors.organisationId}</p>
             )}
@@ -547,6 +661,7 @@ export default function EventForm({
               <Select
                 value={formData.status}
                 onValueChange={(value) => handleSelectChange('status', value)}
+                disabled={isCancelled}
               >
                 <SelectTrigger>
                   <SelectValue placeholder={t('events.selectStatus')} />
@@ -562,6 +677,42 @@ export default function EventForm({
             </div>
           </div>
 
+          {/* Cancellation reason (sent to applicants, whose applications are cancelled) */}
+          {isCancelling && (
+            <div className="space-y-2">
+              <Label htmlFor="cancellationReason">{t('events.cancellationReason')} *</Label>
+              <Textarea
+                id="cancellationReason"
+                name="cancellationReason"
+                value={formData.cancellationReason}
+                onChange={handleChange}
+                placeholder={t('events.cancellationReasonPlaceholder')}
+                maxLength={500}
+                rows={3}
+              />
+              <p className="text-xs text-muted-foreground">{t('events.cancellationNotice')}</p>
+              {errors.cancellationReason && (
+                <p className="text-sm text-red-500">{errors.cancellationReason}</p>
+              )}
+            </div>
+          )}
+
+          {/* Reason for a new date (sent to applicants) */}
+          {isRescheduling && (
+            <div className="space-y-2">
+              <Label htmlFor="rescheduleReason">{t('events.rescheduleReason')}</Label>
+              <Input
+                id="rescheduleReason"
+                name="rescheduleReason"
+                value={formData.rescheduleReason}
+                onChange={handleChange}
+                placeholder={t('events.rescheduleReasonPlaceholder')}
+                maxLength={500}
+              />
+              <p className="text-xs text-muted-foreground">{t('events.rescheduleNotice')}</p>
+            </div>
+          )}
+
           {/* Pricing Fields */}
           <div className="grid grid-cols-2 gap-4">
             <div className="flex items-center space-x-2">
@@ -592,6 +743,80 @@ export default function EventForm({
             )}
           </div>
 
+          {/* Registration Questions */}
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <Label>{t('registrationQuestions.title')}</Label>
+                <p className="text-xs text-muted-foreground">{t('registrationQuestions.description')}</p>
+              </div>
+              <Button type="button" variant="outline" size="sm" onClick={addQuestion} className="gap-1">
+                <Plus className="h-4 w-4" />
+                {t('registrationQuestions.addQuestion')}
+              </Button>
+            </div>
+
+            {questions.map((question, index) => (
+              <div key={question.key} className="border rounded-lg p-3 space-y-3">
+                <div className="flex items-start gap-2">
+                  <span className="text-sm text-muted-foreground pt-2">{index + 1}.</span>
+                  <Input
+                    value={question.label}
+                    onChange={(e) => updateQuestion(question.key, 'label', e.target.value)}
+                    placeholder={t('registrationQuestions.labelPlaceholder')}
+                    maxLength={200}
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => removeQuestion(question.key)}
+                    className="text-red-500 hover:text-red-600 shrink-0"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                <div className="grid grid-cols-2 gap-3 items-center">
+                  <Select
+                    value={question.type}
+                    onValueChange={(value) => updateQuestion(question.key, 'type', value)}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {QUESTION_TYPE_KEYS.map((key) => (
+                        <SelectItem key={key} value={key}>
+                          {t(`registrationQuestions.types.${key}`)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      id={`required-${question.key}`}
+                      type="checkbox"
+                      checked={question.required}
+                      onChange={(e) => updateQuestion(question.key, 'required', e.target.checked)}
+                      className="h-4 w-4"
+                    />
+                    <Label htmlFor={`required-${question.key}`}>{t('registrationQuestions.required')}</Label>
+                  </div>
+                </div>
+                {question.type === 'select' && (
+                  <Input
+                    value={question.optionsText}
+                    onChange={(e) => updateQuestion(question.key, 'optionsText', e.target.value)}
+                    placeholder={t('registrationQuestions.optionsPlaceholder')}
+                  />
+                )}
+              </div>
+            ))}
+            {errors.questions && (
+              <p className="text-sm text-red-500">{errors.questions}</p>
+            )}
+          </div>
+
           {/* Cover Image Upload */}
           <div className="space-y-2">
             <Label>{t('events.coverImage')}</Label>
@@ -14,13 +14,6 @@ import { useTranslation } from 'react-i18next';
 import { toast } from 'react-toastify';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import {
-  Select,
-  SelectContent,
-  SelectItem,
-  SelectTrigger,
-  SelectValue,
-} from '@/components/ui/select';
 import {
   Table,
   TableBody,
@@ -38,6 +31,7 @@ import {
   DialogTitle,
 } from '@/components/ui/dialog';
 import { useAdmin } from '@/context/AdminContext';
+import OrganisationPicker from '@/components/OrganisationPicker';
 import EventForm from './EventForm';
 import EventDetailDialog from './EventDetailDialog';
 
@@ -76,7 +70,6 @@ export default function EventsTab() {
 
   // Data state
   const [events, setEvents] = useState([]);
-  const [organisations, setOrganisations] = useState([]);
   const [pagination, setPagination] = useState({
     page: 1,
     totalPages: 1,
@@ -105,18 +98,6 @@ export default function EventsTab() {
     error,
   } = useAdmin();
 
-  /**
-   * Fetch organisations for filter dropdown
-   */
-  const fetchOrganisations = useCallback(async () => {
-    try {
-      const data = await getOrganisations({ limit: 100 });
-      setOrganisations(data.data.organisations);
-    } catch (err) {
-      console.error('Failed to fetch organisations:', err);
-    }
-  }, [getOrganisations]);
-
   /**
    * Fetch events from API
    */
@@ -146,9 +127,8 @@ export default function EventsTab() {
 
   // Initial fetch
   useEffect(() => {
-    fetchOrganisations();
     fetchEvents();
-  }, [fetchOrganisations, fetchEvents]);
+  }, [fetchEvents]);
 
   /**
    * Handle search
@@ -170,8 +150,8 @@ export default function EventsTab() {
    * Handle organisation filter change
    */
   const handleFilterChange = (value) => {
-    setFilterOrg(value);
-    fetchEvents(1, searchQuery, value);
+    setFilterOrg(value || 'all');
+    fetchEvents(1, searchQuery, value || 'all');
   };
 
   /**
@@ -230,6 +210,8 @@ export default function EventsTab() {
     } catch (err) {
       console.error('Failed to save event:', err);
       toast.error(err.message || t('events.failedToSaveEvent'));
+      // Lets the form show field errors inline
+      throw err;
     }
   };
 
@@ -266,19 +248,14 @@ export default function EventsTab() {
             onKeyPress={handleKeyPress}
             className="max-w-xs"
           />
-          <Select value={filterOrg} onValueChange={handleFilterChange}>
-            <SelectTrigger className="w-[180px]">
-              <SelectValue placeholder={t('filters.allOrganisations')} />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="all">{t('filters.allOrganisations')}</SelectItem>
-              {organisations.map((org) => (
-                <SelectItem key={org._id} value={org._id}>
-                  {org.name}
-                </SelectItem>
-              ))}
-            </SelectContent>
-          </Select>
+          <OrganisationPicker
+            value={filterOrg === 'all' ? '' : filterOrg}
+            onChange={handleFilterChange}
+            loadOrganisations={getOrganisations}
+            placeholder={t('filters.allOrganisations')}
+            clearLabel={t('filters.allOrganisations')}
+            className="w-[180px]"
+          />
           <Button variant="outline" onClick={handleSearch}>
             {t('common.search')}
           </Button>
@@ -399,7 +376,7 @@ export default function EventsTab() {
         open={formOpen}
         onOpenChange={setFormOpen}
         event={selectedEvent}
-        organisations={organisations}
+        loadOrganisations={getOrganisations}
         onSubmit={handleFormSubmit}
         loading={loading.events}
       />
@@ -0,0 +1,112 @@
+/**
+ * InvitationsTable Component
+ *
+ * Pending organisation team invitations with resend and revoke actions
+ * Used in the member panel of an organisation and, across organisations, in MembersTab
+ */
+
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Loader2, RotateCw, X } from 'lucide-react';
+
+/**
+ * Format date for display
+ */
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+/**
+ * InvitationsTable Component
+ * @param {Array} invitations - Pending invitations
+ * @param {boolean} showOrganisation - Add an organisation column (organisationId populated)
+ * @param {string} busyId - Invitation with a request in flight
+ * @param {function} onResend - Called with the invitation to send again
+ * @param {function} onRevoke - Called with the invitation to revoke
+ */
+export default function InvitationsTable({
+  invitations,
+  showOrganisation = false,
+  busyId,
+  onResend,
+  onRevoke,
+}) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="border rounded-md">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>{t('common.email')}</TableHead>
+            {showOrganisation && <TableHead>{t('invitations.organisation')}</TableHead>}
+            <TableHead>{t('organisations.role')}</TableHead>
+            <TableHead>{t('invitations.expires')}</TableHead>
+            <TableHead className="text-right">{t('common.actions')}</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {invitations.map((invitation) => {
+            const busy = busyId === invitation._id;
+            return (
+              <TableRow key={invitation._id}>
+                <TableCell>
+                  {invitation.email}
+                  {invitation.invitedBy?.name && (
+                    <p className="text-xs text-muted-foreground">
+                      {t('invitations.invitedBy', { name: invitation.invitedBy.name })}
+                    </p>
+                  )}
+                </TableCell>
+                {showOrganisation && <TableCell>{invitation.organisationId?.name || '-'}</TableCell>}
+                <TableCell>{t(`organisations.roles.${invitation.role}`)}</TableCell>
+                <TableCell>
+                  {invitation.expired ? (
+                    <span className="text-red-600">{t('invitations.expired')}</span>
+                  ) : (
+                    formatDate(invitation.expiresAt)
+                  )}
+                </TableCell>
+                <TableCell className="text-right">
+                  <div className="flex justify-end gap-2">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={busy}
+                      onClick={() => onResend(invitation)}
+                    >
+                      {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCw className="w-4 h-4 mr-1" />}
+                      {!busy && t('invitations.resend')}
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="destructive"
+                      disabled={busy}
+                      onClick={() => onRevoke(invitation)}
+                    >
+                      <X className="w-4 h-4 mr-1" />
+                      {t('invitations.revoke')}
+                    </Button>
+                  </div>
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
@@ -6,6 +6,7 @@
  * - Search by name or email
  * - Filter by role
  * - Change user roles (admin only)
+ * - Pending organisation team invitations, with resend and revoke
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -37,6 +38,7 @@ import {
   DialogTitle,
 } from '@/components/ui/dialog';
 import { useAdmin } from '@/context/AdminContext';
+import InvitationsTable from './InvitationsTable';
 
 /**
  * Format date for display
@@ -87,8 +89,25 @@ export default function MembersTab() {
   const [newRole, setNewRole] = useState('');
   const [updating, setUpdating] = useState(false);
 
+  // Pending invitation state
+  const [invitations, setInvitations] = useState([]);
+  const [invitationPagination, setInvitationPagination] = useState({
+    page: 1,
+    totalPages: 1,
+    total: 0,
+  });
+  const [busyInvitationId, setBusyInvitationId] = useState(null);
+
   // Get admin context
-  const { getUsers, updateUserRole, loading, error } = useAdmin();
+  const {
+    getUsers,
+    updateUserRole,
+    getPendingInvitations,
+    resendOrganisationInvitation,
+    revokeOrganisationInvitation,
+    loading,
+    error,
+  } = useAdmin();
 
   /**
    * Fetch users from API
@@ -117,11 +136,35 @@ export default function MembersTab() {
     [getUsers]
   );
 
+  /**
+   * Fetch pending invitations of all organisations
+   */
+  const fetchInvitations = useCallback(
+    async (page = 1) => {
+      try {
+        const data = await getPendingInvitations({ page, limit: 10, sort: 'expiresAt' });
+        setInvitations(data.data.invitations);
+        setInvitationPagination({
+          page: data.page,
+          totalPages: data.totalPages,
+          total: data.total,
+        });
+      } catch (err) {
+        console.error('Failed to fetch invitations:', err);
+      }
+    },
+    [getPendingInvitations]
+  );
+
   // Initial fetch
   useEffect(() => {
     fetchUsers();
   }, [fetchUsers]);
 
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
   /**
    * Handle search
    */
@@ -153,12 +196,18 @@ export default function MembersTab() {
     fetchUsers(newPage, searchQuery, filterRole);
   };
 
+  /**
+   * Platform role shown in the role dialog
+   * The organisation role follows organisation membership, so it counts as user here
+   */
+  const getPlatformRole = (user) => (user?.role === 'admin' ? 'admin' : 'user');
+
   /**
    * Open role change dialog
    */
   const handleRoleClick = (user) => {
     setSelectedUser(user);
-    setNewRole(user.role);
+    setNewRole(getPlatformRole(user));
     setRoleDialogOpen(true);
   };
 
@@ -166,7 +215,7 @@ export default function MembersTab() {
    * Handle role change submission
    */
   const handleRoleChange = async () => {
-    if (!selectedUser || !newRole || newRole === selectedUser.role) return;
+    if (!selectedUser || !newRole || newRole === getPlatformRole(selectedUser)) return;
 
     setUpdating(true);
     try {
@@ -183,6 +232,42 @@ export default function MembersTab() {
     }
   };
 
+  /**
+   * Send a pending invitation again
+   */
+  const handleResendInvitation = async (invitation) => {
+    setBusyInvitationId(invitation._id);
+    try {
+      await resendOrganisationInvitation(invitation.organisationId._id, invitation._id);
+      fetchInvitations(invitationPagination.page);
+      toast.success(t('invitations.sent', { email: invitation.email }));
+    } catch (err) {
+      toast.error(err.message || t('invitations.failedToSend'));
+    } finally {
+      setBusyInvitationId(null);
+    }
+  };
+
+  /**
+   * Revoke a pending invitation
+   */
+  const handleRevokeInvitation = async (invitation) => {
+    setBusyInvitationId(invitation._id);
+    try {
+      await revokeOrganisationInvitation(invitation.organisationId._id, invitation._id);
+      // Step back when the last invitation of a page is gone
+      const page = invitations.length === 1 && invitationPagination.page > 1
+        ? invitationPagination.page - 1
+        : invitationPagination.page;
+      fetchInvitations(page);
+      toast.success(t('invitations.revoked'));
+    } catch (err) {
+      toast.error(err.message || t('invitations.failedToRevoke'));
+    } finally {
+      setBusyInvitationId(null);
+    }
+  };
+
   return (
     <div className="space-y-4">
       {/* Header with search and filter */}
@@ -311,6 +396,50 @@ export default function MembersTab() {
         </div>
       )}
 
+      {/* Pending invitations */}
+      <div className="space-y-2 pt-4">
+        <div>
+          <h3 className="text-lg font-semibold">{t('invitations.pending')}</h3>
+          <p className="text-sm text-muted-foreground">
+            {t('invitations.pendingDescription', { count: invitationPagination.total })}
+          </p>
+        </div>
+        {invitations.length === 0 ? (
+          <p className="text-sm text-muted-foreground">{t('invitations.noPending')}</p>
+        ) : (
+          <InvitationsTable
+            invitations={invitations}
+            showOrganisation
+            busyId={busyInvitationId}
+            onResend={handleResendInvitation}
+            onRevoke={handleRevokeInvitation}
+          />
+        )}
+        {invitationPagination.totalPages > 1 && (
+          <div className="flex justify-center gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => fetchInvitations(invitationPagination.page - 1)}
+              disabled={invitationPagination.page === 1}
+            >
+              {t('common.previous')}
+            </Button>
+            <span className="flex items-center px-3 text-sm">
+              {t('common.page')} {invitationPagination.page} {t('common.of')} {invitationPagination.totalPages}
+            </span>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => fetchInvitations(invitationPagination.page + 1)}
+              disabled={invitationPagination.page === invitationPagination.totalPages}
+            >
+              {t('common.next')}
+            </Button>
+          </div>
+        )}
+      </div>
+
       {/* Role Change Dialog */}
       <Dialog open={roleDialogOpen} onOpenChange={setRoleDialogOpen}>
         <DialogContent>
@@ -328,9 +457,9 @@ export default function MembersTab() {
               <SelectContent>
                 <SelectItem value="user">{t('members.roles.user')}</SelectItem>
                 <SelectItem value="admin">{t('members.roles.admin')}</SelectItem>
-                <SelectItem value="organisation">{t('members.roles.organisation')}</SelectItem>
               </SelectContent>
             </Select>
+            <p className="text-xs text-muted-foreground mt-2">{t('members.organisationRoleNote')}</p>
           </div>
           <DialogFooter>
             <Button
@@ -341,7 +470,7 @@ export default function MembersTab() {
             </Button>
             <Button
               onClick={handleRoleChange}
-              disabled={updating || newRole === selectedUser?.role}
+              disabled={updating || newRole === getPlatformRole(selectedUser)}
             >
               {updating ? t('common.updating') : t('members.updateRole')}
             </Button>
@@ -0,0 +1,212 @@
+/**
+ * OrganisationDeleteDialog Component
+ *
+ * Confirms deleting an organisation (platform admins, from the organisations table)
+ * - Choose whether its events are archived or transferred to another organisation
+ * - Shows a dry-run summary of what the deletion changes before confirming
+ */
+
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import OrganisationPicker from '@/components/OrganisationPicker';
+import { useAdmin } from '@/context/AdminContext';
+import { Loader2 } from 'lucide-react';
+
+/**
+ * OrganisationDeleteDialog Component
+ * @param {boolean} open - Dialog open state
+ * @param {function} onOpenChange - Handler for dialog open state change
+ * @param {object} organisation - Organisation to delete
+ * @param {function} onDeleted - Callback after the organisation was deleted
+ */
+export default function OrganisationDeleteDialog({
+  open,
+  onOpenChange,
+  organisation,
+  onDeleted,
+}) {
+  const { t } = useTranslation();
+
+  const { getOrganisations, previewOrganisationDeletion, deleteOrganisation } = useAdmin();
+
+  // Deletion options
+  const [policy, setPolicy] = useState('archive');
+  const [transferTo, setTransferTo] = useState('');
+  const [reason, setReason] = useState('');
+
+  // Dry-run summary for the current options
+  const [summary, setSummary] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+
+  // Reset options when opened
+  useEffect(() => {
+    if (!open || !organisation) return;
+
+    setPolicy('archive');
+    setTransferTo('');
+    setReason('');
+  }, [open, organisation]);
+
+  // Refresh the summary whenever the options change
+  useEffect(() => {
+    if (!open || !organisation) return;
+
+    setSummary(null);
+    if (policy === 'transfer' && !transferTo) return;
+
+    let cancelled = false;
+    setPreviewing(true);
+    previewOrganisationDeletion(organisation._id, policy === 'transfer' ? { events: policy, transferTo } : { events: policy })
+      .then((result) => !cancelled && setSummary(result))
+      .catch((err) => !cancelled && toast.error(err.message || t('organisations.failedToPreviewDeletion')))
+      .finally(() => !cancelled && setPreviewing(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, organisation, policy, transferTo, previewOrganisationDeletion, t]);
+
+  /**
+   * Delete with the previewed options
+   */
+  const handleConfirm = async () => {
+    setDeleting(true);
+    try {
+      const options = { events: policy };
+      if (policy === 'transfer') options.transferTo = transferTo;
+      if (policy === 'archive' && reason.trim()) options.reason = reason.trim();
+
+      await deleteOrganisation(organisation._id, options);
+      toast.success(t('organisations.organisationDeleted'));
+      onOpenChange(false);
+      onDeleted?.();
+    } catch (err) {
+      console.error('Failed to delete organisation:', err);
+      toast.error(err.message || t('organisations.failedToDeleteOrg'));
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[560px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t('organisations.deleteOrganisation')}</DialogTitle>
+          <DialogDescription>
+            {t('organisations.deleteOrgConfirm', { name: organisation?.name })}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {/* What happens to the events */}
+          <div className="space-y-2">
+            <Label>{t('organisations.deletion.eventsPolicy')}</Label>
+            <Select value={policy} onValueChange={setPolicy}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="archive">{t('organisations.deletion.archive')}</SelectItem>
+                <SelectItem value="transfer">{t('organisations.deletion.transfer')}</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {policy === 'transfer' ? (
+            <div className="space-y-2">
+              <Label>{t('organisations.deletion.transferTo')}</Label>
+              <OrganisationPicker
+                value={transferTo}
+                onChange={setTransferTo}
+                loadOrganisations={getOrganisations}
+                excludeId={organisation?._id}
+                placeholder={t('organisations.deletion.selectOrganisation')}
+              />
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <Label htmlFor="deletionReason">{t('organisations.deletion.reason')}</Label>
+              <Textarea
+                id="deletionReason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder={t('organisations.deletion.reasonPlaceholder')}
+                maxLength={500}
+                rows={2}
+              />
+            </div>
+          )}
+
+          {/* Dry-run summary */}
+          <div className="p-3 bg-muted/50 rounded-md text-sm">
+            <p className="font-medium mb-2">{t('organisations.deletion.summaryTitle')}</p>
+            {previewing ? (
+              <p className="flex items-center gap-2 text-muted-foreground">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                {t('common.loading')}
+              </p>
+            ) : summary ? (
+              <ul className="space-y-1 list-disc pl-5">
+                {summary.events.policy === 'transfer' ? (
+                  <li>
+                    {t('organisations.deletion.eventsTransferred', {
+                      count: summary.events.total,
+                      name: summary.events.transferTo?.name,
+                    })}
+                  </li>
+                ) : (
+                  <>
+                    <li>{t('organisations.deletion.eventsArchived', { count: summary.events.total - summary.events.alreadyArchived })}</li>
+                    <li>{t('organisations.deletion.eventsCancelled', { count: summary.events.upcoming })}</li>
+                    <li>{t('organisations.deletion.applicationsCancelled', { count: summary.applications.cancelled })}</li>
+                  </>
+                )}
+                <li>{t('organisations.deletion.applicationsKept', { count: summary.applications.total })}</li>
+                <li>{t('organisations.deletion.membersLosingRole', { count: summary.members.losingRole, total: summary.members.total })}</li>
+                <li>{t('organisations.deletion.invitationsDeleted', { count: summary.pendingInvitations })}</li>
+                <li>{t('organisations.deletion.followersRemoved', { count: summary.followers })}</li>
+                <li>{t('organisations.deletion.imagesRemoved', { count: summary.images })}</li>
+              </ul>
+            ) : (
+              <p className="text-muted-foreground">{t('organisations.deletion.selectOrganisation')}</p>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={deleting}>
+            {t('common.cancel')}
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={handleConfirm}
+            disabled={deleting || previewing || !summary}
+          >
+            {deleting ? t('common.deleting') : t('common.delete')}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
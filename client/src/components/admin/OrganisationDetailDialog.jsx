@@ -212,31 +212,34 @@ export default function OrganisationDetailDialog({
               </>
             )}
 
-          {/* Admins */}
-          {organisation.admins && organisation.admins.length > 0 && (
+          {/* Members */}
+          {organisation.members && organisation.members.length > 0 && (
             <>
               <Separator />
               <div>
                 <h3 className="text-sm font-semibold text-muted-foreground mb-3">
-                  {t('organisations.admins')} ({organisation.admins.length})
+                  {t('organisations.members')} ({organisation.members.length})
                 </h3>
                 <div className="flex flex-wrap gap-2">
-                  {organisation.admins.map((admin) => {
-                    const adminData =
-                      typeof admin === 'object'
-                        ? admin
-                        : { _id: admin, name: t('common.unknown') };
+                  {organisation.members.map((member) => {
+                    const memberData =
+                      typeof member.userId === 'object' && member.userId
+                        ? member.userId
+                        : { _id: member.userId, name: t('common.unknown') };
                     return (
                       <div
-                        key={adminData._id}
+                        key={memberData._id}
                         className="flex items-center gap-2 bg-muted px-3 py-1.5 rounded-full"
                       >
                         <Avatar className="h-6 w-6">
                           <AvatarFallback className="text-xs">
-                            {getInitials(adminData.name)}
+                            {getInitials(memberData.name)}
                           </AvatarFallback>
                         </Avatar>
-                        <span className="text-sm">{adminData.name}</span>
+                        <span className="text-sm">{memberData.name}</span>
+                        <span className="text-xs text-muted-foreground">
+                          {t(`organisations.roles.${member.role}`)}
+                        </span>
                       </div>
                     );
                   })}
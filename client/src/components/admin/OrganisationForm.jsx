@@ -3,7 +3,8 @@
  *
  * Form for creating and editing organisations
  * Handles form validation and image uploads
- * Allows selecting a user as admin when creating
+ * Allows selecting a user as owner when creating
+ * Allows marking an existing organisation as verified
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -28,6 +29,7 @@ import {
   DialogTitle,
 } from '@/components/ui/dialog';
 import { useAdmin } from '@/context/AdminContext';
+import { formErrors } from '@/lib/authFetch';
 
 // Organisation type keys for translation
 const ORGANISATION_TYPE_KEYS = ['university', 'company', 'institution', 'other'];
@@ -37,7 +39,7 @@ const ORGANISATION_TYPE_KEYS = ['university', 'company', 'institution', 'other']
  * @param {boolean} open - Dialog open state
  * @param {function} onOpenChange - Handler for dialog open state change
  * @param {object} organisation - Existing organisation data for editing (null for create)
- * @param {function} onSubmit - Handler for form submission
+ * @param {function} onSubmit - Handler for form submission; may reject with the server's field errors
  * @param {boolean} loading - Loading state during submission
  */
 export default function OrganisationForm({
@@ -50,7 +52,7 @@ export default function OrganisationForm({
   const { t } = useTranslation();
 
   // Get admin context for user search
-  const { searchUsers, updateUserRole } = useAdmin();
+  const { searchUsers } = useAdmin();
 
   // Form state
   const [formData, setFormData] = useState({
@@ -62,12 +64,13 @@ export default function OrganisationForm({
     phone: '',
   });
   const [logo, setLogo] = useState(null);
+  const [verified, setVerified] = useState(false);
   const [errors, setErrors] = useState({});
 
-  // Admin selection state (for new organisations only)
-  const [adminSearch, setAdminSearch] = useState('');
+  // Owner selection state (for new organisations only)
+  const [ownerSearch, setOwnerSearch] = useState('');
   const [searchResults, setSearchResults] = useState([]);
-  const [selectedAdmin, setSelectedAdmin] = useState(null);
+  const [selectedOwner, setSelectedOwner] = useState(null);
   const [searching, setSearching] = useState(false);
 
   // Determine if editing or creating
@@ -84,6 +87,7 @@ export default function OrganisationForm({
         website: organisation.website || '',
         phone: organisation.phone || '',
       });
+      setVerified(!!organisation.verified);
     } else {
       // Reset form for new organisation
       setFormData({
@@ -96,25 +100,25 @@ export default function OrganisationForm({
       });
       setLogo(null);
     }
-    // Reset admin selection state
-    setAdminSearch('');
+    // Reset owner selection state
+    setOwnerSearch('');
     setSearchResults([]);
-    setSelectedAdmin(null);
+    setSelectedOwner(null);
     setErrors({});
   }, [organisation, open]);
 
   /**
-   * Search users by email for admin assignment
+   * Search users by email for owner assignment
    */
-  const handleAdminSearch = useCallback(async () => {
-    if (!adminSearch.trim()) {
+  const handleOwnerSearch = useCallback(async () => {
+    if (!ownerSearch.trim()) {
       setSearchResults([]);
       return;
     }
 
     setSearching(true);
     try {
-      const data = await searchUsers(adminSearch);
+      const data = await searchUsers(ownerSearch);
       setSearchResults(data.data.users || []);
     } catch (err) {
       console.error('Failed to search users:', err);
@@ -122,22 +126,22 @@ export default function OrganisationForm({
     } finally {
       setSearching(false);
     }
-  }, [adminSearch, searchUsers]);
+  }, [ownerSearch, searchUsers]);
 
   /**
-   * Select a user as admin
+   * Select a user as owner
    */
-  const handleSelectAdmin = (user) => {
-    setSelectedAdmin(user);
-    setAdminSearch('');
+  const handleSelectOwner = (user) => {
+    setSelectedOwner(user);
+    setOwnerSearch('');
     setSearchResults([]);
   };
 
   /**
-   * Clear selected admin
+   * Clear selected owner
    */
-  const handleClearAdmin = () => {
-    setSelectedAdmin(null);
+  const handleClearOwner = () => {
+    setSelectedOwner(null);
   };
 
   /**
@@ -213,19 +217,25 @@ export default function OrganisationForm({
       submitData.append('logo', logo);
     }
 
-    // Add selected admin to admins array if creating new organisation
-    if (!isEditing && selectedAdmin) {
-      submitData.append('admins', selectedAdmin._id);
+    if (isEditing) {
+      submitData.append('verified', verified);
+    }
 
-      // Update user role to 'organisation' after form submission
-      try {
-        await updateUserRole(selectedAdmin._id, 'organisation');
-      } catch (err) {
-        console.error('Failed to update user role:', err);
-      }
+    // Make the selected user the owner if creating new organisation
+    // (the server gives them the organisation role)
+    if (!isEditing && selectedOwner) {
+      submitData.append('owners', selectedOwner._id);
     }
 
-    onSubmit(submitData);
+    try {
+      await onSubmit(submitData);
+    } catch (err) {
+      // The parent reports the failure; validation messages also go next to their fields
+      const serverErrors = formErrors(err);
+      if (serverErrors) {
+        setErrors(serverErrors);
+      }
+    }
   };
 
   return (
@@ -351,25 +361,40 @@ export default function OrganisationForm({
             )}
           </div>
 
-          {/* Admin Selection (only for new organisations) */}
+          {/* Verification (only for existing organisations; new ones are verified) */}
+          {isEditing && (
+            <div className="flex items-center space-x-2">
+              <input
+                id="verified"
+                name="verified"
+                type="checkbox"
+                checked={verified}
+                onChange={(e) => setVerified(e.target.checked)}
+                className="h-4 w-4"
+              />
+              <Label htmlFor="verified">{t('organisations.verified')}</Label>
+            </div>
+          )}
+
+          {/* Owner Selection (only for new organisations) */}
           {!isEditing && (
             <div className="space-y-2">
-              <Label>{t('organisations.assignAdminOptional')}</Label>
-              {selectedAdmin ? (
+              <Label>{t('organisations.ownerOptional')}</Label>
+              {selectedOwner ? (
                 <div className="flex items-center justify-between p-2 border rounded-md bg-muted/50">
                   <div>
-                    <p className="font-medium">{selectedAdmin.name}</p>
+                    <p className="font-medium">{selectedOwner.name}</p>
                     <p className="text-sm text-muted-foreground">
-                      {selectedAdmin.email}
+                      {selectedOwner.email}
                     </p>
                   </div>
                   <Button
                     type="button"
                     variant="ghost"
                     size="sm"
-                    onClick={handleClearAdmin}
+                    onClick={handleClearOwner}
                   >
-                    {t('organisations.removeAdmin')}
+                    {t('organisations.removeMember')}
                   </Button>
                 </div>
               ) : (
@@ -377,14 +402,14 @@ export default function OrganisationForm({
                   <div className="flex gap-2">
                     <Input
                       placeholder={t('organisations.searchUsersPlaceholder')}
-                      value={adminSearch}
-                      onChange={(e) => setAdminSearch(e.target.value)}
-                      onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), handleAdminSearch())}
+                      value={ownerSearch}
+                      onChange={(e) => setOwnerSearch(e.target.value)}
+                      onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), handleOwnerSearch())}
                     />
                     <Button
                       type="button"
                       variant="outline"
-                      onClick={handleAdminSearch}
+                      onClick={handleOwnerSearch}
                       disabled={searching}
                     >
                       {searching ? '...' : t('common.search')}
@@ -396,7 +421,7 @@ export default function OrganisationForm({
                         <div
                           key={user._id}
                           className="p-2 hover:bg-muted cursor-pointer border-b last:border-b-0"
-                          onClick={() => handleSelectAdmin(user)}
+                          onClick={() => handleSelectOwner(user)}
                         >
                           <p className="font-medium">{user.name}</p>
                           <p className="text-sm text-muted-foreground">
@@ -409,7 +434,7 @@ export default function OrganisationForm({
                 </div>
               )}
               <p className="text-xs text-muted-foreground">
-                {t('organisations.selectedUserWillBeAssigned')}
+                {t('organisations.selectedUserWillBeOwner')}
               </p>
             </div>
           )}
@@ -0,0 +1,305 @@
+/**
+ * OrganisationMembers Component
+ *
+ * Member management for an organisation, used by platform admins and owners
+ * - Invite people by email with a role; they join when they accept
+ * - Resend or revoke pending invitations
+ * - Change the role of current members
+ * - Remove members
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useAdmin } from '@/context/AdminContext';
+import { ORGANISATION_ROLES } from '@/lib/organisationRoles';
+import InvitationsTable from './InvitationsTable';
+import { Loader2, Send } from 'lucide-react';
+
+/**
+ * OrganisationMembers Component
+ * @param {object} organisation - Organisation with populated members
+ * @param {string} currentUserId - Signed-in user; they cannot remove themselves
+ * @param {function} onMembersChange - Called with the new member list after a change
+ */
+export default function OrganisationMembers({
+  organisation,
+  currentUserId,
+  onMembersChange,
+}) {
+  const { t } = useTranslation();
+  const {
+    updateOrganisationMemberRole,
+    removeOrganisationMember,
+    getOrganisationInvitations,
+    inviteOrganisationMember,
+    resendOrganisationInvitation,
+    revokeOrganisationInvitation,
+  } = useAdmin();
+
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [inviting, setInviting] = useState(false);
+  const [busyInvitationId, setBusyInvitationId] = useState(null);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetch the pending invitations
+   */
+  const fetchInvitations = useCallback(async () => {
+    if (!organisation?._id) return;
+    try {
+      const data = await getOrganisationInvitations(organisation._id);
+      setInvitations(data.data.invitations);
+    } catch (err) {
+      console.error('Failed to fetch invitations:', err);
+    }
+  }, [organisation?._id, getOrganisationInvitations]);
+
+  // Update members when organisation changes
+  useEffect(() => {
+    setMembers(organisation?.members || []);
+    setEmail('');
+    setRole('editor');
+    setError('');
+  }, [organisation]);
+
+  useEffect(() => {
+    setInvitations([]);
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  const applyChange = (data) => {
+    const updated = data.data.organisation.members;
+    setMembers(updated);
+    onMembersChange?.(updated);
+    return updated;
+  };
+
+  /**
+   * Invite the entered email address
+   */
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setInviting(true);
+    setError('');
+    try {
+      const data = await inviteOrganisationMember(organisation._id, { email: email.trim(), role });
+      setEmail('');
+      fetchInvitations();
+      toast.success(t('invitations.sent', { email: data.data.invitation.email }));
+    } catch (err) {
+      setError(err.message || t('invitations.failedToSend'));
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  /**
+   * Send a pending invitation again
+   */
+  const handleResend = async (invitation) => {
+    setBusyInvitationId(invitation._id);
+    setError('');
+    try {
+      await resendOrganisationInvitation(organisation._id, invitation._id);
+      fetchInvitations();
+      toast.success(t('invitations.sent', { email: invitation.email }));
+    } catch (err) {
+      toast.error(err.message || t('invitations.failedToSend'));
+    } finally {
+      setBusyInvitationId(null);
+    }
+  };
+
+  /**
+   * Revoke a pending invitation
+   */
+  const handleRevoke = async (invitation) => {
+    setBusyInvitationId(invitation._id);
+    setError('');
+    try {
+      await revokeOrganisationInvitation(organisation._id, invitation._id);
+      setInvitations((prev) => prev.filter((item) => item._id !== invitation._id));
+      toast.success(t('invitations.revoked'));
+    } catch (err) {
+      toast.error(err.message || t('invitations.failedToRevoke'));
+    } finally {
+      setBusyInvitationId(null);
+    }
+  };
+
+  /**
+   * Change a member's role
+   */
+  const handleRoleChange = async (userId, newRole) => {
+    setError('');
+    try {
+      const data = await updateOrganisationMemberRole(organisation._id, userId, newRole);
+      applyChange(data);
+      toast.success(t('organisations.memberRoleUpdated'));
+    } catch (err) {
+      setError(err.message || t('organisations.failedToUpdateMember'));
+      toast.error(err.message || t('organisations.failedToUpdateMember'));
+    }
+  };
+
+  /**
+   * Remove a member
+   */
+  const handleRemove = async (userId) => {
+    setError('');
+    try {
+      const data = await removeOrganisationMember(organisation._id, userId);
+      applyChange(data);
+      toast.success(t('organisations.memberRemoved'));
+    } catch (err) {
+      setError(err.message || t('organisations.failedToRemoveMember'));
+      toast.error(err.message || t('organisations.failedToRemoveMember'));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Error Display */}
+      {error && (
+        <div className="p-3 text-sm text-red-500 bg-red-50 border border-red-200 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* Invite Member */}
+      <form onSubmit={handleInvite} className="space-y-2">
+        <Label htmlFor="member-email">{t('invitations.invite')}</Label>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <Input
+            id="member-email"
+            type="email"
+            placeholder={t('organisations.memberEmailPlaceholder')}
+            aria-label={t('organisations.memberEmail')}
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+          <Select value={role} onValueChange={setRole}>
+            <SelectTrigger className="sm:w-[200px]" aria-label={t('organisations.role')}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {ORGANISATION_ROLES.map((value) => (
+                <SelectItem key={value} value={value}>{t(`organisations.roles.${value}`)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button type="submit" disabled={inviting || !email.trim()}>
+            {inviting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4 mr-1" />}
+            {!inviting && t('invitations.send')}
+          </Button>
+        </div>
+        <p className="text-xs text-muted-foreground">{t('invitations.inviteHint')}</p>
+        <ul className="text-xs text-muted-foreground space-y-0.5">
+          {ORGANISATION_ROLES.map((value) => (
+            <li key={value}>
+              <span className="font-medium">{t(`organisations.roles.${value}`)}</span>: {t(`organisations.roleDescriptions.${value}`)}
+            </li>
+          ))}
+        </ul>
+      </form>
+
+      {/* Pending Invitations */}
+      {invitations.length > 0 && (
+        <div className="space-y-2">
+          <Label>{t('invitations.pending')} ({invitations.length})</Label>
+          <InvitationsTable
+            invitations={invitations}
+            busyId={busyInvitationId}
+            onResend={handleResend}
+            onRevoke={handleRevoke}
+          />
+        </div>
+      )}
+
+      {/* Current Members */}
+      <div className="space-y-2">
+        <Label>{t('organisations.currentMembers')} ({members.length})</Label>
+        {members.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            {t('organisations.noMembers')}
+          </p>
+        ) : (
+          <div className="border rounded-md">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t('common.name')}</TableHead>
+                  <TableHead>{t('common.email')}</TableHead>
+                  <TableHead className="w-[200px]">{t('organisations.role')}</TableHead>
+                  <TableHead className="w-[100px]">{t('common.actions')}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {members.map((member) => {
+                  const memberUser = member.userId || {};
+                  const isSelf = memberUser._id === currentUserId;
+                  return (
+                    <TableRow key={memberUser._id}>
+                      <TableCell>
+                        {memberUser.name}
+                        {isSelf && <span className="text-muted-foreground"> {t('organisations.you')}</span>}
+                      </TableCell>
+                      <TableCell>{memberUser.email}</TableCell>
+                      <TableCell>
+                        <Select value={member.role} onValueChange={(value) => handleRoleChange(memberUser._id, value)}>
+                          <SelectTrigger className="h-8">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {ORGANISATION_ROLES.map((value) => (
+                              <SelectItem key={value} value={value}>{t(`organisations.roles.${value}`)}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </TableCell>
+                      <TableCell>
+                        {!isSelf && (
+                          <Button
+                            size="sm"
+                            variant="destructive"
+                            onClick={() => handleRemove(memberUser._id)}
+                          >
+                            {t('organisations.removeMember')}
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
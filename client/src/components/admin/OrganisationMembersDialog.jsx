@@ -0,0 +1,47 @@
+/**
+ * OrganisationMembersDialog Component
+ *
+ * Dialog for managing organisation members and their roles
+ * (platform admins, from the organisations table)
+ */
+
+import { useTranslation } from 'react-i18next';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import OrganisationMembers from './OrganisationMembers';
+
+/**
+ * OrganisationMembersDialog Component
+ * @param {boolean} open - Dialog open state
+ * @param {function} onOpenChange - Handler for dialog open state change
+ * @param {object} organisation - Organisation to manage members for
+ * @param {function} onMembersChange - Callback when members are modified
+ */
+export default function OrganisationMembersDialog({
+  open,
+  onOpenChange,
+  organisation,
+  onMembersChange,
+}) {
+  const { t } = useTranslation();
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[700px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t('organisations.manageMembers')}</DialogTitle>
+          <DialogDescription>
+            {t('organisations.manageMembersDescription', { name: organisation?.name })}
+          </DialogDescription>
+        </DialogHeader>
+
+        <OrganisationMembers organisation={organisation} onMembersChange={onMembersChange} />
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,489 @@
+/**
+ * OrganisationRequestsTab Component
+ *
+ * Review queue of organisation registration requests for admin
+ * - Filter by status (pending first) and search by name or email
+ * - Review a request's profile, contact details and documents
+ * - Approve (creates the organisation, verified) or reject with a reason
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useAdmin } from '@/context/AdminContext';
+import { ExternalLink, FileText, Loader2 } from 'lucide-react';
+
+/**
+ * Format date for display
+ */
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+/**
+ * Get status badge color
+ */
+const getStatusColor = (status) => {
+  const colors = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-green-100 text-green-800',
+    rejected: 'bg-red-100 text-red-800',
+  };
+  return colors[status] || colors.pending;
+};
+
+/**
+ * OrganisationRequestsTab Component
+ */
+export default function OrganisationRequestsTab() {
+  const { t } = useTranslation();
+
+  // Data state
+  const [requests, setRequests] = useState([]);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    totalPages: 1,
+    total: 0,
+  });
+  const [fetching, setFetching] = useState(false);
+
+  // Filter state
+  const [filterStatus, setFilterStatus] = useState('pending');
+  const [searchQuery, setSearchQuery] = useState('');
+
+  // Review dialog state
+  const [selectedRequest, setSelectedRequest] = useState(null);
+  const [rejecting, setRejecting] = useState(false);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [processing, setProcessing] = useState(false);
+
+  // Get admin context
+  const {
+    getOrganisationRequests,
+    approveOrganisationRequest,
+    rejectOrganisationRequest,
+    error,
+  } = useAdmin();
+
+  /**
+   * Fetch requests from API
+   * Pending requests are reviewed oldest first, decided ones newest first
+   */
+  const fetchRequests = useCallback(
+    async (page = 1, status = 'pending', search = '') => {
+      setFetching(true);
+      try {
+        const params = { page, limit: 10, sort: status === 'pending' ? 'createdAt' : '-createdAt' };
+        if (status !== 'all') params.status = status;
+        if (search) params.search = search;
+        const data = await getOrganisationRequests(params);
+        setRequests(data.data.requests);
+        setPagination({
+          page: data.page,
+          totalPages: data.totalPages,
+          total: data.total,
+        });
+      } catch (err) {
+        console.error('Failed to fetch organisation requests:', err);
+      } finally {
+        setFetching(false);
+      }
+    },
+    [getOrganisationRequests]
+  );
+
+  // Initial fetch
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  /**
+   * Handle status filter change
+   */
+  const handleFilterChange = (value) => {
+    setFilterStatus(value);
+    fetchRequests(1, value, searchQuery);
+  };
+
+  /**
+   * Handle search
+   */
+  const handleSearch = () => {
+    fetchRequests(1, filterStatus, searchQuery);
+  };
+
+  /**
+   * Handle page change
+   */
+  const handlePageChange = (newPage) => {
+    fetchRequests(newPage, filterStatus, searchQuery);
+  };
+
+  /**
+   * Open the review dialog
+   */
+  const handleReview = (request) => {
+    setSelectedRequest(request);
+    setRejecting(false);
+    setRejectionReason('');
+  };
+
+  /**
+   * Reload the list after a decision, stepping back when the page emptied
+   */
+  const refreshAfterDecision = () => {
+    const page = filterStatus === 'pending' && requests.length === 1 && pagination.page > 1
+      ? pagination.page - 1
+      : pagination.page;
+    fetchRequests(page, filterStatus, searchQuery);
+  };
+
+  /**
+   * Approve the selected request
+   */
+  const handleApprove = async () => {
+    if (!selectedRequest) return;
+    setProcessing(true);
+    try {
+      await approveOrganisationRequest(selectedRequest._id);
+      toast.success(t('organisationRequests.approved', { name: selectedRequest.name }));
+      setSelectedRequest(null);
+      refreshAfterDecision();
+    } catch (err) {
+      toast.error(err.message || t('organisationRequests.failedToDecide'));
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  /**
+   * Reject the selected request with the entered reason
+   */
+  const handleReject = async () => {
+    if (!selectedRequest || !rejectionReason.trim()) return;
+    setProcessing(true);
+    try {
+      await rejectOrganisationRequest(selectedRequest._id, rejectionReason.trim());
+      toast.success(t('organisationRequests.rejected', { name: selectedRequest.name }));
+      setSelectedRequest(null);
+      refreshAfterDecision();
+    } catch (err) {
+      toast.error(err.message || t('organisationRequests.failedToDecide'));
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Header with filters */}
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="flex gap-2 flex-1 max-w-md">
+          <Input
+            placeholder={t('organisationRequests.searchPlaceholder')}
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+          />
+          <Button variant="outline" onClick={handleSearch}>
+            {t('common.search')}
+          </Button>
+        </div>
+        <Select value={filterStatus} onValueChange={handleFilterChange}>
+          <SelectTrigger className="w-[180px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="pending">{t('organisationRequests.statuses.pending')}</SelectItem>
+            <SelectItem value="approved">{t('organisationRequests.statuses.approved')}</SelectItem>
+            <SelectItem value="rejected">{t('organisationRequests.statuses.rejected')}</SelectItem>
+            <SelectItem value="all">{t('common.all')}</SelectItem>
+          </SelectContent>
+        </Select>
+        <div className="text-sm text-muted-foreground">
+          {t('organisationRequests.total', { count: pagination.total })}
+        </div>
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="p-3 text-sm text-red-500 bg-red-50 border border-red-200 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* Requests table */}
+      <div className="border rounded-md">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{t('common.name')}</TableHead>
+              <TableHead>{t('organisationRequests.requestedBy')}</TableHead>
+              <TableHead>{t('organisationRequests.documents')}</TableHead>
+              <TableHead>{t('organisationRequests.submittedAt')}</TableHead>
+              <TableHead>{t('common.status')}</TableHead>
+              <TableHead className="text-right">{t('common.actions')}</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {fetching ? (
+              <TableRow>
+                <TableCell colSpan={6} className="text-center py-8">
+                  {t('common.loading')}
+                </TableCell>
+              </TableRow>
+            ) : requests.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} className="text-center py-8">
+                  {t('organisationRequests.noRequests')}
+                </TableCell>
+              </TableRow>
+            ) : (
+              requests.map((request) => (
+                <TableRow key={request._id}>
+                  <TableCell>
+                    <p className="font-medium">{request.name}</p>
+                    <p className="text-sm text-muted-foreground">
+                      {t(`organisations.types.${request.type}`)} · {request.email}
+                    </p>
+                  </TableCell>
+                  <TableCell>
+                    <p>{request.requestedBy?.name || '-'}</p>
+                    <p className="text-sm text-muted-foreground">{request.requestedBy?.email}</p>
+                  </TableCell>
+                  <TableCell>{request.documents?.length || 0}</TableCell>
+                  <TableCell>{formatDate(request.createdAt)}</TableCell>
+                  <TableCell>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
+                      {t(`organisationRequests.statuses.${request.status}`)}
+                    </span>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Button size="sm" variant="outline" onClick={() => handleReview(request)}>
+                      {request.status === 'pending' ? t('organisationRequests.review') : t('common.view')}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      {/* Pagination */}
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => handlePageChange(pagination.page - 1)}
+            disabled={pagination.page === 1}
+          >
+            {t('common.previous')}
+          </Button>
+          <span className="flex items-center px-3 text-sm">
+            {t('common.page')} {pagination.page} {t('common.of')} {pagination.totalPages}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => handlePageChange(pagination.page + 1)}
+            disabled={pagination.page === pagination.totalPages}
+          >
+            {t('common.next')}
+          </Button>
+        </div>
+      )}
+
+      {/* Review Dialog */}
+      <Dialog open={!!selectedRequest} onOpenChange={(open) => !open && setSelectedRequest(null)}>
+        <DialogContent className="sm:max-w-[560px] max-h-[90vh] overflow-y-auto">
+          {selectedRequest && (
+            <>
+              <DialogHeader>
+                <DialogTitle className="flex items-center gap-3">
+                  {selectedRequest.logo && (
+                    <img src={selectedRequest.logo} alt="" className="w-10 h-10 rounded-lg object-cover" />
+                  )}
+                  {selectedRequest.name}
+                </DialogTitle>
+                <DialogDescription>
+                  {t(`organisations.types.${selectedRequest.type}`)} ·{' '}
+                  {t('organisationRequests.submittedOn', { date: formatDate(selectedRequest.createdAt) })}
+                </DialogDescription>
+              </DialogHeader>
+
+              <div className="space-y-4 text-sm">
+                <p className="whitespace-pre-line">{selectedRequest.description}</p>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <p className="text-muted-foreground">{t('common.email')}</p>
+                    <p className="break-all">{selectedRequest.email}</p>
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">{t('common.phone')}</p>
+                    <p>{selectedRequest.phone || '-'}</p>
+                  </div>
+                  <div className="col-span-2">
+                    <p className="text-muted-foreground">{t('common.website')}</p>
+                    {selectedRequest.website ? (
+                      <a
+                        href={selectedRequest.website}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-violet-600 hover:underline break-all"
+                      >
+                        {selectedRequest.website}
+                      </a>
+                    ) : (
+                      <p>-</p>
+                    )}
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">{t('organisationRequests.contactName')}</p>
+                    <p>{selectedRequest.contactName}</p>
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">{t('organisationRequests.contactPhone')}</p>
+                    <p>{selectedRequest.contactPhone || '-'}</p>
+                  </div>
+                  <div className="col-span-2">
+                    <p className="text-muted-foreground">{t('organisationRequests.requestedBy')}</p>
+                    <p>
+                      {selectedRequest.requestedBy?.name} ({selectedRequest.requestedBy?.email})
+                    </p>
+                  </div>
+                </div>
+
+                {selectedRequest.message && (
+                  <div>
+                    <p className="text-muted-foreground">{t('organisationRequests.message')}</p>
+                    <p className="whitespace-pre-line">{selectedRequest.message}</p>
+                  </div>
+                )}
+
+                <div>
+                  <p className="text-muted-foreground mb-1">{t('organisationRequests.documents')}</p>
+                  {selectedRequest.documents?.length > 0 ? (
+                    <ul className="space-y-1">
+                      {selectedRequest.documents.map((document) => (
+                        <li key={document.url}>
+                          <a
+                            href={document.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="inline-flex items-center gap-2 text-violet-600 hover:underline"
+                          >
+                            <FileText className="w-4 h-4" />
+                            {document.name}
+                            <ExternalLink className="w-3 h-3" />
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p>{t('organisationRequests.noDocuments')}</p>
+                  )}
+                </div>
+
+                {selectedRequest.status !== 'pending' && (
+                  <div className="p-3 bg-muted/50 rounded-md">
+                    <p>
+                      {t('organisationRequests.decidedBy', {
+                        status: t(`organisationRequests.statuses.${selectedRequest.status}`),
+                        name: selectedRequest.reviewedBy?.name || '-',
+                        date: formatDate(selectedRequest.reviewedAt),
+                      })}
+                    </p>
+                    {selectedRequest.rejectionReason && (
+                      <p className="text-red-600 mt-1">
+                        {t('organisationRequests.rejectionReason', { reason: selectedRequest.rejectionReason })}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {rejecting && (
+                  <div className="space-y-2">
+                    <Label htmlFor="rejectionReason">{t('organisationRequests.rejectionReasonLabel')}</Label>
+                    <Textarea
+                      id="rejectionReason"
+                      value={rejectionReason}
+                      onChange={(e) => setRejectionReason(e.target.value)}
+                      placeholder={t('organisationRequests.rejectionReasonPlaceholder')}
+                      maxLength={500}
+                      rows={3}
+                    />
+                  </div>
+                )}
+              </div>
+
+              {selectedRequest.status === 'pending' && (
+                <DialogFooter>
+                  {rejecting ? (
+                    <>
+                      <Button variant="outline" onClick={() => setRejecting(false)} disabled={processing}>
+                        {t('common.cancel')}
+                      </Button>
+                      <Button
+                        variant="destructive"
+                        onClick={handleReject}
+                        disabled={processing || !rejectionReason.trim()}
+                      >
+                        {processing && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                        {t('organisationRequests.confirmReject')}
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <Button variant="outline" onClick={() => setRejecting(true)} disabled={processing}>
+                        {t('organisationRequests.reject')}
+                      </Button>
+                      <Button onClick={handleApprove} disabled={processing}>
+                        {processing && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                        {t('organisationRequests.approve')}
+                      </Button>
+                    </>
+                  )}
+                </DialogFooter>
+              )}
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
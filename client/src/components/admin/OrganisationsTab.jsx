@@ -5,8 +5,8 @@
  * - View all organisations in a table
  * - Create new organisations
  * - Edit existing organisations
- * - Delete organisations
- * - Manage organisation admins
+ * - Delete organisations (archiving or transferring their events)
+ * - Manage organisation members and their roles
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -22,18 +22,12 @@ import {
   TableHeader,
   TableRow,
 } from '@/components/ui/table';
-import {
-  Dialog,
-  DialogContent,
-  DialogDescription,
-  DialogFooter,
-  DialogHeader,
-  DialogTitle,
-} from '@/components/ui/dialog';
 import { useAdmin } from '@/context/AdminContext';
+import { BadgeCheck } from 'lucide-react';
 import OrganisationForm from './OrganisationForm';
-import AssignAdminDialog from './AssignAdminDialog';
+import OrganisationMembersDialog from './OrganisationMembersDialog';
 import OrganisationDetailDialog from './OrganisationDetailDialog';
+import OrganisationDeleteDialog from './OrganisationDeleteDialog';
 
 /**
  * OrganisationsTab Component
@@ -49,22 +43,21 @@ export default function OrganisationsTab() {
     totalPages: 1,
     total: 0,
   });
+  const [fetching, setFetching] = useState(false);
 
   // UI state
   const [searchQuery, setSearchQuery] = useState('');
   const [formOpen, setFormOpen] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
-  const [adminDialogOpen, setAdminDialogOpen] = useState(false);
+  const [membersDialogOpen, setMembersDialogOpen] = useState(false);
   const [detailDialogOpen, setDetailDialogOpen] = useState(false);
   const [selectedOrg, setSelectedOrg] = useState(null);
-  const [deleting, setDeleting] = useState(false);
 
   // Get admin context
   const {
     getOrganisations,
     createOrganisation,
     updateOrganisation,
-    deleteOrganisation,
     loading,
     error,
   } = useAdmin();
@@ -73,6 +66,7 @@ export default function OrganisationsTab() {
    * Fetch organisations from API
    */
   const fetchOrganisations = useCallback(async (page = 1, search = '') => {
+    setFetching(true);
     try {
       const params = { page, limit: 10 };
       if (search) {
@@ -87,6 +81,8 @@ export default function OrganisationsTab() {
       });
     } catch (err) {
       console.error('Failed to fetch organisations:', err);
+    } finally {
+      setFetching(false);
     }
   }, [getOrganisations]);
 
@@ -151,11 +147,11 @@ export default function OrganisationsTab() {
   };
 
   /**
-   * Open admin management dialog
+   * Open member management dialog
    */
-  const handleManageAdmins = (org) => {
+  const handleManageMembers = (org) => {
     setSelectedOrg(org);
-    setAdminDialogOpen(true);
+    setMembersDialogOpen(true);
   };
 
   /**
@@ -175,34 +171,24 @@ export default function OrganisationsTab() {
     } catch (err) {
       console.error('Failed to save organisation:', err);
       toast.error(err.message || t('organisations.failedToSaveOrg'));
+      // Lets the form show field errors inline
+      throw err;
     }
   };
 
   /**
-   * Handle delete confirmation
+   * Reload after a deletion, stepping back when the page emptied
    */
-  const handleDeleteConfirm = async () => {
-    if (!selectedOrg) return;
-
-    setDeleting(true);
-    try {
-      await deleteOrganisation(selectedOrg._id);
-      setDeleteDialogOpen(false);
-      setSelectedOrg(null);
-      fetchOrganisations(pagination.page, searchQuery);
-      toast.success(t('organisations.organisationDeleted'));
-    } catch (err) {
-      console.error('Failed to delete organisation:', err);
-      toast.error(err.message || t('organisations.failedToDeleteOrg'));
-    } finally {
-      setDeleting(false);
-    }
+  const handleDeleted = () => {
+    const page = organisations.length === 1 && pagination.page > 1 ? pagination.page - 1 : pagination.page;
+    setSelectedOrg(null);
+    fetchOrganisations(page, searchQuery);
   };
 
   /**
-   * Handle admin change callback
+   * Handle member change callback
    */
-  const handleAdminChange = () => {
+  const handleMembersChange = () => {
     fetchOrganisations(pagination.page, searchQuery);
   };
 
@@ -239,12 +225,12 @@ export default function OrganisationsTab() {
               <TableHead>{t('common.name')}</TableHead>
               <TableHead>{t('common.type')}</TableHead>
               <TableHead>{t('common.email')}</TableHead>
-              <TableHead>{t('organisations.admins')}</TableHead>
+              <TableHead>{t('organisations.members')}</TableHead>
               <TableHead className="text-right">{t('common.actions')}</TableHead>
             </TableRow>
           </TableHeader>
           <TableBody>
-            {loading.organisations ? (
+            {fetching ? (
               <TableRow>
                 <TableCell colSpan={5} className="text-center py-8">
                   {t('common.loading')}
@@ -259,10 +245,17 @@ export default function OrganisationsTab() {
             ) : (
               organisations.map((org) => (
                 <TableRow key={org._id}>
-                  <TableCell className="font-medium">{org.name}</TableCell>
+                  <TableCell className="font-medium">
+                    <span className="inline-flex items-center gap-1">
+                      {org.name}
+                      {org.verified && (
+                        <BadgeCheck className="w-4 h-4 text-violet-600" aria-label={t('organisations.verified')} />
+                      )}
+                    </span>
+                  </TableCell>
                   <TableCell className="capitalize">{t(`organisations.types.${org.type}`)}</TableCell>
                   <TableCell>{org.email}</TableCell>
-                  <TableCell>{org.admins?.length || 0}</TableCell>
+                  <TableCell>{org.members?.length || 0}</TableCell>
                   <TableCell className="text-right">
                     <div className="flex justify-end gap-2">
                       <Button
@@ -275,9 +268,9 @@ export default function OrganisationsTab() {
                       <Button
                         size="sm"
                         variant="outline"
-                        onClick={() => handleManageAdmins(org)}
+                        onClick={() => handleManageMembers(org)}
                       >
-                        {t('organisations.admins')}
+                        {t('organisations.members')}
                       </Button>
                       <Button
                         size="sm"
@@ -336,40 +329,21 @@ export default function OrganisationsTab() {
         loading={loading.organisations}
       />
 
-      {/* Assign Admin Dialog */}
-      <AssignAdminDialog
-        open={adminDialogOpen}
-        onOpenChange={setAdminDialogOpen}
+      {/* Members Dialog */}
+      <OrganisationMembersDialog
+        open={membersDialogOpen}
+        onOpenChange={setMembersDialogOpen}
         organisation={selectedOrg}
-        onAdminChange={handleAdminChange}
+        onMembersChange={handleMembersChange}
       />
 
-      {/* Delete Confirmation Dialog */}
-      <Dialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
-        <DialogContent>
-          <DialogHeader>
-            <DialogTitle>{t('organisations.deleteOrganisation')}</DialogTitle>
-            <DialogDescription>
-              {t('organisations.deleteOrgConfirm', { name: selectedOrg?.name })}
-            </DialogDescription>
-          </DialogHeader>
-          <DialogFooter>
-            <Button
-              variant="outline"
-              onClick={() => setDeleteDialogOpen(false)}
-            >
-              {t('common.cancel')}
-            </Button>
-            <Button
-              variant="destructive"
-              onClick={handleDeleteConfirm}
-              disabled={deleting}
-            >
-              {deleting ? t('common.deleting') : t('common.delete')}
-            </Button>
-          </DialogFooter>
-        </DialogContent>
-      </Dialog>
+      {/* Delete Dialog (with a summary of what the deletion changes) */}
+      <OrganisationDeleteDialog
+        open={deleteDialogOpen}
+        onOpenChange={setDeleteDialogOpen}
+        organisation={selectedOrg}
+        onDeleted={handleDeleted}
+      />
 
       {/* Organisation Detail Dialog */}
       <OrganisationDetailDialog
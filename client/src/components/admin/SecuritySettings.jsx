@@ -0,0 +1,96 @@
+/**
+ * SecuritySettings Component
+ *
+ * Platform admin card choosing the roles that must use
+ * two-factor authentication
+ */
+
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useAdmin } from '@/context/AdminContext';
+import { Loader2 } from 'lucide-react';
+
+const ROLES = ['admin', 'organisation', 'user'];
+
+export default function SecuritySettings() {
+  const { t } = useTranslation();
+  const { getPlatformSettings, updateSecuritySettings } = useAdmin();
+
+  // Roles as saved, and as currently selected (null until loaded)
+  const [savedRoles, setSavedRoles] = useState(null);
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getPlatformSettings()
+      .then((settings) => {
+        setSavedRoles(settings.twoFactorRequiredRoles);
+        setRequiredRoles(settings.twoFactorRequiredRoles);
+      })
+      .catch((err) => toast.error(err.message));
+  }, [getPlatformSettings]);
+
+  const toggleRole = (role, checked) => {
+    setRequiredRoles((current) => (checked ? [...current, role] : current.filter((r) => r !== role)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const settings = await updateSecuritySettings(requiredRoles);
+      setSavedRoles(settings.twoFactorRequiredRoles);
+      toast.success(t('securitySettings.saved'));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const hasChanges = savedRoles
+    && (savedRoles.length !== requiredRoles.length || savedRoles.some((role) => !requiredRoles.includes(role)));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('securitySettings.title')}</CardTitle>
+        <CardDescription>{t('securitySettings.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!savedRoles ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-6 h-6 text-violet-500 animate-spin" />
+          </div>
+        ) : (
+          <>
+            <div className="space-y-3">
+              {ROLES.map((role) => (
+                <label key={role} className="flex items-start gap-3 text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 mt-0.5"
+                    checked={requiredRoles.includes(role)}
+                    disabled={saving}
+                    onChange={(e) => toggleRole(role, e.target.checked)}
+                  />
+                  <span>
+                    <span className="font-medium">{t(`securitySettings.roles.${role}`)}</span>
+                    <span className="block text-xs text-muted-foreground">{t(`securitySettings.roleDescriptions.${role}`)}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground">{t('securitySettings.note')}</p>
+            <Button onClick={handleSave} disabled={saving || !hasChanges}>
+              {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {t('common.save')}
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
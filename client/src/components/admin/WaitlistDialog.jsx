@@ -0,0 +1,162 @@
+/**
+ * WaitlistDialog Component
+ *
+ * Dialog for managing an event's waitlist
+ * - View waitlisted applicants in promotion order
+ * - Move applicants up or down and save the new order
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useAdmin } from '@/context/AdminContext';
+import { ArrowUp, ArrowDown, Loader2 } from 'lucide-react';
+
+/**
+ * WaitlistDialog Component
+ * @param {boolean} open - Dialog open state
+ * @param {function} onOpenChange - Handler for dialog open state change
+ * @param {object} event - Event to manage the waitlist for ({ _id, title })
+ * @param {function} onWaitlistChange - Callback when the order is saved
+ */
+export default function WaitlistDialog({
+  open,
+  onOpenChange,
+  event,
+  onWaitlistChange,
+}) {
+  const { t } = useTranslation();
+  const { getEventWaitlist, reorderWaitlist } = useAdmin();
+
+  const [waitlist, setWaitlist] = useState([]);
+  const [loadedEventId, setLoadedEventId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  /**
+   * Fetch the current waitlist from the API
+   */
+  const fetchWaitlist = useCallback(async () => {
+    if (!event?._id) return;
+    try {
+      const data = await getEventWaitlist(event._id);
+      setWaitlist(data.data.applications);
+      setLoadedEventId(event._id);
+      setDirty(false);
+    } catch (err) {
+      toast.error(err.message || t('waitlist.failedToLoad'));
+    }
+  }, [event, getEventWaitlist, t]);
+
+  useEffect(() => {
+    if (open) fetchWaitlist();
+  }, [open, fetchWaitlist]);
+
+  const loading = loadedEventId !== event?._id;
+
+  /**
+   * Move an applicant up (-1) or down (+1)
+   */
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= waitlist.length) return;
+
+    const next = [...waitlist];
+    [next[index], next[target]] = [next[target], next[index]];
+    setWaitlist(next);
+    setDirty(true);
+  };
+
+  /**
+   * Save the new order
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const data = await reorderWaitlist(event._id, waitlist.map((app) => app._id));
+      setWaitlist(data.data.applications);
+      setDirty(false);
+      onWaitlistChange?.();
+      toast.success(t('waitlist.orderSaved'));
+    } catch (err) {
+      toast.error(err.message || t('waitlist.failedToSave'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[520px]">
+        <DialogHeader>
+          <DialogTitle>{t('waitlist.title')}</DialogTitle>
+          <DialogDescription>
+            {t('waitlist.description', { event: event?.title })}
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 text-violet-500 animate-spin" />
+          </div>
+        ) : waitlist.length === 0 ? (
+          <p className="text-center text-sm text-muted-foreground py-8">
+            {t('waitlist.empty')}
+          </p>
+        ) : (
+          <ol className="space-y-2 max-h-[50vh] overflow-y-auto">
+            {waitlist.map((app, index) => (
+              <li key={app._id} className="flex items-center gap-3 p-3 border rounded-lg">
+                <span className="w-6 text-sm font-semibold text-muted-foreground">{index + 1}</span>
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-sm truncate">{app.userId?.name}</p>
+                  <p className="text-xs text-muted-foreground truncate">{app.userId?.email}</p>
+                </div>
+                <div className="flex gap-1">
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    title={t('waitlist.moveUp')}
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === waitlist.length - 1}
+                    title={t('waitlist.moveDown')}
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            {t('common.close')}
+          </Button>
+          <Button onClick={handleSave} disabled={!dirty || saving}>
+            {saving ? t('common.saving') : t('waitlist.saveOrder')}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
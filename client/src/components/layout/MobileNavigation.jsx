@@ -13,9 +13,10 @@ import {
   Building2,
   FileText,
   Home,
-  User,
+  Settings,
   Search,
   Bell,
+  Rss,
 } from 'lucide-react';
 
 export default function MobileNavigation({ activeTab, onTabChange, hasNotifications = false }) {
@@ -34,6 +35,12 @@ export default function MobileNavigation({ activeTab, onTabChange, hasNotificati
       icon: Building2,
       activeIcon: Building2,
     },
+    {
+      id: 'following',
+      label: 'Following',
+      icon: Rss,
+      activeIcon: Rss,
+    },
     {
       id: 'applications',
       label: 'My Apps',
@@ -41,10 +48,10 @@ export default function MobileNavigation({ activeTab, onTabChange, hasNotificati
       activeIcon: FileText,
     },
     {
-      id: 'profile',
-      label: 'Profile',
-      icon: User,
-      activeIcon: User,
+      id: 'settings',
+      label: 'Settings',
+      icon: Settings,
+      activeIcon: Settings,
     },
   ];
 
@@ -83,7 +90,7 @@ export default function MobileNavigation({ activeTab, onTabChange, hasNotificati
                 />
 
                 {/* Notification Badge */}
-                {item.id === 'profile' && hasNotifications && (
+                {item.id === 'settings' && hasNotifications && (
                   <span className="absolute -top-0.5 -right-0.5 w-2.5 h-2.5 bg-red-500 rounded-full border-2 border-card" />
                 )}
               </div>
@@ -26,6 +26,7 @@ import {
   Sparkles,
   Bookmark,
   Search,
+  Rss,
 } from 'lucide-react';
 
 const getInitials = (name) => {
@@ -58,6 +59,12 @@ export default function Sidebar({
       icon: Building2,
       onClick: () => onTabChange?.('organisations'),
     },
+    {
+      id: 'following',
+      label: t('tabs.following'),
+      icon: Rss,
+      onClick: () => onTabChange?.('following'),
+    },
     {
       id: 'applications',
       label: t('tabs.myApplications'),
@@ -248,6 +255,7 @@ export default function Sidebar({
                     variant="ghost"
                     size="icon-sm"
                     className="text-muted-foreground hover:text-foreground"
+                    onClick={() => onTabChange?.('settings')}
                     title="Settings"
                   >
                     <Settings className="w-4 h-4" />
@@ -0,0 +1,148 @@
+/**
+ * ActiveSessions Component
+ *
+ * Settings card listing the devices the user is signed in on
+ * - Sign out a single device, or every device except this one
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useUser } from '@/context/UserContext';
+import { Loader2, LogOut, Monitor, Smartphone } from 'lucide-react';
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Short device description from a user agent, e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && system) return `${browser} · ${system}`;
+  return browser || system || null;
+};
+
+const isMobile = (userAgent = '') => /Mobile|Android|iPhone|iPad/.test(userAgent);
+
+const formatDateTime = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export default function ActiveSessions() {
+  const { t } = useTranslation();
+  const { getSessions, revokeSession, revokeOtherSessions } = useUser();
+
+  const [sessions, setSessions] = useState(null);
+  // Session ID (or 'others') currently being signed out
+  const [revoking, setRevoking] = useState(null);
+
+  const loadSessions = useCallback(() => {
+    return getSessions()
+      .then(setSessions)
+      .catch((err) => toast.error(err.message || t('sessions.failedToLoad')));
+  }, [getSessions, t]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (id) => {
+    setRevoking(id);
+    try {
+      if (id === 'others') {
+        await revokeOtherSessions();
+      } else {
+        await revokeSession(id);
+      }
+      toast.success(t('sessions.signedOut'));
+      await loadSessions();
+    } catch (err) {
+      toast.error(err.message || t('sessions.failedToRevoke'));
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const otherSessions = sessions ? sessions.filter((session) => !session.current) : [];
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+        <div className="space-y-1.5">
+          <CardTitle>{t('sessions.title')}</CardTitle>
+          <CardDescription>{t('sessions.description')}</CardDescription>
+        </div>
+        {otherSessions.length > 0 && (
+          <Button variant="outline" size="sm" disabled={!!revoking} onClick={() => handleRevoke('others')}>
+            {revoking === 'others' ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <LogOut className="w-4 h-4 mr-2" />}
+            {t('sessions.signOutOthers')}
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent>
+        {!sessions ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="w-6 h-6 text-violet-500 animate-spin" />
+          </div>
+        ) : (
+          <ul className="divide-y">
+            {sessions.map((session) => {
+              const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Monitor;
+              return (
+                <li key={session._id} className="flex items-center justify-between gap-4 py-3">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <DeviceIcon className="w-5 h-5 flex-shrink-0 text-muted-foreground" />
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium truncate">
+                        {describeDevice(session.userAgent) || t('sessions.unknownDevice')}
+                        {session.current && (
+                          <span className="ml-2 text-xs font-normal px-2 py-0.5 rounded-full bg-green-100 text-green-700">
+                            {t('sessions.thisDevice')}
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-muted-foreground truncate">
+                        {session.ip && `${session.ip} · `}
+                        {t('sessions.lastActive', { date: formatDateTime(session.lastUsedAt) })}
+                      </p>
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <Button variant="ghost" size="sm" disabled={!!revoking} onClick={() => handleRevoke(session._id)}>
+                      {revoking === session._id && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                      {t('sessions.signOut')}
+                    </Button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * CalendarFeedDialog Component
+ *
+ * Shows the user's personal calendar feed URL
+ * - Subscribe from Google Calendar, Apple Calendar, Outlook, etc.
+ * - Copy the URL or reset it if it was shared by mistake
+ */
+
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useUser } from '@/context/UserContext';
+import { Copy, RefreshCw, CalendarPlus, Loader2 } from 'lucide-react';
+
+/**
+ * CalendarFeedDialog Component
+ * @param {boolean} open - Dialog open state
+ * @param {function} onOpenChange - Handler for dialog open state change
+ */
+export default function CalendarFeedDialog({ open, onOpenChange }) {
+  const { t } = useTranslation();
+  const { getCalendarFeed, resetCalendarFeed } = useUser();
+
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [resetting, setResetting] = useState(false);
+
+  useEffect(() => {
+    if (!open || feedUrl) return;
+    getCalendarFeed()
+      .then((data) => setFeedUrl(data.data.feedUrl))
+      .catch((err) => toast.error(err.message || t('calendar.failedToLoad')));
+  }, [open, feedUrl, getCalendarFeed, t]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success(t('calendar.copied'));
+    } catch {
+      toast.error(t('calendar.copyFailed'));
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm(t('calendar.confirmReset'))) return;
+    setResetting(true);
+    try {
+      const data = await resetCalendarFeed();
+      setFeedUrl(data.data.feedUrl);
+      toast.success(t('calendar.resetSuccess'));
+    } catch (err) {
+      toast.error(err.message || t('calendar.failedToLoad'));
+    } finally {
+      setResetting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[500px]">
+        <DialogHeader>
+          <DialogTitle>{t('calendar.feedTitle')}</DialogTitle>
+          <DialogDescription>{t('calendar.feedDescription')}</DialogDescription>
+        </DialogHeader>
+
+        {feedUrl ? (
+          <div className="space-y-4">
+            <div className="flex gap-2">
+              <Input value={feedUrl} readOnly className="font-mono text-xs" onFocus={(e) => e.target.select()} />
+              <Button variant="outline" size="icon" onClick={handleCopy} title={t('calendar.copy')}>
+                <Copy className="w-4 h-4" />
+              </Button>
+            </div>
+            <p className="text-xs text-muted-foreground">{t('calendar.keepPrivate')}</p>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Button asChild className="flex-1 gap-2 bg-gradient-to-r from-violet-600 to-purple-600">
+                <a href={feedUrl.replace(/^https?:/, 'webcal:')}>
+                  <CalendarPlus className="w-4 h-4" />
+                  {t('calendar.subscribe')}
+                </a>
+              </Button>
+              <Button variant="outline" className="gap-2" onClick={handleReset} disabled={resetting}>
+                <RefreshCw className={`w-4 h-4 ${resetting ? 'animate-spin' : ''}`} />
+                {t('calendar.resetUrl')}
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 text-violet-500 animate-spin" />
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
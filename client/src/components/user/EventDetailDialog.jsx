@@ -4,6 +4,8 @@
  * Displays event details for regular users with:
  * - Event images
  * - Full event information
+ * - Add to calendar (.ics download)
+ * - Mute notifications about the event
  * - Participate button
  */
 
@@ -15,6 +17,10 @@ import {
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Separator } from '@/components/ui/separator';
+import MuteNotificationsButton from '@/components/user/MuteNotificationsButton';
+
+// API base URL from environment or default
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
 // Default placeholder image
 const DEFAULT_IMAGE = 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=800&h=400&fit=crop';
@@ -117,7 +123,7 @@ export default function EventDetailDialog({
 
   if (!event) return null;
 
-  const isRegistrationOpen = event.status === 'published' &&
+  const isRegistrationOpen = event.status === 'published' && event.isRegistrationOpen !== false &&
     (!event.registrationDeadline || new Date(event.registrationDeadline) > new Date());
 
   const spotsAvailable = event.capacity
@@ -239,6 +245,16 @@ export default function EventDetailDialog({
 
           <Separator />
 
+          {/* Add to Calendar */}
+          {event.status !== 'draft' && (
+            <Button variant="outline" size="sm" className="w-full" asChild>
+              <a href={`${API_URL}/events/${event._id}/calendar.ics`} download>
+                📅 {t('calendar.addToCalendar')}
+              </a>
+            </Button>
+          )}
+          <MuteNotificationsButton target="events" id={event._id} />
+
           {/* Action Buttons */}
           <div className="flex gap-3">
             <Button
@@ -251,16 +267,16 @@ export default function EventDetailDialog({
             <Button
               className="flex-1"
               onClick={() => onParticipate?.(event)}
-              disabled={!isRegistrationOpen || (spotsAvailable !== null && spotsAvailable <= 0)}
+              disabled={!isRegistrationOpen}
             >
               {event.status === 'cancelled'
                 ? t('events.eventCancelled')
                 : event.status === 'completed'
                 ? t('events.eventEnded')
-                : spotsAvailable !== null && spotsAvailable <= 0
-                ? t('events.soldOut')
                 : !isRegistrationOpen
                 ? t('events.registrationClosed')
+                : spotsAvailable !== null && spotsAvailable <= 0
+                ? t('events.joinWaitlist')
                 : event.price && event.price > 0
                 ? `${t('events.register')} - ${formatPrice(event.price, event.currency, t)}`
                 : `${t('events.participate')} - ${t('common.free')}`}
@@ -5,12 +5,16 @@
  * - Search by keyword
  * - Filter by category
  * - Filter by event type (online/offline/hybrid)
+ * - Filter by city, price range and start date
  * - Filter by organisation
+ * - Follow the selected category to get notified about its new events
  *
- * Filters apply instantly (client-side filtering)
+ * Filters apply on the server; each option shows how many events it would match
  */
 
+import { useState } from 'react';
 import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import {
@@ -20,6 +24,9 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import OrganisationPicker from '@/components/OrganisationPicker';
+import { useUser } from '@/context/UserContext';
+import { Bell, BellOff, Loader2 } from 'lucide-react';
 
 // Event category keys for translation
 const EVENT_CATEGORY_KEYS = [
@@ -40,20 +47,52 @@ const EVENT_CATEGORY_KEYS = [
 // Event type keys for translation
 const EVENT_TYPE_KEYS = ['all', 'online', 'offline', 'hybrid'];
 
+// Price range and start date facet values, also their translation keys
+const PRICE_KEYS = ['free', 'under-25', '25-50', '50-100', '100-plus'];
+const DATE_KEYS = ['today', 'this-week', 'this-month', 'later', 'earlier'];
+
+const EMPTY_FILTERS = {
+  search: '',
+  category: 'all',
+  eventType: 'all',
+  city: 'all',
+  price: 'all',
+  date: 'all',
+  organisationId: 'all',
+};
+
 /**
  * EventFilters Component
  * @param {Object} filters - Current filter values
  * @param {function} onFilterChange - Handler for filter changes
  * @param {function} onSearch - Handler for search action (resets pagination)
- * @param {Array} organisations - List of organisations for filter
+ * @param {Object} facets - Match counts per filter value, from the event search
  */
 export default function EventFilters({
   filters,
   onFilterChange,
   onSearch,
-  organisations = [],
+  facets = null,
 }) {
   const { t } = useTranslation();
+  const { following, setCategoryFollowed, getOrganisations } = useUser();
+  const [updatingFollow, setUpdatingFollow] = useState(false);
+
+  const isFollowingCategory = following.categories.includes(filters.category);
+
+  /**
+   * Follow or unfollow the selected category
+   */
+  const handleToggleFollowCategory = async () => {
+    setUpdatingFollow(true);
+    try {
+      await setCategoryFollowed(filters.category, !isFollowingCategory);
+    } catch (err) {
+      toast.error(err.message || t('following.failedToUpdate'));
+    } finally {
+      setUpdatingFollow(false);
+    }
+  };
 
   /**
    * Handle search input change
@@ -73,14 +112,35 @@ export default function EventFilters({
    * Clear all filters
    */
   const handleClearFilters = () => {
-    onFilterChange({
-      search: '',
-      category: 'all',
-      eventType: 'all',
-      organisationId: 'all',
-    });
+    onFilterChange(EMPTY_FILTERS);
+  };
+
+  /**
+   * Number of events a filter value would match, if known
+   */
+  const getCount = (facet, value) => {
+    const item = facets?.[facet]?.find((entry) => entry.value === value);
+    return item ? item.count : facets ? 0 : undefined;
   };
 
+  /**
+   * Option label with its match count
+   */
+  const withCount = (label, facet, value) => {
+    const count = getCount(facet, value);
+    return count === undefined ? label : `${label} (${count})`;
+  };
+
+  // Values without matches can't be picked, unless already selected
+  const isUnavailable = (facet, value) =>
+    getCount(facet, value) === 0 && filters[facet] !== value;
+
+  // Cities come from the matching events; keep the selected one listed
+  const cities = (facets?.city || []).map((entry) => entry.value);
+  if (filters.city !== 'all' && !cities.includes(filters.city)) {
+    cities.push(filters.city);
+  }
+
   // Map category key to actual value (handle careerFair -> career-fair)
   const getCategoryValue = (key) => {
     if (key === 'careerFair') return 'career-fair';
@@ -88,11 +148,9 @@ export default function EventFilters({
   };
 
   // Check if any filters are active
-  const hasActiveFilters =
-    filters.search ||
-    filters.category !== 'all' ||
-    filters.eventType !== 'all' ||
-    filters.organisationId !== 'all';
+  const hasActiveFilters = Object.keys(EMPTY_FILTERS).some(
+    (key) => filters[key] !== EMPTY_FILTERS[key]
+  );
 
   return (
     <div className="space-y-4">
@@ -117,13 +175,38 @@ export default function EventFilters({
           </SelectTrigger>
           <SelectContent>
             {EVENT_CATEGORY_KEYS.map((key) => (
-              <SelectItem key={key} value={getCategoryValue(key)}>
-                {t(`events.categories.${key}`)}
+              <SelectItem
+                key={key}
+                value={getCategoryValue(key)}
+                disabled={key !== 'all' && isUnavailable('category', getCategoryValue(key))}
+              >
+                {key === 'all'
+                  ? t(`events.categories.${key}`)
+                  : withCount(t(`events.categories.${key}`), 'category', getCategoryValue(key))}
               </SelectItem>
             ))}
           </SelectContent>
         </Select>
 
+        {/* Follow Selected Category */}
+        {filters.category !== 'all' && (
+          <Button
+            variant={isFollowingCategory ? 'outline' : 'secondary'}
+            onClick={handleToggleFollowCategory}
+            disabled={updatingFollow}
+            className="gap-2"
+          >
+            {updatingFollow ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : isFollowingCategory ? (
+              <BellOff className="w-4 h-4" />
+            ) : (
+              <Bell className="w-4 h-4" />
+            )}
+            {isFollowingCategory ? t('following.unfollowCategory') : t('following.followCategory')}
+          </Button>
+        )}
+
         {/* Event Type Filter */}
         <Select
           value={filters.eventType}
@@ -134,33 +217,85 @@ export default function EventFilters({
           </SelectTrigger>
           <SelectContent>
             {EVENT_TYPE_KEYS.map((key) => (
-              <SelectItem key={key} value={key}>
-                {t(`events.types.${key}`)}
+              <SelectItem
+                key={key}
+                value={key}
+                disabled={key !== 'all' && isUnavailable('eventType', key)}
+              >
+                {key === 'all'
+                  ? t(`events.types.${key}`)
+                  : withCount(t(`events.types.${key}`), 'eventType', key)}
               </SelectItem>
             ))}
           </SelectContent>
         </Select>
 
-        {/* Organisation Filter */}
-        {organisations.length > 0 && (
+        {/* City Filter */}
+        {cities.length > 0 && (
           <Select
-            value={filters.organisationId}
-            onValueChange={(value) => handleSelectChange('organisationId', value)}
+            value={filters.city}
+            onValueChange={(value) => handleSelectChange('city', value)}
           >
-            <SelectTrigger className="w-[180px]">
-              <SelectValue placeholder={t('filters.selectOrganisation')} />
+            <SelectTrigger className="w-[150px]">
+              <SelectValue placeholder={t('filters.city')} />
             </SelectTrigger>
             <SelectContent>
-              <SelectItem value="all">{t('filters.allOrganisations')}</SelectItem>
-              {organisations.map((org) => (
-                <SelectItem key={org._id} value={org._id}>
-                  {org.name}
+              <SelectItem value="all">{t('filters.allCities')}</SelectItem>
+              {cities.map((city) => (
+                <SelectItem key={city} value={city}>
+                  {withCount(city, 'city', city)}
                 </SelectItem>
               ))}
             </SelectContent>
           </Select>
         )}
 
+        {/* Price Filter */}
+        <Select
+          value={filters.price}
+          onValueChange={(value) => handleSelectChange('price', value)}
+        >
+          <SelectTrigger className="w-[140px]">
+            <SelectValue placeholder={t('common.price')} />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">{t('filters.anyPrice')}</SelectItem>
+            {PRICE_KEYS.map((key) => (
+              <SelectItem key={key} value={key} disabled={isUnavailable('price', key)}>
+                {withCount(t(`filters.prices.${key}`), 'price', key)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {/* Start Date Filter */}
+        <Select
+          value={filters.date}
+          onValueChange={(value) => handleSelectChange('date', value)}
+        >
+          <SelectTrigger className="w-[150px]">
+            <SelectValue placeholder={t('common.date')} />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">{t('filters.anyDate')}</SelectItem>
+            {DATE_KEYS.map((key) => (
+              <SelectItem key={key} value={key} disabled={isUnavailable('date', key)}>
+                {withCount(t(`filters.dates.${key}`), 'date', key)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {/* Organisation Filter */}
+        <OrganisationPicker
+          value={filters.organisationId === 'all' ? '' : filters.organisationId}
+          onChange={(value) => handleSelectChange('organisationId', value || 'all')}
+          loadOrganisations={getOrganisations}
+          placeholder={t('filters.allOrganisations')}
+          clearLabel={t('filters.allOrganisations')}
+          className="w-[180px]"
+        />
+
         {/* Clear Filters */}
         {hasActiveFilters && (
           <Button variant="outline" onClick={handleClearFilters}>
@@ -0,0 +1,189 @@
+/**
+ * FollowingFeed Component
+ *
+ * "Following" tab of the user dashboard:
+ * - Lists followed organisations and categories, each can be unfollowed
+ * - Shows upcoming events from everything the user follows
+ */
+
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import EventCard from '@/components/user/EventCard';
+import { useUser } from '@/context/UserContext';
+import { ChevronLeft, ChevronRight, Loader2, Rss, Tag, X } from 'lucide-react';
+
+const FEED_PAGE_SIZE = 12;
+
+/**
+ * Translation key for an event category value
+ */
+const getCategoryKey = (category) => (category === 'career-fair' ? 'careerFair' : category);
+
+const getInitials = (name) => {
+  if (!name) return 'O';
+  return name.split(' ').map((word) => word[0]).join('').toUpperCase().slice(0, 2);
+};
+
+/**
+ * FollowingFeed Component
+ * @param {function} onEventClick - Handler when an event card is clicked
+ */
+export default function FollowingFeed({ onEventClick }) {
+  const { t } = useTranslation();
+  const { following, getFollowingFeed, setOrganisationFollowed, setCategoryFollowed } = useUser();
+
+  const [page, setPage] = useState(1);
+  const [feed, setFeed] = useState({ events: [], total: 0, totalPages: 0 });
+  const [loadingFeed, setLoadingFeed] = useState(true);
+
+  // Refetch whenever the page or the follow lists change
+  useEffect(() => {
+    let cancelled = false;
+
+    getFollowingFeed({ page, limit: FEED_PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        // Unfollowing can leave the current page past the end
+        if (data.totalPages > 0 && page > data.totalPages) {
+          setPage(data.totalPages);
+          return;
+        }
+        setFeed({
+          events: data.data.events,
+          total: data.total,
+          totalPages: data.totalPages,
+        });
+      })
+      .catch((err) => {
+        if (!cancelled) toast.error(err.message || t('following.failedToLoadFeed'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingFeed(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [getFollowingFeed, page, following, t]);
+
+  const goToPage = (newPage) => {
+    setLoadingFeed(true);
+    setPage(newPage);
+  };
+
+  const handleUnfollowOrganisation = async (organisationId) => {
+    try {
+      await setOrganisationFollowed(organisationId, false);
+    } catch (err) {
+      toast.error(err.message || t('following.failedToUpdate'));
+    }
+  };
+
+  const handleUnfollowCategory = async (category) => {
+    try {
+      await setCategoryFollowed(category, false);
+    } catch (err) {
+      toast.error(err.message || t('following.failedToUpdate'));
+    }
+  };
+
+  const followsNothing = following.organisations.length === 0 && following.categories.length === 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Followed organisations and categories */}
+      {!followsNothing && (
+        <div className="space-y-3">
+          {following.organisations.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm font-medium text-muted-foreground mr-1">{t('following.organisations')}</span>
+              {following.organisations.map((org) => (
+                <span key={org._id} className="inline-flex items-center gap-2 pl-1 pr-2 py-1 rounded-full bg-muted/60 text-sm">
+                  <Avatar className="h-6 w-6">
+                    <AvatarImage src={org.logo} alt={org.name} />
+                    <AvatarFallback className="text-[10px] bg-gradient-to-br from-violet-500 to-purple-600 text-white">
+                      {getInitials(org.name)}
+                    </AvatarFallback>
+                  </Avatar>
+                  {org.name}
+                  <button
+                    type="button"
+                    className="text-muted-foreground hover:text-red-600"
+                    title={t('following.unfollow')}
+                    onClick={() => handleUnfollowOrganisation(org._id)}
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          {following.categories.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm font-medium text-muted-foreground mr-1">{t('following.categories')}</span>
+              {following.categories.map((category) => (
+                <span key={category} className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full bg-violet-50 text-violet-700 text-sm">
+                  <Tag className="w-3.5 h-3.5" />
+                  {t(`events.categories.${getCategoryKey(category)}`)}
+                  <button
+                    type="button"
+                    className="text-violet-400 hover:text-red-600"
+                    title={t('following.unfollow')}
+                    onClick={() => handleUnfollowCategory(category)}
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Feed */}
+      {loadingFeed ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 text-violet-500 animate-spin" />
+        </div>
+      ) : feed.events.length === 0 ? (
+        <div className="text-center py-16">
+          <div className="w-16 h-16 mx-auto mb-4 bg-muted rounded-full flex items-center justify-center">
+            <Rss className="w-8 h-8 text-muted-foreground" />
+          </div>
+          <h3 className="font-semibold text-lg mb-1">
+            {followsNothing ? t('following.nothingFollowed') : t('following.noUpcomingEvents')}
+          </h3>
+          {followsNothing && <p className="text-muted-foreground">{t('following.nothingFollowedHint')}</p>}
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
+            {feed.events.map((event) => (
+              <EventCard key={event._id} event={event} onClick={onEventClick} />
+            ))}
+          </div>
+
+          {/* Pagination */}
+          {feed.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-2 mt-8">
+              <Button variant="outline" size="sm" onClick={() => goToPage(page - 1)} disabled={page === 1} className="gap-1">
+                <ChevronLeft className="w-4 h-4" />
+                <span className="hidden sm:inline">{t('common.previous')}</span>
+              </Button>
+              <span className="text-sm px-3">
+                {t('common.page')} {page} {t('common.of')} {feed.totalPages}
+              </span>
+              <Button variant="outline" size="sm" onClick={() => goToPage(page + 1)} disabled={page === feed.totalPages} className="gap-1">
+                <span className="hidden sm:inline">{t('common.next')}</span>
+                <ChevronRight className="w-4 h-4" />
+              </Button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+/**
+ * MuteNotificationsButton Component
+ *
+ * Mutes or unmutes notifications about one organisation or event
+ */
+
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { useUser } from '@/context/UserContext';
+import { Loader2, Volume2, VolumeX } from 'lucide-react';
+
+/**
+ * MuteNotificationsButton Component
+ * @param {string} target - 'organisations' or 'events'
+ * @param {string} id - Organisation or event ID
+ */
+export default function MuteNotificationsButton({ target, id }) {
+  const { t } = useTranslation();
+  const { notificationPreferences, setNotificationsMuted } = useUser();
+  const [saving, setSaving] = useState(false);
+
+  // Hidden until preferences are loaded
+  if (!notificationPreferences) return null;
+
+  const mutedList = target === 'organisations'
+    ? notificationPreferences.mutedOrganisations
+    : notificationPreferences.mutedEvents;
+  const isMuted = mutedList.some((item) => item._id === id);
+
+  const handleToggle = async () => {
+    setSaving(true);
+    try {
+      await setNotificationsMuted(target, id, !isMuted);
+      toast.success(isMuted ? t('notificationSettings.unmuted') : t('notificationSettings.muted'));
+    } catch (err) {
+      toast.error(err.message || t('notificationSettings.failedToSave'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Button variant="outline" size="sm" className="w-full" onClick={handleToggle} disabled={saving}>
+      {saving ? (
+        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+      ) : isMuted ? (
+        <Volume2 className="w-4 h-4 mr-2" />
+      ) : (
+        <VolumeX className="w-4 h-4 mr-2" />
+      )}
+      {isMuted ? t('notificationSettings.unmuteNotifications') : t('notificationSettings.muteNotifications')}
+    </Button>
+  );
+}
@@ -0,0 +1,162 @@
+/**
+ * NotificationSettings Component
+ *
+ * Settings screen for notifications:
+ * - Choose in-app, real-time and email delivery per notification type
+ * - Review and unmute muted organisations and events
+ */
+
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useUser } from '@/context/UserContext';
+import { Loader2, VolumeX } from 'lucide-react';
+
+const CHANNELS = ['inApp', 'realtime', 'email'];
+
+const formatDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+export default function NotificationSettings() {
+  const { t } = useTranslation();
+  const { notificationPreferences, updateNotificationChannels, setNotificationsMuted } = useUser();
+
+  // "type.channel" or muted item ID currently being saved
+  const [saving, setSaving] = useState(null);
+
+  if (!notificationPreferences) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-8 h-8 text-violet-500 animate-spin" />
+      </div>
+    );
+  }
+
+  const handleToggleChannel = async (type, channel, enabled) => {
+    setSaving(`${type}.${channel}`);
+    try {
+      await updateNotificationChannels({ [type]: { [channel]: enabled } });
+    } catch (err) {
+      toast.error(err.message || t('notificationSettings.failedToSave'));
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleUnmute = async (target, id) => {
+    setSaving(id);
+    try {
+      await setNotificationsMuted(target, id, false);
+    } catch (err) {
+      toast.error(err.message || t('notificationSettings.failedToSave'));
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const { types, mutedOrganisations, mutedEvents } = notificationPreferences;
+
+  return (
+    <div className="space-y-6 max-w-3xl">
+      {/* Channels per type */}
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('notificationSettings.deliveryTitle')}</CardTitle>
+          <CardDescription>{t('notificationSettings.deliveryDescription')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-muted-foreground">
+                  <th className="text-left font-medium py-2 pr-4">{t('notificationSettings.type')}</th>
+                  {CHANNELS.map((channel) => (
+                    <th key={channel} className="font-medium py-2 px-3 text-center">
+                      {t(`notificationSettings.channels.${channel}`)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(types).map(([type, channels]) => (
+                  <tr key={type} className="border-b last:border-0">
+                    <td className="py-3 pr-4">
+                      <p className="font-medium">{t(`notificationSettings.types.${type}.label`)}</p>
+                      <p className="text-xs text-muted-foreground">{t(`notificationSettings.types.${type}.description`)}</p>
+                    </td>
+                    {CHANNELS.map((channel) => (
+                      <td key={channel} className="py-3 px-3 text-center">
+                        {saving === `${type}.${channel}` ? (
+                          <Loader2 className="w-4 h-4 mx-auto animate-spin text-violet-500" />
+                        ) : (
+                          <input
+                            type="checkbox"
+                            className="h-4 w-4"
+                            checked={channels[channel]}
+                            disabled={!!saving}
+                            onChange={(e) => handleToggleChannel(type, channel, e.target.checked)}
+                            aria-label={`${t(`notificationSettings.types.${type}.label`)} - ${t(`notificationSettings.channels.${channel}`)}`}
+                          />
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Muted organisations and events */}
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('notificationSettings.mutedTitle')}</CardTitle>
+          <CardDescription>{t('notificationSettings.mutedDescription')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {mutedOrganisations.length === 0 && mutedEvents.length === 0 ? (
+            <p className="text-sm text-muted-foreground">{t('notificationSettings.nothingMuted')}</p>
+          ) : (
+            <ul className="divide-y">
+              {mutedOrganisations.map((organisation) => (
+                <li key={organisation._id} className="flex items-center justify-between gap-4 py-2">
+                  <span className="flex items-center gap-2 text-sm min-w-0">
+                    <VolumeX className="w-4 h-4 flex-shrink-0 text-muted-foreground" />
+                    <span className="font-medium truncate">{organisation.name}</span>
+                    <span className="text-muted-foreground">{t('notificationSettings.organisation')}</span>
+                  </span>
+                  <Button variant="outline" size="sm" disabled={!!saving} onClick={() => handleUnmute('organisations', organisation._id)}>
+                    {saving === organisation._id && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    {t('notificationSettings.unmute')}
+                  </Button>
+                </li>
+              ))}
+              {mutedEvents.map((event) => (
+                <li key={event._id} className="flex items-center justify-between gap-4 py-2">
+                  <span className="flex items-center gap-2 text-sm min-w-0">
+                    <VolumeX className="w-4 h-4 flex-shrink-0 text-muted-foreground" />
+                    <span className="font-medium truncate">{event.title}</span>
+                    <span className="text-muted-foreground">{formatDate(event.startDate)}</span>
+                  </span>
+                  <Button variant="outline" size="sm" disabled={!!saving} onClick={() => handleUnmute('events', event._id)}>
+                    {saving === event._id && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    {t('notificationSettings.unmute')}
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -5,14 +5,18 @@
  * - Modern card design with profile-like layout
  * - Follow button interaction
  * - Social links display
+ * - Verified badge for organisations checked by the platform admins
  * - Responsive and animated
  */
 
 import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
 import { Card, CardContent } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { Button } from '@/components/ui/button';
+import { useUser } from '@/context/UserContext';
 import {
   Globe,
   Mail,
@@ -22,6 +26,8 @@ import {
   Calendar,
   ExternalLink,
   Check,
+  Loader2,
+  BadgeCheck,
 } from 'lucide-react';
 
 const DEFAULT_COVER_IMAGE = 'https://images.unsplash.com/photo-1497366216548-37526070297c?w=800&h=300&fit=crop';
@@ -52,15 +58,24 @@ const getInitials = (name) => {
 };
 
 export default function OrganisationCard({ organisation, onClick }) {
-  const [isFollowing, setIsFollowing] = useState(false);
-  const [followerCount, setFollowerCount] = useState(
-    Math.floor(Math.random() * 5000) + 500
-  );
+  const { t } = useTranslation();
+  const { following, setOrganisationFollowed } = useUser();
+  const [followerCount, setFollowerCount] = useState(organisation.followersCount || 0);
+  const [updatingFollow, setUpdatingFollow] = useState(false);
+
+  const isFollowing = following.organisations.some((org) => org._id === organisation._id);
 
-  const handleFollow = (e) => {
+  const handleFollow = async (e) => {
     e.stopPropagation();
-    setIsFollowing(!isFollowing);
-    setFollowerCount(prev => isFollowing ? prev - 1 : prev + 1);
+    setUpdatingFollow(true);
+    try {
+      await setOrganisationFollowed(organisation._id, !isFollowing);
+      setFollowerCount(prev => isFollowing ? Math.max(prev - 1, 0) : prev + 1);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update follow');
+    } finally {
+      setUpdatingFollow(false);
+    }
   };
 
   const formatFollowers = (count) => {
@@ -110,9 +125,19 @@ export default function OrganisationCard({ organisation, onClick }) {
         {/* Header with Follow Button */}
         <div className="flex items-start justify-between gap-3 mb-3">
           <div className="flex-1 min-w-0">
-            <h3 className="font-bold text-base sm:text-lg text-foreground truncate group-hover:text-violet-600 transition-colors">
-              {organisation.name}
-            </h3>
+            <div className="flex items-center gap-1.5 min-w-0">
+              <h3 className="font-bold text-base sm:text-lg text-foreground truncate group-hover:text-violet-600 transition-colors">
+                {organisation.name}
+              </h3>
+              {organisation.verified && (
+                <BadgeCheck
+                  className="w-5 h-5 flex-shrink-0 text-violet-600"
+                  aria-label={t('organisations.verified')}
+                >
+                  <title>{t('organisations.verified')}</title>
+                </BadgeCheck>
+              )}
+            </div>
             {organisation.email && (
               <p className="text-sm text-muted-foreground truncate flex items-center gap-1">
                 <Mail className="w-3 h-3 flex-shrink-0" />
@@ -130,8 +155,11 @@ export default function OrganisationCard({ organisation, onClick }) {
                 : 'bg-gradient-to-r from-violet-600 to-purple-600 hover:from-violet-700 hover:to-purple-700 text-white'
             }`}
             onClick={handleFollow}
+            disabled={updatingFollow}
           >
-            {isFollowing ? (
+            {updatingFollow ? (
+              <Loader2 className="w-3 h-3 animate-spin" />
+            ) : isFollowing ? (
               <>
                 <Check className="w-3 h-3 mr-1" />
                 Following
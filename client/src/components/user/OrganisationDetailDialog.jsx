@@ -6,6 +6,8 @@
  * - Name, type, and description
  * - Contact information
  * - Social media links
+ * - Calendar feed subscription
+ * - Mute notifications about the organisation
  */
 
 import { useTranslation } from 'react-i18next';
@@ -17,6 +19,10 @@ import { Badge } from '@/components/ui/badge';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { Separator } from '@/components/ui/separator';
 import { Button } from '@/components/ui/button';
+import MuteNotificationsButton from '@/components/user/MuteNotificationsButton';
+
+// API base URL from environment or default
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
 // Default placeholder image
 const DEFAULT_COVER = 'https://images.unsplash.com/photo-1497366216548-37526070297c?w=800&h=300&fit=crop';
@@ -221,6 +227,15 @@ export default function OrganisationDetailDialog({
               </>
             )}
 
+          {/* Calendar Feed */}
+          <Separator />
+          <Button variant="outline" size="sm" className="w-full" asChild>
+            <a href={`${API_URL}/organisations/${organisation._id}/calendar.ics`.replace(/^https?:/, 'webcal:')}>
+              📅 {t('calendar.subscribeToOrganisation')}
+            </a>
+          </Button>
+          <MuteNotificationsButton target="organisations" id={organisation._id} />
+
           {/* Close Button */}
           <div className="pt-2">
             <Button
@@ -5,7 +5,7 @@
  * - Search by name/description
  * - Filter by organisation type
  *
- * Filters apply instantly (client-side filtering)
+ * Filters apply on the server
  */
 
 import { useTranslation } from 'react-i18next';
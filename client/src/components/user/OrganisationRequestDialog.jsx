@@ -0,0 +1,410 @@
+/**
+ * OrganisationRequestDialog Component
+ *
+ * Lets a user ask for their organisation to be registered
+ * - Organisation profile, contact details, logo and supporting documents
+ * - The user's earlier requests with their status (and reason when rejected)
+ * - Approved requests link to the organisation dashboard
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useAuth } from '@/context/AuthContext';
+import { useUser } from '@/context/UserContext';
+import { authFetch, formErrors } from '@/lib/authFetch';
+import { Loader2 } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+// Organisation type keys for translation
+const ORGANISATION_TYPE_KEYS = ['university', 'company', 'institution', 'other'];
+
+// Same limit as the server
+const MAX_DOCUMENTS = 5;
+
+/**
+ * Empty request form; the contact person defaults to the user
+ */
+const getEmptyForm = (contactName = '') => ({
+  name: '',
+  type: 'university',
+  description: '',
+  email: '',
+  website: '',
+  phone: '',
+  contactName,
+  contactPhone: '',
+  message: '',
+});
+
+const getRequestStatusStyle = (status) => {
+  const styles = {
+    pending: 'bg-yellow-100 text-yellow-700 border-yellow-200',
+    approved: 'bg-green-100 text-green-700 border-green-200',
+    rejected: 'bg-red-100 text-red-700 border-red-200',
+  };
+  return styles[status] || styles.pending;
+};
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+/**
+ * OrganisationRequestDialog Component
+ * @param {boolean} open - Dialog open state
+ * @param {function} onOpenChange - Handler for dialog open state change
+ */
+export default function OrganisationRequestDialog({ open, onOpenChange }) {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const { user, login } = useAuth();
+  const { createOrganisationRequest, getMyOrganisationRequests } = useUser();
+
+  const userName = user?.name || '';
+
+  const [formData, setFormData] = useState(() => getEmptyForm(userName));
+  const [logo, setLogo] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [requests, setRequests] = useState([]);
+  const [opening, setOpening] = useState(false);
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const data = await getMyOrganisationRequests();
+      setRequests(data.data.requests);
+    } catch (err) {
+      console.error('Failed to fetch organisation requests:', err);
+    }
+  }, [getMyOrganisationRequests]);
+
+  // Fresh form and request list each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setFormData(getEmptyForm(userName));
+      setLogo(null);
+      setDocuments([]);
+      setErrors({});
+      fetchRequests();
+    }
+  }, [open, fetchRequests, userName]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleDocumentsChange = (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length > MAX_DOCUMENTS) {
+      setErrors((prev) => ({ ...prev, documents: t('organisationRequests.tooManyDocuments', { count: MAX_DOCUMENTS }) }));
+      e.target.value = '';
+      setDocuments([]);
+      return;
+    }
+    setErrors((prev) => ({ ...prev, documents: '' }));
+    setDocuments(files);
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = t('validation.nameRequired');
+    }
+    if (!formData.description.trim()) {
+      newErrors.description = t('validation.descriptionRequired');
+    }
+    if (!formData.email.trim()) {
+      newErrors.email = t('validation.emailRequired');
+    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
+      newErrors.email = t('validation.invalidEmail');
+    }
+    if (!formData.contactName.trim()) {
+      newErrors.contactName = t('validation.nameRequired');
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const submitData = new FormData();
+    Object.entries(formData).forEach(([key, value]) => {
+      if (value) submitData.append(key, value);
+    });
+    if (logo) submitData.append('logo', logo);
+    documents.forEach((file) => submitData.append('documents', file));
+
+    setSubmitting(true);
+    try {
+      await createOrganisationRequest(submitData);
+      toast.success(t('organisationRequests.submitted'));
+      setFormData(getEmptyForm(userName));
+      setLogo(null);
+      setDocuments([]);
+      fetchRequests();
+    } catch (err) {
+      toast.error(err.message || t('organisationRequests.failedToSubmit'));
+      const serverErrors = formErrors(err);
+      if (serverErrors) setErrors(serverErrors);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Reload the user (approval made them an owner) and open the organisation dashboard
+   */
+  const handleOpenOrganisation = async (request) => {
+    setOpening(true);
+    try {
+      const response = await authFetch(`${API_URL}/auth/me`);
+      const me = response.ok ? await response.json() : null;
+      const updatedUser = me?.user || user;
+      login(updatedUser);
+      navigate(updatedUser.twoFactorSetupRequired
+        ? '/two-factor-setup'
+        : `/organisation?org=${request.organisationId?._id || request.organisationId}`);
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[560px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t('organisationRequests.title')}</DialogTitle>
+          <DialogDescription>{t('organisationRequests.description')}</DialogDescription>
+        </DialogHeader>
+
+        {/* Earlier requests */}
+        {requests.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-semibold">{t('organisationRequests.myRequests')}</h4>
+            {requests.map((request) => (
+              <div key={request._id} className="p-3 border rounded-lg space-y-1">
+                <div className="flex items-center justify-between gap-2">
+                  <p className="font-medium text-sm truncate">{request.name}</p>
+                  <Badge className={`${getRequestStatusStyle(request.status)} border text-xs`}>
+                    {t(`organisationRequests.statuses.${request.status}`)}
+                  </Badge>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {t('organisationRequests.submittedOn', { date: formatDate(request.createdAt) })}
+                </p>
+                {request.status === 'rejected' && request.rejectionReason && (
+                  <p className="text-xs text-red-600">
+                    {t('organisationRequests.rejectionReason', { reason: request.rejectionReason })}
+                  </p>
+                )}
+                {request.status === 'approved' && request.organisationId && (
+                  <Button
+                    type="button"
+                    size="sm"
+                    variant="outline"
+                    className="mt-1"
+                    disabled={opening}
+                    onClick={() => handleOpenOrganisation(request)}
+                  >
+                    {opening && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                    {t('organisationRequests.openDashboard')}
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="request-name">{t('common.name')} *</Label>
+            <Input
+              id="request-name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              placeholder={t('organisations.namePlaceholder')}
+            />
+            {errors.name && <p className="text-sm text-red-500">{errors.name}</p>}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="request-type">{t('common.type')}</Label>
+            <Select
+              value={formData.type}
+              onValueChange={(value) => setFormData((prev) => ({ ...prev, type: value }))}
+            >
+              <SelectTrigger id="request-type">
+                <SelectValue placeholder={t('organisations.selectType')} />
+              </SelectTrigger>
+              <SelectContent>
+                {ORGANISATION_TYPE_KEYS.map((key) => (
+                  <SelectItem key={key} value={key}>
+                    {t(`organisations.types.${key}`)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="request-description">{t('common.description')} *</Label>
+            <Textarea
+              id="request-description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              placeholder={t('organisations.descriptionPlaceholder')}
+              rows={3}
+            />
+            {errors.description && <p className="text-sm text-red-500">{errors.description}</p>}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="request-email">{t('common.email')} *</Label>
+            <Input
+              id="request-email"
+              name="email"
+              type="email"
+              value={formData.email}
+              onChange={handleChange}
+              placeholder={t('organisations.emailPlaceholder')}
+            />
+            {errors.email && <p className="text-sm text-red-500">{errors.email}</p>}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="request-website">{t('common.website')}</Label>
+              <Input
+                id="request-website"
+                name="website"
+                value={formData.website}
+                onChange={handleChange}
+                placeholder={t('organisations.websitePlaceholder')}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="request-phone">{t('common.phone')}</Label>
+              <Input
+                id="request-phone"
+                name="phone"
+                value={formData.phone}
+                onChange={handleChange}
+                placeholder={t('organisations.phonePlaceholder')}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="request-contactName">{t('organisationRequests.contactName')} *</Label>
+              <Input
+                id="request-contactName"
+                name="contactName"
+                value={formData.contactName}
+                onChange={handleChange}
+              />
+              {errors.contactName && <p className="text-sm text-red-500">{errors.contactName}</p>}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="request-contactPhone">{t('organisationRequests.contactPhone')}</Label>
+              <Input
+                id="request-contactPhone"
+                name="contactPhone"
+                value={formData.contactPhone}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="request-logo">{t('organisations.logo')}</Label>
+            <Input
+              id="request-logo"
+              type="file"
+              accept="image/*"
+              onChange={(e) => setLogo(e.target.files[0] || null)}
+            />
+            {errors.logo && <p className="text-sm text-red-500">{errors.logo}</p>}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="request-documents">{t('organisationRequests.documents')}</Label>
+            <Input
+              id="request-documents"
+              type="file"
+              accept="application/pdf,image/*"
+              multiple
+              onChange={handleDocumentsChange}
+            />
+            <p className="text-xs text-muted-foreground">
+              {t('organisationRequests.documentsHint', { count: MAX_DOCUMENTS })}
+            </p>
+            {errors.documents && <p className="text-sm text-red-500">{errors.documents}</p>}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="request-message">{t('organisationRequests.message')}</Label>
+            <Textarea
+              id="request-message"
+              name="message"
+              value={formData.message}
+              onChange={handleChange}
+              placeholder={t('organisationRequests.messagePlaceholder')}
+              rows={3}
+            />
+            {errors.message && <p className="text-sm text-red-500">{errors.message}</p>}
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              {t('common.cancel')}
+            </Button>
+            <Button type="submit" disabled={submitting}>
+              {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {t('organisationRequests.submit')}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
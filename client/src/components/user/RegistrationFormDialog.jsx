@@ -0,0 +1,148 @@
+/**
+ * RegistrationFormDialog Component
+ *
+ * Collects answers to an event's registration questions
+ * before the application is submitted
+ */
+
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+
+/**
+ * RegistrationFormDialog Component
+ * @param {boolean} open - Dialog open state
+ * @param {function} onOpenChange - Handler for dialog open state change
+ * @param {object} event - Event whose registrationQuestions are asked
+ * @param {function} onSubmit - Async handler called with answers keyed by question ID
+ */
+export default function RegistrationFormDialog({ open, onOpenChange, event, onSubmit }) {
+  const { t } = useTranslation();
+
+  const [answers, setAnswers] = useState({});
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const questions = event?.registrationQuestions || [];
+
+  const setAnswer = (id, value) => {
+    setAnswers((prev) => ({ ...prev, [id]: value }));
+    if (errors[id]) {
+      setErrors((prev) => ({ ...prev, [id]: '' }));
+    }
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    questions.forEach((q) => {
+      const value = answers[q._id];
+      if (q.type === 'checkbox') {
+        if (q.required && value !== true) newErrors[q._id] = t('registrationQuestions.mustBeChecked');
+      } else if (q.required && (value === undefined || String(value).trim() === '')) {
+        newErrors[q._id] = t('registrationQuestions.answerRequired');
+      }
+    });
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    setSubmitting(true);
+    try {
+      await onSubmit(answers);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[500px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{t('registrationQuestions.formTitle')}</DialogTitle>
+          <DialogDescription>{event?.title}</DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {questions.map((q) => (
+            <div key={q._id} className="space-y-2">
+              {q.type === 'checkbox' ? (
+                <div className="flex items-center space-x-2">
+                  <input
+                    id={`answer-${q._id}`}
+                    type="checkbox"
+                    checked={answers[q._id] === true}
+                    onChange={(e) => setAnswer(q._id, e.target.checked)}
+                    className="h-4 w-4"
+                  />
+                  <Label htmlFor={`answer-${q._id}`}>{q.label}{q.required && ' *'}</Label>
+                </div>
+              ) : (
+                <>
+                  <Label htmlFor={`answer-${q._id}`}>{q.label}{q.required && ' *'}</Label>
+                  {q.type === 'select' ? (
+                    <Select
+                      value={answers[q._id] || ''}
+                      onValueChange={(value) => setAnswer(q._id, value)}
+                    >
+                      <SelectTrigger id={`answer-${q._id}`}>
+                        <SelectValue placeholder={t('registrationQuestions.selectOption')} />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {q.options.map((option) => (
+                          <SelectItem key={option} value={option}>{option}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  ) : (
+                    <Input
+                      id={`answer-${q._id}`}
+                      type={q.type === 'number' ? 'number' : 'text'}
+                      value={answers[q._id] ?? ''}
+                      onChange={(e) => setAnswer(q._id, e.target.value)}
+                      maxLength={q.type === 'text' ? 1000 : undefined}
+                    />
+                  )}
+                </>
+              )}
+              {errors[q._id] && (
+                <p className="text-sm text-red-500">{errors[q._id]}</p>
+              )}
+            </div>
+          ))}
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              {t('common.cancel')}
+            </Button>
+            <Button type="submit" disabled={submitting} className="bg-gradient-to-r from-violet-600 to-purple-600">
+              {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {t('registrationQuestions.submit')}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
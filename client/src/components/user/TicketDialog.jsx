@@ -0,0 +1,106 @@
+/**
+ * TicketDialog Component
+ *
+ * Shows the signed QR ticket for an accepted application
+ * - QR code scanned by organisers at the entrance
+ * - Short ticket code for manual entry
+ */
+
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import QRCode from 'react-qr-code';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { useUser } from '@/context/UserContext';
+import { Loader2 } from 'lucide-react';
+
+/**
+ * Format date for display
+ */
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+/**
+ * TicketDialog Component
+ * @param {boolean} open - Dialog open state
+ * @param {function} onOpenChange - Handler for dialog open state change
+ * @param {object} application - Accepted application to show the ticket for
+ */
+export default function TicketDialog({ open, onOpenChange, application }) {
+  const { t } = useTranslation();
+  const { getTicket } = useUser();
+
+  // { applicationId, ticket, error } for the last loaded application
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!open || !application?._id) return;
+
+    let cancelled = false;
+    getTicket(application._id)
+      .then((data) => {
+        if (!cancelled) setResult({ applicationId: application._id, ticket: data.data.ticket });
+      })
+      .catch((err) => {
+        if (!cancelled) setResult({ applicationId: application._id, error: err.message || t('tickets.failedToLoad') });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, application, getTicket, t]);
+
+  const current = result?.applicationId === application?._id ? result : null;
+  const currentTicket = current?.ticket;
+  const error = current?.error;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[400px]">
+        <DialogHeader>
+          <DialogTitle>{t('tickets.title')}</DialogTitle>
+          <DialogDescription>{application?.eventId?.title}</DialogDescription>
+        </DialogHeader>
+
+        {currentTicket ? (
+          <div className="flex flex-col items-center gap-4 py-2">
+            <div className="p-4 bg-white rounded-xl border">
+              <QRCode value={currentTicket.token} size={220} />
+            </div>
+            <div className="text-center">
+              <p className="text-xs text-muted-foreground">{t('tickets.code')}</p>
+              <p className="font-mono text-xl font-semibold tracking-widest">{currentTicket.code}</p>
+            </div>
+            {currentTicket.checkedInAt ? (
+              <Badge className="bg-green-100 text-green-700 border-green-200 border">
+                {t('tickets.checkedInAt', { date: formatDate(currentTicket.checkedInAt) })}
+              </Badge>
+            ) : (
+              <p className="text-sm text-muted-foreground text-center">{t('tickets.showAtEntrance')}</p>
+            )}
+          </div>
+        ) : error ? (
+          <p className="text-center text-sm text-red-600 py-8">{error}</p>
+        ) : (
+          <div className="flex justify-center py-12">
+            <Loader2 className="w-6 h-6 text-violet-500 animate-spin" />
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,62 @@
+/**
+ * VerifyEmailBanner Component
+ *
+ * Reminds users with an unverified email address that they need to
+ * verify it before applying to events, and lets them resend the link
+ */
+
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/context/AuthContext';
+import { authFetch } from '@/lib/authFetch';
+import { Loader2, MailWarning } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+export default function VerifyEmailBanner() {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  // Sessions stored before verification existed have no flag; the server still enforces it
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await authFetch(`${API_URL}/auth/verify-email/resend`, {
+        method: 'POST',
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || t('auth.requestFailed'));
+      }
+      setSent(true);
+      toast.success(t('auth.verificationEmailSent'));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 rounded-xl border border-amber-200 bg-amber-50 text-amber-800 flex flex-col sm:flex-row sm:items-center gap-3">
+      <MailWarning className="w-5 h-5 flex-shrink-0" />
+      <p className="text-sm flex-1">{t('auth.verifyEmailBanner', { email: user.email })}</p>
+      <Button
+        size="sm"
+        variant="outline"
+        className="border-amber-300 bg-white hover:bg-amber-100"
+        onClick={handleResend}
+        disabled={sending || sent}
+      >
+        {sending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+        {sent ? t('auth.verificationLinkSent') : t('auth.resendVerification')}
+      </Button>
+    </div>
+  );
+}
@@ -2,13 +2,16 @@
  * AdminContext
  *
  * Provides centralized API methods for admin operations including:
- * - Organisation management (CRUD)
+ * - Organisation management (CRUD, deletion preview)
  * - Event management (CRUD)
  * - User/Member management
- * - Organisation admin assignment
+ * - Organisation members and team invitations
+ * - Organisation registration requests (review queue)
+ * - Platform settings (roles that require two-factor authentication)
  */
 
 import { createContext, useContext, useState, useCallback } from 'react';
+import { authFetch, apiError } from '@/lib/authFetch';
 
 // API base URL from environment or default
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
@@ -37,7 +40,7 @@ export function AdminProvider({ children }) {
    * Handles common logic for API calls including credentials and error handling
    */
   const apiRequest = useCallback(async (endpoint, options = {}) => {
-    const response = await fetch(`${API_URL}${endpoint}`, {
+    const response = await authFetch(`${API_URL}${endpoint}`, {
       ...options,
       credentials: 'include',
       headers: {
@@ -49,7 +52,7 @@ export function AdminProvider({ children }) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || 'Request failed');
+      throw apiError(data);
     }
 
     return data;
@@ -59,7 +62,7 @@ export function AdminProvider({ children }) {
    * Generic API request handler for FormData (file uploads)
    */
   const apiRequestFormData = useCallback(async (endpoint, formData, method = 'POST') => {
-    const response = await fetch(`${API_URL}${endpoint}`, {
+    const response = await authFetch(`${API_URL}${endpoint}`, {
       method,
       credentials: 'include',
       body: formData,
@@ -78,7 +81,7 @@ export function AdminProvider({ children }) {
     }
 
     if (!response.ok) {
-      throw new Error(data.message || 'Request failed');
+      throw apiError(data);
     }
 
     return data;
@@ -176,16 +179,37 @@ export function AdminProvider({ children }) {
     }
   }, [apiRequestFormData]);
 
+  /**
+   * Count what deleting an organisation would change, without deleting it
+   * @param {string} id - Organisation ID
+   * @param {Object} params - events ('archive' or 'transfer') and transferTo
+   */
+  const previewOrganisationDeletion = useCallback(async (id, params = {}) => {
+    setError(null);
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const data = await apiRequest(`/organisations/${id}/deletion-preview?${queryString}`);
+      return data.data.summary;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
   /**
    * Delete an organisation
    * @param {string} id - Organisation ID
+   * @param {Object} options - events ('archive' or 'transfer'), transferTo and reason
    */
-  const deleteOrganisation = useCallback(async (id) => {
+  const deleteOrganisation = useCallback(async (id, options = {}) => {
     setLoading(prev => ({ ...prev, organisations: true }));
     setError(null);
     try {
-      await apiRequest(`/organisations/${id}`, { method: 'DELETE' });
-      return true;
+      const data = await apiRequest(`/organisations/${id}`, {
+        method: 'DELETE',
+        body: JSON.stringify(options),
+      });
+      return data.data.summary;
     } catch (err) {
       setError(err.message);
       throw err;
@@ -195,16 +219,69 @@ export function AdminProvider({ children }) {
   }, [apiRequest]);
 
   /**
-   * Add an admin to an organisation
+   * Change the role of an organisation member
+   * @param {string} orgId - Organisation ID
+   * @param {string} userId - Member user ID
+   * @param {string} role - New role
+   */
+  const updateOrganisationMemberRole = useCallback(async (orgId, userId, role) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/organisations/${orgId}/members/${userId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ role }),
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Remove a member from an organisation
+   * @param {string} orgId - Organisation ID
+   * @param {string} userId - Member user ID
+   */
+  const removeOrganisationMember = useCallback(async (orgId, userId) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/organisations/${orgId}/members/${userId}`, {
+        method: 'DELETE',
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Fetch the pending invitations of an organisation
+   * @param {string} orgId - Organisation ID
+   */
+  const getOrganisationInvitations = useCallback(async (orgId) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/organisations/${orgId}/invitations`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Invite an email address to an organisation team
    * @param {string} orgId - Organisation ID
-   * @param {string} userId - User ID to add as admin
+   * @param {object} invitation - { email, role }
    */
-  const addOrganisationAdmin = useCallback(async (orgId, userId) => {
+  const inviteOrganisationMember = useCallback(async (orgId, invitation) => {
     setError(null);
     try {
-      const data = await apiRequest(`/organisations/${orgId}/admins`, {
+      const data = await apiRequest(`/organisations/${orgId}/invitations`, {
         method: 'POST',
-        body: JSON.stringify({ userId }),
+        body: JSON.stringify(invitation),
       });
       return data;
     } catch (err) {
@@ -214,17 +291,103 @@ export function AdminProvider({ children }) {
   }, [apiRequest]);
 
   /**
-   * Remove an admin from an organisation
+   * Send a pending invitation again with a new link
    * @param {string} orgId - Organisation ID
-   * @param {string} userId - User ID to remove
+   * @param {string} invitationId - Invitation ID
    */
-  const removeOrganisationAdmin = useCallback(async (orgId, userId) => {
+  const resendOrganisationInvitation = useCallback(async (orgId, invitationId) => {
     setError(null);
     try {
-      await apiRequest(`/organisations/${orgId}/admins/${userId}`, {
+      const data = await apiRequest(`/organisations/${orgId}/invitations/${invitationId}/resend`, {
+        method: 'POST',
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} orgId - Organisation ID
+   * @param {string} invitationId - Invitation ID
+   */
+  const revokeOrganisationInvitation = useCallback(async (orgId, invitationId) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/organisations/${orgId}/invitations/${invitationId}`, {
         method: 'DELETE',
       });
-      return true;
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Fetch pending invitations of all organisations (admin only)
+   * @param {Object} params - Query parameters (page, limit, search, etc.)
+   */
+  const getPendingInvitations = useCallback(async (params = {}) => {
+    setError(null);
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const data = await apiRequest(`/invitations?${queryString}`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Fetch organisation registration requests (admin only)
+   * @param {Object} params - Query parameters (status, page, limit, search, etc.)
+   */
+  const getOrganisationRequests = useCallback(async (params = {}) => {
+    setError(null);
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const data = await apiRequest(`/organisation-requests?${queryString}`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Approve a registration request; creates the organisation (admin only)
+   * @param {string} requestId - Request ID
+   */
+  const approveOrganisationRequest = useCallback(async (requestId) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/organisation-requests/${requestId}/approve`, {
+        method: 'POST',
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Reject a registration request (admin only)
+   * @param {string} requestId - Request ID
+   * @param {string} reason - Reason shown to the requester
+   */
+  const rejectOrganisationRequest = useCallback(async (requestId, reason) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/organisation-requests/${requestId}/reject`, {
+        method: 'POST',
+        body: JSON.stringify({ reason }),
+      });
+      return data;
     } catch (err) {
       setError(err.message);
       throw err;
@@ -384,6 +547,42 @@ export function AdminProvider({ children }) {
     }
   }, [apiRequest]);
 
+  // ============================================
+  // SETTINGS METHODS
+  // ============================================
+
+  /**
+   * Fetch platform settings
+   */
+  const getPlatformSettings = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await apiRequest('/settings');
+      return data.data.settings;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Update security settings
+   * @param {string[]} twoFactorRequiredRoles - Roles that must use two-factor authentication
+   */
+  const updateSecuritySettings = useCallback(async (twoFactorRequiredRoles) => {
+    setError(null);
+    try {
+      const data = await apiRequest('/settings/security', {
+        method: 'PATCH',
+        body: JSON.stringify({ twoFactorRequiredRoles }),
+      });
+      return data.data.settings;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
   // ============================================
   // APPLICATION METHODS
   // ============================================
@@ -446,6 +645,113 @@ export function AdminProvider({ children }) {
     }
   }, [apiRequest]);
 
+  /**
+   * Accept or reject many applications in one request
+   * @param {Object} selection - { ids: [...] } or { filter: { eventId, status } }
+   * @param {string} status - New status (accepted/rejected)
+   * @param {string} rejectionReason - Optional rejection reason
+   */
+  const bulkUpdateApplicationStatus = useCallback(async (selection, status, rejectionReason) => {
+    setError(null);
+    try {
+      const data = await apiRequest('/applications/bulk/status', {
+        method: 'POST',
+        body: JSON.stringify({ ...selection, status, rejectionReason }),
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Send a notification message to many applicants
+   * @param {Object} selection - { ids: [...] } or { filter: { eventId, status } }
+   * @param {string} title - Optional message title
+   * @param {string} message - Message body
+   */
+  const bulkMessageApplicants = useCallback(async (selection, title, message) => {
+    setError(null);
+    try {
+      const data = await apiRequest('/applications/bulk/message', {
+        method: 'POST',
+        body: JSON.stringify({ ...selection, title, message }),
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Get the ordered waitlist for an event
+   * @param {string} eventId - Event ID
+   */
+  const getEventWaitlist = useCallback(async (eventId) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/applications/waitlist/${eventId}`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Reorder the waitlist for an event
+   * @param {string} eventId - Event ID
+   * @param {Array<string>} order - Waitlisted application IDs in the new order
+   */
+  const reorderWaitlist = useCallback(async (eventId, order) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/applications/waitlist/${eventId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ order }),
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Check in an attendee by scanned ticket token or typed ticket code
+   * @param {string} eventId - Event ID
+   * @param {Object} ticket - { token } or { code }
+   */
+  const checkInAttendee = useCallback(async (eventId, ticket) => {
+    setError(null);
+    try {
+      const data = await apiRequest('/applications/check-in', {
+        method: 'POST',
+        body: JSON.stringify({ eventId, ...ticket }),
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Get check-in progress for an event
+   * @param {string} eventId - Event ID
+   */
+  const getCheckInStats = useCallback(async (eventId) => {
+    try {
+      const data = await apiRequest(`/applications/check-in/${eventId}`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
   // Context value with all methods and state
   const value = {
     // State
@@ -459,9 +765,18 @@ export function AdminProvider({ children }) {
     getOrganisation,
     createOrganisation,
     updateOrganisation,
+    previewOrganisationDeletion,
     deleteOrganisation,
-    addOrganisationAdmin,
-    removeOrganisationAdmin,
+    updateOrganisationMemberRole,
+    removeOrganisationMember,
+    getOrganisationInvitations,
+    inviteOrganisationMember,
+    resendOrganisationInvitation,
+    revokeOrganisationInvitation,
+    getPendingInvitations,
+    getOrganisationRequests,
+    approveOrganisationRequest,
+    rejectOrganisationRequest,
 
     // Event methods
     getEvents,
@@ -475,10 +790,20 @@ export function AdminProvider({ children }) {
     searchUsers,
     updateUserRole,
 
+    // Settings methods
+    getPlatformSettings,
+    updateSecuritySettings,
+
     // Application methods
     getAdminApplications,
     getOrganisationApplications,
     updateApplicationStatus,
+    getEventWaitlist,
+    reorderWaitlist,
+    checkInAttendee,
+    getCheckInStats,
+    bulkUpdateApplicationStatus,
+    bulkMessageApplicants,
   };
 
   return (
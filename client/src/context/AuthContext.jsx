@@ -1,4 +1,5 @@
 import { createContext, useContext, useState, useEffect } from 'react';
+import { authFetch, SESSION_EXPIRED_EVENT, TWO_FACTOR_SETUP_REQUIRED_EVENT } from '@/lib/authFetch';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
@@ -20,9 +21,7 @@ export function AuthProvider({ children }) {
 
       // If no stored user, try to fetch from server (handles OAuth cookie sessions)
       try {
-        const response = await fetch(`${API_URL}/auth/me`, {
-          credentials: 'include',
-        });
+        const response = await authFetch(`${API_URL}/auth/me`);
 
         if (response.ok) {
           const data = await response.json();
@@ -41,6 +40,32 @@ export function AuthProvider({ children }) {
     initAuth();
   }, []);
 
+  // Signed out elsewhere (session revoked or expired): drop the stored user
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      setUser(null);
+      localStorage.removeItem('user');
+    };
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
+
+  // Two-factor authentication became required for the user's role: route to the setup page
+  useEffect(() => {
+    const handleSetupRequired = () => {
+      setUser((current) => {
+        if (!current || current.twoFactorSetupRequired) return current;
+        const updated = { ...current, twoFactorSetupRequired: true };
+        localStorage.setItem('user', JSON.stringify(updated));
+        return updated;
+      });
+    };
+
+    window.addEventListener(TWO_FACTOR_SETUP_REQUIRED_EVENT, handleSetupRequired);
+    return () => window.removeEventListener(TWO_FACTOR_SETUP_REQUIRED_EVENT, handleSetupRequired);
+  }, []);
+
   const login = (userData) => {
     setUser(userData);
     localStorage.setItem('user', JSON.stringify(userData));
@@ -4,9 +4,14 @@
  * Provides API methods for user-facing features:
  * - Fetching public events with filtering
  * - Fetching public organisations
+ * - Organisation registration requests
+ * - Following organisations and event categories
+ * - Notification preferences and muted organisations/events
+ * - Signed-in sessions (devices) and signing them out
  */
 
 import { createContext, useContext, useState, useCallback } from 'react';
+import { authFetch, apiError } from '@/lib/authFetch';
 
 // API base URL from environment or default
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
@@ -29,11 +34,20 @@ export function UserProvider({ children }) {
   // Error state
   const [error, setError] = useState(null);
 
+  // Notification channels per type and muted organisations/events (null until loaded)
+  const [notificationPreferences, setNotificationPreferences] = useState(null);
+
+  // Followed organisations ({ _id, name, type, logo }) and event categories
+  const [following, setFollowing] = useState({
+    organisations: [],
+    categories: [],
+  });
+
   /**
    * Generic API request handler
    */
   const apiRequest = useCallback(async (endpoint, options = {}) => {
-    const response = await fetch(`${API_URL}${endpoint}`, {
+    const response = await authFetch(`${API_URL}${endpoint}`, {
       ...options,
       credentials: 'include',
       headers: {
@@ -45,7 +59,7 @@ export function UserProvider({ children }) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || 'Request failed');
+      throw apiError(data);
     }
 
     return data;
@@ -80,6 +94,34 @@ export function UserProvider({ children }) {
     }
   }, [apiRequest]);
 
+  /**
+   * Full-text search over events, ranked by relevance, with facet counts
+   * @param {Object} params - Query parameters
+   * @param {string} params.q - Search text
+   * @param {string} params.category - Category facet
+   * @param {string} params.eventType - Event type facet
+   * @param {string} params.city - City facet
+   * @param {string} params.price - Price range facet (free, under-25, 25-50, 50-100, 100-plus)
+   * @param {string} params.date - Start date facet (earlier, today, this-week, this-month, later)
+   * @param {string} params.organisationId - Organisation filter
+   * @param {number} params.page - Page number
+   * @param {number} params.limit - Items per page
+   */
+  const searchEvents = useCallback(async (params = {}) => {
+    setLoading((prev) => ({ ...prev, events: true }));
+    setError(null);
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const data = await apiRequest(`/events/search?${queryString}`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading((prev) => ({ ...prev, events: false }));
+    }
+  }, [apiRequest]);
+
   /**
    * Fetch single event by ID
    * @param {string} id - Event ID
@@ -137,6 +179,48 @@ export function UserProvider({ children }) {
     }
   }, [apiRequest]);
 
+  // ============================================
+  // ORGANISATION REQUEST METHODS
+  // ============================================
+
+  /**
+   * Request registration of an organisation
+   * @param {FormData} formData - Profile, contact details, optional logo and documents
+   */
+  const createOrganisationRequest = useCallback(async (formData) => {
+    setError(null);
+    try {
+      // Multipart body, so the browser sets the Content-Type
+      const response = await authFetch(`${API_URL}/organisation-requests`, {
+        method: 'POST',
+        credentials: 'include',
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw apiError(data);
+      }
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Fetch the current user's organisation registration requests
+   */
+  const getMyOrganisationRequests = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await apiRequest('/organisation-requests/my');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
   // ============================================
   // APPLICATION METHODS
   // ============================================
@@ -145,14 +229,15 @@ export function UserProvider({ children }) {
    * Create a new application (apply to event)
    * @param {string} eventId - Event ID to apply to
    * @param {string} message - Optional message with application
+   * @param {Object} answers - Answers to registration questions, keyed by question ID
    */
-  const createApplication = useCallback(async (eventId, message) => {
+  const createApplication = useCallback(async (eventId, message, answers) => {
     setLoading((prev) => ({ ...prev, applications: true }));
     setError(null);
     try {
       const data = await apiRequest('/applications', {
         method: 'POST',
-        body: JSON.stringify({ eventId, message }),
+        body: JSON.stringify({ eventId, message, answers }),
       });
       return data;
     } catch (err) {
@@ -199,18 +284,278 @@ export function UserProvider({ children }) {
     }
   }, [apiRequest]);
 
+  /**
+   * Get the signed ticket for an accepted application
+   * @param {string} applicationId - Application ID
+   */
+  const getTicket = useCallback(async (applicationId) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/applications/${applicationId}/ticket`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  // ============================================
+  // CALENDAR METHODS
+  // ============================================
+
+  /**
+   * Get the personal calendar feed URL (created on first use)
+   */
+  const getCalendarFeed = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await apiRequest('/events/calendar/feed');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Replace the calendar feed URL, invalidating the old one
+   */
+  const resetCalendarFeed = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await apiRequest('/events/calendar/feed/reset', {
+        method: 'POST',
+      });
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  // ============================================
+  // FOLLOW METHODS
+  // ============================================
+
+  /**
+   * Store the follow lists returned by the API
+   */
+  const applyFollowing = useCallback((data) => {
+    setFollowing({
+      organisations: data.data.organisations,
+      categories: data.data.categories,
+    });
+    return data;
+  }, []);
+
+  /**
+   * Load followed organisations and categories
+   */
+  const loadFollowing = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await apiRequest('/following');
+      return applyFollowing(data);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, applyFollowing]);
+
+  /**
+   * Follow or unfollow an organisation
+   * @param {string} organisationId - Organisation ID
+   * @param {boolean} follow - true to follow, false to unfollow
+   */
+  const setOrganisationFollowed = useCallback(async (organisationId, follow) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/following/organisations/${organisationId}`, {
+        method: follow ? 'POST' : 'DELETE',
+      });
+      return applyFollowing(data);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, applyFollowing]);
+
+  /**
+   * Follow or unfollow an event category
+   * @param {string} category - Event category value (e.g. 'career-fair')
+   * @param {boolean} follow - true to follow, false to unfollow
+   */
+  const setCategoryFollowed = useCallback(async (category, follow) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/following/categories/${encodeURIComponent(category)}`, {
+        method: follow ? 'POST' : 'DELETE',
+      });
+      return applyFollowing(data);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, applyFollowing]);
+
+  /**
+   * Upcoming events from followed organisations and categories
+   * @param {Object} params - Query parameters (page, limit)
+   */
+  const getFollowingFeed = useCallback(async (params = {}) => {
+    setError(null);
+    try {
+      const queryString = new URLSearchParams(params).toString();
+      const data = await apiRequest(`/following/feed?${queryString}`);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  // ============================================
+  // NOTIFICATION PREFERENCE METHODS
+  // ============================================
+
+  /**
+   * Store the preferences returned by the API
+   */
+  const applyNotificationPreferences = useCallback((data) => {
+    setNotificationPreferences(data.data.preferences);
+    return data;
+  }, []);
+
+  /**
+   * Load notification preferences
+   */
+  const loadNotificationPreferences = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await apiRequest('/notifications/preferences');
+      return applyNotificationPreferences(data);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, applyNotificationPreferences]);
+
+  /**
+   * Update delivery channels for notification types
+   * @param {Object} types - e.g. { new_event: { email: false } }
+   */
+  const updateNotificationChannels = useCallback(async (types) => {
+    setError(null);
+    try {
+      const data = await apiRequest('/notifications/preferences', {
+        method: 'PATCH',
+        body: JSON.stringify({ types }),
+      });
+      return applyNotificationPreferences(data);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, applyNotificationPreferences]);
+
+  /**
+   * Mute or unmute notifications about an organisation or event
+   * @param {string} target - 'organisations' or 'events'
+   * @param {string} id - Organisation or event ID
+   * @param {boolean} muted - true to mute, false to unmute
+   */
+  const setNotificationsMuted = useCallback(async (target, id, muted) => {
+    setError(null);
+    try {
+      const data = await apiRequest(`/notifications/preferences/muted-${target}/${id}`, {
+        method: muted ? 'POST' : 'DELETE',
+      });
+      return applyNotificationPreferences(data);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest, applyNotificationPreferences]);
+
+  // ============================================
+  // SESSION METHODS
+  // ============================================
+
+  /**
+   * Fetch the user's active sessions (signed-in devices)
+   */
+  const getSessions = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await apiRequest('/auth/sessions');
+      return data.sessions;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Sign out one session
+   * @param {string} id - Session ID
+   */
+  const revokeSession = useCallback(async (id) => {
+    setError(null);
+    try {
+      return await apiRequest(`/auth/sessions/${id}`, {
+        method: 'DELETE',
+      });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
+  /**
+   * Sign out every session except the current one
+   */
+  const revokeOtherSessions = useCallback(async () => {
+    setError(null);
+    try {
+      return await apiRequest('/auth/sessions', {
+        method: 'DELETE',
+      });
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [apiRequest]);
+
   // Context value
   const value = {
     loading,
     error,
     setError,
     getEvents,
+    searchEvents,
     getEvent,
     getOrganisations,
     getOrganisation,
+    createOrganisationRequest,
+    getMyOrganisationRequests,
     createApplication,
     getMyApplications,
     cancelApplication,
+    getTicket,
+    getCalendarFeed,
+    resetCalendarFeed,
+    following,
+    loadFollowing,
+    setOrganisationFollowed,
+    setCategoryFollowed,
+    getFollowingFeed,
+    notificationPreferences,
+    loadNotificationPreferences,
+    updateNotificationChannels,
+    setNotificationsMuted,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
   };
 
   return (
@@ -0,0 +1,135 @@
+/**
+ * Authenticated fetch
+ *
+ * fetch() with cookies that renews the short-lived access token:
+ * on a 401 it calls /auth/refresh once (shared by parallel requests)
+ * and retries the request. If the session cannot be renewed, a
+ * SESSION_EXPIRED_EVENT is dispatched on window so the app can sign out.
+ * When the account still has to set up required two-factor authentication,
+ * a TWO_FACTOR_SETUP_REQUIRED_EVENT is dispatched instead.
+ */
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+export const SESSION_EXPIRED_EVENT = 'auth:session-expired';
+export const TWO_FACTOR_SETUP_REQUIRED_EVENT = 'auth:two-factor-setup-required';
+
+// Refresh in progress, shared so the refresh token is only rotated once
+let refreshPromise = null;
+
+/**
+ * Renew the access token with the refresh token cookie
+ * @returns {Promise<boolean>} - Whether the session was renewed
+ */
+export function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_URL}/auth/refresh`, {
+      method: 'POST',
+      credentials: 'include',
+    })
+      .then((response) => response.ok)
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Dispatch TWO_FACTOR_SETUP_REQUIRED_EVENT if a 403 was caused by missing 2FA
+ * @param {Response} response - The 403 response (its body is left unread)
+ */
+function notifyTwoFactorSetupRequired(response) {
+  response
+    .clone()
+    .json()
+    .then((data) => {
+      if (data.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+        window.dispatchEvent(new Event(TWO_FACTOR_SETUP_REQUIRED_EVENT));
+      }
+    })
+    .catch(() => {});
+}
+
+/**
+ * fetch() with credentials and automatic token renewal
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function authFetch(url, options = {}) {
+  const request = () => fetch(url, { ...options, credentials: 'include' });
+
+  const response = await request();
+  if (response.status === 403) {
+    notifyTwoFactorSetupRequired(response);
+  }
+  if (response.status !== 401) {
+    return response;
+  }
+
+  if (await refreshSession()) {
+    return request();
+  }
+
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+  return response;
+}
+
+/**
+ * Error for a failed API response
+ * Validation failures also carry the server's messages per form field
+ * @param {Object} data - Response body ({ message, errors? })
+ * @returns {Error} - With fieldErrors ({ field: message }) when the server sent them
+ */
+export function apiError(data) {
+  const error = new Error(data.message || 'Request failed');
+  if (data.errors) {
+    error.fieldErrors = data.errors;
+  }
+  return error;
+}
+
+/**
+ * Field errors of a failed request, keyed by form field
+ * Nested paths (e.g. "registrationQuestions.0.label") count for their top-level field
+ * @param {Error} error - Error thrown by an API request
+ * @param {Object} [aliases] - Form field names for request fields that differ
+ * @returns {Object|null} - { field: message }, or null without field errors
+ */
+export function formErrors(error, aliases = {}) {
+  if (!error?.fieldErrors) return null;
+
+  return Object.entries(error.fieldErrors).reduce((errors, [path, message]) => {
+    const field = path.split('.')[0];
+    const key = aliases[field] || field;
+    return errors[key] ? errors : { ...errors, [key]: message };
+  }, {});
+}
+
+/**
+ * JSON request to the API with authFetch
+ * @param {string} endpoint - Path below the API URL, e.g. '/auth/2fa'
+ * @param {Object} options - fetch options; a body object is sent as JSON
+ * @returns {Promise<Object>} - Response data
+ * @throws {Error} - With the server's message (and fieldErrors) if the request failed
+ */
+export async function authRequest(endpoint, { body, ...options } = {}) {
+  const response = await authFetch(`${API_URL}${endpoint}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw apiError(data);
+  }
+
+  return data;
+}
@@ -0,0 +1,24 @@
+/**
+ * Organisation member roles and what they allow
+ * Mirrors Organisation.PERMISSIONS on the server, which has the final say
+ */
+
+export const ORGANISATION_ROLES = ['owner', 'editor', 'reviewer', 'checkin'];
+
+const PERMISSIONS = {
+  manageOrganisation: ['owner'],
+  manageEvents: ['owner', 'editor'],
+  viewApplications: ['owner', 'editor', 'reviewer'],
+  reviewApplications: ['owner', 'reviewer'],
+  messageApplicants: ['owner', 'editor', 'reviewer'],
+  checkIn: ['owner', 'editor', 'checkin'],
+};
+
+/**
+ * Check if a member role grants a permission
+ * @param {string} role - The user's role in the organisation
+ * @param {string} permission - Permission name
+ */
+export function hasOrganisationPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
@@ -0,0 +1,363 @@
+/**
+ * AcceptInvitation Page
+ *
+ * Joins an organisation team using the link from an invitation email
+ * (/invitations/accept?token=...)
+ * - Signed in with the invited address: accept with one click
+ * - Invited address has an account: sign in first, then come back here
+ * - No account yet: create one for the invited address and join
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import AuthPageLayout from '@/components/AuthPageLayout';
+import { useAuth } from '@/context/AuthContext';
+import { authFetch } from '@/lib/authFetch';
+import { ArrowLeft, Building2, Loader2, XCircle } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+/**
+ * Page to open after joining
+ */
+const getLandingPath = (user) => (user.twoFactorSetupRequired ? '/two-factor-setup' : '/organisation');
+
+export default function AcceptInvitation() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const { user, isAuthenticated, loading: authLoading, login, logout } = useAuth();
+  const token = searchParams.get('token');
+
+  // loading | ready | failed
+  const [state, setState] = useState(token ? 'loading' : 'failed');
+  const [message, setMessage] = useState(token ? '' : t('invitations.invalidLink'));
+  const [invitation, setInvitation] = useState(null);
+
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+
+    fetch(`${API_URL}/invitations/${encodeURIComponent(token)}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || t('invitations.invalidLink'));
+        }
+        if (!cancelled) {
+          setInvitation(data.data.invitation);
+          setState('ready');
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setState('failed');
+          setMessage(err.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, t]);
+
+  const organisationName = invitation?.organisation?.name;
+
+  /**
+   * Accept as the signed-in user, then reload the user as the role changed
+   */
+  const handleAccept = async () => {
+    setError('');
+    setSubmitting(true);
+
+    try {
+      const response = await authFetch(`${API_URL}/invitations/accept`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || t('auth.requestFailed'));
+      }
+
+      const meResponse = await authFetch(`${API_URL}/auth/me`);
+      const me = meResponse.ok ? await meResponse.json() : null;
+      const updatedUser = me?.user || user;
+      login(updatedUser);
+
+      toast.success(t('invitations.joined', { name: organisationName }));
+      navigate(getLandingPath(updatedUser));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Create an account for the invited address and join
+   */
+  const handleSignup = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError(t('auth.passwordsDoNotMatch'));
+      return;
+    }
+
+    if (password.length < 6) {
+      setError(t('auth.passwordMinLength'));
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      const response = await fetch(`${API_URL}/invitations/signup`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ token, name, password }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || t('auth.requestFailed'));
+      }
+
+      login(data.user);
+      toast.success(t('invitations.joined', { name: organisationName }));
+      navigate(getLandingPath(data.user));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * Sign out to continue with the invited address
+   */
+  const handleLogout = async () => {
+    try {
+      await fetch(`${API_URL}/auth/logout`, { method: 'POST', credentials: 'include' });
+    } catch {
+      // Signed out locally either way
+    }
+    logout();
+  };
+
+  const renderAction = () => {
+    if (isAuthenticated && user.email === invitation.email) {
+      return (
+        <Button
+          className="w-full h-12 text-base font-semibold bg-gradient-to-r from-violet-600 to-purple-600 hover:from-violet-700 hover:to-purple-700"
+          onClick={handleAccept}
+          disabled={submitting}
+        >
+          {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : t('invitations.accept')}
+        </Button>
+      );
+    }
+
+    if (isAuthenticated) {
+      return (
+        <div className="space-y-3">
+          <div className="p-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg">
+            {t('invitations.wrongAccount', { email: user.email, invitedEmail: invitation.email })}
+          </div>
+          <Button variant="outline" className="w-full" onClick={handleLogout}>
+            {t('invitations.switchAccount')}
+          </Button>
+        </div>
+      );
+    }
+
+    if (invitation.hasAccount) {
+      const redirect = `${location.pathname}${location.search}`;
+      return (
+        <div className="space-y-3">
+          <p className="text-sm text-muted-foreground">
+            {t('invitations.loginToAccept', { email: invitation.email })}
+          </p>
+          <Button asChild className="w-full h-12 text-base font-semibold bg-gradient-to-r from-violet-600 to-purple-600">
+            <Link to={`/login?redirect=${encodeURIComponent(redirect)}`}>{t('common.signIn')}</Link>
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleSignup} className="space-y-4">
+        <p className="text-sm text-muted-foreground">{t('invitations.createAccountToAccept')}</p>
+
+        <div className="space-y-2">
+          <Label htmlFor="invitation-email" className="text-sm font-medium">
+            {t('common.email')}
+          </Label>
+          <Input id="invitation-email" type="email" value={invitation.email} className="h-12 text-base px-4" disabled />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="name" className="text-sm font-medium">
+            {t('auth.fullName')}
+          </Label>
+          <Input
+            id="name"
+            type="text"
+            placeholder={t('auth.namePlaceholder')}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="h-12 text-base px-4"
+            autoComplete="name"
+            required
+          />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="password" className="text-sm font-medium">
+            {t('auth.password')}
+          </Label>
+          <Input
+            id="password"
+            type="password"
+            placeholder={t('auth.createPassword')}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="h-12 text-base px-4"
+            autoComplete="new-password"
+            required
+          />
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="confirmPassword" className="text-sm font-medium">
+            {t('auth.confirmPassword')}
+          </Label>
+          <Input
+            id="confirmPassword"
+            type="password"
+            placeholder={t('auth.confirmYourPassword')}
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            className="h-12 text-base px-4"
+            autoComplete="new-password"
+            required
+          />
+        </div>
+
+        <Button
+          type="submit"
+          className="w-full h-12 text-base font-semibold bg-gradient-to-r from-violet-600 to-purple-600 hover:from-violet-700 hover:to-purple-700"
+          disabled={submitting}
+        >
+          {submitting ? t('common.creatingAccount') : t('invitations.createAccountAndJoin')}
+        </Button>
+      </form>
+    );
+  };
+
+  return (
+    <AuthPageLayout>
+      <Card className="border-0 shadow-xl shadow-black/5">
+        <CardHeader className="space-y-1 pb-4">
+          <CardTitle className="text-2xl font-bold tracking-tight">
+            {t('invitations.acceptTitle')}
+          </CardTitle>
+          {state === 'ready' && (
+            <CardDescription className="text-base">
+              {invitation.invitedBy
+                ? t('invitations.invitedYouBy', { name: invitation.invitedBy, organisation: organisationName })
+                : t('invitations.invitedYou', { organisation: organisationName })}
+            </CardDescription>
+          )}
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          {state === 'loading' && (
+            <div className="flex items-center gap-3 text-muted-foreground">
+              <Loader2 className="w-5 h-5 animate-spin text-violet-500" />
+              {t('common.loading')}
+            </div>
+          )}
+
+          {state === 'failed' && (
+            <div className="p-4 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg flex gap-3">
+              <XCircle className="w-5 h-5 flex-shrink-0" />
+              <p>{message}</p>
+            </div>
+          )}
+
+          {state === 'ready' && (
+            <>
+              <div className="p-4 bg-muted/50 rounded-lg flex gap-3">
+                <div className="w-10 h-10 bg-violet-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                  {invitation.organisation.logo ? (
+                    <img src={invitation.organisation.logo} alt="" className="w-10 h-10 rounded-lg object-cover" />
+                  ) : (
+                    <Building2 className="w-5 h-5 text-violet-600" />
+                  )}
+                </div>
+                <div className="text-sm">
+                  <p className="font-semibold">{organisationName}</p>
+                  <p>{t(`organisations.roles.${invitation.role}`)}</p>
+                  <p className="text-muted-foreground">{t(`organisations.roleDescriptions.${invitation.role}`)}</p>
+                </div>
+              </div>
+
+              {error && (
+                <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+                  <div className="w-1.5 h-1.5 bg-red-500 rounded-full" />
+                  {error}
+                </div>
+              )}
+
+              {!authLoading && renderAction()}
+            </>
+          )}
+        </CardContent>
+
+        {state === 'failed' && (
+          <CardFooter>
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="text-sm text-violet-600 hover:text-violet-700 font-medium hover:underline inline-flex items-center gap-1"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              {isAuthenticated ? t('auth.goToDashboard') : t('auth.backToLogin')}
+            </Link>
+          </CardFooter>
+        )}
+      </Card>
+    </AuthPageLayout>
+  );
+}
@@ -4,8 +4,10 @@
  * Main admin dashboard with tab-based navigation
  * Provides access to:
  * - Organisations management
+ * - Organisation registration requests (review queue)
  * - Events management
  * - Members overview
+ * - Security (own two-factor authentication, roles that require it)
  */
 
 import { useEffect } from 'react';
@@ -16,9 +18,12 @@ import { AdminProvider } from '@/context/AdminContext';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Button } from '@/components/ui/button';
 import OrganisationsTab from '@/components/admin/OrganisationsTab';
+import OrganisationRequestsTab from '@/components/admin/OrganisationRequestsTab';
 import EventsTab from '@/components/admin/EventsTab';
 import MembersTab from '@/components/admin/MembersTab';
 import ApplicationsTab from '@/components/admin/ApplicationsTab';
+import SecuritySettings from '@/components/admin/SecuritySettings';
+import TwoFactorSettings from '@/components/TwoFactorSettings';
 import LanguageSwitcher from '@/components/LanguageSwitcher';
 
 /**
@@ -91,11 +96,13 @@ function AdminPanelContent() {
       <main className="container mx-auto px-4 py-6">
         <Tabs defaultValue="organisations" className="space-y-6">
           {/* Tab Navigation */}
-          <TabsList className="grid w-full max-w-xl grid-cols-4">
+          <TabsList className="grid w-full max-w-3xl grid-cols-6">
             <TabsTrigger value="organisations">{t('tabs.organisations')}</TabsTrigger>
+            <TabsTrigger value="requests">{t('tabs.requests')}</TabsTrigger>
             <TabsTrigger value="events">{t('tabs.events')}</TabsTrigger>
             <TabsTrigger value="applications">{t('tabs.applications')}</TabsTrigger>
             <TabsTrigger value="members">{t('tabs.members')}</TabsTrigger>
+            <TabsTrigger value="security">{t('tabs.security')}</TabsTrigger>
           </TabsList>
 
           {/* Organisations Tab Content */}
@@ -111,6 +118,19 @@ function AdminPanelContent() {
             <OrganisationsTab />
           </TabsContent>
 
+          {/* Organisation Requests Tab Content */}
+          <TabsContent value="requests" className="space-y-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-semibold">{t('organisationRequests.queueTitle')}</h2>
+                <p className="text-sm text-muted-foreground">
+                  {t('admin.organisationRequestsDescription')}
+                </p>
+              </div>
+            </div>
+            <OrganisationRequestsTab />
+          </TabsContent>
+
           {/* Events Tab Content */}
           <TabsContent value="events" className="space-y-4">
             <div className="flex items-center justify-between">
@@ -149,6 +169,20 @@ function AdminPanelContent() {
             </div>
             <MembersTab />
           </TabsContent>
+
+          {/* Security Tab Content */}
+          <TabsContent value="security" className="space-y-4">
+            <div>
+              <h2 className="text-xl font-semibold">{t('tabs.security')}</h2>
+              <p className="text-sm text-muted-foreground">
+                {t('admin.securityDescription')}
+              </p>
+            </div>
+            <div className="max-w-2xl space-y-6">
+              <TwoFactorSettings />
+              <SecuritySettings />
+            </div>
+          </TabsContent>
         </Tabs>
       </main>
     </div>
@@ -0,0 +1,127 @@
+/**
+ * ForgotPassword Page
+ *
+ * Requests a password reset link by email
+ * The server answers the same way whether or not the email is registered
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import AuthPageLayout from '@/components/AuthPageLayout';
+import { ArrowLeft, MailCheck } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+export default function ForgotPassword() {
+  const { t } = useTranslation();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_URL}/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || t('auth.requestFailed'));
+      }
+
+      setSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthPageLayout>
+      <Card className="border-0 shadow-xl shadow-black/5">
+        <CardHeader className="space-y-1 pb-4">
+          <CardTitle className="text-2xl font-bold tracking-tight">
+            {t('auth.forgotPasswordTitle')}
+          </CardTitle>
+          <CardDescription className="text-base">
+            {t('auth.forgotPasswordDescription')}
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent>
+          {sent ? (
+            <div className="p-4 text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg flex gap-3">
+              <MailCheck className="w-5 h-5 flex-shrink-0" />
+              <p>{t('auth.resetLinkSent', { email })}</p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+                  <div className="w-1.5 h-1.5 bg-red-500 rounded-full" />
+                  {error}
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="email" className="text-sm font-medium">
+                  {t('common.email')}
+                </Label>
+                <Input
+                  id="email"
+                  type="email"
+                  placeholder={t('auth.emailPlaceholder')}
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="h-12 text-base px-4"
+                  required
+                />
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full h-12 text-base font-semibold bg-gradient-to-r from-violet-600 to-purple-600 hover:from-violet-700 hover:to-purple-700"
+                disabled={loading}
+              >
+                {loading ? t('common.processing') : t('auth.sendResetLink')}
+              </Button>
+            </form>
+          )}
+        </CardContent>
+
+        <CardFooter>
+          <Link
+            to="/login"
+            className="text-sm text-violet-600 hover:text-violet-700 font-medium hover:underline inline-flex items-center gap-1"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            {t('auth.backToLogin')}
+          </Link>
+        </CardFooter>
+      </Card>
+    </AuthPageLayout>
+  );
+}
@@ -14,7 +14,7 @@ import {
   CardTitle,
 } from '@/components/ui/card';
 import LanguageSwitcher from '@/components/LanguageSwitcher';
-import { Calendar, Users, Sparkles, ArrowRight, Eye, EyeOff } from 'lucide-react';
+import { Calendar, Users, Sparkles, ArrowRight, Eye, EyeOff, ShieldCheck } from 'lucide-react';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
@@ -28,6 +28,10 @@ export default function Login() {
   const { login } = useAuth();
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
+  // Second step for accounts with two-factor authentication (also after Google sign-in)
+  const [twoFactorStep, setTwoFactorStep] = useState(() => searchParams.get('twoFactor') === 'required');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [code, setCode] = useState('');
 
   // Handle OAuth error messages from URL
   useEffect(() => {
@@ -64,15 +68,12 @@ export default function Login() {
         throw new Error(data.message || 'Login failed');
       }
 
-      login(data.user);
-      localStorage.setItem('token', data.token);
-      let redirectPath = '/dashboard';
-      if (data.user.role === 'admin') {
-        redirectPath = '/admin';
-      } else if (data.user.role === 'organisation') {
-        redirectPath = '/organisation';
+      if (data.twoFactorRequired) {
+        setTwoFactorStep(true);
+        return;
       }
-      navigate(redirectPath);
+
+      completeLogin(data.user);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -80,6 +81,60 @@ export default function Login() {
     }
   };
 
+  const completeLogin = (user) => {
+    login(user);
+    // Pages that send the user here to sign in first (e.g. invitation links) ask to come back
+    const redirect = searchParams.get('redirect');
+    let redirectPath = '/dashboard';
+    if (user.twoFactorSetupRequired) {
+      redirectPath = '/two-factor-setup';
+    } else if (redirect && redirect.startsWith('/') && !redirect.startsWith('//')) {
+      redirectPath = redirect;
+    } else if (user.role === 'admin') {
+      redirectPath = '/admin';
+    } else if (user.role === 'organisation') {
+      redirectPath = '/organisation';
+    }
+    navigate(redirectPath);
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_URL}/auth/2fa/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(useRecoveryCode ? { recoveryCode: code } : { code }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Verification failed');
+      }
+
+      completeLogin(data.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackToPassword = () => {
+    setTwoFactorStep(false);
+    setUseRecoveryCode(false);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
   const handleGoogleLogin = () => {
     window.location.href = `${API_URL}/auth/google`;
   };
@@ -174,133 +229,203 @@ export default function Login() {
           <Card className="border-0 shadow-xl shadow-black/5">
             <CardHeader className="space-y-1 pb-4">
               <CardTitle className="text-2xl sm:text-3xl font-bold tracking-tight">
-                {t('auth.welcomeBack')}
+                {twoFactorStep ? t('twoFactor.loginTitle') : t('auth.welcomeBack')}
               </CardTitle>
               <CardDescription className="text-base">
-                {t('auth.enterCredentials')}
+                {twoFactorStep
+                  ? (useRecoveryCode ? t('twoFactor.loginRecoveryDescription') : t('twoFactor.loginDescription'))
+                  : t('auth.enterCredentials')}
               </CardDescription>
             </CardHeader>
 
-            <CardContent className="space-y-4">
-              {/* Google Login Button */}
-              <Button
-                type="button"
-                variant="outline"
-                className="w-full h-12 text-base font-medium hover:bg-muted/50 transition-all duration-200"
-                onClick={handleGoogleLogin}
-              >
-                <svg className="mr-2 h-5 w-5" viewBox="0 0 24 24">
-                  <path
-                    d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
-                    fill="#4285F4"
-                  />
-                  <path
-                    d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
-                    fill="#34A853"
-                  />
-                  <path
-                    d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
-                    fill="#FBBC05"
-                  />
-                  <path
-                    d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
-                    fill="#EA4335"
-                  />
-                </svg>
-                {t('auth.continueWithGoogle')}
-              </Button>
-
-              {/* Divider */}
-              <div className="relative my-6">
-                <div className="absolute inset-0 flex items-center">
-                  <span className="w-full border-t" />
-                </div>
-                <div className="relative flex justify-center text-xs uppercase">
-                  <span className="bg-card px-3 text-muted-foreground font-medium">
-                    {t('auth.orContinueWith')}
-                  </span>
-                </div>
-              </div>
-
-              {/* Login Form */}
-              <form onSubmit={handleSubmit} className="space-y-4">
-                {error && (
-                  <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
-                    <div className="w-1.5 h-1.5 bg-red-500 rounded-full" />
-                    {error}
-                  </div>
-                )}
-
-                <div className="space-y-2">
-                  <Label htmlFor="email" className="text-sm font-medium">
-                    {t('common.email')}
-                  </Label>
-                  <Input
-                    id="email"
-                    type="email"
-                    placeholder={t('auth.emailPlaceholder')}
-                    value={email}
-                    onChange={(e) => setEmail(e.target.value)}
-                    className="h-12 text-base px-4 transition-all duration-200 focus:ring-2 focus:ring-violet-500/20"
-                    required
-                  />
-                </div>
+            {twoFactorStep ? (
+              <CardContent>
+                <form onSubmit={handleVerifyCode} className="space-y-4">
+                  {error && (
+                    <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+                      <div className="w-1.5 h-1.5 bg-red-500 rounded-full" />
+                      {error}
+                    </div>
+                  )}
 
-                <div className="space-y-2">
-                  <div className="flex items-center justify-between">
-                    <Label htmlFor="password" className="text-sm font-medium">
-                      {t('auth.password')}
+                  <div className="space-y-2">
+                    <Label htmlFor="code" className="text-sm font-medium">
+                      {useRecoveryCode ? t('twoFactor.recoveryCode') : t('twoFactor.code')}
                     </Label>
-                    <Link
-                      to="/forgot-password"
-                      className="text-xs text-violet-600 hover:text-violet-700 font-medium hover:underline"
-                    >
-                      Forgot password?
-                    </Link>
-                  </div>
-                  <div className="relative">
                     <Input
-                      id="password"
-                      type={showPassword ? 'text' : 'password'}
-                      placeholder={t('auth.enterPassword')}
-                      value={password}
-                      onChange={(e) => setPassword(e.target.value)}
-                      className="h-12 text-base px-4 pr-12 transition-all duration-200 focus:ring-2 focus:ring-violet-500/20"
+                      id="code"
+                      inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                      autoComplete="one-time-code"
+                      placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      className="h-12 text-base px-4 tracking-widest transition-all duration-200 focus:ring-2 focus:ring-violet-500/20"
+                      autoFocus
                       required
                     />
+                  </div>
+
+                  <Button
+                    type="submit"
+                    className="w-full h-12 text-base font-semibold bg-gradient-to-r from-violet-600 to-purple-600 hover:from-violet-700 hover:to-purple-700 transition-all duration-200 shadow-lg shadow-violet-500/25"
+                    disabled={loading}
+                  >
+                    {loading ? (
+                      <div className="flex items-center gap-2">
+                        <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                        {t('twoFactor.verifying')}
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2">
+                        <ShieldCheck className="w-5 h-5" />
+                        {t('twoFactor.verify')}
+                      </div>
+                    )}
+                  </Button>
+
+                  <div className="flex items-center justify-between text-sm">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setUseRecoveryCode(!useRecoveryCode);
+                        setCode('');
+                      }}
+                      className="text-violet-600 hover:text-violet-700 font-medium hover:underline"
+                    >
+                      {useRecoveryCode ? t('twoFactor.useAuthenticator') : t('twoFactor.useRecoveryCode')}
+                    </button>
                     <button
                       type="button"
-                      onClick={() => setShowPassword(!showPassword)}
-                      className="absolute right-4 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground transition-colors"
+                      onClick={handleBackToPassword}
+                      className="text-muted-foreground hover:text-foreground"
                     >
-                      {showPassword ? (
-                        <EyeOff className="w-5 h-5" />
-                      ) : (
-                        <Eye className="w-5 h-5" />
-                      )}
+                      {t('auth.backToLogin')}
                     </button>
                   </div>
-                </div>
-
+                </form>
+              </CardContent>
+            ) : (
+              <CardContent className="space-y-4">
+                {/* Google Login Button */}
                 <Button
-                  type="submit"
-                  className="w-full h-12 text-base font-semibold bg-gradient-to-r from-violet-600 to-purple-600 hover:from-violet-700 hover:to-purple-700 transition-all duration-200 shadow-lg shadow-violet-500/25"
-                  disabled={loading}
+                  type="button"
+                  variant="outline"
+                  className="w-full h-12 text-base font-medium hover:bg-muted/50 transition-all duration-200"
+                  onClick={handleGoogleLogin}
                 >
-                  {loading ? (
-                    <div className="flex items-center gap-2">
-                      <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                      {t('common.signingIn')}
-                    </div>
-                  ) : (
-                    <div className="flex items-center gap-2">
-                      {t('common.signIn')}
-                      <ArrowRight className="w-5 h-5" />
+                  <svg className="mr-2 h-5 w-5" viewBox="0 0 24 24">
+                    <path
+                      d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
+                      fill="#4285F4"
+                    />
+                    <path
+                      d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
+                      fill="#34A853"
+                    />
+                    <path
+                      d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
+                      fill="#FBBC05"
+                    />
+                    <path
+                      d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
+                      fill="#EA4335"
+                    />
+                  </svg>
+                  {t('auth.continueWithGoogle')}
+                </Button>
+
+                {/* Divider */}
+                <div className="relative my-6">
+                  <div className="absolute inset-0 flex items-center">
+                    <span className="w-full border-t" />
+                  </div>
+                  <div className="relative flex justify-center text-xs uppercase">
+                    <span className="bg-card px-3 text-muted-foreground font-medium">
+                      {t('auth.orContinueWith')}
+                    </span>
+                  </div>
+                </div>
+
+                {/* Login Form */}
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  {error && (
+                    <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+                      <div className="w-1.5 h-1.5 bg-red-500 rounded-full" />
+                      {error}
                     </div>
                   )}
-                </Button>
-              </form>
-            </CardContent>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="email" className="text-sm font-medium">
+                      {t('common.email')}
+                    </Label>
+                    <Input
+                      id="email"
+                      type="email"
+                      placeholder={t('auth.emailPlaceholder')}
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="h-12 text-base px-4 transition-all duration-200 focus:ring-2 focus:ring-violet-500/20"
+                      required
+                    />
+                  </div>
+
+                  <div className="space-y-2">
+                    <div className="flex items-center justify-between">
+                      <Label htmlFor="password" className="text-sm font-medium">
+                        {t('auth.password')}
+                      </Label>
+                      <Link
+                        to="/forgot-password"
+                        className="text-xs text-violet-600 hover:text-violet-700 font-medium hover:underline"
+                      >
+                        {t('auth.forgotPassword')}
+                      </Link>
+                    </div>
+                    <div className="relative">
+                      <Input
+                        id="password"
+                        type={showPassword ? 'text' : 'password'}
+                        placeholder={t('auth.enterPassword')}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="h-12 text-base px-4 pr-12 transition-all duration-200 focus:ring-2 focus:ring-violet-500/20"
+                        required
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="absolute right-4 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground transition-colors"
+                      >
+                        {showPassword ? (
+                          <EyeOff className="w-5 h-5" />
+                        ) : (
+                          <Eye className="w-5 h-5" />
+                        )}
+                      </button>
+                    </div>
+                  </div>
+
+                  <Button
+                    type="submit"
+                    className="w-full h-12 text-base font-semibold bg-gradient-to-r from-violet-600 to-purple-600 hover:from-violet-700 hover:to-purple-700 transition-all duration-200 shadow-lg shadow-violet-500/25"
+                    disabled={loading}
+                  >
+                    {loading ? (
+                      <div className="flex items-center gap-2">
+                        <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                        {t('common.signingIn')}
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2">
+                        {t('common.signIn')}
+                        <ArrowRight className="w-5 h-5" />
+                      </div>
+                    )}
+                  </Button>
+                </form>
+              </CardContent>
+            )}
 
             <CardFooter className="flex flex-col gap-4 pt-2">
               <p className="text-sm text-muted-foreground text-center">
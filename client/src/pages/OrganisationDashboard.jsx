@@ -7,11 +7,15 @@
  * - Stats overview cards
  * - Event management with cards
  * - Application management
- * - Organisation profile
+ * - Organisation profile and team members (owners)
+ * - Account security (two-factor authentication)
+ * Tabs and actions follow the user's role in the organisation
+ * Members of several organisations switch between them (?org=<id> in the URL);
+ * pending applications can also be reviewed across all of them at once
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { toast } from 'react-toastify';
 import { useAuth } from '@/context/AuthContext';
@@ -40,7 +44,15 @@ import {
 } from '@/components/ui/dialog';
 import EventForm from '@/components/admin/EventForm';
 import EventDetailDialog from '@/components/admin/EventDetailDialog';
+import WaitlistDialog from '@/components/admin/WaitlistDialog';
+import CheckInPanel from '@/components/admin/CheckInPanel';
+import EventPicker from '@/components/EventPicker';
+import ApplicationAnswers from '@/components/admin/ApplicationAnswers';
+import BulkActionsBar from '@/components/admin/BulkActionsBar';
+import OrganisationMembers from '@/components/admin/OrganisationMembers';
+import TwoFactorSettings from '@/components/TwoFactorSettings';
 import LanguageSwitcher from '@/components/LanguageSwitcher';
+import { hasOrganisationPermission } from '@/lib/organisationRoles';
 import {
   Calendar,
   Building2,
@@ -68,8 +80,15 @@ import {
   Phone,
   Upload,
   ExternalLink,
+  ListOrdered,
+  ScanLine,
+  Download,
+  ShieldCheck,
+  UserCog,
 } from 'lucide-react';
 
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
 // Organisation types moved inside component to use translations
 
 const formatDate = (date) => {
@@ -98,6 +117,7 @@ const getAppStatusStyle = (status) => {
     accepted: 'bg-green-100 text-green-700 border-green-200',
     rejected: 'bg-red-100 text-red-700 border-red-200',
     cancelled: 'bg-gray-100 text-gray-700 border-gray-200',
+    waitlisted: 'bg-orange-100 text-orange-700 border-orange-200',
   };
   return styles[status] || styles.pending;
 };
@@ -123,13 +143,16 @@ function OrganisationDashboardContent() {
     error,
   } = useAdmin();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // UI State
   const [activeTab, setActiveTab] = useState('overview');
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
 
-  // Organisation state
-  const [organisation, setOrganisation] = useState(null);
+  // Organisation state; the selected organisation lives in the URL
+  const [organisations, setOrganisations] = useState([]);
+  const selectedOrgId = searchParams.get('org');
+  const organisation = organisations.find((org) => org._id === selectedOrgId) || null;
   const [orgFormData, setOrgFormData] = useState({
     name: '',
     type: 'university',
@@ -141,6 +164,11 @@ function OrganisationDashboardContent() {
   const [logo, setLogo] = useState(null);
   const [saving, setSaving] = useState(false);
 
+  // What the user's role in the organisation allows
+  const myRole = organisation?.myRole;
+  const can = (permission) => hasOrganisationPermission(myRole, permission);
+  const canInAny = (permission) => organisations.some((org) => hasOrganisationPermission(org.myRole, permission));
+
   // Events state
   const [events, setEvents] = useState([]);
   const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
@@ -157,11 +185,18 @@ function OrganisationDashboardContent() {
   const [applications, setApplications] = useState([]);
   const [appPagination, setAppPagination] = useState({ page: 1, totalPages: 1, total: 0 });
   const [appFilterStatus, setAppFilterStatus] = useState('all');
+  const [appFilterEvent, setAppFilterEvent] = useState('all');
+  // 'organisation' (selected one) or 'all' (every organisation the user can view applications of)
+  const [appScope, setAppScope] = useState('organisation');
+  const [selectedAppIds, setSelectedAppIds] = useState([]);
+  const [selectAllMatchingApps, setSelectAllMatchingApps] = useState(false);
   const [appActionDialogOpen, setAppActionDialogOpen] = useState(false);
   const [selectedApplication, setSelectedApplication] = useState(null);
   const [appActionType, setAppActionType] = useState('');
   const [rejectionReason, setRejectionReason] = useState('');
   const [processingApp, setProcessingApp] = useState(false);
+  const [waitlistDialogOpen, setWaitlistDialogOpen] = useState(false);
+  const [waitlistEvent, setWaitlistEvent] = useState(null);
 
   // Stats
   const [stats, setStats] = useState({
@@ -178,24 +213,13 @@ function OrganisationDashboardContent() {
     }
   }, [authLoading, user, navigate]);
 
-  // Fetch organisation where user is admin
-  const fetchOrganisation = useCallback(async () => {
+  // Fetch organisations where user is a member
+  const fetchOrganisations = useCallback(async () => {
     try {
       const data = await getMyOrganisations();
-      const userOrg = data.data.organisations[0]; // Get the first organisation where user is admin
-      if (userOrg) {
-        setOrganisation(userOrg);
-        setOrgFormData({
-          name: userOrg.name || '',
-          type: userOrg.type || 'university',
-          description: userOrg.description || '',
-          email: userOrg.email || '',
-          website: userOrg.website || '',
-          phone: userOrg.phone || '',
-        });
-      }
+      setOrganisations(data.data.organisations);
     } catch (err) {
-      console.error('Failed to fetch organisation:', err);
+      console.error('Failed to fetch organisations:', err);
     }
   }, [getMyOrganisations]);
 
@@ -217,33 +241,76 @@ function OrganisationDashboardContent() {
     }
   }, [getEvents, organisation]);
 
-  // Fetch applications
-  const fetchApplications = useCallback(async (page = 1, status = 'all') => {
+  // Fetch applications of the selected organisation, or of all of them
+  const fetchApplications = useCallback(async (page = 1, status = 'all', eventId = 'all', scope = 'organisation') => {
+    if (!organisation) return;
     try {
       const params = { page, limit: 10 };
+      if (scope !== 'all') params.organisationId = organisation._id;
       if (status && status !== 'all') params.status = status;
+      if (eventId && eventId !== 'all') params.eventId = eventId;
       const data = await getOrganisationApplications(params);
       setApplications(data.data.applications);
       setAppPagination({ page: data.page, totalPages: data.totalPages, total: data.total });
-
-      // Update stats
-      const pendingCount = data.data.applications.filter(a => a.status === 'pending').length;
-      setStats(prev => ({ ...prev, totalApplications: data.total, pendingApplications: pendingCount }));
     } catch (err) {
       console.error('Failed to fetch applications:', err);
     }
-  }, [getOrganisationApplications]);
+  }, [getOrganisationApplications, organisation]);
+
+  // Application counts of the selected organisation
+  const fetchApplicationStats = useCallback(async () => {
+    if (!organisation) return;
+    try {
+      const [all, pending] = await Promise.all([
+        getOrganisationApplications({ organisationId: organisation._id, limit: 1 }),
+        getOrganisationApplications({ organisationId: organisation._id, status: 'pending', limit: 1 }),
+      ]);
+      setStats(prev => ({ ...prev, totalApplications: all.total, pendingApplications: pending.total }));
+    } catch (err) {
+      console.error('Failed to fetch application stats:', err);
+    }
+  }, [getOrganisationApplications, organisation]);
+
+  useEffect(() => {
+    if (user) fetchOrganisations();
+  }, [fetchOrganisations, user]);
+
+  // Select the first organisation when the URL names none (or one the user left)
+  useEffect(() => {
+    if (organisations.length > 0 && !organisation) {
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        next.set('org', organisations[0]._id);
+        return next;
+      }, { replace: true });
+    }
+  }, [organisations, organisation, setSearchParams]);
 
   useEffect(() => {
-    if (user) fetchOrganisation();
-  }, [fetchOrganisation, user]);
+    if (!organisation) return;
+    setOrgFormData({
+      name: organisation.name || '',
+      type: organisation.type || 'university',
+      description: organisation.description || '',
+      email: organisation.email || '',
+      website: organisation.website || '',
+      phone: organisation.phone || '',
+    });
+    setLogo(null);
+  }, [organisation]);
 
   useEffect(() => {
     if (organisation) {
       fetchEvents();
-      fetchApplications();
+      if (hasOrganisationPermission(organisation.myRole, 'viewApplications')) {
+        fetchApplications();
+        fetchApplicationStats();
+      } else {
+        setApplications([]);
+        setStats(prev => ({ ...prev, totalApplications: 0, pendingApplications: 0 }));
+      }
     }
-  }, [organisation, fetchEvents, fetchApplications]);
+  }, [organisation, fetchEvents, fetchApplications, fetchApplicationStats]);
 
   // Handlers
   const handleOrgChange = (e) => {
@@ -262,7 +329,7 @@ function OrganisationDashboardContent() {
       });
       if (logo) formData.append('logo', logo);
       await updateOrganisation(organisation._id, formData);
-      fetchOrganisation();
+      fetchOrganisations();
       toast.success('Organisation updated successfully');
     } catch (err) {
       toast.error(err.message || 'Failed to update organisation');
@@ -289,6 +356,8 @@ function OrganisationDashboardContent() {
       fetchEvents(pagination.page, searchQuery);
     } catch (err) {
       toast.error(err.message || 'Failed to save event');
+      // Lets the form show field errors inline
+      throw err;
     }
   };
 
@@ -307,6 +376,29 @@ function OrganisationDashboardContent() {
     }
   };
 
+  // Reload the current application list and the counts after changes
+  const refreshApplications = () => {
+    fetchApplications(appPagination.page, appFilterStatus, appFilterEvent, appScope);
+    fetchApplicationStats();
+  };
+
+  const clearAppSelection = () => {
+    setSelectedAppIds([]);
+    setSelectAllMatchingApps(false);
+  };
+
+  const toggleAppSelected = (id) => {
+    setSelectAllMatchingApps(false);
+    setSelectedAppIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const toggleAppPage = () => {
+    const pageIds = applications.map((a) => a._id);
+    const allSelected = pageIds.every((id) => selectedAppIds.includes(id));
+    setSelectAllMatchingApps(false);
+    setSelectedAppIds((prev) => (allSelected ? prev.filter((id) => !pageIds.includes(id)) : [...new Set([...prev, ...pageIds])]));
+  };
+
   const handleAppActionConfirm = async () => {
     if (!selectedApplication) return;
     setProcessingApp(true);
@@ -314,7 +406,7 @@ function OrganisationDashboardContent() {
       const status = appActionType === 'accept' ? 'accepted' : 'rejected';
       await updateApplicationStatus(selectedApplication._id, status, appActionType === 'reject' ? rejectionReason : undefined);
       setAppActionDialogOpen(false);
-      fetchApplications(appPagination.page, appFilterStatus);
+      refreshApplications();
       toast.success(`Application ${status} successfully`);
     } catch (err) {
       toast.error(err.message || 'Failed to update application');
@@ -323,8 +415,41 @@ function OrganisationDashboardContent() {
     }
   };
 
+  // Reload the organisation when the user's own role changed (or they left)
+  const handleMembersChange = (members) => {
+    const self = members.find((member) => member.userId?._id === user._id);
+    if (self?.role !== myRole) {
+      setActiveTab('overview');
+      fetchOrganisations();
+    }
+  };
+
+  // Open another organisation; filters of the previous one no longer apply
+  const handleSwitchOrganisation = (orgId) => {
+    if (orgId === selectedOrgId) return;
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.set('org', orgId);
+      return next;
+    });
+    setSearchQuery('');
+    setAppFilterStatus('all');
+    setAppFilterEvent('all');
+    setAppScope('organisation');
+    clearAppSelection();
+  };
+
+  const handleAppScopeChange = (scope) => {
+    // Across organisations the list is meant for the review queue
+    const status = scope === 'all' ? 'pending' : appFilterStatus;
+    setAppScope(scope);
+    setAppFilterStatus(status);
+    setAppFilterEvent('all');
+    clearAppSelection();
+    fetchApplications(1, status, 'all', scope);
+  };
+
   const handleLogout = async () => {
-    const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
     try {
       await fetch(`${API_URL}/auth/logout`, { method: 'POST', credentials: 'include' });
     } catch (error) {}
@@ -344,9 +469,40 @@ function OrganisationDashboardContent() {
   const navItems = [
     { id: 'overview', label: t('orgDashboard.overview'), icon: BarChart3 },
     { id: 'events', label: t('tabs.events'), icon: Calendar },
-    { id: 'applications', label: t('tabs.applications'), icon: FileText },
-    { id: 'profile', label: t('orgDashboard.profile'), icon: Building2 },
-  ];
+    can('viewApplications') && { id: 'applications', label: t('tabs.applications'), icon: FileText },
+    can('checkIn') && { id: 'checkin', label: t('orgDashboard.checkIn'), icon: ScanLine },
+    can('manageOrganisation') && { id: 'profile', label: t('orgDashboard.profile'), icon: Building2 },
+    can('manageOrganisation') && { id: 'team', label: t('orgDashboard.team'), icon: UserCog },
+    { id: 'security', label: t('orgDashboard.security'), icon: ShieldCheck },
+  ].filter(Boolean);
+
+  // Role of the user in each organisation, for applications listed across them
+  const roleByOrganisation = Object.fromEntries(organisations.map((org) => [org._id, org.myRole]));
+  const canForApp = (app, permission) => (
+    appScope === 'all'
+      ? hasOrganisationPermission(roleByOrganisation[app.eventId?.organisationId?._id], permission)
+      : can(permission)
+  );
+  const showAllOrganisations = organisations.filter((org) => hasOrganisationPermission(org.myRole, 'viewApplications')).length > 1;
+
+  // The newly selected organisation may not offer the open tab
+  const tabAllowed = navItems.some((item) => item.id === activeTab);
+  useEffect(() => {
+    if (organisation && !tabAllowed) setActiveTab('overview');
+  }, [organisation, tabAllowed]);
+
+  const organisationSwitcher = organisations.length > 1 && (
+    <Select value={organisation?._id} onValueChange={handleSwitchOrganisation}>
+      <SelectTrigger className="h-9" aria-label={t('orgDashboard.switchOrganisation')}>
+        <SelectValue placeholder={t('orgDashboard.switchOrganisation')} />
+      </SelectTrigger>
+      <SelectContent>
+        {organisations.map((org) => (
+          <SelectItem key={org._id} value={org._id}>{org.name}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
 
   if (authLoading || !user) {
     return (
@@ -392,8 +548,12 @@ function OrganisationDashboardContent() {
               <div className="flex-1 min-w-0">
                 <p className="font-semibold text-sm truncate">{organisation.name}</p>
                 <p className="text-xs text-muted-foreground capitalize">{organisation.type}</p>
+                {myRole && (
+                  <p className="text-xs text-violet-600">{t('orgDashboard.yourRole', { role: t(`organisations.roles.${myRole}`) })}</p>
+                )}
               </div>
             </div>
+            {organisationSwitcher && <div className="mt-3">{organisationSwitcher}</div>}
           </div>
         )}
 
@@ -458,10 +618,14 @@ function OrganisationDashboardContent() {
                 {activeTab === 'overview' && t('orgDashboard.overviewDescription')}
                 {activeTab === 'events' && t('orgDashboard.eventsDescription')}
                 {activeTab === 'applications' && t('orgDashboard.applicationsDescription')}
+                {activeTab === 'checkin' && t('orgDashboard.checkInDescription')}
                 {activeTab === 'profile' && t('orgDashboard.profileDescription')}
+                {activeTab === 'team' && t('orgDashboard.teamDescription')}
+                {activeTab === 'security' && t('orgDashboard.securityDescription')}
               </p>
             </div>
             <div className="flex items-center gap-3">
+              {organisationSwitcher && <div className={`w-40 ${sidebarCollapsed ? '' : 'lg:hidden'}`}>{organisationSwitcher}</div>}
               <LanguageSwitcher />
               <Button variant="ghost" size="icon" className="relative">
                 <Bell className="w-5 h-5" />
@@ -541,18 +705,30 @@ function OrganisationDashboardContent() {
                     <CardTitle className="text-lg">{t('orgDashboard.quickActions')}</CardTitle>
                   </CardHeader>
                   <CardContent className="space-y-3">
-                    <Button className="w-full justify-start gap-3 h-12 bg-gradient-to-r from-violet-600 to-purple-600" onClick={() => { setSelectedEvent(null); setEventFormOpen(true); }}>
-                      <Plus className="w-5 h-5" />
-                      {t('orgDashboard.createNewEvent')}
-                    </Button>
-                    <Button variant="outline" className="w-full justify-start gap-3 h-12" onClick={() => setActiveTab('applications')}>
-                      <FileText className="w-5 h-5" />
-                      {t('orgDashboard.reviewApplications', { count: stats.pendingApplications })}
-                    </Button>
-                    <Button variant="outline" className="w-full justify-start gap-3 h-12" onClick={() => setActiveTab('profile')}>
-                      <Settings className="w-5 h-5" />
-                      {t('orgDashboard.updateProfile')}
-                    </Button>
+                    {can('manageEvents') && (
+                      <Button className="w-full justify-start gap-3 h-12 bg-gradient-to-r from-violet-600 to-purple-600" onClick={() => { setSelectedEvent(null); setEventFormOpen(true); }}>
+                        <Plus className="w-5 h-5" />
+                        {t('orgDashboard.createNewEvent')}
+                      </Button>
+                    )}
+                    {can('viewApplications') && (
+                      <Button variant="outline" className="w-full justify-start gap-3 h-12" onClick={() => setActiveTab('applications')}>
+                        <FileText className="w-5 h-5" />
+                        {t('orgDashboard.reviewApplications', { count: stats.pendingApplications })}
+                      </Button>
+                    )}
+                    {can('checkIn') && (
+                      <Button variant="outline" className="w-full justify-start gap-3 h-12" onClick={() => setActiveTab('checkin')}>
+                        <ScanLine className="w-5 h-5" />
+                        {t('orgDashboard.checkIn')}
+                      </Button>
+                    )}
+                    {can('manageOrganisation') && (
+                      <Button variant="outline" className="w-full justify-start gap-3 h-12" onClick={() => setActiveTab('profile')}>
+                        <Settings className="w-5 h-5" />
+                        {t('orgDashboard.updateProfile')}
+                      </Button>
+                    )}
                   </CardContent>
                 </Card>
 
@@ -603,10 +779,12 @@ function OrganisationDashboardContent() {
                     />
                   </div>
                 </div>
-                <Button className="bg-gradient-to-r from-violet-600 to-purple-600" onClick={() => { setSelectedEvent(null); setEventFormOpen(true); }}>
-                  <Plus className="w-4 h-4 mr-2" />
-                  {t('events.createEvent')}
-                </Button>
+                {can('manageEvents') && (
+                  <Button className="bg-gradient-to-r from-violet-600 to-purple-600" onClick={() => { setSelectedEvent(null); setEventFormOpen(true); }}>
+                    <Plus className="w-4 h-4 mr-2" />
+                    {t('events.createEvent')}
+                  </Button>
+                )}
               </div>
 
               {/* Events Grid */}
@@ -618,11 +796,15 @@ function OrganisationDashboardContent() {
                 <div className="text-center py-16">
                   <Calendar className="w-16 h-16 mx-auto mb-4 text-muted-foreground" />
                   <h3 className="font-semibold text-lg mb-1">{t('orgDashboard.noEventsYet')}</h3>
-                  <p className="text-muted-foreground mb-4">{t('orgDashboard.createFirstEvent')}</p>
-                  <Button className="bg-gradient-to-r from-violet-600 to-purple-600" onClick={() => { setSelectedEvent(null); setEventFormOpen(true); }}>
-                    <Plus className="w-4 h-4 mr-2" />
-                    {t('events.createEvent')}
-                  </Button>
+                  {can('manageEvents') && (
+                    <>
+                      <p className="text-muted-foreground mb-4">{t('orgDashboard.createFirstEvent')}</p>
+                      <Button className="bg-gradient-to-r from-violet-600 to-purple-600" onClick={() => { setSelectedEvent(null); setEventFormOpen(true); }}>
+                        <Plus className="w-4 h-4 mr-2" />
+                        {t('events.createEvent')}
+                      </Button>
+                    </>
+                  )}
                 </div>
               ) : (
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -652,12 +834,16 @@ function OrganisationDashboardContent() {
                             <Button size="sm" variant="outline" className="h-8" onClick={() => { setSelectedEvent(event); setDetailDialogOpen(true); }}>
                               <Eye className="w-3 h-3 mr-1" /> {t('common.view')}
                             </Button>
-                            <Button size="sm" variant="outline" className="h-8" onClick={() => { setSelectedEvent(event); setEventFormOpen(true); }}>
-                              <Edit className="w-3 h-3 mr-1" /> {t('common.edit')}
-                            </Button>
-                            <Button size="sm" variant="outline" className="h-8 text-red-600 hover:text-red-700" onClick={() => { setSelectedEvent(event); setDeleteDialogOpen(true); }}>
-                              <Trash2 className="w-3 h-3" />
-                            </Button>
+                            {can('manageEvents') && (
+                              <>
+                                <Button size="sm" variant="outline" className="h-8" onClick={() => { setSelectedEvent(event); setEventFormOpen(true); }}>
+                                  <Edit className="w-3 h-3 mr-1" /> {t('common.edit')}
+                                </Button>
+                                <Button size="sm" variant="outline" className="h-8 text-red-600 hover:text-red-700" onClick={() => { setSelectedEvent(event); setDeleteDialogOpen(true); }}>
+                                  <Trash2 className="w-3 h-3" />
+                                </Button>
+                              </>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -686,7 +872,18 @@ function OrganisationDashboardContent() {
             <div className="space-y-6">
               {/* Filter */}
               <div className="flex flex-wrap items-center gap-4">
-                <Select value={appFilterStatus} onValueChange={(v) => { setAppFilterStatus(v); fetchApplications(1, v); }}>
+                {showAllOrganisations && (
+                  <Select value={appScope} onValueChange={handleAppScopeChange}>
+                    <SelectTrigger className="w-[200px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="organisation">{organisation?.name}</SelectItem>
+                      <SelectItem value="all">{t('orgDashboard.allOrganisations')}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                )}
+                <Select value={appFilterStatus} onValueChange={(v) => { setAppFilterStatus(v); clearAppSelection(); fetchApplications(1, v, appFilterEvent, appScope); }}>
                   <SelectTrigger className="w-[180px]">
                     <SelectValue placeholder={t('applications.statuses.all')} />
                   </SelectTrigger>
@@ -695,11 +892,53 @@ function OrganisationDashboardContent() {
                     <SelectItem value="pending">{t('applications.statuses.pending')}</SelectItem>
                     <SelectItem value="accepted">{t('applications.statuses.accepted')}</SelectItem>
                     <SelectItem value="rejected">{t('applications.statuses.rejected')}</SelectItem>
+                    <SelectItem value="waitlisted">{t('applications.statuses.waitlisted')}</SelectItem>
                   </SelectContent>
                 </Select>
+                {appScope === 'organisation' && organisation && (
+                  <EventPicker
+                    value={appFilterEvent === 'all' ? '' : appFilterEvent}
+                    onChange={(v) => { setAppFilterEvent(v || 'all'); clearAppSelection(); fetchApplications(1, appFilterStatus, v || 'all', appScope); }}
+                    loadEvents={getEvents}
+                    organisationId={organisation._id}
+                    placeholder={t('bulkActions.allEvents')}
+                    clearLabel={t('bulkActions.allEvents')}
+                    className="w-[220px]"
+                  />
+                )}
                 <span className="text-sm text-muted-foreground">{t('applications.totalApplications', { count: appPagination.total })}</span>
+                <Button variant="outline" size="sm" asChild>
+                  <a href={`${API_URL}/applications/organisation/export?${new URLSearchParams({
+                    format: 'csv',
+                    ...(appScope === 'organisation' && organisation && { organisationId: organisation._id }),
+                    ...(appFilterStatus !== 'all' && { status: appFilterStatus }),
+                    ...(appFilterEvent !== 'all' && { eventId: appFilterEvent }),
+                  })}`}>
+                    <Download className="w-4 h-4 mr-2" />
+                    {t('applications.exportCsv')}
+                  </a>
+                </Button>
+                {applications.length > 0 && (
+                  <label className="flex items-center gap-2 text-sm ml-auto cursor-pointer">
+                    <input type="checkbox" className="h-4 w-4" checked={selectAllMatchingApps || (applications.length > 0 && applications.every((a) => selectedAppIds.includes(a._id)))} onChange={toggleAppPage} />
+                    {t('bulkActions.selectPage')}
+                  </label>
+                )}
               </div>
 
+              <BulkActionsBar
+                selection={selectAllMatchingApps
+                  ? { filter: { eventId: appFilterEvent, ...(appFilterStatus !== 'all' && { status: appFilterStatus }) } }
+                  : { ids: selectedAppIds }}
+                count={selectAllMatchingApps ? appPagination.total : selectedAppIds.length}
+                matchingCount={appFilterEvent !== 'all' ? appPagination.total : 0}
+                onSelectAllMatching={() => setSelectAllMatchingApps(true)}
+                onClear={clearAppSelection}
+                onComplete={refreshApplications}
+                getLabel={(id) => applications.find((a) => a._id === id)?.userId?.name || id}
+                canDecide={appScope === 'all' ? canInAny('reviewApplications') : can('reviewApplications')}
+              />
+
               {/* Applications List */}
               {loading.applications ? (
                 <div className="flex justify-center py-12">
@@ -717,6 +956,13 @@ function OrganisationDashboardContent() {
                     <Card key={app._id} className="border-0 shadow-sm">
                       <CardContent className="p-4">
                         <div className="flex items-start gap-4">
+                          <input
+                            type="checkbox"
+                            className="h-4 w-4 mt-4"
+                            checked={selectAllMatchingApps || selectedAppIds.includes(app._id)}
+                            onChange={() => toggleAppSelected(app._id)}
+                            aria-label={app.userId?.name}
+                          />
                           <Avatar className="h-12 w-12">
                             <AvatarFallback className="bg-gradient-to-br from-violet-500 to-purple-600 text-white">
                               {getInitials(app.userId?.name)}
@@ -731,10 +977,16 @@ function OrganisationDashboardContent() {
                               <Badge className={`${getAppStatusStyle(app.status)} border`}>{t(`applications.statuses.${app.status}`)}</Badge>
                             </div>
                             <div className="mt-2 p-3 bg-muted/50 rounded-lg">
-                              <p className="text-sm font-medium">{app.eventId?.title}</p>
+                              <div className="flex items-center gap-2">
+                                <p className="text-sm font-medium">{app.eventId?.title}</p>
+                                {appScope === 'all' && app.eventId?.organisationId?.name && (
+                                  <Badge variant="outline" className="text-xs">{app.eventId.organisationId.name}</Badge>
+                                )}
+                              </div>
                               <p className="text-xs text-muted-foreground">{formatDate(app.eventId?.startDate)} • {t('applications.applied')} {formatDate(app.createdAt)}</p>
                             </div>
-                            {app.status === 'pending' && !app.eventId?.price && (
+                            <ApplicationAnswers answers={app.answers} className="mt-2 px-3" />
+                            {canForApp(app, 'reviewApplications') && ['pending', 'waitlisted'].includes(app.status) && !app.eventId?.price && (
                               <div className="flex gap-2 mt-3">
                                 <Button size="sm" className="bg-green-600 hover:bg-green-700" onClick={() => { setSelectedApplication(app); setAppActionType('accept'); setAppActionDialogOpen(true); }}>
                                   <Check className="w-4 h-4 mr-1" /> {t('applications.accept')}
@@ -744,6 +996,11 @@ function OrganisationDashboardContent() {
                                 </Button>
                               </div>
                             )}
+                            {canForApp(app, 'reviewApplications') && app.status === 'waitlisted' && (
+                              <Button size="sm" variant="ghost" className="mt-2 text-orange-600 hover:text-orange-700" onClick={() => { setWaitlistEvent(app.eventId); setWaitlistDialogOpen(true); }}>
+                                <ListOrdered className="w-4 h-4 mr-1" /> {t('waitlist.manage')}
+                              </Button>
+                            )}
                           </div>
                         </div>
                       </CardContent>
@@ -755,11 +1012,11 @@ function OrganisationDashboardContent() {
               {/* Pagination */}
               {appPagination.totalPages > 1 && (
                 <div className="flex justify-center gap-2">
-                  <Button variant="outline" size="sm" onClick={() => fetchApplications(appPagination.page - 1, appFilterStatus)} disabled={appPagination.page === 1}>
+                  <Button variant="outline" size="sm" onClick={() => fetchApplications(appPagination.page - 1, appFilterStatus, appFilterEvent, appScope)} disabled={appPagination.page === 1}>
                     <ChevronLeft className="w-4 h-4" />
                   </Button>
                   <span className="flex items-center px-3 text-sm">{t('common.page')} {appPagination.page} {t('common.of')} {appPagination.totalPages}</span>
-                  <Button variant="outline" size="sm" onClick={() => fetchApplications(appPagination.page + 1, appFilterStatus)} disabled={appPagination.page === appPagination.totalPages}>
+                  <Button variant="outline" size="sm" onClick={() => fetchApplications(appPagination.page + 1, appFilterStatus, appFilterEvent, appScope)} disabled={appPagination.page === appPagination.totalPages}>
                     <ChevronRight className="w-4 h-4" />
                   </Button>
                 </div>
@@ -767,6 +1024,23 @@ function OrganisationDashboardContent() {
             </div>
           )}
 
+          {/* Check-in Tab */}
+          {activeTab === 'checkin' && organisation && (
+            <CheckInPanel organisation={organisation} />
+          )}
+
+          {/* Team Tab */}
+          {activeTab === 'team' && organisation && (
+            <Card className="border-0 shadow-sm">
+              <CardHeader>
+                <CardTitle>{t('organisations.members')}</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <OrganisationMembers organisation={organisation} currentUserId={user._id} onMembersChange={handleMembersChange} />
+              </CardContent>
+            </Card>
+          )}
+
           {/* Profile Tab */}
           {activeTab === 'profile' && organisation && (
             <div className="max-w-2xl space-y-6">
@@ -841,6 +1115,13 @@ function OrganisationDashboardContent() {
               </Card>
             </div>
           )}
+
+          {/* Security Tab */}
+          {activeTab === 'security' && (
+            <div className="max-w-2xl">
+              <TwoFactorSettings />
+            </div>
+          )}
         </div>
       </main>
 
@@ -865,6 +1146,7 @@ function OrganisationDashboardContent() {
       {/* Dialogs */}
       <EventForm open={eventFormOpen} onOpenChange={setEventFormOpen} event={selectedEvent} organisations={organisation ? [organisation] : []} onSubmit={handleEventSubmit} loading={loading.events} />
       <EventDetailDialog open={detailDialogOpen} onOpenChange={setDetailDialogOpen} event={selectedEvent} />
+      <WaitlistDialog open={waitlistDialogOpen} onOpenChange={setWaitlistDialogOpen} event={waitlistEvent} onWaitlistChange={refreshApplications} />
 
       <Dialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
         <DialogContent>
@@ -0,0 +1,164 @@
+/**
+ * ResetPassword Page
+ *
+ * Sets a new password using the single-use link from the reset email
+ * (/reset-password?token=...)
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import AuthPageLayout from '@/components/AuthPageLayout';
+import { useAuth } from '@/context/AuthContext';
+import { ArrowLeft } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+export default function ResetPassword() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { logout } = useAuth();
+  const token = searchParams.get('token');
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError(t('auth.passwordsDoNotMatch'));
+      return;
+    }
+
+    if (password.length < 6) {
+      setError(t('auth.passwordMinLength'));
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_URL}/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, password }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || t('auth.requestFailed'));
+      }
+
+      // Existing sessions were ended by the reset
+      logout();
+      toast.success(t('auth.passwordResetSuccess'));
+      navigate('/login');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthPageLayout>
+      <Card className="border-0 shadow-xl shadow-black/5">
+        <CardHeader className="space-y-1 pb-4">
+          <CardTitle className="text-2xl font-bold tracking-tight">
+            {t('auth.resetPasswordTitle')}
+          </CardTitle>
+          <CardDescription className="text-base">
+            {t('auth.resetPasswordDescription')}
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent>
+          {!token ? (
+            <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg">
+              {t('auth.invalidResetLink')}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <div className="p-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2">
+                  <div className="w-1.5 h-1.5 bg-red-500 rounded-full" />
+                  {error}
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="password" className="text-sm font-medium">
+                  {t('auth.newPassword')}
+                </Label>
+                <Input
+                  id="password"
+                  type="password"
+                  placeholder={t('auth.createPassword')}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="h-12 text-base px-4"
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword" className="text-sm font-medium">
+                  {t('auth.confirmPassword')}
+                </Label>
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  placeholder={t('auth.confirmYourPassword')}
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="h-12 text-base px-4"
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full h-12 text-base font-semibold bg-gradient-to-r from-violet-600 to-purple-600 hover:from-violet-700 hover:to-purple-700"
+                disabled={loading}
+              >
+                {loading ? t('common.saving') : t('auth.setNewPassword')}
+              </Button>
+            </form>
+          )}
+        </CardContent>
+
+        <CardFooter>
+          <Link
+            to={token ? '/login' : '/forgot-password'}
+            className="text-sm text-violet-600 hover:text-violet-700 font-medium hover:underline inline-flex items-center gap-1"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            {token ? t('auth.backToLogin') : t('auth.requestNewLink')}
+          </Link>
+        </CardFooter>
+      </Card>
+    </AuthPageLayout>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
+import { toast } from 'react-toastify';
 import { useAuth } from '@/context/AuthContext';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -64,6 +65,7 @@ export default function Signup() {
       }
 
       login(data.user);
+      toast.info(t('auth.verificationEmailSent'));
       navigate('/dashboard');
     } catch (err) {
       setError(err.message);
@@ -0,0 +1,85 @@
+/**
+ * TwoFactorSetupRequired Page
+ *
+ * Shown to users whose role requires two-factor authentication
+ * until they have set it up; the API refuses everything else until then
+ */
+
+import { Navigate, useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import AuthPageLayout from '@/components/AuthPageLayout';
+import TwoFactorSetup from '@/components/TwoFactorSetup';
+import { useAuth } from '@/context/AuthContext';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+/**
+ * Get the default dashboard path for a user role
+ */
+const getDashboardPath = (role) => {
+  if (role === 'admin') return '/admin';
+  if (role === 'organisation') return '/organisation';
+  return '/dashboard';
+};
+
+export default function TwoFactorSetupRequired() {
+  const { t } = useTranslation();
+  const { user, isAuthenticated, loading, login, logout } = useAuth();
+  const navigate = useNavigate();
+
+  if (loading) return null;
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (!user.twoFactorSetupRequired) {
+    return <Navigate to={getDashboardPath(user.role)} replace />;
+  }
+
+  const handleEnabled = (updatedUser) => {
+    login(updatedUser);
+    navigate(getDashboardPath(updatedUser.role), { replace: true });
+  };
+
+  const handleLogout = async () => {
+    try {
+      await fetch(`${API_URL}/auth/logout`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+    } catch {
+      // Continue with local logout even if server call fails
+    }
+    logout();
+    navigate('/login');
+  };
+
+  return (
+    <AuthPageLayout>
+      <Card className="border-0 shadow-xl shadow-black/5">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl font-bold tracking-tight">{t('twoFactor.requiredTitle')}</CardTitle>
+          <CardDescription>{t('twoFactor.requiredDescription')}</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <TwoFactorSetup onEnabled={handleEnabled} />
+        </CardContent>
+        <CardFooter className="justify-center">
+          <Button variant="link" onClick={handleLogout}>
+            {t('common.signOut')}
+          </Button>
+        </CardFooter>
+      </Card>
+    </AuthPageLayout>
+  );
+}
@@ -5,11 +5,12 @@
  * - Sidebar navigation (desktop)
  * - Bottom navigation (mobile)
  * - Stories-like featured events
- * - Social media feed layout
+ * - Social media feed layout with infinite scroll
+ * - Organisation registration requests
  * - Responsive design
  */
 
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { toast } from 'react-toastify';
@@ -33,6 +34,14 @@ import EventFilters from '@/components/user/EventFilters';
 import OrganisationFilters from '@/components/user/OrganisationFilters';
 import OrganisationDetailDialog from '@/components/user/OrganisationDetailDialog';
 import EventDetailDialog from '@/components/user/EventDetailDialog';
+import TicketDialog from '@/components/user/TicketDialog';
+import CalendarFeedDialog from '@/components/user/CalendarFeedDialog';
+import OrganisationRequestDialog from '@/components/user/OrganisationRequestDialog';
+import RegistrationFormDialog from '@/components/user/RegistrationFormDialog';
+import FollowingFeed from '@/components/user/FollowingFeed';
+import NotificationSettings from '@/components/user/NotificationSettings';
+import VerifyEmailBanner from '@/components/user/VerifyEmailBanner';
+import ActiveSessions from '@/components/user/ActiveSessions';
 import Sidebar from '@/components/layout/Sidebar';
 import MobileNavigation from '@/components/layout/MobileNavigation';
 import LanguageSwitcher from '@/components/LanguageSwitcher';
@@ -50,6 +59,10 @@ import {
   Clock,
   Loader2,
   TrendingUp,
+  QrCode,
+  CheckCircle2,
+  CalendarPlus,
+  Building2,
 } from 'lucide-react';
 
 const EVENTS_PER_PAGE = 12;
@@ -61,6 +74,7 @@ const getApplicationStatusColor = (status) => {
     accepted: 'bg-green-500/10 text-green-600 border-green-500/20',
     rejected: 'bg-red-500/10 text-red-600 border-red-500/20',
     cancelled: 'bg-gray-500/10 text-gray-600 border-gray-500/20',
+    waitlisted: 'bg-orange-500/10 text-orange-600 border-orange-500/20',
   };
   return colors[status] || colors.pending;
 };
@@ -84,10 +98,13 @@ function UserDashboardContent() {
   const { user, logout, loading: authLoading } = useAuth();
   const {
     getEvents,
+    searchEvents,
     getOrganisations,
     createApplication,
     getMyApplications,
     cancelApplication,
+    loadFollowing,
+    loadNotificationPreferences,
     loading,
     error,
   } = useUser();
@@ -100,30 +117,54 @@ function UserDashboardContent() {
   const [showFilters, setShowFilters] = useState(false);
 
   // Data State
-  const [allEvents, setAllEvents] = useState([]);
-  const [allOrganisations, setAllOrganisations] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [featuredEvents, setFeaturedEvents] = useState([]);
+  const [upcomingCount, setUpcomingCount] = useState(0);
+  const [organisations, setOrganisations] = useState([]);
 
   // Pagination
+  const [eventsTotal, setEventsTotal] = useState(0);
   const [eventsPage, setEventsPage] = useState(1);
-  const [orgsPage, setOrgsPage] = useState(1);
+  const [eventsHasMore, setEventsHasMore] = useState(false);
+  const [eventFacets, setEventFacets] = useState(null);
+  const [eventsLoading, setEventsLoading] = useState(false);
+  const [loadingMoreEvents, setLoadingMoreEvents] = useState(false);
+  const [orgsPagination, setOrgsPagination] = useState({
+    page: 1,
+    total: 0,
+    nextCursor: null,
+    prevCursor: null,
+  });
+  // Ignores responses of requests made for earlier filters
+  const eventsRequest = useRef(0);
+  const orgsRequest = useRef(0);
+  const loadMoreRef = useRef(null);
 
   // Filters
   const [filters, setFilters] = useState({
     search: '',
     category: 'all',
     eventType: 'all',
+    city: 'all',
+    price: 'all',
+    date: 'all',
     organisationId: 'all',
   });
+  // Search text sent to the server, follows filters.search after a pause in typing
+  const [eventSearch, setEventSearch] = useState('');
   const [orgFilters, setOrgFilters] = useState({
     search: '',
     type: 'all',
   });
+  // Search text sent to the server, follows orgFilters.search after a pause in typing
+  const [orgSearch, setOrgSearch] = useState('');
 
   // Dialogs
   const [selectedOrg, setSelectedOrg] = useState(null);
   const [orgDialogOpen, setOrgDialogOpen] = useState(false);
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [eventDialogOpen, setEventDialogOpen] = useState(false);
+  const [orgRequestOpen, setOrgRequestOpen] = useState(false);
 
   // Applications
   const [applications, setApplications] = useState([]);
@@ -133,25 +174,107 @@ function UserDashboardContent() {
     total: 0,
   });
   const [cancellingAppId, setCancellingAppId] = useState(null);
+  const [ticketApplication, setTicketApplication] = useState(null);
+  const [ticketDialogOpen, setTicketDialogOpen] = useState(false);
+  const [calendarFeedOpen, setCalendarFeedOpen] = useState(false);
+  const [registrationEvent, setRegistrationEvent] = useState(null);
+
+  // Events are searched and filtered on the server, ranked by relevance
+  const { category, eventType, city, price, date, organisationId } = filters;
+  const eventQuery = useMemo(() => {
+    const params = { limit: EVENTS_PER_PAGE };
+    if (eventSearch.trim()) params.q = eventSearch.trim();
+    Object.entries({ category, eventType, city, price, date, organisationId }).forEach(([key, value]) => {
+      if (value !== 'all') params[key] = value;
+    });
+    return params;
+  }, [eventSearch, category, eventType, city, price, date, organisationId]);
 
   // Fetch functions
   const fetchEvents = useCallback(async () => {
+    const request = ++eventsRequest.current;
+    setEventsLoading(true);
+    setEventsHasMore(false);
     try {
-      const data = await getEvents({ limit: 1000 });
-      setAllEvents(data.data.events || []);
+      const data = await searchEvents({ ...eventQuery, page: 1 });
+      if (request !== eventsRequest.current) return;
+      setEvents(data.data.events || []);
+      setEventFacets(data.data.facets);
+      setEventsTotal(data.total);
+      setEventsPage(1);
+      setEventsHasMore(data.page < data.totalPages);
     } catch (err) {
       console.error('Failed to fetch events:', err);
+    } finally {
+      if (request === eventsRequest.current) setEventsLoading(false);
+    }
+  }, [searchEvents, eventQuery]);
+
+  const loadMoreEvents = useCallback(async () => {
+    if (!eventsHasMore || eventsLoading || loadingMoreEvents) return;
+
+    const request = eventsRequest.current;
+    setLoadingMoreEvents(true);
+    try {
+      const data = await searchEvents({ ...eventQuery, page: eventsPage + 1 });
+      if (request !== eventsRequest.current) return;
+      // Events added since the first page can shift results by a few places
+      setEvents((prev) => {
+        const loaded = new Set(prev.map((event) => event._id));
+        return [...prev, ...(data.data.events || []).filter((event) => !loaded.has(event._id))];
+      });
+      setEventsPage(data.page);
+      setEventsHasMore(data.page < data.totalPages);
+    } catch (err) {
+      console.error('Failed to load more events:', err);
+    } finally {
+      setLoadingMoreEvents(false);
+    }
+  }, [searchEvents, eventQuery, eventsPage, eventsHasMore, eventsLoading, loadingMoreEvents]);
+
+  const fetchFeaturedEvents = useCallback(async () => {
+    try {
+      const data = await getEvents({
+        'startDate[gte]': new Date().toISOString(),
+        sort: 'startDate',
+        limit: 10,
+      });
+      setFeaturedEvents(data.data.events || []);
+      setUpcomingCount(data.total);
+    } catch (err) {
+      console.error('Failed to fetch featured events:', err);
     }
   }, [getEvents]);
 
-  const fetchOrganisations = useCallback(async () => {
+  // Organisations are searched and filtered on the server, paged with cursors
+  const orgQuery = useMemo(() => {
+    const params = { limit: ORGS_PER_PAGE, sort: 'name', count: true };
+    if (orgSearch.trim()) params.search = orgSearch.trim();
+    if (orgFilters.type !== 'all') params.type = orgFilters.type;
+    return params;
+  }, [orgSearch, orgFilters.type]);
+
+  /**
+   * Fetch a page of organisations
+   * @param {number} page - Number of the page shown
+   * @param {Object} [cursor] - { after } or { before } from the current page
+   */
+  const fetchOrganisations = useCallback(async (page = 1, cursor = {}) => {
+    const request = ++orgsRequest.current;
     try {
-      const data = await getOrganisations({ limit: 1000 });
-      setAllOrganisations(data.data.organisations || []);
+      const data = await getOrganisations({ ...orgQuery, ...cursor });
+      if (request !== orgsRequest.current) return;
+      setOrganisations(data.data.organisations || []);
+      setOrgsPagination({
+        page,
+        total: data.total,
+        nextCursor: data.nextCursor,
+        prevCursor: data.prevCursor,
+      });
     } catch (err) {
       console.error('Failed to fetch organisations:', err);
     }
-  }, [getOrganisations]);
+  }, [getOrganisations, orgQuery]);
 
   const fetchApplications = useCallback(async (page = 1) => {
     try {
@@ -168,115 +291,95 @@ function UserDashboardContent() {
   }, [getMyApplications]);
 
   useEffect(() => {
-    fetchEvents();
-    fetchOrganisations();
+    fetchFeaturedEvents();
     fetchApplications();
   }, []);
 
-  // Filtered & Paginated Data
-  const filteredEvents = useMemo(() => {
-    let result = [...allEvents];
-
-    if (filters.search.trim()) {
-      const searchLower = filters.search.toLowerCase().trim();
-      result = result.filter(
-        (event) =>
-          event.title?.toLowerCase().includes(searchLower) ||
-          event.description?.toLowerCase().includes(searchLower)
-      );
-    }
+  useEffect(() => {
+    fetchOrganisations();
+  }, [fetchOrganisations]);
 
-    if (filters.category !== 'all') {
-      result = result.filter((event) => event.category === filters.category);
-    }
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
 
-    if (filters.eventType !== 'all') {
-      result = result.filter((event) => event.eventType === filters.eventType);
-    }
+  useEffect(() => {
+    const timer = setTimeout(() => setEventSearch(filters.search), 300);
+    return () => clearTimeout(timer);
+  }, [filters.search]);
 
-    if (filters.organisationId !== 'all') {
-      result = result.filter(
-        (event) =>
-          event.organisationId?._id === filters.organisationId ||
-          event.organisationId === filters.organisationId
-      );
-    }
+  useEffect(() => {
+    const timer = setTimeout(() => setOrgSearch(orgFilters.search), 300);
+    return () => clearTimeout(timer);
+  }, [orgFilters.search]);
 
-    return result;
-  }, [allEvents, filters]);
-
-  const paginatedEvents = useMemo(() => {
-    const startIndex = (eventsPage - 1) * EVENTS_PER_PAGE;
-    return filteredEvents.slice(startIndex, startIndex + EVENTS_PER_PAGE);
-  }, [filteredEvents, eventsPage]);
-
-  const eventsPagination = useMemo(() => ({
-    page: eventsPage,
-    totalPages: Math.ceil(filteredEvents.length / EVENTS_PER_PAGE) || 1,
-    total: filteredEvents.length,
-  }), [filteredEvents.length, eventsPage]);
-
-  const filteredOrganisations = useMemo(() => {
-    let result = [...allOrganisations];
-
-    if (orgFilters.search.trim()) {
-      const searchLower = orgFilters.search.toLowerCase().trim();
-      result = result.filter(
-        (org) =>
-          org.name?.toLowerCase().includes(searchLower) ||
-          org.description?.toLowerCase().includes(searchLower)
-      );
-    }
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const node = loadMoreRef.current;
+    if (!node || !eventsHasMore) return undefined;
 
-    if (orgFilters.type !== 'all') {
-      result = result.filter((org) => org.type === orgFilters.type);
-    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMoreEvents();
+    }, { rootMargin: '400px' });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [activeTab, eventsHasMore, loadMoreEvents]);
 
-    return result;
-  }, [allOrganisations, orgFilters]);
+  useEffect(() => {
+    loadFollowing().catch((err) => {
+      console.error('Failed to fetch followed organisations and categories:', err);
+    });
+  }, [loadFollowing]);
 
-  const paginatedOrganisations = useMemo(() => {
-    const startIndex = (orgsPage - 1) * ORGS_PER_PAGE;
-    return filteredOrganisations.slice(startIndex, startIndex + ORGS_PER_PAGE);
-  }, [filteredOrganisations, orgsPage]);
+  useEffect(() => {
+    loadNotificationPreferences().catch((err) => {
+      console.error('Failed to fetch notification preferences:', err);
+    });
+  }, [loadNotificationPreferences]);
 
-  const orgsPagination = useMemo(() => ({
-    page: orgsPage,
-    totalPages: Math.ceil(filteredOrganisations.length / ORGS_PER_PAGE) || 1,
-    total: filteredOrganisations.length,
-  }), [filteredOrganisations.length, orgsPage]);
+  const orgsTotalPages = Math.ceil((orgsPagination.total || 0) / ORGS_PER_PAGE) || 1;
 
   // Handlers
-  const handleFilterChange = (newFilters) => {
-    setFilters(newFilters);
-    setEventsPage(1);
-  };
+  const handleFilterChange = (newFilters) => setFilters(newFilters);
 
-  const handleSearch = () => setEventsPage(1);
+  // Searches right away instead of waiting for the pause in typing
+  const handleSearch = () => setEventSearch(filters.search);
 
-  const handleOrgFilterChange = (newFilters) => {
-    setOrgFilters(newFilters);
-    setOrgsPage(1);
-  };
+  const handleOrgFilterChange = (newFilters) => setOrgFilters(newFilters);
 
-  const handleOrgSearch = () => setOrgsPage(1);
+  // Searches right away instead of waiting for the pause in typing
+  const handleOrgSearch = () => setOrgSearch(orgFilters.search);
 
   const handleEventClick = (event) => {
     setSelectedEvent(event);
     setEventDialogOpen(true);
   };
 
-  const handleParticipate = async (event) => {
+  const submitApplication = async (event, answers) => {
     try {
-      await createApplication(event._id);
+      const data = await createApplication(event._id, undefined, answers);
       setEventDialogOpen(false);
+      setRegistrationEvent(null);
       fetchApplications();
-      toast.success(t('events.applicationSubmitted', { title: event.title }));
+      if (data.data.application.status === 'waitlisted') {
+        toast.info(t('events.addedToWaitlist', { title: event.title }));
+      } else {
+        toast.success(t('events.applicationSubmitted', { title: event.title }));
+      }
     } catch (err) {
       toast.error(err.message || t('events.failedToApply'));
     }
   };
 
+  const handleParticipate = (event) => {
+    // Events with registration questions collect answers first
+    if (event.registrationQuestions?.length > 0) {
+      setRegistrationEvent(event);
+      return;
+    }
+    submitApplication(event);
+  };
+
   const handleCancelApplication = async (applicationId) => {
     if (!confirm(t('applications.cancelConfirm'))) return;
 
@@ -372,11 +475,15 @@ function UserDashboardContent() {
               <h1 className="text-xl font-bold">
                 {activeTab === 'events' && t('events.title')}
                 {activeTab === 'organisations' && t('organisations.title')}
+                {activeTab === 'following' && t('following.title')}
+                {activeTab === 'settings' && t('notificationSettings.title')}
                 {activeTab === 'applications' && t('applications.title')}
               </h1>
               <p className="text-sm text-muted-foreground">
                 {activeTab === 'events' && t('events.subtitle')}
                 {activeTab === 'organisations' && t('organisations.subtitle')}
+                {activeTab === 'following' && t('following.subtitle')}
+                {activeTab === 'settings' && t('notificationSettings.subtitle')}
                 {activeTab === 'applications' && t('applications.subtitle')}
               </p>
             </div>
@@ -392,12 +499,15 @@ function UserDashboardContent() {
 
         {/* Content Area */}
         <div className="px-4 lg:px-6 py-4 lg:py-6 max-w-7xl mx-auto">
+          {/* Applying to events needs a verified email */}
+          <VerifyEmailBanner />
+
           {/* Events Tab */}
           {activeTab === 'events' && (
             <div className="space-y-6">
               {/* Featured Events Stories */}
               <FeaturedEvents
-                events={allEvents}
+                events={featuredEvents}
                 onEventClick={handleEventClick}
               />
 
@@ -425,7 +535,7 @@ function UserDashboardContent() {
                     filters={filters}
                     onFilterChange={handleFilterChange}
                     onSearch={handleSearch}
-                    organisations={allOrganisations}
+                    facets={eventFacets}
                     compact
                   />
                 </div>
@@ -438,7 +548,7 @@ function UserDashboardContent() {
                     filters={filters}
                     onFilterChange={handleFilterChange}
                     onSearch={handleSearch}
-                    organisations={allOrganisations}
+                    facets={eventFacets}
                   />
                 </div>
               )}
@@ -446,13 +556,13 @@ function UserDashboardContent() {
               {/* Results Count */}
               <div className="flex items-center justify-between">
                 <p className="text-sm text-muted-foreground">
-                  Showing <span className="font-semibold text-foreground">{paginatedEvents.length}</span> of{' '}
-                  <span className="font-semibold text-foreground">{filteredEvents.length}</span> events
+                  Showing <span className="font-semibold text-foreground">{events.length}</span> of{' '}
+                  <span className="font-semibold text-foreground">{eventsTotal}</span> events
                 </p>
                 <div className="flex items-center gap-2">
                   <TrendingUp className="w-4 h-4 text-green-500" />
                   <span className="text-sm text-muted-foreground">
-                    {allEvents.filter(e => new Date(e.startDate) >= new Date()).length} upcoming
+                    {upcomingCount} upcoming
                   </span>
                 </div>
               </div>
@@ -465,11 +575,11 @@ function UserDashboardContent() {
               )}
 
               {/* Events Grid */}
-              {loading.events ? (
+              {eventsLoading ? (
                 <div className="flex justify-center py-12">
                   <Loader2 className="w-8 h-8 text-violet-500 animate-spin" />
                 </div>
-              ) : paginatedEvents.length === 0 ? (
+              ) : events.length === 0 ? (
                 <div className="text-center py-16">
                   <div className="w-16 h-16 mx-auto mb-4 bg-muted rounded-full flex items-center justify-center">
                     <Calendar className="w-8 h-8 text-muted-foreground" />
@@ -480,7 +590,7 @@ function UserDashboardContent() {
               ) : (
                 <>
                   <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-                    {paginatedEvents.map((event) => (
+                    {events.map((event) => (
                       <EventCard
                         key={event._id}
                         event={event}
@@ -489,53 +599,16 @@ function UserDashboardContent() {
                     ))}
                   </div>
 
-                  {/* Pagination */}
-                  {eventsPagination.totalPages > 1 && (
-                    <div className="flex items-center justify-center gap-2 mt-8">
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => setEventsPage(eventsPage - 1)}
-                        disabled={eventsPage === 1}
-                        className="gap-1"
-                      >
-                        <ChevronLeft className="w-4 h-4" />
-                        <span className="hidden sm:inline">{t('common.previous')}</span>
-                      </Button>
-                      <div className="flex items-center gap-1 px-3">
-                        {Array.from({ length: Math.min(5, eventsPagination.totalPages) }, (_, i) => {
-                          const pageNum = i + 1;
-                          return (
-                            <Button
-                              key={pageNum}
-                              variant={eventsPage === pageNum ? 'default' : 'ghost'}
-                              size="sm"
-                              onClick={() => setEventsPage(pageNum)}
-                              className={`w-8 h-8 p-0 ${
-                                eventsPage === pageNum
-                                  ? 'bg-gradient-to-r from-violet-600 to-purple-600'
-                                  : ''
-                              }`}
-                            >
-                              {pageNum}
-                            </Button>
-                          );
-                        })}
-                      </div>
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => setEventsPage(eventsPage + 1)}
-                        disabled={eventsPage === eventsPagination.totalPages}
-                        className="gap-1"
-                      >
-                        <span className="hidden sm:inline">{t('common.next')}</span>
-                        <ChevronRight className="w-4 h-4" />
-                      </Button>
+                  {loadingMoreEvents && (
+                    <div className="flex justify-center py-6">
+                      <Loader2 className="w-6 h-6 text-violet-500 animate-spin" />
                     </div>
                   )}
                 </>
               )}
+
+              {/* Infinite scroll trigger */}
+              <div ref={loadMoreRef} />
             </div>
           )}
 
@@ -559,12 +632,20 @@ function UserDashboardContent() {
                   onSearch={handleOrgSearch}
                   compact
                 />
+                <Button
+                  variant="outline"
+                  className="h-11 gap-2"
+                  onClick={() => setOrgRequestOpen(true)}
+                >
+                  <Building2 className="w-4 h-4" />
+                  {t('organisationRequests.registerOrganisation')}
+                </Button>
               </div>
 
               {/* Results Count */}
               <p className="text-sm text-muted-foreground">
-                Showing <span className="font-semibold text-foreground">{paginatedOrganisations.length}</span> of{' '}
-                <span className="font-semibold text-foreground">{filteredOrganisations.length}</span> organizations
+                Showing <span className="font-semibold text-foreground">{organisations.length}</span> of{' '}
+                <span className="font-semibold text-foreground">{orgsPagination.total || 0}</span> organizations
               </p>
 
               {/* Organisations Grid */}
@@ -572,7 +653,7 @@ function UserDashboardContent() {
                 <div className="flex justify-center py-12">
                   <Loader2 className="w-8 h-8 text-violet-500 animate-spin" />
                 </div>
-              ) : paginatedOrganisations.length === 0 ? (
+              ) : organisations.length === 0 ? (
                 <div className="text-center py-16">
                   <div className="w-16 h-16 mx-auto mb-4 bg-muted rounded-full flex items-center justify-center">
                     <Calendar className="w-8 h-8 text-muted-foreground" />
@@ -582,7 +663,7 @@ function UserDashboardContent() {
               ) : (
                 <>
                   <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
-                    {paginatedOrganisations.map((org) => (
+                    {organisations.map((org) => (
                       <OrganisationCard
                         key={org._id}
                         organisation={org}
@@ -592,26 +673,26 @@ function UserDashboardContent() {
                   </div>
 
                   {/* Pagination */}
-                  {orgsPagination.totalPages > 1 && (
+                  {orgsTotalPages > 1 && (
                     <div className="flex items-center justify-center gap-2 mt-8">
                       <Button
                         variant="outline"
                         size="sm"
-                        onClick={() => setOrgsPage(orgsPage - 1)}
-                        disabled={orgsPage === 1}
+                        onClick={() => fetchOrganisations(orgsPagination.page - 1, { before: orgsPagination.prevCursor })}
+                        disabled={!orgsPagination.prevCursor || orgsPagination.page === 1}
                         className="gap-1"
                       >
                         <ChevronLeft className="w-4 h-4" />
                         <span className="hidden sm:inline">{t('common.previous')}</span>
                       </Button>
                       <span className="text-sm px-3">
-                        {t('common.page')} {orgsPage} {t('common.of')} {orgsPagination.totalPages}
+                        {t('common.page')} {orgsPagination.page} {t('common.of')} {orgsTotalPages}
                       </span>
                       <Button
                         variant="outline"
                         size="sm"
-                        onClick={() => setOrgsPage(orgsPage + 1)}
-                        disabled={orgsPage === orgsPagination.totalPages}
+                        onClick={() => fetchOrganisations(orgsPagination.page + 1, { after: orgsPagination.nextCursor })}
+                        disabled={!orgsPagination.nextCursor}
                         className="gap-1"
                       >
                         <span className="hidden sm:inline">{t('common.next')}</span>
@@ -624,9 +705,30 @@ function UserDashboardContent() {
             </div>
           )}
 
+          {/* Following Tab */}
+          {activeTab === 'following' && (
+            <FollowingFeed onEventClick={handleEventClick} />
+          )}
+
+          {/* Settings Tab */}
+          {activeTab === 'settings' && (
+            <div className="space-y-6">
+              <NotificationSettings />
+              <div className="max-w-3xl">
+                <ActiveSessions />
+              </div>
+            </div>
+          )}
+
           {/* Applications Tab */}
           {activeTab === 'applications' && (
             <div className="space-y-6">
+              <div className="flex justify-end">
+                <Button variant="outline" size="sm" className="gap-2" onClick={() => setCalendarFeedOpen(true)}>
+                  <CalendarPlus className="w-4 h-4" />
+                  {t('calendar.subscribeToMyEvents')}
+                </Button>
+              </div>
               {loading.applications ? (
                 <div className="flex justify-center py-12">
                   <Loader2 className="w-8 h-8 text-violet-500 animate-spin" />
@@ -691,6 +793,13 @@ function UserDashboardContent() {
                               </span>
                             </div>
 
+                            {app.checkedInAt && (
+                              <p className="flex items-center gap-1 text-xs text-green-600 mt-2">
+                                <CheckCircle2 className="w-3.5 h-3.5" />
+                                {t('tickets.checkedIn')}
+                              </p>
+                            )}
+
                             {app.status === 'rejected' && app.rejectionReason && (
                               <p className="text-xs text-red-600 mt-2 bg-red-50 px-2 py-1 rounded">
                                 Reason: {app.rejectionReason}
@@ -700,7 +809,23 @@ function UserDashboardContent() {
                         </div>
 
                         {/* Actions */}
-                        {app.status === 'pending' && (
+                        {app.status === 'accepted' && (
+                          <div className="mt-3 pt-3 border-t flex justify-end">
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              className="text-violet-600 hover:text-violet-700"
+                              onClick={() => {
+                                setTicketApplication(app);
+                                setTicketDialogOpen(true);
+                              }}
+                            >
+                              <QrCode className="w-4 h-4 mr-1" />
+                              {t('tickets.showTicket')}
+                            </Button>
+                          </div>
+                        )}
+                        {['pending', 'waitlisted'].includes(app.status) && (
                           <div className="mt-3 pt-3 border-t flex justify-end">
                             <Button
                               size="sm"
@@ -775,6 +900,30 @@ function UserDashboardContent() {
         event={selectedEvent}
         onParticipate={handleParticipate}
       />
+
+      <TicketDialog
+        open={ticketDialogOpen}
+        onOpenChange={setTicketDialogOpen}
+        application={ticketApplication}
+      />
+
+      <RegistrationFormDialog
+        key={registrationEvent?._id}
+        open={!!registrationEvent}
+        onOpenChange={(open) => !open && setRegistrationEvent(null)}
+        event={registrationEvent}
+        onSubmit={(answers) => submitApplication(registrationEvent, answers)}
+      />
+
+      <CalendarFeedDialog
+        open={calendarFeedOpen}
+        onOpenChange={setCalendarFeedOpen}
+      />
+
+      <OrganisationRequestDialog
+        open={orgRequestOpen}
+        onOpenChange={setOrgRequestOpen}
+      />
     </div>
   );
 }
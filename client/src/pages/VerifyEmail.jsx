@@ -0,0 +1,117 @@
+/**
+ * VerifyEmail Page
+ *
+ * Confirms the email address using the single-use link from the
+ * verification email (/verify-email?token=...)
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import {
+  Card,
+  CardContent,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import AuthPageLayout from '@/components/AuthPageLayout';
+import { useAuth } from '@/context/AuthContext';
+import { authFetch } from '@/lib/authFetch';
+import { CheckCircle2, Loader2, XCircle } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+
+export default function VerifyEmail() {
+  const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const { user, isAuthenticated, login } = useAuth();
+  const token = searchParams.get('token');
+
+  // verifying | verified | failed
+  const [state, setState] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : t('auth.invalidVerificationLink'));
+
+  // The token is single-use, so it must only be sent once (effects can run twice in development)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    fetch(`${API_URL}/auth/verify-email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token }),
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || t('auth.invalidVerificationLink'));
+        }
+        setState('verified');
+      })
+      .catch((err) => {
+        setState('failed');
+        setMessage(err.message);
+      });
+  }, [token, t]);
+
+  // Refresh the signed-in user so the app knows the address is verified
+  useEffect(() => {
+    if (state !== 'verified' || !isAuthenticated || user?.emailVerified) return;
+
+    authFetch(`${API_URL}/auth/me`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (data?.user) login(data.user);
+      })
+      .catch(() => {});
+  }, [state, isAuthenticated, user, login]);
+
+  return (
+    <AuthPageLayout>
+      <Card className="border-0 shadow-xl shadow-black/5">
+        <CardHeader className="pb-4">
+          <CardTitle className="text-2xl font-bold tracking-tight">
+            {t('auth.verifyEmailTitle')}
+          </CardTitle>
+        </CardHeader>
+
+        <CardContent>
+          {state === 'verifying' && (
+            <div className="flex items-center gap-3 text-muted-foreground">
+              <Loader2 className="w-5 h-5 animate-spin text-violet-500" />
+              {t('auth.verifyingEmail')}
+            </div>
+          )}
+          {state === 'verified' && (
+            <div className="p-4 text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg flex gap-3">
+              <CheckCircle2 className="w-5 h-5 flex-shrink-0" />
+              <p>{t('auth.emailVerified')}</p>
+            </div>
+          )}
+          {state === 'failed' && (
+            <div className="p-4 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg flex gap-3">
+              <XCircle className="w-5 h-5 flex-shrink-0" />
+              <p>{message}</p>
+            </div>
+          )}
+        </CardContent>
+
+        {state !== 'verifying' && (
+          <CardFooter>
+            <Button asChild className="w-full bg-gradient-to-r from-violet-600 to-purple-600">
+              <Link to={isAuthenticated ? '/dashboard' : '/login'}>
+                {isAuthenticated ? t('auth.goToDashboard') : t('auth.backToLogin')}
+              </Link>
+            </Button>
+          </CardFooter>
+        )}
+      </Card>
+    </AuthPageLayout>
+  );
+}
@@ -1,15 +1,62 @@
 require('dotenv').config();
 
 const backendUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+// Hop count (e.g. "1") or an Express trust proxy value (e.g. "loopback")
+const trustProxy = process.env.TRUST_PROXY || false;
 
 module.exports = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 3000,
+  // Express "trust proxy" setting, e.g. 1 behind a single reverse proxy
+  trustProxy: /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy,
   mongoUri: process.env.MONGO_URI,
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpire: process.env.JWT_EXPIRE || '7d',
+  // Short-lived access token (JWT cookie), renewed with a rotating refresh token
+  accessTokenTtlMinutes: parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15,
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
   backendUrl,
+  // Lifetime of single-use links sent by email
+  authTokens: {
+    passwordResetTtlHours: parseInt(process.env.PASSWORD_RESET_TTL_HOURS, 10) || 1,
+    emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48
+  },
+  // Lifetime of organisation team invitation links
+  invitations: {
+    ttlDays: parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7
+  },
+  twoFactor: {
+    // Name shown in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Conevent',
+    // Key for encrypting stored TOTP secrets, falls back to the JWT secret
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+    // Time to enter the code after the password was accepted
+    challengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES, 10) || 5
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    eventLifecycleIntervalMs: parseInt(process.env.EVENT_LIFECYCLE_INTERVAL_MS, 10) || 60 * 1000,
+    eventReminderIntervalMs: parseInt(process.env.EVENT_REMINDER_INTERVAL_MS, 10) || 60 * 1000,
+    // Comma separated minutes before an event's start, e.g. "1440,60" for 24h and 1h
+    eventReminderOffsetsMinutes: (process.env.EVENT_REMINDER_OFFSETS_MINUTES || '1440,60')
+      .split(',')
+      .map((value) => parseInt(value, 10))
+      .filter((value) => value > 0)
+  },
+  email: {
+    // smtp | file | console - file and console are meant for local development and tests
+    transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : process.env.NODE_ENV === 'test' ? 'file' : 'console'),
+    from: process.env.EMAIL_FROM || 'Conevent <no-reply@conevent.local>',
+    fileDir: process.env.EMAIL_FILE_DIR || 'tmp/emails',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    outboxIntervalMs: parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS, 10) || 30 * 1000
+  },
   google: {
     clientId: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
@@ -0,0 +1,102 @@
+/**
+ * Rate Limit Configuration
+ *
+ * Named policies used by the rateLimit middleware. Each policy counts
+ * requests per client in a fixed window:
+ * - windowMs: window length
+ * - max: requests allowed per window
+ * - by: 'ip', 'user' (needs auth before it) or 'userOrIp' (before auth, the
+ *   user is taken from the access token)
+ * - skipFailedRequests: only count requests that succeeded (status < 400)
+ * - store: counter store for this policy, instead of the default one
+ * - message: error message once the limit is reached
+ *
+ * RATE_LIMIT_POLICIES overrides policies with JSON, e.g.
+ * RATE_LIMIT_POLICIES='{"login":{"max":20},"applications":{"max":10}}'
+ */
+
+require('dotenv').config();
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const defaultPolicies = {
+  // Every API request, as a general safety net
+  api: {
+    windowMs: 15 * MINUTE_MS,
+    max: 1000,
+    by: 'userOrIp',
+    message: 'Too many requests. Please try again later.'
+  },
+  login: {
+    windowMs: 15 * MINUTE_MS,
+    max: 20,
+    by: 'ip',
+    message: 'Too many login attempts. Please try again later.'
+  },
+  signup: {
+    windowMs: HOUR_MS,
+    max: 10,
+    by: 'ip',
+    message: 'Too many accounts created from this address. Please try again later.'
+  },
+  // Forgot password, verification email resend
+  accountEmail: {
+    windowMs: HOUR_MS,
+    max: 5,
+    by: 'userOrIp',
+    message: 'Too many emails requested. Please try again later.'
+  },
+  // Links and codes that are guessed by brute force: reset and verification tokens, 2FA codes
+  tokenCheck: {
+    windowMs: 15 * MINUTE_MS,
+    max: 30,
+    by: 'ip',
+    message: 'Too many attempts. Please try again later.'
+  },
+  // Organisation team invitations sent or resent by email
+  invitations: {
+    windowMs: HOUR_MS,
+    max: 30,
+    by: 'user',
+    message: 'Too many invitations sent. Please try again later.'
+  },
+  // Organisation registration requests; failed attempts do not count
+  // Daily limits are kept in MongoDB so restarts and other processes do not reset them
+  organisationRequests: {
+    windowMs: DAY_MS,
+    max: 3,
+    by: 'user',
+    skipFailedRequests: true,
+    store: 'mongo',
+    message: 'You have sent too many organisation registration requests today. Please try again later.'
+  },
+  // Event applications (spam protection); failed attempts do not count
+  applications: {
+    windowMs: DAY_MS,
+    max: 5,
+    by: 'user',
+    skipFailedRequests: true,
+    store: 'mongo',
+    message: 'You have reached the maximum number of applications for today. Please try again later.'
+  }
+};
+
+const overrides = process.env.RATE_LIMIT_POLICIES ? JSON.parse(process.env.RATE_LIMIT_POLICIES) : {};
+
+const policies = Object.fromEntries(
+  Object.entries(defaultPolicies).map(([name, policy]) => [name, { ...policy, ...overrides[name] }])
+);
+
+module.exports = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  // Default store - memory: per process; mongo: shared by all server processes
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  policies,
+  // Failed password logins in a row before the account is locked, and for how long
+  loginLockout: {
+    maxFailures: parseInt(process.env.LOGIN_LOCKOUT_MAX_FAILURES, 10) || 5,
+    lockMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15
+  }
+};
@@ -5,8 +5,13 @@
  * - Users: Create, view own, cancel applications
  * - Organisers: View applications for their events, accept/reject (free events)
  * - Admins: View all applications, accept/reject any
+ * - Waitlist: Full events queue new applicants, promoted as spots free up
+ * - Tickets: Accepted applicants get a signed QR ticket, scanned at check-in
+ * - Bulk: Accept/reject or message many applications at once
+ * - Export: Stream filtered applications as a CSV download
  */
 
+const crypto = require('crypto');
 const Application = require('../models/application.model');
 const Event = require('../models/event.model');
 const Organisation = require('../models/organisation.model');
@@ -14,16 +19,36 @@ const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('../utils/apiFeatures');
 const { notifyNewApplication, notifyApplicationStatus } = require('../utils/notificationHelper');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { validateAnswers } = require('../utils/registrationQuestions');
+const { streamApplicationsCsv } = require('../utils/applicationExport');
+const { generateTicketToken, verifyTicketToken } = require('../utils/jwt');
+const socketService = require('../services/socket.service');
+const applicationBulkService = require('../services/applicationBulk.service');
+
+// Fields clients may filter and sort on when listing applications
+// (status, eventId and userId of the admin and organisation listings are handled by their controllers)
+const LIST_FIELDS = {
+    filterable: ['status', 'eventId', 'createdAt', 'processedAt', 'checkedInAt'],
+    sortable: ['status', 'createdAt', 'processedAt', 'checkedInAt', 'waitlistPosition'],
+};
 
-// Rate limit: max applications per day to prevent spam
-const MAX_APPLICATIONS_PER_DAY = 5;
+/**
+ * Check if a user's role in an organisation grants a permission
+ * @param {Object} organisation - Organisation document (with members)
+ * @param {string} userId - User ID
+ * @param {string} permission - One of Organisation.PERMISSIONS
+ */
+const hasOrganisationPermission = (organisation, userId, permission) => {
+    return Boolean(organisation && organisation.hasPermission(userId, permission));
+};
 
 /**
  * Create a new application (user applies to event)
  * POST /api/applications
  */
 const createApplication = catchAsync(async (req, res, next) => {
-    const { eventId, message } = req.body;
+    const { eventId, message, answers: rawAnswers } = req.body;
     const userId = req.user._id;
 
     // Check if event exists
@@ -37,43 +62,21 @@ const createApplication = catchAsync(async (req, res, next) => {
         return next(new AppError('Cannot apply to this event', 400));
     }
 
-    // Check if registration is still open
-    // Use end of day for deadline to be more forgiving with timezone differences
-    if (event.registrationEndDate) {
-        const deadline = new Date(event.registrationEndDate);
-        const endOfDeadlineDay = new Date(deadline);
-        endOfDeadlineDay.setHours(23, 59, 59, 999);
-
-        if (endOfDeadlineDay < new Date()) {
-            return next(new AppError('Registration deadline has passed', 400));
-        }
+    // Check if registration was closed by the lifecycle scheduler
+    if (event.isRegistrationOpen === false) {
+        return next(new AppError('Registration is closed for this event', 400));
     }
 
-    // Check daily application limit (prevent spam)
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const applicationsToday = await Application.countDocuments({
-        userId,
-        createdAt: { $gte: todayStart },
-    });
-    if (applicationsToday >= MAX_APPLICATIONS_PER_DAY) {
-        return next(
-            new AppError(
-                'You have reached the maximum of 5 applications per day. Please try again tomorrow.',
-                429
-            )
-        );
+    // Check if registration is still open (until the end of the deadline day,
+    // the same boundary the lifecycle scheduler closes registration at)
+    if (event.registrationEndDate && Event.registrationClosesAt(event.registrationEndDate) < new Date()) {
+        return next(new AppError('Registration deadline has passed', 400));
     }
 
-    // Check capacity
-    if (event.capacity) {
-        const acceptedCount = await Application.countDocuments({
-            eventId,
-            status: 'accepted',
-        });
-        if (acceptedCount >= event.capacity) {
-            return next(new AppError('Event is at full capacity', 400));
-        }
+    // Validate answers to the event's registration questions
+    const { answers, errors } = validateAnswers(event.registrationQuestions, rawAnswers);
+    if (errors.length > 0) {
+        return next(new AppError(errors.join('. '), 400));
     }
 
     // Check if user already has an active application (not cancelled)
@@ -87,14 +90,40 @@ const createApplication = catchAsync(async (req, res, next) => {
         return next(new AppError('You have already applied to this event', 400));
     }
 
+    // Paid events are automatically accepted and take a seat right away,
+    // free events need org approval (seats are taken when accepted)
+    // Full events put the user on the waitlist
+    const isPaidEvent = event.price && event.price > 0;
+    let isFull;
+    let status;
+    if (isPaidEvent) {
+        isFull = !(await Event.reserveSeats(eventId));
+        status = isFull ? 'waitlisted' : 'accepted';
+    } else {
+        isFull = Boolean(event.capacity) && event.registeredCount >= event.capacity;
+        status = isFull ? 'waitlisted' : 'pending';
+    }
+    const waitlistPosition = isFull
+        ? await Application.getNextWaitlistPosition(eventId)
+        : undefined;
+
     // Create application
-    // Paid events are automatically accepted, free events need org approval
-    const application = await Application.create({
-        userId,
-        eventId,
-        message,
-        status: event.price && event.price > 0 ? 'accepted' : 'pending',
-    });
+    let application;
+    try {
+        application = await Application.create({
+            userId,
+            eventId,
+            message,
+            answers,
+            status,
+            waitlistPosition,
+        });
+    } catch (error) {
+        if (status === 'accepted') {
+            await Event.releaseSeats(eventId);
+        }
+        throw error;
+    }
 
     // Populate for response
     await application.populate([
@@ -102,11 +131,12 @@ const createApplication = catchAsync(async (req, res, next) => {
         { path: 'eventId', select: 'title startDate organisationId' },
     ]);
 
-    // Notify org admins for free events (pending applications need review)
+    // Notify org reviewers for free events (pending applications need review)
     if (application.status === 'pending') {
-        const organisation = await Organisation.findById(event.organisationId).select('admins');
-        if (organisation && organisation.admins && organisation.admins.length > 0) {
-            notifyNewApplication(application, organisation.admins).catch(err => {
+        const organisation = await Organisation.findById(event.organisationId).select('members');
+        const reviewerIds = organisation ? organisation.getMemberIds('reviewApplications') : [];
+        if (reviewerIds.length > 0) {
+            notifyNewApplication(application, reviewerIds).catch(err => {
                 console.error('Error sending application notification:', err);
             });
         }
@@ -114,6 +144,9 @@ const createApplication = catchAsync(async (req, res, next) => {
 
     res.status(201).json({
         status: 'success',
+        message: isFull
+            ? 'Event is at full capacity. You have been added to the waitlist'
+            : undefined,
         data: {
             application,
         },
@@ -129,28 +162,23 @@ const getMyApplications = catchAsync(async (req, res, next) => {
 
     const features = new APIFeatures(
         Application.find({ userId }),
-        req.query
+        req.query,
+        LIST_FIELDS
     )
         .filter()
         .sort()
         .paginate();
 
-    const applications = await features.query.populate([
-        { path: 'eventId', select: 'title startDate endDate status coverImage organisationId price', populate: { path: 'organisationId', select: 'name' } },
-    ]);
-
-    // Get total count
-    const total = await Application.countDocuments({ userId });
-
-    const page = req.query.page * 1 || 1;
-    const limit = req.query.limit * 1 || 10;
+    const { docs: applications, pagination } = await features.paginateResults(
+        await features.query.populate([
+            { path: 'eventId', select: 'title startDate endDate status coverImage organisationId price', populate: { path: 'organisationId', select: 'name' } },
+        ])
+    );
 
     res.status(200).json({
         status: 'success',
         results: applications.length,
-        total,
-        page,
-        totalPages: Math.ceil(total / limit),
+        ...pagination,
         data: {
             applications,
         },
@@ -162,7 +190,7 @@ const getMyApplications = catchAsync(async (req, res, next) => {
  * GET /api/applications/admin
  */
 const getAdminApplications = catchAsync(async (req, res, next) => {
-    const { status, eventId, userId } = req.query;
+    const { status, eventId, userId, ...query } = req.query;
 
     // Build filter
     const filter = {};
@@ -170,33 +198,24 @@ const getAdminApplications = catchAsync(async (req, res, next) => {
     if (eventId) filter.eventId = eventId;
     if (userId) filter.userId = userId;
 
-    // Get total count
-    const totalQuery = new APIFeatures(Application.find(filter), req.query)
-        .filter()
-        .search();
-    const total = await Application.countDocuments(totalQuery.query.getFilter());
-
     // Execute query
-    const features = new APIFeatures(Application.find(filter), req.query)
+    const features = new APIFeatures(Application.find(filter), query, LIST_FIELDS)
         .filter()
         .sort()
         .paginate();
 
-    const applications = await features.query.populate([
-        { path: 'userId', select: 'name email' },
-        { path: 'eventId', select: 'title startDate status price organisationId', populate: { path: 'organisationId', select: 'name' } },
-        { path: 'processedBy', select: 'name' },
-    ]);
-
-    const page = req.query.page * 1 || 1;
-    const limit = req.query.limit * 1 || 10;
+    const { docs: applications, pagination } = await features.paginateResults(
+        await features.query.populate([
+            { path: 'userId', select: 'name email' },
+            { path: 'eventId', select: 'title startDate status price organisationId', populate: { path: 'organisationId', select: 'name' } },
+            { path: 'processedBy', select: 'name' },
+        ])
+    );
 
     res.status(200).json({
         status: 'success',
         results: applications.length,
-        total,
-        page,
-        totalPages: Math.ceil(total / limit),
+        ...pagination,
         data: {
             applications,
         },
@@ -204,68 +223,112 @@ const getAdminApplications = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Get applications for organisation admin
- * GET /api/applications/organisation
+ * Find the events whose applications a user may view: those of the
+ * organisations where their role allows viewing applications
+ * @param {string} userId - User ID
+ * @param {Object} scope - Optional organisationId and eventId to narrow down to
+ * @returns {Promise<Object>} - Filter on the application eventId
+ * @throws {AppError} 403 when the organisation or event is not viewable
  */
-const getOrganisationApplications = catchAsync(async (req, res, next) => {
-    const userId = req.user._id;
-    const { status, eventId } = req.query;
-
-    // Find organisations where user is admin
-    const organisations = await Organisation.find({ admins: userId });
-    const orgIds = organisations.map((org) => org._id);
+const getViewableEventFilter = async (userId, { organisationId, eventId } = {}) => {
+    const orgFilter = Organisation.memberQuery(userId, 'viewApplications');
+    if (organisationId) orgFilter._id = organisationId;
 
-    if (orgIds.length === 0) {
-        return res.status(200).json({
-            status: 'success',
-            results: 0,
-            total: 0,
-            page: 1,
-            totalPages: 0,
-            data: {
-                applications: [],
-            },
-        });
+    const organisations = await Organisation.find(orgFilter).select('_id');
+    if (organisationId && organisations.length === 0) {
+        throw new AppError('You are not authorized to view applications for this organisation', 403);
     }
 
-    // Find events belonging to these organisations
-    const events = await Event.find({ organisationId: { $in: orgIds } });
+    const events = await Event.find({ organisationId: { $in: organisations.map((org) => org._id) } }).select('_id');
     const eventIds = events.map((event) => event._id);
 
+    if (eventId) {
+        if (!eventIds.some((id) => id.toString() === eventId)) {
+            throw new AppError('You are not authorized to view applications for this event', 403);
+        }
+        return eventId;
+    }
+
+    return { $in: eventIds };
+};
+
+/**
+ * Get applications for organisation members who can view them
+ * Query: status, eventId, organisationId (all of the user's organisations without it)
+ * GET /api/applications/organisation
+ */
+const getOrganisationApplications = catchAsync(async (req, res, next) => {
+    const { status, eventId, organisationId } = req.query;
+
     // Build filter
-    const filter = { eventId: { $in: eventIds } };
+    const filter = { eventId: await getViewableEventFilter(req.user._id, { organisationId, eventId }) };
     if (status && status !== 'all') filter.status = status;
-    if (eventId) filter.eventId = eventId;
-
-    // Get total count
-    const total = await Application.countDocuments(filter);
 
     // Execute query
-    const features = new APIFeatures(Application.find(filter), req.query)
+    const features = new APIFeatures(Application.find(filter), req.query, LIST_FIELDS)
         .sort()
         .paginate();
 
-    const applications = await features.query.populate([
-        { path: 'userId', select: 'name email' },
-        { path: 'eventId', select: 'title startDate status price organisationId', populate: { path: 'organisationId', select: 'name' } },
-        { path: 'processedBy', select: 'name' },
-    ]);
-
-    const page = req.query.page * 1 || 1;
-    const limit = req.query.limit * 1 || 10;
+    const { docs: applications, pagination } = await features.paginateResults(
+        await features.query.populate([
+            { path: 'userId', select: 'name email' },
+            { path: 'eventId', select: 'title startDate status price organisationId', populate: { path: 'organisationId', select: 'name' } },
+            { path: 'processedBy', select: 'name' },
+        ])
+    );
 
     res.status(200).json({
         status: 'success',
         results: applications.length,
-        total,
-        page,
-        totalPages: Math.ceil(total / limit),
+        ...pagination,
         data: {
             applications,
         },
     });
 });
 
+/**
+ * Check the requested export format and build the download file name
+ * Only CSV is supported for now
+ */
+const getExportFilename = (format = 'csv') => {
+    if (format !== 'csv') {
+        throw new AppError('Unsupported export format. Use csv', 400);
+    }
+    return `applications-${new Date().toISOString().slice(0, 10)}.csv`;
+};
+
+/**
+ * Export all applications as CSV (admin)
+ * Query: format=csv, status, eventId
+ * GET /api/applications/admin/export
+ */
+const exportAdminApplications = catchAsync(async (req, res, next) => {
+    const { format, status, eventId } = req.query;
+    const filename = getExportFilename(format);
+
+    const filter = {};
+    if (status && status !== 'all') filter.status = status;
+    if (eventId) filter.eventId = eventId;
+
+    await streamApplicationsCsv(res, filter, { eventId, filename });
+});
+
+/**
+ * Export applications for the user's organisations as CSV
+ * Query: format=csv, status, eventId, organisationId
+ * GET /api/applications/organisation/export
+ */
+const exportOrganisationApplications = catchAsync(async (req, res, next) => {
+    const { format, status, eventId, organisationId } = req.query;
+    const filename = getExportFilename(format);
+
+    const filter = { eventId: await getViewableEventFilter(req.user._id, { organisationId, eventId }) };
+    if (status && status !== 'all') filter.status = status;
+
+    await streamApplicationsCsv(res, filter, { eventId, filename });
+});
+
 /**
  * Update application status (accept/reject)
  * PATCH /api/applications/:id/status
@@ -283,77 +346,140 @@ const updateApplicationStatus = catchAsync(async (req, res, next) => {
     const application = await Application.findById(id).populate({
         path: 'eventId',
         select: 'price organisationId',
-        populate: { path: 'organisationId', select: 'admins' },
+        populate: { path: 'organisationId', select: 'members' },
     });
 
     if (!application) {
         return next(new AppError('Application not found', 404));
     }
 
-    // Check if already processed
-    if (application.status !== 'pending') {
+    // Pending and waitlisted applications can be accepted or rejected,
+    // accepted ones can still be rejected (frees a spot for the waitlist)
+    const previousStatus = application.status;
+    const allowedTransitions = {
+        pending: ['accepted', 'rejected'],
+        waitlisted: ['accepted', 'rejected'],
+        accepted: ['rejected'],
+    };
+    if (!(allowedTransitions[previousStatus] || []).includes(status)) {
         return next(new AppError('Application has already been processed', 400));
     }
 
-    // Authorization check for organisation role
-    if (req.user.role === 'organisation') {
-        const orgAdmins = application.eventId?.organisationId?.admins || [];
-        const isOrgAdmin = orgAdmins.some(
-            (admin) => admin.toString() === req.user._id.toString()
-        );
-
-        if (!isOrgAdmin) {
+    // Authorization check for organisation members (owners and reviewers decide)
+    if (req.user.role !== 'admin') {
+        if (!hasOrganisationPermission(application.eventId?.organisationId, req.user._id, 'reviewApplications')) {
             return next(new AppError('You are not authorized to process this application', 403));
         }
 
-        // Organisation admins can only process free events
+        // Organisation members can only process free events
         if (application.eventId.price && application.eventId.price > 0) {
             return next(new AppError('Only admins can process paid event applications', 403));
         }
     }
 
-    // Check capacity for acceptance
-    if (status === 'accepted' && application.eventId) {
-        const event = await Event.findById(application.eventId._id);
-        if (event.capacity) {
-            const acceptedCount = await Application.countDocuments({
-                eventId: event._id,
-                status: 'accepted',
-            });
-            if (acceptedCount >= event.capacity) {
-                return next(new AppError('Event is at full capacity', 400));
-            }
-        }
+    if (!application.eventId) {
+        return next(new AppError('Event not found', 404));
     }
 
-    // Update application
-    application.status = status;
-    application.processedBy = processedBy;
+    // Take a seat first, so concurrent acceptances cannot pass capacity
+    const eventId = application.eventId._id;
+    const takesSeat = status === 'accepted';
+    if (takesSeat && !(await Event.reserveSeats(eventId))) {
+        return next(new AppError('Event is at full capacity', 400));
+    }
+
+    // Update application, only if nobody changed it since it was loaded
+    const update = {
+        $set: { status, processedBy, processedAt: new Date() },
+        $unset: { waitlistPosition: 1 },
+    };
     if (status === 'rejected' && rejectionReason) {
-        application.rejectionReason = rejectionReason;
+        update.$set.rejectionReason = rejectionReason;
+    }
+    const updated = await Application.findOneAndUpdate(
+        { _id: application._id, status: previousStatus },
+        update,
+        { new: true }
+    );
+
+    if (!updated) {
+        if (takesSeat) {
+            await Event.releaseSeats(eventId);
+        }
+        return next(new AppError('The application was changed by someone else. Please reload and try again', 409));
+    }
+
+    // Rejecting an accepted application frees a spot
+    if (previousStatus === 'accepted') {
+        await Event.releaseSeats(eventId);
+        promoteFromWaitlist(eventId).catch(err => {
+            console.error('Error promoting from waitlist:', err);
+        });
     }
-    await application.save();
 
     // Repopulate for response
-    await application.populate([
+    await updated.populate([
         { path: 'userId', select: 'name email' },
         { path: 'eventId', select: 'title startDate status price organisationId', populate: { path: 'organisationId', select: 'name' } },
         { path: 'processedBy', select: 'name' },
     ]);
 
     // Notify user about application status change
-    notifyApplicationStatus(application, status).catch(err => {
+    notifyApplicationStatus(updated, status).catch(err => {
         console.error('Error sending application status notification:', err);
     });
 
     res.status(200).json({
         status: 'success',
         data: {
-            application,
+            application: updated,
         },
     });
 });
 
+/**
+ * Accept or reject many applications, each on its own
+ * Body: { status, rejectionReason?, ids: [...] } or { status, rejectionReason?, filter: { eventId, status? } }
+ * Responds with a per-application result report
+ * POST /api/applications/bulk/status
+ */
+const bulkUpdateApplicationStatus = catchAsync(async (req, res, next) => {
+    const { status, rejectionReason, ids, filter } = req.body;
+
+    const report = await applicationBulkService.bulkUpdateStatus(req.user, {
+        status,
+        rejectionReason,
+        ids,
+        filter,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        data: report,
+    });
+});
+
+/**
+ * Send a notification message to many applicants
+ * Body: { title?, message, ids: [...] } or { title?, message, filter: { eventId, status? } }
+ * POST /api/applications/bulk/message
+ */
+const bulkMessageApplicants = catchAsync(async (req, res, next) => {
+    const { title, message, ids, filter } = req.body;
+
+    const report = await applicationBulkService.bulkMessage(req.user, {
+        title,
+        message,
+        ids,
+        filter,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        data: report,
+    });
+});
+
 /**
  * Cancel application (user cancels their own application)
  * - Paid events: mark as "cancelled" (kept in DB for records)
@@ -378,29 +504,49 @@ const cancelApplication = catchAsync(async (req, res, next) => {
         return next(new AppError('You can only cancel your own applications', 403));
     }
 
-    // Check if can be cancelled (pending or accepted for paid events)
-    if (!['pending', 'accepted'].includes(application.status)) {
+    // Check if can be cancelled (pending, waitlisted or accepted for paid events)
+    if (!['pending', 'accepted', 'waitlisted'].includes(application.status)) {
         return next(new AppError('This application cannot be cancelled', 400));
     }
 
     const eventTitle = application.eventId.title;
+    const eventId = application.eventId._id;
     const isPaidEvent = application.eventId.price && application.eventId.price > 0;
+    const previousStatus = application.status;
+    const conflict = () => next(new AppError('The application was changed by someone else. Please reload and try again', 409));
+
+    // Cancelling an accepted application frees a spot
+    const freeSeat = async () => {
+        if (previousStatus !== 'accepted') return;
+        await Event.releaseSeats(eventId);
+        promoteFromWaitlist(eventId).catch(err => {
+            console.error('Error promoting from waitlist:', err);
+        });
+    };
 
+    // Both branches only apply if the status is still the one checked above
     if (isPaidEvent) {
         // Paid event: mark as cancelled (keep in DB)
-        application.status = 'cancelled';
-        await application.save();
+        const cancelled = await Application.findOneAndUpdate(
+            { _id: id, status: previousStatus },
+            { $set: { status: 'cancelled' }, $unset: { waitlistPosition: 1 } },
+            { new: true }
+        ).populate({ path: 'eventId', select: 'title startDate price' });
+        if (!cancelled) return conflict();
+        await freeSeat();
 
         res.status(200).json({
             status: 'success',
             message: `Application for "${eventTitle}" has been cancelled`,
             data: {
-                application,
+                application: cancelled,
             },
         });
     } else {
         // Free event: delete completely
-        await Application.findByIdAndDelete(id);
+        const removed = await Application.findOneAndDelete({ _id: id, status: previousStatus });
+        if (!removed) return conflict();
+        await freeSeat();
 
         res.status(200).json({
             status: 'success',
@@ -410,6 +556,294 @@ const cancelApplication = catchAsync(async (req, res, next) => {
     }
 });
 
+/**
+ * Load an event and check the user can manage its applications
+ * Admins can manage any event, organisation members those of their own
+ * organisation their role grants the permission for
+ * @param {string} permission - One of Organisation.PERMISSIONS
+ */
+const getManageableEvent = async (req, eventId, permission) => {
+    const event = await Event.findById(eventId)
+        .select('title capacity status organisationId')
+        .populate('organisationId', 'members');
+
+    if (!event) {
+        throw new AppError('Event not found', 404);
+    }
+
+    if (req.user.role !== 'admin' && !hasOrganisationPermission(event.organisationId, req.user._id, permission)) {
+        throw new AppError('You are not authorized to manage this event', 403);
+    }
+
+    return event;
+};
+
+/**
+ * Get the ordered waitlist for an event
+ * GET /api/applications/waitlist/:eventId
+ */
+const getEventWaitlist = catchAsync(async (req, res, next) => {
+    const event = await getManageableEvent(req, req.params.eventId, 'viewApplications');
+
+    const applications = await Application.find({
+        eventId: event._id,
+        status: 'waitlisted',
+    })
+        .sort({ waitlistPosition: 1, createdAt: 1 })
+        .populate('userId', 'name email');
+
+    res.status(200).json({
+        status: 'success',
+        results: applications.length,
+        data: {
+            event: {
+                _id: event._id,
+                title: event.title,
+                capacity: event.capacity,
+            },
+            applications,
+        },
+    });
+});
+
+/**
+ * Reorder the waitlist for an event
+ * PATCH /api/applications/waitlist/:eventId
+ * @param {Array} req.body.order - Waitlisted application IDs in the new order
+ */
+const reorderWaitlist = catchAsync(async (req, res, next) => {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.length === 0) {
+        return next(new AppError('Order must be a non-empty array of application IDs', 400));
+    }
+
+    const event = await getManageableEvent(req, req.params.eventId, 'reviewApplications');
+
+    const waitlisted = await Application.find({
+        eventId: event._id,
+        status: 'waitlisted',
+    }).select('_id');
+
+    // The new order must contain exactly the current waitlist
+    const currentIds = new Set(waitlisted.map((app) => app._id.toString()));
+    const orderIds = order.map((id) => id.toString());
+    if (
+        orderIds.length !== currentIds.size ||
+        new Set(orderIds).size !== orderIds.length ||
+        !orderIds.every((id) => currentIds.has(id))
+    ) {
+        return next(new AppError('Order must list every waitlisted application exactly once', 400));
+    }
+
+    await Application.bulkWrite(
+        orderIds.map((id, index) => ({
+            updateOne: {
+                filter: { _id: id, status: 'waitlisted' },
+                update: { $set: { waitlistPosition: index + 1 } },
+            },
+        }))
+    );
+
+    const applications = await Application.find({
+        eventId: event._id,
+        status: 'waitlisted',
+    })
+        .sort({ waitlistPosition: 1, createdAt: 1 })
+        .populate('userId', 'name email');
+
+    res.status(200).json({
+        status: 'success',
+        results: applications.length,
+        data: {
+            applications,
+        },
+    });
+});
+
+/**
+ * Get the signed ticket for an accepted application
+ * The ticket code is issued on first request and never changes
+ * GET /api/applications/:id/ticket
+ */
+const getTicket = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    let application = await Application.findById(id);
+
+    if (!application) {
+        return next(new AppError('Application not found', 404));
+    }
+
+    if (application.userId.toString() !== req.user._id.toString()) {
+        return next(new AppError('You can only view your own tickets', 403));
+    }
+
+    if (application.status !== 'accepted') {
+        return next(new AppError('Tickets are only issued for accepted applications', 400));
+    }
+
+    // Issue the code atomically so concurrent requests agree on one ticket
+    if (!application.ticketCode) {
+        await Application.updateOne(
+            { _id: application._id, ticketCode: { $exists: false } },
+            { $set: { ticketCode: crypto.randomBytes(5).toString('hex').toUpperCase() } }
+        );
+        application = await Application.findById(id);
+    }
+
+    const event = await Event.findById(application.eventId).select('title startDate endDate');
+    if (!event) {
+        return next(new AppError('Event not found', 404));
+    }
+
+    // Valid until a day after the event ends
+    const expiresAt = new Date(new Date(event.endDate).getTime() + 24 * 60 * 60 * 1000);
+    const token = generateTicketToken(
+        {
+            applicationId: application._id.toString(),
+            eventId: event._id.toString(),
+            code: application.ticketCode,
+        },
+        expiresAt
+    );
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            ticket: {
+                token,
+                code: application.ticketCode,
+                checkedInAt: application.checkedInAt,
+                event: {
+                    _id: event._id,
+                    title: event.title,
+                    startDate: event.startDate,
+                },
+            },
+        },
+    });
+});
+
+/**
+ * Check in an attendee by scanned ticket token or manually entered code
+ * POST /api/applications/check-in
+ * @param {string} req.body.eventId - Event being checked in to
+ * @param {string} [req.body.token] - Signed ticket token from the QR code
+ * @param {string} [req.body.code] - Ticket code typed in by staff
+ */
+const checkIn = catchAsync(async (req, res, next) => {
+    const { eventId, token, code } = req.body;
+
+    if (!eventId) {
+        return next(new AppError('Event ID is required', 400));
+    }
+    if (!token && !code) {
+        return next(new AppError('A ticket token or code is required', 400));
+    }
+
+    const event = await getManageableEvent(req, eventId, 'checkIn');
+
+    if (event.status === 'cancelled') {
+        return next(new AppError('This event has been cancelled', 400));
+    }
+
+    let application;
+    if (token) {
+        // Signature check rejects forged or tampered tickets
+        const ticket = verifyTicketToken(token);
+        if (!ticket) {
+            return next(new AppError('Invalid ticket', 400));
+        }
+        if (ticket.eventId !== event._id.toString()) {
+            return next(new AppError('This ticket is for a different event', 400));
+        }
+
+        application = await Application.findById(ticket.applicationId);
+        if (!application || application.ticketCode !== ticket.code) {
+            return next(new AppError('Invalid ticket', 400));
+        }
+    } else {
+        application = await Application.findOne({
+            eventId: event._id,
+            ticketCode: `${code}`.trim().toUpperCase(),
+        });
+        if (!application) {
+            return next(new AppError('Ticket not found', 404));
+        }
+    }
+
+    if (application.status !== 'accepted') {
+        return next(new AppError('This ticket is no longer valid', 400));
+    }
+
+    // Atomic update so a ticket scanned twice at once is only accepted once
+    const checkedIn = await Application.findOneAndUpdate(
+        { _id: application._id, status: 'accepted', checkedInAt: null },
+        { $set: { checkedInAt: new Date(), checkedInBy: req.user._id } },
+        { new: true }
+    ).populate('userId', 'name email');
+
+    if (!checkedIn) {
+        const used = await Application.findById(application._id).select('checkedInAt');
+        return next(
+            new AppError(
+                used && used.checkedInAt
+                    ? `Ticket already used at ${used.checkedInAt.toISOString()}`
+                    : 'This ticket is no longer valid',
+                409
+            )
+        );
+    }
+
+    const stats = await Application.getCheckInStats(event._id);
+
+    // Keep every open scanner for this organisation in sync
+    socketService.emitToUsers(event.organisationId ? event.organisationId.getMemberIds('checkIn') : [], 'attendee_checked_in', {
+        eventId: event._id,
+        applicationId: checkedIn._id,
+        name: checkedIn.userId?.name,
+        checkedInAt: checkedIn.checkedInAt,
+        stats,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            application: checkedIn,
+            stats,
+        },
+    });
+});
+
+/**
+ * Get check-in progress for an event
+ * GET /api/applications/check-in/:eventId
+ */
+const getCheckInStats = catchAsync(async (req, res, next) => {
+    const event = await getManageableEvent(req, req.params.eventId, 'checkIn');
+
+    const stats = await Application.getCheckInStats(event._id);
+
+    const recent = await Application.find({
+        eventId: event._id,
+        status: 'accepted',
+        checkedInAt: { $ne: null },
+    })
+        .sort({ checkedInAt: -1 })
+        .limit(10)
+        .select('userId checkedInAt')
+        .populate('userId', 'name email');
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            stats,
+            recent,
+        },
+    });
+});
+
 /**
  * Get application by ID
  * GET /api/applications/:id
@@ -457,8 +891,17 @@ module.exports = {
     getMyApplications,
     getAdminApplications,
     getOrganisationApplications,
+    exportAdminApplications,
+    exportOrganisationApplications,
     updateApplicationStatus,
+    bulkUpdateApplicationStatus,
+    bulkMessageApplicants,
     cancelApplication,
     getApplication,
     getEventApplicationStats,
+    getEventWaitlist,
+    reorderWaitlist,
+    getTicket,
+    checkIn,
+    getCheckInStats,
 };
@@ -2,15 +2,71 @@
  * Auth Controller
  *
  * Handles user authentication.
+ * Also password reset and email verification through single-use emailed links,
+ * and sign-in sessions: short-lived access tokens renewed with rotating
+ * refresh tokens, listed and revocable per device.
+ * Accounts with two-factor authentication sign in in two steps: the password
+ * (or Google) first, then a TOTP or recovery code.
+ * Too many failed logins in a row lock the account for a while.
  */
 
 const User = require('../models/user.model');
+const AuthToken = require('../models/authToken.model');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
 const { getGoogleAuthUrl, getGoogleUserInfo } = require('../utils/googleAuth');
-const { sendTokenCookie, sendUserResponse } = require('../utils/sendToken');
+const { verifyTwoFactorChallengeToken } = require('../utils/jwt');
+const {
+  sendAccessToken,
+  sendRefreshCookie,
+  sendTwoFactorChallengeCookie,
+  clearTwoFactorChallengeCookie,
+  clearAuthCookies,
+  startSession,
+  sendUserResponse
+} = require('../utils/sendToken');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
+const loginLockout = require('../services/loginLockout.service');
 const config = require('../config/index.config');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 
+/**
+ * Dashboard path for a user's role
+ */
+const getDashboardPath = (user) => {
+  if (user.role === 'admin') return '/admin';
+  if (user.role === 'organisation') return '/organisation';
+  return '/dashboard';
+};
+
+/**
+ * Start the second sign-in step: the code is entered next
+ */
+const startTwoFactorChallenge = async (res, user) => {
+  await twoFactorService.resetAttempts(user._id);
+  sendTwoFactorChallengeCookie(res, user);
+};
+
+/**
+ * Error for a login on a locked account
+ */
+const accountLockedError = (minutes) => new AppError(
+  `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+  429
+);
+
+/**
+ * Count a failed login, with the error to send
+ */
+const failedLogin = async (user, message) => {
+  const lockedUntil = await loginLockout.recordFailure(user._id);
+  if (lockedUntil) {
+    return accountLockedError(loginLockout.getLockMinutesLeft({ lockedUntil }));
+  }
+  return new AppError(message, 401);
+};
+
 /**
  * User signup with email/password
  */
@@ -32,7 +88,12 @@ exports.signup = catchAsync(async (req, res, next) => {
     name
   });
 
-  sendUserResponse(res, user, 201);
+  // The account works without it, but applying to events needs a verified email
+  sendVerificationEmail(user).catch(err => {
+    console.error('Error sending verification email:', err);
+  });
+
+  await sendUserResponse(req, res, user, 201);
 });
 
 /**
@@ -45,7 +106,7 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide email and password', 400));
   }
 
-  const user = await User.findOne({ email });
+  const user = await User.findOne({ email }).select('+failedLoginAttempts +lockedUntil');
   if (!user || !user.passwordHash) {
     return next(new AppError('Invalid credentials', 401));
   }
@@ -54,12 +115,77 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Account is deactivated', 401));
   }
 
+  // Checked before the password, so guessing stops while the account is locked
+  const lockMinutes = loginLockout.getLockMinutesLeft(user);
+  if (lockMinutes > 0) {
+    return next(accountLockedError(lockMinutes));
+  }
+
   const isValid = await user.verifyPassword(password);
   if (!isValid) {
-    return next(new AppError('Invalid credentials', 401));
+    return next(await failedLogin(user, 'Invalid credentials'));
+  }
+
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    await loginLockout.reset(user._id);
+  }
+
+  if (user.twoFactor?.enabled) {
+    await startTwoFactorChallenge(res, user);
+    return res.json({
+      success: true,
+      twoFactorRequired: true
+    });
+  }
+
+  await sendUserResponse(req, res, user);
+});
+
+/**
+ * Second sign-in step: check the code and start the session
+ * Authenticated by the challenge cookie set when the password was accepted
+ */
+exports.verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { code, recoveryCode } = req.body;
+
+  const challenge = verifyTwoFactorChallengeToken(req.cookies.twoFactorChallenge);
+  if (!challenge) {
+    clearTwoFactorChallengeCookie(res);
+    return next(new AppError('Your sign-in has expired. Please log in again.', 401));
+  }
+
+  if (!code && !recoveryCode) {
+    return next(new AppError('Please provide the code from your authenticator app or a recovery code', 400));
+  }
+
+  const user = await User.findById(challenge.id).select('+lockedUntil');
+  if (!user || !user.isActive || !user.twoFactor?.enabled) {
+    clearTwoFactorChallengeCookie(res);
+    return next(new AppError('Your sign-in has expired. Please log in again.', 401));
+  }
+
+  const lockMinutes = loginLockout.getLockMinutesLeft(user);
+  if (lockMinutes > 0) {
+    clearTwoFactorChallengeCookie(res);
+    return next(accountLockedError(lockMinutes));
+  }
+
+  if (!(await twoFactorService.claimAttempt(user._id))) {
+    clearTwoFactorChallengeCookie(res);
+    return next(new AppError('Too many wrong codes. Please log in again.', 401));
+  }
+
+  const isValid = await twoFactorService.verifyUserCode(user._id, { code, recoveryCode });
+  if (!isValid) {
+    return next(await failedLogin(user, 'Invalid code'));
   }
 
-  sendUserResponse(res, user);
+  await Promise.all([
+    twoFactorService.resetAttempts(user._id),
+    loginLockout.reset(user._id)
+  ]);
+  clearTwoFactorChallengeCookie(res);
+  await sendUserResponse(req, res, user);
 });
 
 /**
@@ -92,17 +218,24 @@ exports.googleCallback = catchAsync(async (req, res, next) => {
     let user = await User.findOne({ email: googleUser.email });
 
     if (!user) {
+      // Google has already verified the address
       user = await User.create({
         googleId: googleUser.googleId,
         email: googleUser.email,
         name: googleUser.name,
-        avatar: googleUser.avatar
+        avatar: googleUser.avatar,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
       });
-    } else if (!user.googleId) {
-      user.googleId = googleUser.googleId;
+    } else if (!user.googleId || !user.emailVerified) {
+      user.googleId = user.googleId || googleUser.googleId;
       if (googleUser.avatar && !user.avatar) {
         user.avatar = googleUser.avatar;
       }
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
       await user.save();
     }
 
@@ -110,21 +243,16 @@ exports.googleCallback = catchAsync(async (req, res, next) => {
       return res.redirect(`${config.frontendUrl}/login?error=account_deactivated`);
     }
 
-    sendTokenCookie(res, {
-      id: user._id,
-      accountType: 'user',
-      role: user.role
-    });
-
-    // Redirect based on user role
-    let redirectPath = '/dashboard';
-    if (user.role === 'admin') {
-      redirectPath = '/admin';
-    } else if (user.role === 'organisation') {
-      redirectPath = '/organisation';
+    // The code is entered on the login page
+    if (user.twoFactor?.enabled) {
+      await startTwoFactorChallenge(res, user);
+      return res.redirect(`${config.frontendUrl}/login?twoFactor=required`);
     }
 
-    res.redirect(`${config.frontendUrl}${redirectPath}`);
+    await startSession(req, res, user);
+
+    // Redirect based on user role
+    res.redirect(`${config.frontendUrl}${getDashboardPath(user)}`);
   } catch (err) {
     console.error('Google OAuth callback error:', err);
     return res.redirect(`${config.frontendUrl}/login?error=oauth_failed`);
@@ -133,18 +261,104 @@ exports.googleCallback = catchAsync(async (req, res, next) => {
 
 /**
  * Logout
+ * Revokes the session of the refresh token cookie; works with an expired access token too
  */
-exports.logout = (req, res) => {
-  res.clearCookie('token', {
-    httpOnly: true,
-    secure: true,
-    sameSite: 'none'
-  });
+exports.logout = catchAsync(async (req, res) => {
+  if (req.cookies.refreshToken) {
+    await sessionService.revokeByRefreshToken(req.cookies.refreshToken, 'logout').catch(() => {});
+  }
+
+  clearAuthCookies(res);
   res.json({
     success: true,
     message: 'Logged out successfully'
   });
-};
+});
+
+/**
+ * Exchange the refresh token cookie for a new access token
+ * The refresh token is rotated; reusing an old one revokes the session
+ */
+exports.refresh = catchAsync(async (req, res, next) => {
+  const token = req.cookies.refreshToken;
+  if (!token) {
+    return next(new AppError('No refresh token provided', 401));
+  }
+
+  let result;
+  try {
+    result = await sessionService.rotateRefreshToken(token, req);
+  } catch (err) {
+    clearAuthCookies(res);
+    throw err;
+  }
+
+  const user = await User.findById(result.session.userId);
+  if (!user || !user.isActive) {
+    await sessionService.revokeSession(result.session._id, 'revoked');
+    clearAuthCookies(res);
+    return next(new AppError('Account is deactivated', 401));
+  }
+
+  sendAccessToken(res, user, result.session._id);
+  // Null when a parallel refresh already rotated the token
+  if (result.refreshToken) {
+    sendRefreshCookie(res, result.refreshToken);
+  }
+
+  res.json({
+    success: true
+  });
+});
+
+/**
+ * List the current user's active sessions (signed-in devices)
+ */
+exports.getSessions = catchAsync(async (req, res) => {
+  const sessions = await sessionService.listActiveSessions(req.user._id);
+
+  res.json({
+    success: true,
+    sessions: sessions.map(session => ({
+      ...session,
+      current: session._id.toString() === req.sessionId
+    }))
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ */
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const revoked = await sessionService.revokeSession(req.params.id, 'revoked', req.user._id);
+  if (!revoked) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  if (req.params.id === req.sessionId) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    success: true,
+    message: 'Session revoked'
+  });
+});
+
+/**
+ * Revoke all of the current user's other sessions
+ */
+exports.revokeOtherSessions = catchAsync(async (req, res) => {
+  const count = await sessionService.revokeUserSessions(req.user._id, 'revoked', {
+    exceptSessionId: req.sessionId
+  });
+
+  res.json({
+    success: true,
+    message: `${count} session(s) revoked`,
+    count
+  });
+});
 
 /**
  * Get current user
@@ -152,7 +366,10 @@ exports.logout = (req, res) => {
 exports.me = (req, res) => {
   res.json({
     success: true,
-    user: req.user
+    user: {
+      ...req.user.toJSON(),
+      twoFactorSetupRequired: req.twoFactorSetupRequired
+    }
   });
 };
 
@@ -160,7 +377,7 @@ exports.me = (req, res) => {
  * Update user profile
  */
 exports.updateProfile = catchAsync(async (req, res, next) => {
-  const { name, bio } = req.body;
+  const { name, bio, language } = req.body;
 
   const user = await User.findById(req.user._id);
   if (!user) {
@@ -169,6 +386,7 @@ exports.updateProfile = catchAsync(async (req, res, next) => {
 
   if (name) user.name = name;
   if (bio !== undefined) user.bio = bio;
+  if (language) user.language = language;
 
   await user.save();
 
@@ -177,3 +395,238 @@ exports.updateProfile = catchAsync(async (req, res, next) => {
     user
   });
 });
+
+/**
+ * Request a password reset link
+ * Always answers the same way, so it cannot be used to find registered emails
+ */
+exports.forgotPassword = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new AppError('Please provide your email', 400));
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (user && user.isActive) {
+    await sendPasswordResetEmail(user);
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+/**
+ * Set a new password with a reset link
+ * Logs out every existing session
+ */
+exports.resetPassword = catchAsync(async (req, res, next) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return next(new AppError('Please provide the reset token and a new password', 400));
+  }
+
+  // Checked before the token is used up
+  if (password.length < 6) {
+    return next(new AppError('Password must be at least 6 characters long', 400));
+  }
+
+  const authToken = await AuthToken.consume(token, 'password_reset');
+  if (!authToken) {
+    return next(new AppError('This reset link is invalid or has expired', 400));
+  }
+
+  const user = await User.findById(authToken.userId);
+  if (!user || !user.isActive) {
+    return next(new AppError('This reset link is invalid or has expired', 400));
+  }
+
+  user.passwordHash = password;
+  user.passwordChangedAt = new Date();
+  // Receiving the link proves the address belongs to the user
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  // Whoever knew the old password is signed out everywhere, and a login lock is lifted
+  await Promise.all([
+    sessionService.revokeUserSessions(user._id, 'password_reset'),
+    loginLockout.reset(user._id)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Your password has been reset. You can now log in.'
+  });
+});
+
+/**
+ * Confirm an email address with a verification link
+ */
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return next(new AppError('Please provide the verification token', 400));
+  }
+
+  const authToken = await AuthToken.consume(token, 'email_verification');
+  if (!authToken) {
+    return next(new AppError('This verification link is invalid or has expired', 400));
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: authToken.userId, emailVerified: { $ne: true } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    message: user ? 'Your email address has been verified' : 'Your email address is already verified'
+  });
+});
+
+/**
+ * Send a new verification link to the current user
+ */
+exports.resendVerification = catchAsync(async (req, res, next) => {
+  if (req.user.emailVerified) {
+    return next(new AppError('Your email address is already verified', 400));
+  }
+
+  await sendVerificationEmail(req.user);
+
+  res.json({
+    success: true,
+    message: 'A new verification link has been sent to your email'
+  });
+});
+
+/**
+ * Two-factor status of the current user
+ */
+exports.getTwoFactorStatus = catchAsync(async (req, res) => {
+  const enabled = !!req.user.twoFactor?.enabled;
+
+  res.json({
+    success: true,
+    twoFactor: {
+      enabled,
+      enabledAt: req.user.twoFactor?.enabledAt,
+      required: await twoFactorService.isRequiredFor(req.user),
+      // Disabling asks for the password only if the account has one
+      hasPassword: !!req.user.passwordHash,
+      recoveryCodesRemaining: enabled ? await twoFactorService.countRecoveryCodes(req.user._id) : 0
+    }
+  });
+});
+
+/**
+ * Start setting up two-factor authentication
+ * Returns the secret for the authenticator app; 2FA is on once a code is confirmed
+ */
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  if (req.user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const { secret, otpauthUrl } = await twoFactorService.startSetup(req.user);
+
+  res.json({
+    success: true,
+    secret,
+    otpauthUrl
+  });
+});
+
+/**
+ * Confirm the first code and turn two-factor authentication on
+ * Other devices are signed out, so they have to pass the second step too
+ */
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (req.user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!code) {
+    return next(new AppError('Please provide the code from your authenticator app', 400));
+  }
+
+  const recoveryCodes = await twoFactorService.enable(req.user._id, code);
+  if (!recoveryCodes) {
+    return next(new AppError('Invalid code. Check the time on your device and try again.', 400));
+  }
+
+  await sessionService.revokeUserSessions(req.user._id, 'two_factor_enabled', {
+    exceptSessionId: req.sessionId
+  });
+
+  const user = await User.findById(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication is enabled',
+    recoveryCodes,
+    user: await twoFactorService.withTwoFactorStatus(user)
+  });
+});
+
+/**
+ * Turn two-factor authentication off
+ * Needs the password (for password accounts) and a current code
+ */
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!req.user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (await twoFactorService.isRequiredFor(req.user)) {
+    return next(new AppError('Two-factor authentication is required for your account', 403));
+  }
+
+  if (req.user.passwordHash && !(password && await req.user.verifyPassword(password))) {
+    return next(new AppError('Incorrect password', 401));
+  }
+
+  if (!(await twoFactorService.verifyUserCode(req.user._id, { code, recoveryCode }))) {
+    return next(new AppError('Invalid code', 401));
+  }
+
+  await twoFactorService.disable(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication is disabled'
+  });
+});
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ */
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!req.user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!(await twoFactorService.verifyUserCode(req.user._id, { code }))) {
+    return next(new AppError('Invalid code', 401));
+  }
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+  res.json({
+    success: true,
+    recoveryCodes
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Calendar Controller
+ *
+ * Serves events as iCalendar (.ics) data:
+ * - Single event download
+ * - Personal feed of accepted events, authenticated by a secret token in the URL
+ * - Public feed per organisation
+ */
+
+const crypto = require('crypto');
+const Event = require('../models/event.model');
+const Organisation = require('../models/organisation.model');
+const Application = require('../models/application.model');
+const User = require('../models/user.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const config = require('../config/index.config');
+const { buildCalendar } = require('../utils/icalendar');
+
+// Past events stay in feeds for this long so recent history remains visible
+const FEED_HISTORY_DAYS = 90;
+
+/**
+ * Send iCalendar text
+ * @param {Object} res - Express response
+ * @param {string} body - iCalendar text
+ * @param {string} [filename] - Sent as a download when provided
+ */
+const sendCalendar = (res, body, filename) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=0, must-revalidate');
+    if (filename) {
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.status(200).send(body);
+};
+
+/**
+ * ASCII file name for a download
+ */
+const toFilename = (title) => {
+    const slug = String(title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+    return `${slug || 'event'}.ics`;
+};
+
+/**
+ * Oldest end date included in feeds
+ */
+const feedCutoff = () => new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Public feed URL for a calendar token
+ */
+const getFeedUrl = (token) => `${config.backendUrl}/api/events/calendar/${token}.ics`;
+
+/**
+ * Download a single event as .ics
+ * GET /api/events/:id/calendar.ics
+ */
+const getEventCalendar = catchAsync(async (req, res, next) => {
+    const event = await Event.findById(req.params.id).populate('organisationId', 'name email');
+
+    if (!event || event.status === 'draft') {
+        return next(new AppError('Event not found', 404));
+    }
+
+    sendCalendar(res, buildCalendar({ name: event.title, events: [event] }), toFilename(event.title));
+});
+
+/**
+ * Public feed of an organisation's events
+ * GET /api/organisations/:id/calendar.ics
+ */
+const getOrganisationCalendar = catchAsync(async (req, res, next) => {
+    const organisation = await Organisation.findById(req.params.id).select('name email');
+
+    if (!organisation) {
+        return next(new AppError('Organisation not found', 404));
+    }
+
+    const events = await Event.find({
+        organisationId: organisation._id,
+        status: { $ne: 'draft' },
+        endDate: { $gte: feedCutoff() },
+    })
+        .sort('startDate')
+        .populate('organisationId', 'name email');
+
+    sendCalendar(res, buildCalendar({ name: organisation.name, events, feed: true }));
+});
+
+/**
+ * Personal feed of events the token's owner was accepted to, including ones
+ * cancelled since, so subscribed calendars pick up the cancellation
+ * GET /api/events/calendar/:token.ics
+ */
+const getUserCalendar = catchAsync(async (req, res, next) => {
+    const user = await User.findOne({ calendarToken: req.params.token, isActive: true }).select('_id');
+
+    if (!user) {
+        return next(new AppError('Calendar feed not found', 404));
+    }
+
+    const applications = await Application.find({
+        userId: user._id,
+        $or: [{ status: 'accepted' }, { status: 'cancelled', cancelledByEvent: true }],
+    })
+        .select('eventId')
+        .populate({
+            path: 'eventId',
+            match: { status: { $ne: 'draft' }, endDate: { $gte: feedCutoff() } },
+            populate: { path: 'organisationId', select: 'name email' },
+        });
+
+    const events = applications
+        .map(application => application.eventId)
+        .filter(Boolean)
+        .sort((a, b) => a.startDate - b.startDate);
+
+    sendCalendar(res, buildCalendar({ name: 'Conevent - My Events', events, feed: true }));
+});
+
+/**
+ * Get (creating on first use) the current user's feed URL
+ * GET /api/events/calendar/feed
+ */
+const getMyCalendarFeed = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    if (!user.calendarToken) {
+        user.calendarToken = crypto.randomBytes(24).toString('hex');
+        await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            feedUrl: getFeedUrl(user.calendarToken),
+        },
+    });
+});
+
+/**
+ * Replace the current user's feed token, invalidating the old URL
+ * POST /api/events/calendar/feed/reset
+ */
+const resetMyCalendarFeed = catchAsync(async (req, res, next) => {
+    const calendarToken = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: req.user._id }, { calendarToken });
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Calendar feed URL has been reset',
+        data: {
+            feedUrl: getFeedUrl(calendarToken),
+        },
+    });
+});
+
+module.exports = {
+    getEventCalendar,
+    getOrganisationCalendar,
+    getUserCalendar,
+    getMyCalendarFeed,
+    resetMyCalendarFeed,
+};
@@ -1,10 +1,26 @@
 const catchAsync = require("../utils/catchAsync");
 const Event = require("../models/event.model");
 const Organisation = require("../models/organisation.model");
+const EventAudit = require("../models/eventAudit.model");
 const AppError = require("../utils/appError");
 const APIFeatures = require("../utils/apiFeatures");
-const { uploadToCloudinary, deleteFromCloudinary } = require("../utils/cloudinaryUpload");
+const { uploadToCloudinary } = require("../utils/cloudinaryUpload");
 const { notifyNewEvent } = require("../utils/notificationHelper");
+const { promoteFromWaitlist } = require("../utils/waitlist");
+const { hasCalendarChanges } = require("../utils/icalendar");
+const { parseQuestions } = require("../utils/registrationQuestions");
+const { isRescheduled, handleCancellation, handleReschedule, archiveEvent } = require("../services/eventCascade.service");
+const eventSearch = require("../services/eventSearch.service");
+
+// Fields managed by the server, never set by clients
+const PROTECTED_FIELDS = ['calendarSequence', 'remindersSent', 'cancelledAt', 'archivedAt', 'archivedBy'];
+
+// Fields clients may filter, sort and select on when listing events
+const LIST_FIELDS = {
+    filterable: ['organisationId', 'category', 'eventType', 'status', 'city', 'tags', 'startDate', 'endDate', 'registrationEndDate', 'isRegistrationOpen', 'isFree', 'price', 'capacity', 'createdAt'],
+    sortable: ['title', 'startDate', 'endDate', 'registrationEndDate', 'price', 'capacity', 'registeredCount', 'createdAt'],
+    selectable: ['title', 'description', 'organisationId', 'category', 'coverImage', 'images', 'eventType', 'onlineLink', 'street', 'address', 'city', 'startDate', 'endDate', 'registrationStartDate', 'registrationEndDate', 'isRegistrationOpen', 'capacity', 'registeredCount', 'isFree', 'price', 'currency', 'tags', 'status', 'cancellationReason', 'cancelledAt', 'registrationQuestions', 'requirements', 'contactEmail', 'contactPhone', 'createdAt', 'updatedAt'],
+};
 
 // Create a new event
 const createEvent = catchAsync(async (req, res, next) => {
@@ -33,6 +49,9 @@ const createEvent = catchAsync(async (req, res, next) => {
         contactPhone
     } = req.body;
 
+    // Sent as a JSON string in multipart form submissions
+    const registrationQuestions = parseQuestions(req.body.registrationQuestions);
+
     // Handle image uploads to Cloudinary
     let coverImageUrl = null;
     let imageUrls = [];
@@ -82,12 +101,13 @@ const createEvent = catchAsync(async (req, res, next) => {
         status,
         requirements,
         contactEmail,
-        contactPhone
+        contactPhone,
+        registrationQuestions
     });
 
-    // Notify all users if event is published
+    // Notify followers if event is published
     if (status === 'published') {
-        const organisation = await Organisation.findById(organisationId).select('name');
+        const organisation = await Organisation.findById(organisationId).select('name members');
         if (organisation) {
             notifyNewEvent(event, organisation).catch(err => {
                 console.error('Error sending new event notifications:', err);
@@ -108,24 +128,43 @@ const getAllEvents = catchAsync(async (req, res, next) => {
     // Search fields for events
     const searchFields = ['title', 'description'];
 
-    // Get total count for pagination
-    const totalQuery = new APIFeatures(Event.find(), req.query)
-        .filter()
-        .search(searchFields);
-    const total = await Event.countDocuments(totalQuery.query.getFilter());
+    // Archived events are kept for their application history only
+    const baseFilter = { archivedAt: null };
 
     // Execute query with all features
-    const features = new APIFeatures(Event.find(), req.query)
+    const features = new APIFeatures(Event.find(baseFilter), req.query, LIST_FIELDS)
         .filter()
         .search(searchFields)
         .sort()
         .limitFields()
         .paginate();
 
-    const events = await features.query.populate('organisationId', 'name type logo');
+    const { docs: events, pagination } = await features.paginateResults(
+        await features.query.populate('organisationId', 'name type logo')
+    );
+
+    res.status(200).json({
+        status: "success",
+        results: events.length,
+        ...pagination,
+        data: {
+            events
+        }
+    });
+});
+
+// Full-text search ranked by relevance, with facet counts for the filters
+const searchEvents = catchAsync(async (req, res, next) => {
+    const { q, organisationId, sort, page = 1, limit = 12, ...filters } = req.query;
 
-    const page = req.query.page * 1 || 1;
-    const limit = req.query.limit * 1 || 10;
+    const { events, total, facets, matchMode } = await eventSearch.searchEvents({
+        q,
+        organisationId,
+        filters,
+        sort,
+        page,
+        limit
+    });
 
     res.status(200).json({
         status: "success",
@@ -133,8 +172,10 @@ const getAllEvents = catchAsync(async (req, res, next) => {
         total,
         page,
         totalPages: Math.ceil(total / limit),
+        matchMode,
         data: {
-            events
+            events,
+            facets
         }
     });
 });
@@ -145,7 +186,7 @@ const getEvent = catchAsync(async (req, res, next) => {
 
     const event = await Event.findById(id).populate('organisationId', 'name type logo email phone website');
 
-    if (!event) {
+    if (!event || event.archivedAt) {
         return next(new AppError("Event not found", 404));
     }
 
@@ -167,18 +208,76 @@ const updateEvent = catchAsync(async (req, res, next) => {
         return next(new AppError("Event not found", 404));
     }
 
-    const event = await Event.findByIdAndUpdate(
-        id,
-        req.body,
+    if (oldEvent.archivedAt) {
+        return next(new AppError("Archived events cannot be edited", 400));
+    }
+
+    // The reschedule reason is only passed on to applicants, it is not stored on the event
+    const { rescheduleReason, ...updates } = req.body;
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+
+    if (updates.registrationQuestions !== undefined) {
+        updates.registrationQuestions = parseQuestions(updates.registrationQuestions);
+    }
+
+    const isCancelling = updates.status === 'cancelled' && oldEvent.status !== 'cancelled';
+
+    if (oldEvent.status === 'cancelled' && updates.status && updates.status !== 'cancelled') {
+        return next(new AppError("Cancelled events cannot be reopened", 400));
+    }
+
+    if (isCancelling) {
+        if (!updates.cancellationReason || !updates.cancellationReason.trim()) {
+            const message = "Please provide a reason for cancelling the event";
+            return next(new AppError(message, 400, { cancellationReason: message }));
+        }
+        updates.cancelledAt = new Date();
+        updates.isRegistrationOpen = false;
+    } else if (oldEvent.status !== 'cancelled') {
+        delete updates.cancellationReason;
+    }
+
+    // Only applies if nobody changed the status in the meantime, so the
+    // cancellation cascade below never runs twice
+    let event = await Event.findOneAndUpdate(
+        { _id: id, status: oldEvent.status, archivedAt: null },
+        updates,
         {
             new: true,
             runValidators: true
         }
     );
 
-    // Notify all users if event is being published (status changed to published)
+    if (!event) {
+        return next(new AppError("The event was changed by someone else. Please reload and try again", 409));
+    }
+
+    // New revision so subscribed calendars replace the old entry
+    if (hasCalendarChanges(oldEvent, event)) {
+        event = await Event.findByIdAndUpdate(
+            id,
+            { $inc: { calendarSequence: 1 } },
+            { new: true }
+        );
+    }
+
+    // Applicants hear about cancellations and new dates
+    if (isCancelling) {
+        await handleCancellation(event, { actorId: req.user._id });
+    } else if (event.status !== 'cancelled' && event.status !== 'draft' && isRescheduled(oldEvent, event)) {
+        await handleReschedule(oldEvent, event, { actorId: req.user._id, reason: rescheduleReason });
+    }
+
+    // Extra capacity goes to the waitlist first
+    if (event.capacity > oldEvent.capacity) {
+        promoteFromWaitlist(event._id).catch(err => {
+            console.error('Error promoting from waitlist:', err);
+        });
+    }
+
+    // Notify followers if event is being published (status changed to published)
     if (req.body.status === 'published' && oldEvent.status !== 'published') {
-        const organisation = await Organisation.findById(event.organisationId).select('name');
+        const organisation = await Organisation.findById(event.organisationId).select('name members');
         if (organisation) {
             notifyNewEvent(event, organisation).catch(err => {
                 console.error('Error sending new event notifications:', err);
@@ -195,46 +294,55 @@ const updateEvent = catchAsync(async (req, res, next) => {
 });
 
 // Delete event by ID
+// Events are archived rather than deleted, so applications and their
+// history stay intact. Upcoming events are cancelled and applicants told
 const deleteEvent = catchAsync(async (req, res, next) => {
     const { id } = req.params;
 
     const event = await Event.findById(id);
 
-    if (!event) {
+    if (!event || event.archivedAt) {
         return next(new AppError("Event not found", 404));
     }
 
-    // Delete images from Cloudinary if they exist
-    if (event.coverImage) {
-        try {
-            await deleteFromCloudinary(event.coverImage);
-        } catch (error) {
-            console.error('Error deleting cover image from Cloudinary:', error);
-        }
-    }
+    const archived = await archiveEvent(event, {
+        actorId: req.user._id,
+        reason: req.body && req.body.reason
+    });
 
-    if (event.images && event.images.length > 0) {
-        try {
-            const deletePromises = event.images.map(imageUrl => deleteFromCloudinary(imageUrl));
-            await Promise.all(deletePromises);
-        } catch (error) {
-            console.error('Error deleting images from Cloudinary:', error);
-        }
+    if (!archived) {
+        return next(new AppError("The event was changed by someone else. Please reload and try again", 409));
     }
 
-    // Delete event from database
-    await Event.findByIdAndDelete(id);
-
     res.status(204).json({
         status: "success",
         data: null
     });
 });
 
+// Get the cancellation, reschedule and archive history of an event
+const getEventAudit = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    const entries = await EventAudit.find({ eventId: id })
+        .sort({ createdAt: -1 })
+        .populate('actorId', 'name email');
+
+    res.status(200).json({
+        status: "success",
+        results: entries.length,
+        data: {
+            entries
+        }
+    });
+});
+
 module.exports = {
     createEvent,
     getAllEvents,
+    searchEvents,
     getEvent,
     updateEvent,
-    deleteEvent
+    deleteEvent,
+    getEventAudit
 };
@@ -0,0 +1,179 @@
+/**
+ * Follow Controller
+ *
+ * Lets users follow organisations and event categories:
+ * - Followed organisations and categories decide who is notified about new events
+ * - The "Following" feed lists upcoming events from everything the user follows
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Event = require('../models/event.model');
+const Organisation = require('../models/organisation.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Valid categories come from the event model so the two never drift apart
+const EVENT_CATEGORIES = Event.schema.path('category').enumValues;
+
+/**
+ * Send the user's current follow lists
+ */
+const sendFollowing = async (res, userId) => {
+    const user = await User.findById(userId)
+        .select('followedOrganisations followedCategories')
+        .populate('followedOrganisations', 'name type logo');
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            organisations: user.followedOrganisations,
+            categories: user.followedCategories,
+        },
+    });
+};
+
+/**
+ * Get followed organisations and categories
+ * GET /api/following
+ */
+const getFollowing = catchAsync(async (req, res, next) => {
+    await sendFollowing(res, req.user._id);
+});
+
+/**
+ * Follow an organisation
+ * POST /api/following/organisations/:id
+ */
+const followOrganisation = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return next(new AppError('Invalid organisation ID', 400));
+    }
+
+    const organisation = await Organisation.findById(id).select('_id');
+    if (!organisation) {
+        return next(new AppError('Organisation not found', 404));
+    }
+
+    const result = await User.updateOne({ _id: req.user._id }, { $addToSet: { followedOrganisations: organisation._id } });
+    if (result.modifiedCount > 0) {
+        await Organisation.updateOne({ _id: organisation._id }, { $inc: { followersCount: 1 } });
+    }
+
+    await sendFollowing(res, req.user._id);
+});
+
+/**
+ * Unfollow an organisation
+ * DELETE /api/following/organisations/:id
+ */
+const unfollowOrganisation = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return next(new AppError('Invalid organisation ID', 400));
+    }
+
+    const result = await User.updateOne({ _id: req.user._id }, { $pull: { followedOrganisations: id } });
+    if (result.modifiedCount > 0) {
+        await Organisation.updateOne({ _id: id, followersCount: { $gt: 0 } }, { $inc: { followersCount: -1 } });
+    }
+
+    await sendFollowing(res, req.user._id);
+});
+
+/**
+ * Follow an event category
+ * POST /api/following/categories/:category
+ */
+const followCategory = catchAsync(async (req, res, next) => {
+    const { category } = req.params;
+
+    if (!EVENT_CATEGORIES.includes(category)) {
+        return next(new AppError('Invalid event category', 400));
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { followedCategories: category } });
+
+    await sendFollowing(res, req.user._id);
+});
+
+/**
+ * Unfollow an event category
+ * DELETE /api/following/categories/:category
+ */
+const unfollowCategory = catchAsync(async (req, res, next) => {
+    await User.updateOne({ _id: req.user._id }, { $pull: { followedCategories: req.params.category } });
+
+    await sendFollowing(res, req.user._id);
+});
+
+/**
+ * Upcoming events from followed organisations and categories
+ * Query: page, limit
+ * GET /api/following/feed
+ */
+const getFollowingFeed = catchAsync(async (req, res, next) => {
+    const user = await User.findById(req.user._id).select('followedOrganisations followedCategories');
+
+    const page = Math.max(req.query.page * 1 || 1, 1);
+    const limit = Math.min(Math.max(req.query.limit * 1 || 10, 1), 50);
+
+    const conditions = [];
+    if (user.followedOrganisations.length > 0) {
+        conditions.push({ organisationId: { $in: user.followedOrganisations } });
+    }
+    if (user.followedCategories.length > 0) {
+        conditions.push({ category: { $in: user.followedCategories } });
+    }
+
+    if (conditions.length === 0) {
+        return res.status(200).json({
+            status: 'success',
+            results: 0,
+            total: 0,
+            page: 1,
+            totalPages: 0,
+            data: {
+                events: [],
+            },
+        });
+    }
+
+    const filter = {
+        status: { $in: ['published', 'ongoing'] },
+        endDate: { $gte: new Date() },
+        $or: conditions,
+    };
+
+    const [total, events] = await Promise.all([
+        Event.countDocuments(filter),
+        Event.find(filter)
+            .sort({ startDate: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('organisationId', 'name type logo'),
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        results: events.length,
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        data: {
+            events,
+        },
+    });
+});
+
+module.exports = {
+    getFollowing,
+    followOrganisation,
+    unfollowOrganisation,
+    followCategory,
+    unfollowCategory,
+    getFollowingFeed,
+};
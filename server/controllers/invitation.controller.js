@@ -0,0 +1,313 @@
+/**
+ * Invitation Controller
+ *
+ * Email invitations to join an organisation team:
+ * - Owners and platform admins invite an email address with a member role,
+ *   and can resend (new link, new expiry) or revoke pending invitations
+ * - The invitee opens the emailed link and accepts while signed in with the
+ *   invited address, or creates an account for it on the spot
+ * - Platform admins see the pending invitations of all organisations
+ */
+
+const mongoose = require('mongoose');
+const Invitation = require('../models/invitation.model');
+const Organisation = require('../models/organisation.model');
+const User = require('../models/user.model');
+const { sendInvitation, joinOrganisation } = require('../services/organisationInvitation.service');
+const { sendUserResponse } = require('../utils/sendToken');
+const APIFeatures = require('../utils/apiFeatures');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Organisation and inviter data shown with invitations
+const ORGANISATION_FIELDS = 'name logo';
+const INVITER_FIELDS = 'name email';
+
+// Fields clients may filter, sort and select on when listing pending invitations
+const LIST_FIELDS = {
+    filterable: ['organisationId', 'role', 'expiresAt', 'createdAt'],
+    sortable: ['email', 'role', 'expiresAt', 'lastSentAt', 'createdAt'],
+    selectable: ['organisationId', 'email', 'role', 'status', 'invitedBy', 'expiresAt', 'lastSentAt', 'sendCount', 'createdAt'],
+};
+
+/**
+ * Respond with a single invitation
+ */
+const sendInvitationResponse = async (res, invitation, statusCode = 200) => {
+    await invitation.populate('invitedBy', INVITER_FIELDS);
+
+    res.status(statusCode).json({
+        status: 'success',
+        data: {
+            invitation,
+        },
+    });
+};
+
+/**
+ * Find a pending invitation of an organisation
+ * @param {Object} params - Route params (id, invitationId)
+ */
+const findPendingInvitation = (params) => {
+    return Invitation.findOne({ _id: params.invitationId, organisationId: params.id, status: 'pending' });
+};
+
+/**
+ * Get the pending invitations of an organisation
+ * Owners and platform admins only
+ * GET /api/organisations/:id/invitations
+ */
+const getOrganisationInvitations = catchAsync(async (req, res, next) => {
+    if (!await Organisation.exists({ _id: req.params.id })) {
+        return next(new AppError('Organisation not found', 404));
+    }
+
+    const invitations = await Invitation.find({ organisationId: req.params.id, status: 'pending' })
+        .sort('-createdAt')
+        .populate('invitedBy', INVITER_FIELDS);
+
+    res.status(200).json({
+        status: 'success',
+        results: invitations.length,
+        data: {
+            invitations,
+        },
+    });
+});
+
+/**
+ * Invite an email address to an organisation team
+ * Inviting an address that already has a pending invitation updates its role
+ * and sends it again
+ * Owners and platform admins only
+ * POST /api/organisations/:id/invitations
+ * @param {string} req.body.email - Address to invite
+ * @param {string} req.body.role - owner, editor, reviewer or checkin
+ */
+const createInvitation = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const { email, role } = req.body;
+
+    const organisation = await Organisation.findById(id).select('name members');
+    if (!organisation) {
+        return next(new AppError('Organisation not found', 404));
+    }
+
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && organisation.getMemberRole(existingUser._id)) {
+        return next(new AppError('User is already a member of this organisation', 400, {
+            email: 'This person is already a member',
+        }));
+    }
+
+    let invitation = await Invitation.findOne({ organisationId: id, email, status: 'pending' });
+    const statusCode = invitation ? 200 : 201;
+
+    if (!invitation) {
+        invitation = new Invitation({ organisationId: id, email });
+    }
+    invitation.role = role;
+    invitation.invitedBy = req.user._id;
+
+    await sendInvitation(invitation, organisation, req.user);
+
+    await sendInvitationResponse(res, invitation, statusCode);
+});
+
+/**
+ * Send a pending invitation again with a new link and expiry
+ * Owners and platform admins only
+ * POST /api/organisations/:id/invitations/:invitationId/resend
+ */
+const resendInvitation = catchAsync(async (req, res, next) => {
+    const invitation = await findPendingInvitation(req.params);
+    if (!invitation) {
+        return next(new AppError('Invitation not found', 404));
+    }
+
+    const organisation = await Organisation.findById(req.params.id).select('name');
+
+    await sendInvitation(invitation, organisation, req.user);
+
+    await sendInvitationResponse(res, invitation);
+});
+
+/**
+ * Revoke a pending invitation; its link stops working
+ * Owners and platform admins only
+ * DELETE /api/organisations/:id/invitations/:invitationId
+ */
+const revokeInvitation = catchAsync(async (req, res, next) => {
+    const invitation = await findPendingInvitation(req.params);
+    if (!invitation) {
+        return next(new AppError('Invitation not found', 404));
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await sendInvitationResponse(res, invitation);
+});
+
+/**
+ * Get pending invitations of all organisations
+ * Supports filtering, searching by email, sorting, and pagination
+ * Admin only
+ * GET /api/invitations
+ */
+const getPendingInvitations = catchAsync(async (req, res, next) => {
+    const features = new APIFeatures(Invitation.find({ status: 'pending' }), req.query, LIST_FIELDS)
+        .filter()
+        .search(['email'])
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const { docs: invitations, pagination } = await features.paginateResults(
+        await features.query
+            .populate('organisationId', ORGANISATION_FIELDS)
+            .populate('invitedBy', INVITER_FIELDS)
+    );
+
+    res.status(200).json({
+        status: 'success',
+        results: invitations.length,
+        ...pagination,
+        data: {
+            invitations,
+        },
+    });
+});
+
+/**
+ * Find the invitation for a link, or fail with the same error for every bad link
+ */
+const findInvitationByToken = async (token) => {
+    const invitation = await Invitation.findByToken(token)
+        .populate('organisationId', ORGANISATION_FIELDS)
+        .populate('invitedBy', 'name');
+
+    if (!invitation || !invitation.organisationId) {
+        throw new AppError('This invitation is invalid or has expired', 400);
+    }
+
+    return invitation;
+};
+
+/**
+ * Describe the invitation behind a link, so the invitee knows what they accept
+ * and whether to sign in or create an account
+ * Public
+ * GET /api/invitations/:token
+ */
+const getInvitation = catchAsync(async (req, res, next) => {
+    const invitation = await findInvitationByToken(req.params.token);
+    const hasAccount = await User.exists({ email: invitation.email });
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            invitation: {
+                email: invitation.email,
+                role: invitation.role,
+                expiresAt: invitation.expiresAt,
+                organisation: invitation.organisationId,
+                invitedBy: invitation.invitedBy?.name || null,
+                hasAccount: !!hasAccount,
+            },
+        },
+    });
+});
+
+/**
+ * Accept an invitation as the signed-in user
+ * The account must use the invited email address
+ * POST /api/invitations/accept
+ * @param {string} req.body.token - Token from the invitation link
+ */
+const acceptInvitation = catchAsync(async (req, res, next) => {
+    const { token } = req.body;
+
+    const invitation = await findInvitationByToken(token);
+    if (invitation.email !== req.user.email) {
+        return next(new AppError('This invitation was sent to a different email address', 403));
+    }
+
+    const accepted = await Invitation.accept(token, req.user._id);
+    if (!accepted) {
+        return next(new AppError('This invitation is invalid or has expired', 400));
+    }
+
+    await joinOrganisation(accepted, req.user);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            organisation: invitation.organisationId,
+            role: accepted.role,
+        },
+    });
+});
+
+/**
+ * Create an account for the invited email address and accept the invitation
+ * The link was delivered to the address, so it counts as verified
+ * Starts a session like a regular signup
+ * POST /api/invitations/signup
+ * @param {string} req.body.token - Token from the invitation link
+ * @param {string} req.body.name - Full name
+ * @param {string} req.body.password - Password
+ */
+const signupWithInvitation = catchAsync(async (req, res, next) => {
+    const { token, name, password } = req.body;
+
+    const invitation = await findInvitationByToken(token);
+
+    if (await User.exists({ email: invitation.email })) {
+        return next(new AppError('An account with this email already exists. Log in to accept the invitation', 400));
+    }
+
+    // Claim the invitation first, so a link can only ever create one account
+    const userId = new mongoose.Types.ObjectId();
+    const accepted = await Invitation.accept(token, userId);
+    if (!accepted) {
+        return next(new AppError('This invitation is invalid or has expired', 400));
+    }
+
+    let user = null;
+    try {
+        user = await User.create({
+            _id: userId,
+            email: invitation.email,
+            passwordHash: password,
+            name,
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+        });
+
+        await joinOrganisation(accepted, user);
+    } catch (error) {
+        // Leave the link usable again, without a half set up account
+        if (user) {
+            await Organisation.updateOne({ _id: accepted.organisationId }, { $pull: { members: { userId } } });
+            await User.deleteOne({ _id: userId });
+        }
+        await Invitation.undoAccept(accepted._id, userId);
+        throw error;
+    }
+
+    // Joining changed the role
+    await sendUserResponse(req, res, await User.findById(user._id), 201);
+});
+
+module.exports = {
+    getOrganisationInvitations,
+    createInvitation,
+    resendInvitation,
+    revokeInvitation,
+    getPendingInvitations,
+    getInvitation,
+    acceptInvitation,
+    signupWithInvitation,
+};
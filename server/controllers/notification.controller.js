@@ -5,37 +5,39 @@
  * - Get user's notifications
  * - Mark as read
  * - Get unread count
+ * - Notification preferences: channels per type, muted organisations and events
  */
 
+const mongoose = require('mongoose');
 const Notification = require('../models/notification.model');
+const NotificationPreference = require('../models/notificationPreference.model');
+const Organisation = require('../models/organisation.model');
+const Event = require('../models/event.model');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
+const APIFeatures = require('../utils/apiFeatures');
 
 /**
- * Get current user's notifications
+ * Get current user's notifications, newest first
  * GET /api/notifications
  */
 const getMyNotifications = catchAsync(async (req, res, next) => {
     const userId = req.user._id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    const notifications = await Notification.find({ recipientId: userId })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate('relatedEvent', 'title coverImage startDate')
-        .lean();
 
-    const total = await Notification.countDocuments({ recipientId: userId });
+    const features = new APIFeatures(Notification.find({ recipientId: userId }), req.query)
+        .sort()
+        .paginate(20);
+
+    const { docs: notifications, pagination } = await features.paginateResults(
+        await features.query
+            .populate('relatedEvent', 'title coverImage startDate')
+            .lean()
+    );
 
     res.status(200).json({
         status: 'success',
         results: notifications.length,
-        total,
-        page,
-        totalPages: Math.ceil(total / limit),
+        ...pagination,
         data: {
             notifications,
         },
@@ -129,10 +131,150 @@ const deleteNotification = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * Send the user's effective notification preferences
+ * Every type is listed, with defaults filled in
+ */
+const sendPreferences = async (res, userId) => {
+    const preference = await NotificationPreference.findOne({ userId })
+        .populate('mutedOrganisations', 'name logo')
+        .populate('mutedEvents', 'title startDate')
+        .lean();
+
+    const types = Object.fromEntries(
+        NotificationPreference.NOTIFICATION_TYPES.map((type) => [
+            type,
+            NotificationPreference.getChannels(preference, type),
+        ])
+    );
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            preferences: {
+                types,
+                // Muted items that were deleted since are left out
+                mutedOrganisations: (preference?.mutedOrganisations || []).filter(Boolean),
+                mutedEvents: (preference?.mutedEvents || []).filter(Boolean),
+            },
+        },
+    });
+};
+
+/**
+ * Get notification preferences
+ * GET /api/notifications/preferences
+ */
+const getPreferences = catchAsync(async (req, res, next) => {
+    await sendPreferences(res, req.user._id);
+});
+
+/**
+ * Update channels for one or more notification types
+ * Body: { types: { new_event: { inApp, realtime, email }, ... } } - partial updates allowed
+ * PATCH /api/notifications/preferences
+ */
+const updatePreferences = catchAsync(async (req, res, next) => {
+    const { types } = req.body;
+
+    if (!types || typeof types !== 'object' || Array.isArray(types)) {
+        return next(new AppError('Provide the notification types to update', 400));
+    }
+
+    const update = {};
+    for (const [type, channels] of Object.entries(types)) {
+        if (!NotificationPreference.NOTIFICATION_TYPES.includes(type)) {
+            return next(new AppError(`Unknown notification type: ${type}`, 400));
+        }
+        if (!channels || typeof channels !== 'object') {
+            return next(new AppError(`Invalid channels for ${type}`, 400));
+        }
+        for (const [channel, enabled] of Object.entries(channels)) {
+            if (!NotificationPreference.CHANNELS.includes(channel)) {
+                return next(new AppError(`Unknown notification channel: ${channel}`, 400));
+            }
+            if (typeof enabled !== 'boolean') {
+                return next(new AppError(`${type}.${channel} must be true or false`, 400));
+            }
+            update[`types.${type}.${channel}`] = enabled;
+        }
+    }
+
+    await NotificationPreference.updateOne(
+        { userId: req.user._id },
+        { $set: update },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await sendPreferences(res, req.user._id);
+});
+
+// Mutable targets, keyed by route segment
+const MUTE_TARGETS = {
+    'muted-organisations': { field: 'mutedOrganisations', Model: Organisation, label: 'Organisation' },
+    'muted-events': { field: 'mutedEvents', Model: Event, label: 'Event' },
+};
+
+/**
+ * Resolve the mute target from the route
+ */
+const getMuteTarget = (req) => {
+    const target = MUTE_TARGETS[req.params.target];
+    if (!target) {
+        throw new AppError('Not found', 404);
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        throw new AppError(`Invalid ${target.label.toLowerCase()} ID`, 400);
+    }
+    return target;
+};
+
+/**
+ * Mute an organisation or event
+ * POST /api/notifications/preferences/muted-organisations/:id
+ * POST /api/notifications/preferences/muted-events/:id
+ */
+const mute = catchAsync(async (req, res, next) => {
+    const { field, Model, label } = getMuteTarget(req);
+
+    const exists = await Model.exists({ _id: req.params.id });
+    if (!exists) {
+        return next(new AppError(`${label} not found`, 404));
+    }
+
+    await NotificationPreference.updateOne(
+        { userId: req.user._id },
+        { $addToSet: { [field]: req.params.id } },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await sendPreferences(res, req.user._id);
+});
+
+/**
+ * Unmute an organisation or event
+ * DELETE /api/notifications/preferences/muted-organisations/:id
+ * DELETE /api/notifications/preferences/muted-events/:id
+ */
+const unmute = catchAsync(async (req, res, next) => {
+    const { field } = getMuteTarget(req);
+
+    await NotificationPreference.updateOne(
+        { userId: req.user._id },
+        { $pull: { [field]: req.params.id } }
+    );
+
+    await sendPreferences(res, req.user._id);
+});
+
 module.exports = {
     getMyNotifications,
     getUnreadCount,
     markAsRead,
     markAllAsRead,
     deleteNotification,
+    getPreferences,
+    updatePreferences,
+    mute,
+    unmute,
 };
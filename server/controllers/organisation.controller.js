@@ -1,8 +1,15 @@
 const catchAsync = require("../utils/catchAsync");
 const Organisation = require("../models/organisation.model");
+const Event = require("../models/event.model");
+const User = require("../models/user.model");
 const AppError = require("../utils/appError");
 const APIFeatures = require("../utils/apiFeatures");
 const { uploadToCloudinary, deleteFromCloudinary } = require("../utils/cloudinaryUpload");
+const { syncOrganisationRoles } = require("../services/organisationMembership.service");
+const { planOrganisationDeletion, deleteOrganisationWithCascade } = require("../services/organisationCascade.service");
+
+// Member user data shown with organisations
+const MEMBER_FIELDS = "name email";
 
 const createOrganisation = catchAsync(async (req, res, next) => {
     const {
@@ -15,7 +22,7 @@ const createOrganisation = catchAsync(async (req, res, next) => {
         address,
         location,
         socialMedia,
-        admins
+        owners = []
     } = req.body;
 
     // Check if organisation with same email already exists
@@ -24,6 +31,12 @@ const createOrganisation = catchAsync(async (req, res, next) => {
         return next(new AppError("Organisation with this email already exists", 400));
     }
 
+    // Every owner must be an existing user
+    const ownerCount = await User.countDocuments({ _id: { $in: owners } });
+    if (ownerCount !== owners.length) {
+        return next(new AppError("Owner not found", 404, { owners: "One or more owners do not exist" }));
+    }
+
     // Handle image uploads to Cloudinary
     let logoUrl = null;
     let coverImageUrl = null;
@@ -53,11 +66,16 @@ const createOrganisation = catchAsync(async (req, res, next) => {
         address,
         location,
         socialMedia,
-        admins: admins || []
+        members: owners.map((userId) => ({ userId, role: "owner", addedBy: req.user._id })),
+        // Created by a platform admin, so checked already
+        verified: true,
+        verifiedAt: new Date()
     });
 
-    // Populate admins with user data
-    organisation = await organisation.populate('admins', 'name email');
+    await syncOrganisationRoles(owners);
+
+    // Populate members with user data
+    organisation = await organisation.populate("members.userId", MEMBER_FIELDS);
 
     res.status(201).json({
         status: "success",
@@ -67,36 +85,34 @@ const createOrganisation = catchAsync(async (req, res, next) => {
     });
 });
 
+// Fields clients may filter, sort and select on when listing organisations
+const LIST_FIELDS = {
+    filterable: ['type', 'verified', 'followersCount', 'createdAt'],
+    sortable: ['name', 'type', 'followersCount', 'createdAt'],
+    selectable: ['name', 'type', 'description', 'logo', 'coverImage', 'website', 'email', 'phone', 'socialMedia', 'members', 'followersCount', 'verified', 'createdAt', 'updatedAt'],
+};
+
 const getAllOrganisations = catchAsync(async (req, res, next) => {
     // Search fields for organisations (name instead of title)
     const searchFields = ['name', 'description'];
 
-    // Get total count for pagination
-    const totalQuery = new APIFeatures(Organisation.find(), req.query)
-        .filter()
-        .search(searchFields);
-    const total = await Organisation.countDocuments(totalQuery.query.getFilter());
-
     // Execute query with all features
-    const features = new APIFeatures(Organisation.find(), req.query)
+    const features = new APIFeatures(Organisation.find(), req.query, LIST_FIELDS)
         .filter()
         .search(searchFields)
         .sort()
         .limitFields()
         .paginate();
 
-    // Populate admins with user data (name and email)
-    const organisations = await features.query.populate('admins', 'name email');
-
-    const page = req.query.page * 1 || 1;
-    const limit = req.query.limit * 1 || 10;
+    // Populate members with user data (name and email)
+    const { docs: organisations, pagination } = await features.paginateResults(
+        await features.query.populate("members.userId", MEMBER_FIELDS)
+    );
 
     res.status(200).json({
         status: "success",
         results: organisations.length,
-        total,
-        page,
-        totalPages: Math.ceil(total / limit),
+        ...pagination,
         data: {
             organisations
         }
@@ -106,8 +122,8 @@ const getAllOrganisations = catchAsync(async (req, res, next) => {
 const getOrganisation = catchAsync(async (req, res, next) => {
     const { id } = req.params;
 
-    // Populate admins with user data
-    const organisation = await Organisation.findById(id).populate('admins', 'name email');
+    // Populate members with user data
+    const organisation = await Organisation.findById(id).populate("members.userId", MEMBER_FIELDS);
 
     if (!organisation) {
         return next(new AppError("Organisation not found", 404));
@@ -124,6 +140,8 @@ const getOrganisation = catchAsync(async (req, res, next) => {
 /**
  * Update an existing organisation
  * Handles partial updates and image replacement
+ * Members are managed through the member endpoints
+ * Only platform admins can change the verified badge
  */
 const updateOrganisation = catchAsync(async (req, res, next) => {
     const { id } = req.params;
@@ -137,7 +155,7 @@ const updateOrganisation = catchAsync(async (req, res, next) => {
         address,
         location,
         socialMedia,
-        admins
+        verified
     } = req.body;
 
     const organisation = await Organisation.findById(id);
@@ -201,10 +219,18 @@ const updateOrganisation = catchAsync(async (req, res, next) => {
             address: address !== undefined ? address : organisation.address,
             location: location !== undefined ? location : organisation.location,
             socialMedia: socialMedia || organisation.socialMedia,
-            admins: admins || organisation.admins
+            ...(req.user.role === "admin" && verified !== undefined && verified !== organisation.verified && {
+                verified,
+                verifiedAt: verified ? new Date() : null
+            })
         },
         { new: true, runValidators: true }
-    ).populate('admins', 'name email');
+    ).populate("members.userId", MEMBER_FIELDS);
+
+    // Events carry a copy of the name for search
+    if (updatedOrganisation.name !== organisation.name) {
+        await Event.updateMany({ organisationId: id }, { organisationName: updatedOrganisation.name });
+    }
 
     res.status(200).json({
         status: "success",
@@ -215,89 +241,167 @@ const updateOrganisation = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Delete an organisation
- * Also removes associated images from Cloudinary
+ * Summarise what deleting an organisation would change (dry run)
+ * Admin only
+ * GET /api/organisations/:id/deletion-preview
+ * @param {string} [req.query.events] - archive (default) or transfer
+ * @param {string} [req.query.transferTo] - Organisation that takes over the events
  */
-const deleteOrganisation = catchAsync(async (req, res, next) => {
-    const { id } = req.params;
-
-    const organisation = await Organisation.findById(id);
+const previewOrganisationDeletion = catchAsync(async (req, res, next) => {
+    const organisation = await Organisation.findById(req.params.id);
 
     if (!organisation) {
         return next(new AppError("Organisation not found", 404));
     }
 
-    // Delete images from Cloudinary if they exist
-    if (organisation.logo) {
-        try {
-            await deleteFromCloudinary(organisation.logo);
-        } catch (error) {
-            console.error('Error deleting logo from Cloudinary:', error);
-        }
-    }
+    const summary = await planOrganisationDeletion(organisation, req.query);
 
-    if (organisation.coverImage) {
-        try {
-            await deleteFromCloudinary(organisation.coverImage);
-        } catch (error) {
-            console.error('Error deleting cover image from Cloudinary:', error);
+    res.status(200).json({
+        status: "success",
+        data: {
+            summary
         }
+    });
+});
+
+/**
+ * Delete an organisation
+ * Its events are archived or transferred, images removed from Cloudinary,
+ * invitations and follows cleaned up and member roles reconciled
+ * Admin only
+ * DELETE /api/organisations/:id
+ * @param {string} [req.body.events] - archive (default) or transfer
+ * @param {string} [req.body.transferTo] - Organisation that takes over the events
+ * @param {string} [req.body.reason] - Shown to applicants of cancelled events
+ */
+const deleteOrganisation = catchAsync(async (req, res, next) => {
+    const organisation = await Organisation.findById(req.params.id);
+
+    if (!organisation) {
+        return next(new AppError("Organisation not found", 404));
     }
 
-    // Delete organisation from database
-    await Organisation.findByIdAndDelete(id);
+    const summary = await deleteOrganisationWithCascade(organisation, {
+        ...req.body,
+        actorId: req.user._id
+    });
 
-    res.status(204).json({
+    res.status(200).json({
         status: "success",
-        data: null
+        data: {
+            summary
+        }
     });
 });
 
 /**
- * Add an admin to an organisation
+ * Find a member entry of an organisation
+ * @param {Object} organisation - Organisation document
+ * @param {string} userId - User ID
+ */
+const findMember = (organisation, userId) => {
+    return organisation.members.find((member) => member.userId.toString() === userId.toString());
+};
+
+/**
+ * Check whether a change would leave the organisation without an owner
+ * @param {Object} organisation - Organisation document
+ * @param {Object} member - Member being demoted or removed
+ */
+const isLastOwner = (organisation, member) => {
+    return member.role === "owner"
+        && organisation.members.filter((m) => m.role === "owner").length === 1;
+};
+
+/**
+ * Save member changes and respond with the populated organisation
+ */
+const sendMembers = async (res, organisation, changedUserId) => {
+    await organisation.save();
+    await syncOrganisationRoles([changedUserId]);
+    await organisation.populate("members.userId", MEMBER_FIELDS);
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            organisation
+        }
+    });
+};
+
+/**
+ * Add an existing user to an organisation
+ * Platform admins only: owners invite people by email instead, so nobody
+ * joins without accepting and owners can't probe which emails have accounts
  * @param {string} req.params.id - Organisation ID
- * @param {string} req.body.userId - User ID to add as admin
+ * @param {string} [req.body.userId] - User ID to add
+ * @param {string} [req.body.email] - Email of the user to add (instead of userId)
+ * @param {string} req.body.role - owner, editor, reviewer or checkin
  */
-const addAdmin = catchAsync(async (req, res, next) => {
+const addMember = catchAsync(async (req, res, next) => {
     const { id } = req.params;
-    const { userId } = req.body;
+    const { userId, email, role } = req.body;
+
+    const organisation = await Organisation.findById(id);
 
-    if (!userId) {
-        return next(new AppError("User ID is required", 400));
+    if (!organisation) {
+        return next(new AppError("Organisation not found", 404));
+    }
+
+    const user = await User.findOne(userId ? { _id: userId } : { email }).select("_id isActive");
+    if (!user || !user.isActive) {
+        const errors = userId ? { userId: "No active user with this ID" } : { email: "No active user with this email" };
+        return next(new AppError("User not found", 404, errors));
+    }
+
+    // Check if user is already a member
+    if (findMember(organisation, user._id)) {
+        return next(new AppError("User is already a member of this organisation", 400));
     }
 
+    organisation.members.push({ userId: user._id, role, addedBy: req.user._id });
+
+    await sendMembers(res, organisation, user._id);
+});
+
+/**
+ * Change the role of an organisation member
+ * Owners and platform admins only
+ * @param {string} req.params.id - Organisation ID
+ * @param {string} req.params.userId - Member user ID
+ * @param {string} req.body.role - New role
+ */
+const updateMemberRole = catchAsync(async (req, res, next) => {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+
     const organisation = await Organisation.findById(id);
 
     if (!organisation) {
         return next(new AppError("Organisation not found", 404));
     }
 
-    // Check if user is already an admin
-    if (organisation.admins.includes(userId)) {
-        return next(new AppError("User is already an admin of this organisation", 400));
+    const member = findMember(organisation, userId);
+    if (!member) {
+        return next(new AppError("User is not a member of this organisation", 404));
     }
 
-    // Add user to admins array
-    organisation.admins.push(userId);
-    await organisation.save();
+    if (role !== "owner" && isLastOwner(organisation, member)) {
+        return next(new AppError("An organisation must keep at least one owner", 400));
+    }
 
-    // Populate admins for response
-    await organisation.populate('admins', 'name email');
+    member.role = role;
 
-    res.status(200).json({
-        status: "success",
-        data: {
-            organisation
-        }
-    });
+    await sendMembers(res, organisation, userId);
 });
 
 /**
- * Remove an admin from an organisation
+ * Remove a member from an organisation
+ * Owners and platform admins only
  * @param {string} req.params.id - Organisation ID
- * @param {string} req.params.userId - User ID to remove
+ * @param {string} req.params.userId - Member user ID
  */
-const removeAdmin = catchAsync(async (req, res, next) => {
+const removeMember = catchAsync(async (req, res, next) => {
     const { id, userId } = req.params;
 
     const organisation = await Organisation.findById(id);
@@ -306,36 +410,35 @@ const removeAdmin = catchAsync(async (req, res, next) => {
         return next(new AppError("Organisation not found", 404));
     }
 
-    // Check if user is an admin
-    const adminIndex = organisation.admins.indexOf(userId);
-    if (adminIndex === -1) {
-        return next(new AppError("User is not an admin of this organisation", 400));
+    const member = findMember(organisation, userId);
+    if (!member) {
+        return next(new AppError("User is not a member of this organisation", 404));
     }
 
-    // Remove user from admins array
-    organisation.admins.splice(adminIndex, 1);
-    await organisation.save();
+    if (isLastOwner(organisation, member)) {
+        return next(new AppError("An organisation must keep at least one owner", 400));
+    }
 
-    // Populate admins for response
-    await organisation.populate('admins', 'name email');
+    organisation.members.pull(member);
 
-    res.status(200).json({
-        status: "success",
-        data: {
-            organisation
-        }
-    });
+    await sendMembers(res, organisation, userId);
 });
 
 /**
- * Get organisations where the current user is an admin
+ * Get organisations where the current user is a member
+ * Each organisation carries the user's role there as myRole
  * GET /api/organisations/my
  */
 const getMyOrganisations = catchAsync(async (req, res, next) => {
     const userId = req.user._id;
 
-    const organisations = await Organisation.find({ admins: userId })
-        .populate('admins', 'name email');
+    const memberships = await Organisation.find(Organisation.memberQuery(userId))
+        .populate("members.userId", MEMBER_FIELDS);
+
+    const organisations = memberships.map((organisation) => ({
+        ...organisation.toObject(),
+        myRole: organisation.getMemberRole(userId)
+    }));
 
     res.status(200).json({
         status: "success",
@@ -352,7 +455,9 @@ module.exports = {
     getOrganisation,
     getMyOrganisations,
     updateOrganisation,
+    previewOrganisationDeletion,
     deleteOrganisation,
-    addAdmin,
-    removeAdmin
+    addMember,
+    updateMemberRole,
+    removeMember
 };
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * Organisation Request Controller
+ *
+ * Self-service organisation registration:
+ * - Signed-in users request an organisation with its profile, logo, contact
+ *   details and supporting documents, and follow the status of their requests
+ * - Platform admins review pending requests; approving creates a verified
+ *   organisation owned by the requester, rejecting records a reason and
+ *   deletes the documents
+ * - Documents are private files, shown through short-lived signed links
+ * - The requester gets an email either way
+ */
+
+const OrganisationRequest = require('../models/organisationRequest.model');
+const Organisation = require('../models/organisation.model');
+const User = require('../models/user.model');
+const { createOrganisationFromRequest, sendDecisionEmail } = require('../services/organisationRequest.service');
+const {
+    uploadToCloudinary,
+    deleteFromCloudinary,
+    uploadDocumentToCloudinary,
+    deleteDocumentFromCloudinary,
+} = require('../utils/cloudinaryUpload');
+const APIFeatures = require('../utils/apiFeatures');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Requester and reviewer data shown with requests
+const REQUESTER_FIELDS = 'name email';
+const REVIEWER_FIELDS = 'name';
+
+// Fields clients may filter, sort and select on when listing requests
+const LIST_FIELDS = {
+    filterable: ['status', 'type', 'requestedBy', 'createdAt', 'reviewedAt'],
+    sortable: ['name', 'type', 'status', 'createdAt', 'reviewedAt'],
+    selectable: [
+        'requestedBy', 'name', 'type', 'description', 'logo', 'website', 'email', 'phone', 'socialMedia',
+        'contactName', 'contactPhone', 'message', 'documents', 'status', 'reviewedBy', 'reviewedAt',
+        'rejectionReason', 'organisationId', 'createdAt',
+    ],
+};
+
+/**
+ * Fail when an organisation or a pending request already uses the email
+ * @param {string} email - Organisation email
+ */
+const checkEmailAvailable = async (email) => {
+    if (await Organisation.exists({ email })) {
+        throw new AppError('Organisation with this email already exists', 400, {
+            email: 'An organisation with this email is already registered',
+        });
+    }
+    if (await OrganisationRequest.exists({ email, status: 'pending' })) {
+        throw new AppError('A registration request for this email is already waiting for review', 400, {
+            email: 'A request for this email is already waiting for review',
+        });
+    }
+};
+
+/**
+ * Remove uploaded files, logging failures instead of failing
+ * @param {Object} files
+ * @param {string} [files.logo] - Logo URL
+ * @param {Array<Object>} [files.documents] - Documents with their publicId
+ */
+const deleteUploads = async ({ logo, documents = [] }) => {
+    const deletions = documents.map(document => deleteDocumentFromCloudinary(document.publicId));
+    if (logo) deletions.push(deleteFromCloudinary(logo));
+
+    const results = await Promise.allSettled(deletions);
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error('Error deleting organisation request upload:', result.reason));
+};
+
+/**
+ * Respond with a single request
+ */
+const sendRequestResponse = async (res, request, statusCode = 200) => {
+    await request.populate([
+        { path: 'requestedBy', select: REQUESTER_FIELDS },
+        { path: 'reviewedBy', select: REVIEWER_FIELDS },
+    ]);
+
+    res.status(statusCode).json({
+        status: 'success',
+        data: {
+            request,
+        },
+    });
+};
+
+/**
+ * Request registration of an organisation
+ * Multipart form data: profile fields, contact details, logo and up to 5 documents
+ * POST /api/organisation-requests
+ */
+const createOrganisationRequest = catchAsync(async (req, res, next) => {
+    const {
+        name,
+        type,
+        description,
+        website,
+        email,
+        phone,
+        socialMedia,
+        contactName,
+        contactPhone,
+        message,
+    } = req.body;
+
+    await checkEmailAvailable(email);
+
+    // Handle uploads to Cloudinary
+    let logoUrl = null;
+    const documents = [];
+
+    let request;
+    try {
+        if (req.files) {
+            if (req.files.logo && req.files.logo[0]) {
+                logoUrl = await uploadToCloudinary(req.files.logo[0].buffer, 'conevent/logos');
+            }
+
+            for (const file of req.files.documents || []) {
+                documents.push({
+                    name: file.originalname,
+                    publicId: await uploadDocumentToCloudinary(file.buffer, file.originalname, 'conevent/organisationDocuments'),
+                    mimeType: file.mimetype,
+                });
+            }
+        }
+
+        request = await OrganisationRequest.create({
+            requestedBy: req.user._id,
+            name,
+            type,
+            description,
+            logo: logoUrl,
+            website,
+            email,
+            phone,
+            socialMedia,
+            contactName,
+            contactPhone,
+            message,
+            documents,
+        });
+    } catch (error) {
+        // Nothing refers to the files uploaded so far
+        await deleteUploads({ logo: logoUrl, documents });
+        throw error;
+    }
+
+    await sendRequestResponse(res, request, 201);
+});
+
+/**
+ * Get the current user's registration requests, newest first
+ * GET /api/organisation-requests/my
+ */
+const getMyOrganisationRequests = catchAsync(async (req, res, next) => {
+    const requests = await OrganisationRequest.find({ requestedBy: req.user._id })
+        .sort('-createdAt')
+        .populate('organisationId', 'name logo');
+
+    res.status(200).json({
+        status: 'success',
+        results: requests.length,
+        data: {
+            requests,
+        },
+    });
+});
+
+/**
+ * Get registration requests for review
+ * Supports filtering (e.g. status=pending), searching by name or email, sorting, and pagination
+ * Admin only
+ * GET /api/organisation-requests
+ */
+const getOrganisationRequests = catchAsync(async (req, res, next) => {
+    const features = new APIFeatures(OrganisationRequest.find(), req.query, LIST_FIELDS)
+        .filter()
+        .search(['name', 'email'])
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const { docs: requests, pagination } = await features.paginateResults(
+        await features.query
+            .populate('requestedBy', REQUESTER_FIELDS)
+            .populate('reviewedBy', REVIEWER_FIELDS)
+    );
+
+    res.status(200).json({
+        status: 'success',
+        results: requests.length,
+        ...pagination,
+        data: {
+            requests,
+        },
+    });
+});
+
+/**
+ * Approve a pending request: creates the organisation, verified, with the
+ * requester as owner
+ * Admin only
+ * POST /api/organisation-requests/:id/approve
+ */
+const approveOrganisationRequest = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+
+    const pending = await OrganisationRequest.findOne({ _id: id, status: 'pending' }).select('email requestedBy');
+    if (!pending) {
+        return next(new AppError('Pending request not found', 404));
+    }
+
+    if (await Organisation.exists({ email: pending.email })) {
+        return next(new AppError('Organisation with this email already exists', 400));
+    }
+
+    const requester = await User.findById(pending.requestedBy).select('isActive');
+    if (!requester || !requester.isActive) {
+        return next(new AppError('The user who sent this request no longer has an active account', 400));
+    }
+
+    // Claim the request first, so concurrent approvals create one organisation
+    const request = await OrganisationRequest.decide(id, { status: 'approved', reviewedBy: req.user._id });
+    if (!request) {
+        return next(new AppError('Pending request not found', 404));
+    }
+
+    try {
+        const organisation = await createOrganisationFromRequest(request, req.user);
+        request.organisationId = organisation._id;
+        await request.save();
+    } catch (error) {
+        // Back to the queue, so the request can be reviewed again
+        await OrganisationRequest.updateOne(
+            { _id: id },
+            { status: 'pending', reviewedBy: null, reviewedAt: null }
+        );
+        throw error;
+    }
+
+    await sendDecisionEmail(request);
+
+    await sendRequestResponse(res, request);
+});
+
+/**
+ * Reject a pending request with a reason shown to the requester
+ * Admin only
+ * POST /api/organisation-requests/:id/reject
+ * @param {string} req.body.reason - Why the request was rejected
+ */
+const rejectOrganisationRequest = catchAsync(async (req, res, next) => {
+    const request = await OrganisationRequest.decide(req.params.id, {
+        status: 'rejected',
+        reviewedBy: req.user._id,
+        rejectionReason: req.body.reason,
+    });
+    if (!request) {
+        return next(new AppError('Pending request not found', 404));
+    }
+
+    // The documents were only needed for the review
+    if (request.documents.length > 0) {
+        await deleteUploads({ documents: request.documents });
+        await OrganisationRequest.updateOne({ _id: request._id }, { $set: { documents: [] } });
+        request.documents = [];
+    }
+
+    await sendDecisionEmail(request);
+
+    await sendRequestResponse(res, request);
+});
+
+module.exports = {
+    createOrganisationRequest,
+    getMyOrganisationRequests,
+    getOrganisationRequests,
+    approveOrganisationRequest,
+    rejectOrganisationRequest,
+};
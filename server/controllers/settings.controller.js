@@ -0,0 +1,57 @@
+/**
+ * Settings Controller
+ *
+ * Platform settings changed by platform admins at runtime
+ */
+
+const PlatformSettings = require("../models/platformSettings.model");
+const twoFactorService = require("../services/twoFactor.service");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+
+const ROLES = ["user", "organisation", "admin"];
+
+/**
+ * Get platform settings
+ */
+const getSettings = catchAsync(async (req, res) => {
+    const settings = await PlatformSettings.getSettings();
+
+    res.status(200).json({
+        status: "success",
+        data: { settings },
+    });
+});
+
+/**
+ * Update security settings
+ * @param {string[]} req.body.twoFactorRequiredRoles - Roles that must use two-factor authentication
+ */
+const updateSecuritySettings = catchAsync(async (req, res, next) => {
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some((role) => !ROLES.includes(role))) {
+        return next(new AppError(`twoFactorRequiredRoles must be a list of roles: ${ROLES.join(", ")}`, 400));
+    }
+
+    // Keeps admins from locking themselves into the setup screen by accident
+    if (twoFactorRequiredRoles.includes(req.user.role) && !req.user.twoFactor?.enabled) {
+        return next(new AppError("Enable two-factor authentication on your own account before requiring it for your role", 400));
+    }
+
+    const settings = await PlatformSettings.updateSettings(
+        { twoFactorRequiredRoles: [...new Set(twoFactorRequiredRoles)] },
+        req.user._id
+    );
+    twoFactorService.clearRequiredRolesCache();
+
+    res.status(200).json({
+        status: "success",
+        data: { settings },
+    });
+});
+
+module.exports = {
+    getSettings,
+    updateSecuritySettings,
+};
@@ -8,41 +8,40 @@
  */
 
 const User = require('../models/user.model');
+const Organisation = require('../models/organisation.model');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('../utils/apiFeatures');
 
+// Fields clients may filter, sort and select on when listing users
+const LIST_FIELDS = {
+    filterable: ['role', 'isActive', 'emailVerified', 'language', 'createdAt'],
+    sortable: ['name', 'email', 'role', 'createdAt'],
+    selectable: ['name', 'email', 'role', 'bio', 'isActive', 'emailVerified', 'language', 'createdAt', 'updatedAt'],
+};
+
 /**
  * Get all users
  * Supports filtering, searching, sorting, and pagination
  * Admin only endpoint
  */
 const getAllUsers = catchAsync(async (req, res, next) => {
-    // Get total count for pagination
-    const totalQuery = new APIFeatures(User.find(), req.query)
-        .filter()
-        .search();
-    const total = await User.countDocuments(totalQuery.query.getFilter());
-
     // Execute query with all features
-    const features = new APIFeatures(User.find(), req.query)
+    const features = new APIFeatures(User.find(), req.query, LIST_FIELDS)
         .filter()
         .search()
         .sort()
         .limitFields()
         .paginate();
 
-    const users = await features.query.select('-passwordHash');
-
-    const page = req.query.page * 1 || 1;
-    const limit = req.query.limit * 1 || 10;
+    const { docs: users, pagination } = await features.paginateResults(
+        await features.query.select('-passwordHash')
+    );
 
     res.status(200).json({
         status: 'success',
         results: users.length,
-        total,
-        page,
-        totalPages: Math.ceil(total / limit),
+        ...pagination,
         data: {
             users
         }
@@ -72,16 +71,18 @@ const getUser = catchAsync(async (req, res, next) => {
  * Update user role
  * Admin only endpoint
  * @param {string} req.params.id - User ID
- * @param {string} req.body.role - New role (user, admin, organisation)
+ * @param {string} req.body.role - New role (user or admin)
+ * The organisation role follows organisation membership: members who are
+ * not admins get it automatically
  */
 const updateUserRole = catchAsync(async (req, res, next) => {
     const { id } = req.params;
     const { role } = req.body;
 
     // Validate role
-    const validRoles = ['user', 'admin', 'organisation'];
+    const validRoles = ['user', 'admin'];
     if (!role || !validRoles.includes(role)) {
-        return next(new AppError('Invalid role. Must be user, admin, or organisation', 400));
+        return next(new AppError('Invalid role. Must be user or admin', 400));
     }
 
     const user = await User.findById(id);
@@ -90,8 +91,11 @@ const updateUserRole = catchAsync(async (req, res, next) => {
         return next(new AppError('User not found', 404));
     }
 
+    // Organisation members leaving the admin role keep their dashboard
+    const isMember = role === 'user' && await Organisation.exists(Organisation.memberQuery(user._id));
+
     // Update role
-    user.role = role;
+    user.role = isMember ? 'organisation' : role;
     await user.save();
 
     res.status(200).json({
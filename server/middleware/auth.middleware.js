@@ -5,16 +5,22 @@
  */
 
 const { verifyToken } = require('../utils/jwt');
+const { isSessionActive } = require('../services/session.service');
+const { isSetupRequired } = require('../services/twoFactor.service');
 const User = require('../models/user.model');
 const Organisation = require('../models/organisation.model');
 const Event = require('../models/event.model');
 const AppError = require('../utils/appError');
 
 /**
- * Authenticate request using JWT token
+ * Build the authentication middleware
  * Extracts token from cookies or Authorization header
+ * @param {Object} [options]
+ * @param {boolean} [options.allowTwoFactorSetup] - Let users in who still have to
+ *   set up required two-factor authentication (for the enrolment routes)
+ * @returns {Function} Middleware function
  */
-const auth = async (req, res, next) => {
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     const token = req.cookies.token || req.headers.authorization?.replace('Bearer ', '');
 
@@ -33,7 +39,21 @@ const auth = async (req, res, next) => {
       });
     }
 
-    req.user = await User.findById(decoded.id);
+    // Revoked sessions are rejected straight away, not when the token expires
+    const [user, sessionActive] = await Promise.all([
+      User.findById(decoded.id),
+      isSessionActive(decoded.sid)
+    ]);
+
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired. Please log in again.'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
 
     if (!req.user) {
       return res.status(401).json({
@@ -49,6 +69,23 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password reset are no longer valid
+    if (req.user.passwordChangedAt && decoded.iat < Math.floor(req.user.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please log in again.'
+      });
+    }
+
+    req.twoFactorSetupRequired = await isSetupRequired(req.user);
+    if (req.twoFactorSetupRequired && !allowTwoFactorSetup) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Please set up two-factor authentication to continue.'
+      });
+    }
+
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -59,6 +96,31 @@ const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate request using JWT token
+ */
+const auth = authenticate();
+
+/**
+ * Authenticate request, also for users who still have to set up required
+ * two-factor authentication
+ */
+const authForTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Require a verified email address
+ * Must be used after auth
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first. Check your inbox for the verification link.'
+    });
+  }
+  next();
+};
+
 /**
  * Check if user has one of the allowed roles
  * @param  {...string} roles - Allowed roles (defaults to 'admin')
@@ -82,8 +144,8 @@ const allowedTo = (...roles) => {
 };
 
 /**
- * Check if user is admin or organisation admin for event management
- * Allows: Global admins OR users in the organisation's admins array
+ * Check if user is admin or organisation member for event management
+ * Allows: Global admins OR members whose role grants managing events (owner, editor)
  */
 const canManageEvent = async (req, res, next) => {
   try {
@@ -98,8 +160,8 @@ const canManageEvent = async (req, res, next) => {
     if (req.method === 'POST') {
       organisationId = req.body.organisationId;
     }
-    // For updating/deleting events - get organisationId from the event
-    else if (req.method === 'PUT' || req.method === 'DELETE') {
+    // For updating/deleting events and reading their history - get organisationId from the event
+    else if (req.params.id) {
       const event = await Event.findById(req.params.id);
       if (!event) {
         return res.status(404).json({
@@ -117,7 +179,7 @@ const canManageEvent = async (req, res, next) => {
       });
     }
 
-    // Check if organisation exists and user is in admins array
+    // Check if organisation exists and user's role there allows managing events
     const organisation = await Organisation.findById(organisationId);
     if (!organisation) {
       return res.status(404).json({
@@ -126,14 +188,7 @@ const canManageEvent = async (req, res, next) => {
       });
     }
 
-    // Ensure admins array exists and check if user is admin
-    const adminsArray = organisation.admins || [];
-    const userId = req.user._id.toString();
-    const isOrgAdmin = adminsArray.some(
-      adminId => adminId && adminId.toString() === userId
-    );
-
-    if (!isOrgAdmin) {
+    if (!organisation.hasPermission(req.user._id, 'manageEvents')) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to manage events for this organisation'
@@ -150,8 +205,47 @@ const canManageEvent = async (req, res, next) => {
   }
 };
 
+/**
+ * Check if user is admin or owner of the organisation in req.params.id
+ * Allows: Global admins OR members whose role grants managing the organisation (owner)
+ */
+const canManageOrganisation = async (req, res, next) => {
+  try {
+    // Global admins can do anything
+    if (req.user.role === 'admin') {
+      return next();
+    }
+
+    const organisation = await Organisation.findById(req.params.id).select('members');
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organisation not found'
+      });
+    }
+
+    if (!organisation.hasPermission(req.user._id, 'manageOrganisation')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can manage this organisation'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Organisation management authorization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization check failed'
+    });
+  }
+};
+
 module.exports = {
   auth,
+  authForTwoFactorSetup,
+  requireVerifiedEmail,
   allowedTo,
-  canManageEvent
+  canManageEvent,
+  canManageOrganisation
 };
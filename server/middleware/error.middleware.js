@@ -19,13 +19,19 @@ const handleDuplicateFieldsDB = (err) => {
   return new AppError(message, 409);
 };
 
+/**
+ * Messages of a Mongoose Validation Error, keyed by field path
+ */
+const getValidationErrorsDB = (err) =>
+  Object.fromEntries(Object.entries(err.errors).map(([path, el]) => [path, el.message]));
+
 /**
  * Handle Mongoose Validation Error
  */
 const handleValidationErrorDB = (err) => {
-  const errors = Object.values(err.errors).map(el => el.message);
-  const message = errors.join('. ');
-  return new AppError(message, 400);
+  const errors = getValidationErrorsDB(err);
+  const message = Object.values(errors).join('. ');
+  return new AppError(message, 400, errors);
 };
 
 /**
@@ -68,10 +74,12 @@ const handleJSONError = () => {
  */
 const sendErrorDev = (err, res) => {
   const statusCode = err.statusCode || 500;
+  const errors = err.name === 'ValidationError' ? getValidationErrorsDB(err) : err.isOperational && err.errors;
 
   res.status(statusCode).json({
     success: false,
     message: err.message,
+    ...(errors && { errors }),
     error: {
       statusCode,
       status: err.status,
@@ -91,7 +99,8 @@ const sendErrorProd = (err, res) => {
   if (err.isOperational) {
     res.status(statusCode).json({
       success: false,
-      message: err.message
+      message: err.message,
+      ...(err.errors && { errors: err.errors })
     });
   }
   // Programming or unknown error: log and send generic message
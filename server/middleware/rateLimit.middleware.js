@@ -0,0 +1,105 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Limits requests per client using the named policies in
+ * config/rateLimit.config.js. Sends the standard RateLimit-* headers
+ * (and Retry-After once the limit is reached).
+ */
+
+const rateLimitConfig = require('../config/rateLimit.config');
+const rateLimitService = require('../services/rateLimit.service');
+const { verifyToken } = require('../utils/jwt');
+const AppError = require('../utils/appError');
+
+/**
+ * User ID from a valid access token, for limiters that run before auth
+ * Only the signature is checked - a revoked session still counts as its user
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getTokenUserId = (req) => {
+  const token = req.cookies?.token || req.headers.authorization?.replace('Bearer ', '');
+  const decoded = token && verifyToken(token);
+  return decoded?.id || null;
+};
+
+/**
+ * Client a request is counted for
+ * @param {Object} req - Express request
+ * @param {string} by - 'ip', 'user' or 'userOrIp'
+ * @returns {string|null} - Null when the policy counts users and there is none
+ */
+const getClientKey = (req, by) => {
+  if (req.user && (by === 'user' || by === 'userOrIp')) {
+    return `user:${req.user._id}`;
+  }
+  if (by === 'user') {
+    return null;
+  }
+  const userId = by === 'userOrIp' && getTokenUserId(req);
+  return userId ? `user:${userId}` : `ip:${req.ip}`;
+};
+
+/**
+ * Build a rate limiting middleware
+ * 'user' policies must come after auth; 'userOrIp' policies may come before it
+ * @param {string} policyName - Policy from the rate limit configuration
+ * @param {Object} [overrides] - Policy fields to change for this route
+ * @returns {Function} Middleware function
+ */
+const rateLimit = (policyName, overrides = {}) => {
+  if (!rateLimitConfig.policies[policyName]) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  const policy = { ...rateLimitConfig.policies[policyName], ...overrides };
+  const windowSeconds = Math.ceil(policy.windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (!rateLimitConfig.enabled) return next();
+
+    const client = getClientKey(req, policy.by);
+    if (!client) return next();
+
+    const key = `${policyName}:${client}`;
+
+    let result;
+    try {
+      result = await rateLimitService.hit(key, policy.windowMs, policy.store);
+    } catch (error) {
+      // A store outage should not take the API down with it
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((result.resetAt.getTime() - Date.now()) / 1000), 0);
+
+    res.set({
+      'RateLimit-Policy': `${policy.max};w=${windowSeconds}`,
+      'RateLimit-Limit': String(policy.max),
+      'RateLimit-Remaining': String(Math.max(policy.max - result.count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (result.count > policy.max) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(new AppError(policy.message, 429));
+    }
+
+    if (policy.skipFailedRequests) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          rateLimitService.undo(key, policy.store).catch(error => {
+            console.error('Rate limit store error:', error);
+          });
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -22,6 +22,28 @@ const upload = multer({
   }
 });
 
+// Filter for supporting documents: PDFs and images; the logo stays image only
+const documentFilter = (req, file, cb) => {
+  if (file.fieldname === 'documents' && file.mimetype === 'application/pdf') {
+    return cb(null, true);
+  }
+  if (file.mimetype.startsWith('image/')) {
+    return cb(null, true);
+  }
+  cb(new AppError(
+    file.fieldname === 'documents' ? 'Documents must be PDF files or images' : 'Only image files are allowed',
+    400
+  ), false);
+};
+
+const documentUpload = multer({
+  storage: multerStorage,
+  fileFilter: documentFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max file size
+  }
+});
+
 // Wrapper to handle multer errors properly
 const handleUpload = (uploadMiddleware) => {
   return (req, res, next) => {
@@ -46,6 +68,12 @@ exports.uploadOrganisationImages = handleUpload(upload.fields([
   { name: 'coverImage', maxCount: 1 }
 ]));
 
+// Middleware for organisation registration requests (logo and up to 5 documents)
+exports.uploadOrganisationRequest = handleUpload(documentUpload.fields([
+  { name: 'logo', maxCount: 1 },
+  { name: 'documents', maxCount: 5 }
+]));
+
 // Middleware for uploading event images
 exports.uploadEventImages = handleUpload(upload.fields([
   { name: 'coverImage', maxCount: 1 },
@@ -0,0 +1,59 @@
+/**
+ * Validation Middleware
+ *
+ * Checks req.params, req.query and req.body against the Joi schemas in
+ * validators/ before the controller runs. The validated values replace the
+ * originals, so controllers receive converted types (numbers, booleans,
+ * dates from multipart forms) and unknown fields are dropped.
+ */
+
+const AppError = require('../utils/appError');
+
+const SOURCES = ['params', 'query', 'body'];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
+/**
+ * Joi error details as messages keyed by field path (first message per field)
+ * Errors about the object as a whole are keyed by its source, e.g. "body"
+ */
+const toFieldErrors = (details, source) => details.reduce((errors, detail) => {
+  const field = detail.path.join('.') || source;
+  if (!errors[field]) {
+    errors[field] = detail.message;
+  }
+  return errors;
+}, {});
+
+/**
+ * Build a validation middleware
+ * @param {Object} schemas - Joi object schemas for any of params, query and body
+ * @returns {Function} Middleware function
+ */
+const validate = (schemas) => (req, res, next) => {
+  let errors = {};
+
+  SOURCES.forEach((source) => {
+    if (!schemas[source]) return;
+
+    const { value, error } = schemas[source].validate(req[source] || {}, VALIDATION_OPTIONS);
+    if (error) {
+      errors = { ...toFieldErrors(error.details, source), ...errors };
+    } else {
+      req[source] = value;
+    }
+  });
+
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    return next(new AppError(messages.join('. '), 400, errors));
+  }
+
+  next();
+};
+
+module.exports = { validate };
@@ -28,7 +28,7 @@ const applicationSchema = new mongoose.Schema(
         // Application status
         status: {
             type: String,
-            enum: ['pending', 'accepted', 'rejected', 'cancelled'],
+            enum: ['pending', 'accepted', 'rejected', 'cancelled', 'waitlisted'],
             default: 'pending',
             index: true,
         },
@@ -39,6 +39,23 @@ const applicationSchema = new mongoose.Schema(
             maxlength: [500, 'Message cannot exceed 500 characters'],
         },
 
+        // Answers to the event's registration questions
+        // Label is copied so answers stay readable if the question is edited
+        answers: [
+            {
+                _id: false,
+                questionId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                },
+                label: {
+                    type: String,
+                },
+                value: {
+                    type: mongoose.Schema.Types.Mixed,
+                },
+            },
+        ],
+
         // Reason for rejection (if rejected)
         rejectionReason: {
             type: String,
@@ -55,6 +72,32 @@ const applicationSchema = new mongoose.Schema(
         processedAt: {
             type: Date,
         },
+
+        // Set when an accepted application was cancelled because the event was
+        cancelledByEvent: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Position in the event's waitlist (lower = promoted first)
+        waitlistPosition: {
+            type: Number,
+        },
+
+        // Short random code embedded in the signed ticket (issued once accepted)
+        ticketCode: {
+            type: String,
+            uppercase: true,
+        },
+
+        // Attendance - set when the ticket is scanned at the event
+        checkedInAt: {
+            type: Date,
+        },
+        checkedInBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
     },
     {
         timestamps: true,
@@ -67,6 +110,8 @@ applicationSchema.index({ userId: 1, eventId: 1 });
 // Index for efficient queries
 applicationSchema.index({ eventId: 1, status: 1 });
 applicationSchema.index({ userId: 1, status: 1 });
+applicationSchema.index({ eventId: 1, status: 1, waitlistPosition: 1 });
+applicationSchema.index({ eventId: 1, ticketCode: 1 }, { sparse: true });
 
 /**
  * Pre-save middleware to set processedAt when status changes
@@ -90,6 +135,16 @@ applicationSchema.statics.hasApplied = async function (userId, eventId) {
     return !!application;
 };
 
+/**
+ * Static method to get the next free waitlist position for an event
+ */
+applicationSchema.statics.getNextWaitlistPosition = async function (eventId) {
+    const last = await this.findOne({ eventId, status: 'waitlisted' })
+        .sort({ waitlistPosition: -1 })
+        .select('waitlistPosition');
+    return last && last.waitlistPosition ? last.waitlistPosition + 1 : 1;
+};
+
 /**
  * Static method to get application count by status for an event
  */
@@ -110,6 +165,17 @@ applicationSchema.statics.getEventStats = async function (eventId) {
     }, {});
 };
 
+/**
+ * Static method to get check-in progress for an event
+ */
+applicationSchema.statics.getCheckInStats = async function (eventId) {
+    const [accepted, checkedIn] = await Promise.all([
+        this.countDocuments({ eventId, status: 'accepted' }),
+        this.countDocuments({ eventId, status: 'accepted', checkedInAt: { $ne: null } }),
+    ]);
+    return { accepted, checkedIn };
+};
+
 const Application = mongoose.model('Application', applicationSchema);
 
 module.exports = Application;
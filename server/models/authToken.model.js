@@ -0,0 +1,97 @@
+/**
+ * Auth Token Model
+ *
+ * Single-use tokens sent by email for password reset and email verification
+ * - Only a SHA-256 hash of the token is stored, never the token itself
+ * - Issuing a new token replaces the user's unused tokens for the same purpose
+ * - Expired tokens are removed by a TTL index
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const authTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        purpose: {
+            type: String,
+            enum: ['password_reset', 'email_verification'],
+            required: true,
+        },
+
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        // Set when the token is used; a used token is never accepted again
+        usedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Raw token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a new token, replacing the user's unused tokens for the same purpose
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'password_reset' or 'email_verification'
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<string>} - Raw token (only ever sent to the user)
+ */
+authTokenSchema.statics.issue = async function (userId, purpose, ttlMs) {
+    await this.deleteMany({ userId, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs),
+    });
+
+    return token;
+};
+
+/**
+ * Use a token
+ * Atomic, so a token can only be used once even with concurrent requests
+ * @param {string} token - Raw token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} - The token document, or null if invalid, expired or used
+ */
+authTokenSchema.statics.consume = function (token, purpose) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } },
+        { new: true }
+    );
+};
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+module.exports = AuthToken;
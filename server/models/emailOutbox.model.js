@@ -0,0 +1,88 @@
+/**
+ * Email Outbox Model
+ *
+ * Emails waiting to be sent. Producers only insert rows here; the outbox
+ * job sends them and retries failures with backoff, so a mail server
+ * problem never fails the request that caused the email
+ */
+
+const mongoose = require('mongoose');
+
+// Sent emails are kept this long for troubleshooting
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const emailOutboxSchema = new mongoose.Schema(
+    {
+        to: {
+            type: String,
+            required: true,
+        },
+        recipientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        // Template / notification type the email was built from
+        type: {
+            type: String,
+            required: true,
+        },
+        subject: {
+            type: String,
+            required: true,
+        },
+        html: {
+            type: String,
+            required: true,
+        },
+        text: {
+            type: String,
+            required: true,
+        },
+        // Content holds a secret (e.g. a password reset link) and is cleared once sent
+        sensitive: {
+            type: Boolean,
+            default: false,
+        },
+
+        // pending -> sending -> sent, or back to pending for a retry, or failed after the last attempt
+        status: {
+            type: String,
+            enum: ['pending', 'sending', 'sent', 'failed'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // A 'sending' row whose lock has expired belongs to a crashed run and is picked up again
+        lockedUntil: {
+            type: Date,
+        },
+        lastError: {
+            type: String,
+        },
+        messageId: {
+            type: String,
+        },
+        sentAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Index for the outbox job picking due emails
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Remove sent emails after the retention period (rows without sentAt are never removed)
+emailOutboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+module.exports = EmailOutbox;
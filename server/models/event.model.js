@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 
+// Custom question shown to applicants on registration
+const registrationQuestionSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: [true, 'Question label is required'],
+        trim: true,
+        maxlength: [200, 'Question label cannot exceed 200 characters']
+    },
+    type: {
+        type: String,
+        enum: ['text', 'number', 'select', 'checkbox'],
+        default: 'text'
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    options: [{
+        type: String,  // Choices for select questions
+        trim: true
+    }]
+});
+
 const eventSchema = new mongoose.Schema({
     // Basic event information
     title: {
@@ -20,6 +43,11 @@ const eventSchema = new mongoose.Schema({
         ref: 'Organisation',
         required: [true, 'Event must belong to an organisation']
     },
+    // Copy of the organisation's name, so full-text search can match it
+    organisationName: {
+        type: String,
+        trim: true
+    },
 
     // Event category (type of event)
     category: {
@@ -83,6 +111,28 @@ const eventSchema = new mongoose.Schema({
         type: Date,
         required: [true, 'Registration end date is required']
     },
+    isRegistrationOpen: {
+        type: Boolean,  // Closed by the lifecycle scheduler at registrationEndDate
+        default: true
+    },
+
+    // Revision number for calendar exports (iCalendar SEQUENCE)
+    // Bumped when the time, place or cancellation status changes
+    calendarSequence: {
+        type: Number,
+        default: 0
+    },
+
+    // Reminders already sent, with the start date they were sent for
+    // A moved event no longer matches these entries, so its reminders fire again
+    remindersSent: {
+        type: [{
+            _id: false,
+            offsetMinutes: Number,  // Minutes before the start the reminder was due
+            startDate: Date
+        }],
+        select: false
+    },
 
     // Capacity management
     capacity: {
@@ -90,8 +140,10 @@ const eventSchema = new mongoose.Schema({
         required: [true, 'Event capacity is required'],
         min: [5, 'Capacity must be at least 5']
     },
+    // Seats taken: the number of accepted applications
+    // Changed only through reserveSeat/releaseSeats, so it never passes capacity
     registeredCount: {
-        type: Number,  // Current number of registered users
+        type: Number,
         default: 0
     },
 
@@ -122,6 +174,28 @@ const eventSchema = new mongoose.Schema({
         enum: ['draft', 'published', 'ongoing', 'completed', 'cancelled'],
         default: 'draft'
     },
+    cancellationReason: {
+        type: String,  // Shown to applicants when the event is cancelled
+        trim: true,
+        maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+    },
+    cancelledAt: {
+        type: Date
+    },
+
+    // Deleted events are archived instead, so application history is kept
+    // Archived events are hidden from listings and can no longer be edited
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    archivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Custom questions applicants answer when registering
+    registrationQuestions: [registrationQuestionSchema],
 
     // Additional information
     requirements: {
@@ -143,8 +217,19 @@ const eventSchema = new mongoose.Schema({
     timestamps: true  // Automatically adds createdAt and updatedAt fields
 });
 
-// Index for text search on title, description, and tags
-eventSchema.index({ title: 'text', description: 'text', tags: 'text' });
+// Name of the full-text search index; a collection can only have one text index
+const SEARCH_INDEX = 'event_search';
+
+// Index for full-text search, ranked by where the words match
+// No language: stemming and stop words are English only and would mangle Georgian text
+eventSchema.index(
+    { title: 'text', tags: 'text', organisationName: 'text', description: 'text' },
+    {
+        name: SEARCH_INDEX,
+        weights: { title: 10, tags: 5, organisationName: 3, description: 1 },
+        default_language: 'none'
+    }
+);
 
 // Index for filtering events by category, type, and status
 eventSchema.index({ category: 1, eventType: 1, status: 1 });
@@ -155,6 +240,10 @@ eventSchema.index({ organisationId: 1 });
 // Index for date-based queries (upcoming events, past events, etc.)
 eventSchema.index({ startDate: 1, endDate: 1 });
 
+// Index for the lifecycle scheduler (status transitions by date)
+eventSchema.index({ status: 1, endDate: 1 });
+eventSchema.index({ status: 1, startDate: 1 });
+
 // Pre-save validation hook
 eventSchema.pre('save', function(next) {
     // Ensure event end date is after start date
@@ -170,6 +259,113 @@ eventSchema.pre('save', function(next) {
     next();
 });
 
+// Keep the organisation name copy in step with organisationId
+const findOrganisationName = async (organisationId) => {
+    const organisation = await mongoose.model('Organisation').findById(organisationId).select('name');
+    return organisation ? organisation.name : undefined;
+};
+
+eventSchema.pre('save', async function() {
+    if (this.isNew || this.isModified('organisationId')) {
+        this.organisationName = await findOrganisationName(this.organisationId);
+    }
+});
+
+eventSchema.pre('findOneAndUpdate', async function() {
+    const update = this.getUpdate();
+    const organisationId = update.organisationId || (update.$set && update.$set.organisationId);
+    if (organisationId) {
+        this.set('organisationName', await findOrganisationName(organisationId));
+    }
+});
+
+/**
+ * When registration closes for a deadline: the end of the deadline day
+ * (server time), to be forgiving with timezone differences
+ * @param {Date} deadline - registrationEndDate
+ * @returns {Date}
+ */
+eventSchema.statics.registrationClosesAt = function(deadline) {
+    const closesAt = new Date(deadline);
+    closesAt.setHours(23, 59, 59, 999);
+    return closesAt;
+};
+
+/**
+ * Earliest deadline that is still open at a given time (the start of that day)
+ * Deadlines before it have passed by the rule of registrationClosesAt
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+eventSchema.statics.earliestOpenDeadline = function(now) {
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+    return startOfDay;
+};
+
+// Events without a capacity take any number of attendees
+const hasFreeSeat = (count = 1) => ({
+    $or: [
+        { capacity: { $in: [null, 0] } },
+        { $expr: { $lte: [{ $add: [{ $ifNull: ['$registeredCount', 0] }, count] }, '$capacity'] } }
+    ]
+});
+
+/**
+ * Take seats for applications about to be accepted, unless that would pass capacity
+ * Reserve before changing the application and release if that change fails,
+ * so concurrent acceptances can never overbook the event
+ * @param {string} eventId - Event ID
+ * @param {Object} [options]
+ * @param {number} [options.count=1] - Seats to take
+ * @returns {Promise<boolean>} - Whether the seats were taken
+ */
+eventSchema.statics.reserveSeats = async function(eventId, { count = 1 } = {}) {
+    const result = await this.updateOne(
+        { _id: eventId, ...hasFreeSeat(count) },
+        { $inc: { registeredCount: count } }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Give back seats of applications that are no longer accepted
+ * @param {string} eventId - Event ID
+ * @param {Object} [options]
+ * @param {number} [options.count=1] - Seats to give back
+ */
+eventSchema.statics.releaseSeats = async function(eventId, { count = 1 } = {}) {
+    if (count <= 0) return;
+    await this.updateOne(
+        { _id: eventId, registeredCount: { $gte: count } },
+        { $inc: { registeredCount: -count } }
+    );
+};
+
+/**
+ * Count the seats of events from before registeredCount was kept up to date
+ * Those events still show 0 while they have accepted applications; events
+ * counted since then never do, as a seat is taken before the acceptance
+ * @returns {Promise<number>} - Number of events updated
+ */
+eventSchema.statics.backfillRegisteredCounts = async function() {
+    const counts = await mongoose.model('Application').aggregate([
+        { $match: { status: 'accepted' } },
+        { $group: { _id: '$eventId', count: { $sum: 1 } } }
+    ]);
+    if (counts.length === 0) return 0;
+
+    const result = await this.bulkWrite(counts.map(({ _id, count }) => ({
+        updateOne: {
+            filter: { _id, registeredCount: { $in: [0, null] } },
+            update: { $set: { registeredCount: count } }
+        }
+    })));
+    return result.modifiedCount;
+};
+
 const Event = mongoose.model('Event', eventSchema);
 
+Event.SEARCH_INDEX = SEARCH_INDEX;
+
 module.exports = Event;
@@ -0,0 +1,69 @@
+/**
+ * Event Audit Model
+ *
+ * Record of changes to an event that affect its applicants:
+ * cancellation, rescheduling, archiving (the replacement for deletes) and
+ * transfer to another organisation
+ * Written once per change and never updated
+ */
+
+const mongoose = require('mongoose');
+
+const eventAuditSchema = new mongoose.Schema(
+    {
+        eventId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Event',
+            required: true,
+        },
+
+        action: {
+            type: String,
+            enum: ['cancelled', 'rescheduled', 'archived', 'transferred'],
+            required: true,
+        },
+
+        // User who made the change
+        actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+
+        reason: {
+            type: String,
+            maxlength: 500,
+        },
+
+        // Rescheduling: previous and new dates
+        // Transfer: previous and new organisation
+        changes: {
+            startDate: { from: Date, to: Date },
+            endDate: { from: Date, to: Date },
+            organisationId: {
+                from: { type: mongoose.Schema.Types.ObjectId, ref: 'Organisation' },
+                to: { type: mongoose.Schema.Types.ObjectId, ref: 'Organisation' },
+            },
+        },
+
+        // Applications affected by the change (for archiving: all applications
+        // kept with the event), and how many of them were cancelled
+        affectedApplications: {
+            type: Number,
+            default: 0,
+        },
+        cancelledApplications: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Index for an event's history, newest first
+eventAuditSchema.index({ eventId: 1, createdAt: -1 });
+
+const EventAudit = mongoose.model('EventAudit', eventAuditSchema);
+
+module.exports = EventAudit;
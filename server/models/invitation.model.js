@@ -0,0 +1,166 @@
+/**
+ * Invitation Model
+ *
+ * Email invitations to join an organisation team with a member role
+ * - Only a SHA-256 hash of the token is stored, never the token itself
+ * - Resending issues a new token, so earlier links stop working
+ * - An email has at most one pending invitation per organisation
+ * - Accepted and revoked invitations are kept as a record
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Organisation = require('./organisation.model');
+
+const invitationSchema = new mongoose.Schema(
+    {
+        organisationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organisation',
+            required: true,
+        },
+
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true,
+        },
+
+        role: {
+            type: String,
+            enum: Organisation.ROLES,
+            default: 'editor',
+        },
+
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'revoked'],
+            default: 'pending',
+        },
+
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        lastSentAt: {
+            type: Date,
+            default: null,
+        },
+
+        sendCount: {
+            type: Number,
+            default: 0,
+        },
+
+        acceptedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        acceptedAt: {
+            type: Date,
+            default: null,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+invitationSchema.index({ organisationId: 1, status: 1 });
+invitationSchema.index(
+    { organisationId: 1, email: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+invitationSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Raw token
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Hide the token hash; pending invitations past their expiry are flagged for resending
+ */
+invitationSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    delete obj.tokenHash;
+    delete obj.__v;
+    obj.expired = obj.status === 'pending' && obj.expiresAt <= new Date();
+    return obj;
+};
+
+/**
+ * Give the invitation a new token and expiry
+ * The caller saves the document and sends the returned token
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {string} - Raw token (only ever sent to the invitee)
+ */
+invitationSchema.methods.issueToken = function (ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.tokenHash = hashToken(token);
+    this.expiresAt = new Date(Date.now() + ttlMs);
+    return token;
+};
+
+/**
+ * Find a pending, unexpired invitation by its raw token
+ * @param {string} token - Raw token
+ * @returns {Promise<Object|null>}
+ */
+invitationSchema.statics.findByToken = function (token) {
+    return this.findOne({ tokenHash: hashToken(token), status: 'pending', expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Mark an invitation accepted
+ * Atomic, so an invitation can only be accepted once even with concurrent requests
+ * @param {string} token - Raw token
+ * @param {string} userId - User accepting the invitation
+ * @returns {Promise<Object|null>} - The invitation, or null if invalid, expired or no longer pending
+ */
+invitationSchema.statics.accept = function (token, userId) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        { tokenHash: hashToken(token), status: 'pending', expiresAt: { $gt: now } },
+        { $set: { status: 'accepted', acceptedBy: userId, acceptedAt: now } },
+        { new: true }
+    );
+};
+
+/**
+ * Put an accepted invitation back to pending, when accepting could not be completed
+ * @param {string} id - Invitation ID
+ * @param {string} userId - User the invitation was accepted for
+ */
+invitationSchema.statics.undoAccept = function (id, userId) {
+    return this.updateOne(
+        { _id: id, status: 'accepted', acceptedBy: userId },
+        { $set: { status: 'pending', acceptedBy: null, acceptedAt: null } }
+    );
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,73 @@
+/**
+ * JobLock Model
+ *
+ * Lease-based lock for background jobs
+ * Only the process holding an unexpired lease runs a job, so several
+ * server processes can share one database without doing the work twice
+ */
+
+const mongoose = require('mongoose');
+
+const jobLockSchema = new mongoose.Schema(
+    {
+        // Job name (one lock document per job)
+        _id: {
+            type: String,
+        },
+
+        // Identifier of the process holding the lease
+        owner: {
+            type: String,
+            required: true,
+        },
+
+        // Lease expiry - other processes may take over after this
+        lockedUntil: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Static method to acquire (or renew) the lease for a job
+ * @param {string} name - Job name
+ * @param {string} owner - Process identifier
+ * @param {number} ttlMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} - True if the lease is held by owner
+ */
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+    const now = new Date();
+
+    try {
+        const lock = await this.findOneAndUpdate(
+            {
+                _id: name,
+                $or: [{ lockedUntil: { $lte: now } }, { owner }],
+            },
+            { owner, lockedUntil: new Date(now.getTime() + ttlMs) },
+            { upsert: true, new: true }
+        );
+        return !!lock && lock.owner === owner;
+    } catch (error) {
+        // Duplicate key: another process holds an unexpired lease
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * Static method to release a lease held by owner
+ * @param {string} name - Job name
+ * @param {string} owner - Process identifier
+ */
+jobLockSchema.statics.release = async function (name, owner) {
+    await this.updateOne({ _id: name, owner }, { lockedUntil: new Date(0) });
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -25,6 +25,11 @@ const notificationSchema = new mongoose.Schema(
                 'application_received',
                 'application_accepted',
                 'application_rejected',
+                'waitlist_promoted',
+                'event_message',
+                'event_reminder',
+                'event_cancelled',
+                'event_rescheduled',
             ],
             required: true,
         },
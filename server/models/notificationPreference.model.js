@@ -0,0 +1,93 @@
+/**
+ * Notification Preference Model
+ *
+ * One document per user, created on first change. Users without a
+ * document get the defaults below
+ * - For each notification type: in-app (stored in the notification list),
+ *   real-time (socket push) and email delivery
+ * - Muted organisations and events: no notifications about them at all
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('./notification.model');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// Types that are emailed unless the user opts out
+const EMAIL_BY_DEFAULT = ['application_accepted', 'application_rejected', 'waitlist_promoted', 'event_message', 'event_reminder', 'event_cancelled', 'event_rescheduled'];
+
+const CHANNELS = ['inApp', 'realtime', 'email'];
+
+/**
+ * Default channels for a notification type
+ * @param {string} type - Notification type
+ * @returns {{inApp: boolean, realtime: boolean, email: boolean}}
+ */
+const getDefaultChannels = (type) => ({
+    inApp: true,
+    realtime: true,
+    email: EMAIL_BY_DEFAULT.includes(type),
+});
+
+const buildChannelSchema = (type) => {
+    const defaults = getDefaultChannels(type);
+    return new mongoose.Schema(
+        {
+            inApp: { type: Boolean, default: defaults.inApp },
+            realtime: { type: Boolean, default: defaults.realtime },
+            email: { type: Boolean, default: defaults.email },
+        },
+        { _id: false }
+    );
+};
+
+const notificationPreferenceSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true,
+        },
+
+        // Channels per notification type
+        types: Object.fromEntries(
+            NOTIFICATION_TYPES.map((type) => [
+                type,
+                { type: buildChannelSchema(type), default: () => ({}) },
+            ])
+        ),
+
+        // Organisations and events the user does not want to hear about
+        mutedOrganisations: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organisation',
+        }],
+        mutedEvents: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Event',
+        }],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Effective channels for a type, falling back to defaults
+ * @param {Object|null} preference - Plain preference object (lean or toObject()), or null
+ * @param {string} type - Notification type
+ */
+notificationPreferenceSchema.statics.getChannels = function (preference, type) {
+    return {
+        ...getDefaultChannels(type),
+        ...(preference?.types?.[type] || {}),
+    };
+};
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+NotificationPreference.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+NotificationPreference.CHANNELS = CHANNELS;
+
+module.exports = NotificationPreference;
@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 
+// Roles a member can hold within an organisation
+const ROLES = ['owner', 'editor', 'reviewer', 'checkin'];
+
+// Permission -> roles granted it; platform admins are allowed everything
+const PERMISSIONS = {
+    // Edit the profile, manage members
+    manageOrganisation: ['owner'],
+    // Create, update and delete events
+    manageEvents: ['owner', 'editor'],
+    // List and export applications
+    viewApplications: ['owner', 'editor', 'reviewer'],
+    // Accept, reject and reorder the waitlist
+    reviewApplications: ['owner', 'reviewer'],
+    // Message applicants in bulk
+    messageApplicants: ['owner', 'editor', 'reviewer'],
+    // Scan tickets at the door
+    checkIn: ['owner', 'editor', 'checkin']
+};
+
+const memberSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'editor'
+    },
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const organisationSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -46,11 +87,23 @@ const organisationSchema = new mongoose.Schema({
         twitter: String,
         instagram: String
     },
-    // Users who can manage this organisation and create events
-    admins: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-    }]
+    // Users working on this organisation, each with a role (see PERMISSIONS)
+    members: [memberSchema],
+    // Number of users following this organisation (kept in sync by the follow endpoints)
+    followersCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Checked by a platform admin (approved registration request or created by an admin)
+    verified: {
+        type: Boolean,
+        default: false
+    },
+    verifiedAt: {
+        type: Date,
+        default: null
+    }
 }, {
     timestamps: true
 });
@@ -58,6 +111,54 @@ const organisationSchema = new mongoose.Schema({
 // Index for filtering by organisation type
 organisationSchema.index({ type: 1 });
 
+// Index for finding a user's organisations
+organisationSchema.index({ 'members.userId': 1 });
+
+/**
+ * Role of a user in this organisation, null when not a member
+ * Works with populated members too
+ */
+organisationSchema.methods.getMemberRole = function(userId) {
+    const id = userId.toString();
+    const member = (this.members || []).find((m) => m.userId && (m.userId._id || m.userId).toString() === id);
+    return member ? member.role : null;
+};
+
+/**
+ * Check if a user's role in this organisation grants a permission
+ */
+organisationSchema.methods.hasPermission = function(userId, permission) {
+    return PERMISSIONS[permission].includes(this.getMemberRole(userId));
+};
+
+/**
+ * IDs of members whose role grants a permission
+ */
+organisationSchema.methods.getMemberIds = function(permission) {
+    return (this.members || [])
+        .filter((m) => m.userId && (!permission || PERMISSIONS[permission].includes(m.role)))
+        .map((m) => m.userId._id || m.userId);
+};
+
+/**
+ * Query condition matching organisations where the user holds a permission
+ * @param {ObjectId|string} userId
+ * @param {string} [permission] - Without it any membership matches
+ */
+organisationSchema.statics.memberQuery = function(userId, permission) {
+    return {
+        members: {
+            $elemMatch: {
+                userId,
+                ...(permission && { role: { $in: PERMISSIONS[permission] } })
+            }
+        }
+    };
+};
+
 const Organisation = mongoose.model('Organisation', organisationSchema);
 
+Organisation.ROLES = ROLES;
+Organisation.PERMISSIONS = PERMISSIONS;
+
 module.exports = Organisation;
@@ -0,0 +1,170 @@
+/**
+ * Organisation Request Model
+ *
+ * Requests from users to register an organisation, reviewed by platform admins
+ * - Carries the organisation profile, logo and supporting documents
+ * - Approving creates the organisation (verified) with the requester as owner
+ * - Rejecting records the reason, which the requester sees, and removes the documents
+ * - Approved and rejected requests are kept as a record
+ */
+
+const mongoose = require('mongoose');
+const Organisation = require('./organisation.model');
+const { getDocumentUrl } = require('../utils/cloudinaryUpload');
+
+const documentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // Private Cloudinary file, shared through signed links only
+    publicId: {
+        type: String,
+        required: true,
+    },
+    mimeType: {
+        type: String,
+        default: null,
+    },
+}, { _id: false });
+
+const organisationRequestSchema = new mongoose.Schema(
+    {
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        // Organisation profile, copied to the organisation on approval
+        name: {
+            type: String,
+            required: [true, 'Organisation name is required'],
+            trim: true,
+            maxlength: [100, 'Organisation name cannot exceed 100 characters'],
+        },
+        type: {
+            type: String,
+            enum: Organisation.schema.path('type').enumValues,
+            required: [true, 'Organisation type is required'],
+        },
+        description: {
+            type: String,
+            required: [true, 'Organisation description is required'],
+            maxlength: [1000, 'Description cannot exceed 1000 characters'],
+        },
+        logo: {
+            type: String,
+            default: null,
+        },
+        website: {
+            type: String,
+            trim: true,
+        },
+        email: {
+            type: String,
+            required: [true, 'Organisation email is required'],
+            lowercase: true,
+            trim: true,
+        },
+        phone: {
+            type: String,
+            trim: true,
+        },
+        socialMedia: {
+            linkedin: String,
+            facebook: String,
+            twitter: String,
+            instagram: String,
+        },
+
+        // Person the reviewers can contact about the request
+        contactName: {
+            type: String,
+            required: [true, 'Contact name is required'],
+            trim: true,
+            maxlength: 100,
+        },
+        contactPhone: {
+            type: String,
+            trim: true,
+        },
+        // Note to the reviewers
+        message: {
+            type: String,
+            maxlength: 1000,
+        },
+        // Proof the requester represents the organisation (registration papers, letters)
+        documents: [documentSchema],
+
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected'],
+            default: 'pending',
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        rejectionReason: {
+            type: String,
+            maxlength: 500,
+            default: null,
+        },
+        // Organisation created on approval
+        organisationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organisation',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+organisationRequestSchema.index({ status: 1, createdAt: -1 });
+organisationRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+// One pending request per organisation email
+organisationRequestSchema.index(
+    { email: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+/**
+ * Documents get a short-lived download link instead of their storage ID
+ */
+organisationRequestSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    delete obj.__v;
+    obj.documents = (obj.documents || []).map(({ publicId, ...document }) => ({
+        ...document,
+        url: getDocumentUrl(publicId),
+    }));
+    return obj;
+};
+
+/**
+ * Move a pending request to approved or rejected
+ * Atomic, so a request is only ever decided once even with concurrent reviewers
+ * @param {string} id - Request ID
+ * @param {Object} update - status, reviewedBy and other fields to set
+ * @returns {Promise<Object|null>} - The request, or null if not found or no longer pending
+ */
+organisationRequestSchema.statics.decide = function (id, update) {
+    return this.findOneAndUpdate(
+        { _id: id, status: 'pending' },
+        { $set: { ...update, reviewedAt: new Date() } },
+        { new: true }
+    );
+};
+
+const OrganisationRequest = mongoose.model('OrganisationRequest', organisationRequestSchema);
+
+module.exports = OrganisationRequest;
@@ -0,0 +1,59 @@
+/**
+ * Platform Settings Model
+ *
+ * Settings platform admins can change at runtime. A single document;
+ * until it is first saved the defaults below apply
+ */
+
+const mongoose = require('mongoose');
+
+const SETTINGS_KEY = 'platform';
+
+const platformSettingsSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            default: SETTINGS_KEY,
+            unique: true,
+        },
+
+        // Roles that must set up two-factor authentication before using the app
+        twoFactorRequiredRoles: [{
+            type: String,
+            enum: ['user', 'organisation', 'admin'],
+        }],
+
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Current settings as a plain object, with defaults when none were saved
+ */
+platformSettingsSchema.statics.getSettings = async function () {
+    const settings = await this.findOne({ key: SETTINGS_KEY }).lean();
+    return settings || { key: SETTINGS_KEY, twoFactorRequiredRoles: [] };
+};
+
+/**
+ * Change settings, creating the document on first use
+ * @param {Object} changes - Fields to set
+ * @param {string} userId - Admin making the change
+ */
+platformSettingsSchema.statics.updateSettings = function (changes, userId) {
+    return this.findOneAndUpdate(
+        { key: SETTINGS_KEY },
+        { $set: { ...changes, updatedBy: userId } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+};
+
+const PlatformSettings = mongoose.model('PlatformSettings', platformSettingsSchema);
+
+module.exports = PlatformSettings;
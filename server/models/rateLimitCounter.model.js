@@ -0,0 +1,38 @@
+/**
+ * Rate Limit Counter Model
+ *
+ * Request counters for the shared (mongo) rate limit store
+ * One document per policy and client, removed once its window is over
+ */
+
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema(
+    {
+        // "<policy>:<client>", e.g. "login:ip:203.0.113.7"
+        _id: {
+            type: String,
+        },
+
+        count: {
+            type: Number,
+            default: 0,
+        },
+
+        // End of the current window
+        resetAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        versionKey: false,
+    }
+);
+
+// Remove counters when their window is over
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,78 @@
+/**
+ * Session Model
+ *
+ * One document per signed-in device
+ * - Holds the hash of the current refresh token; every refresh rotates it
+ * - Presenting an older refresh token (reuse) revokes the whole session,
+ *   as it means the token was copied
+ * - Access tokens carry the session ID, so revoking a session signs the
+ *   device out on its next request
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        // SHA-256 hash of the current refresh token
+        refreshTokenHash: {
+            type: String,
+            required: true,
+        },
+
+        // Token replaced by the last rotation, still accepted for a few
+        // seconds so parallel refreshes from one browser do not look like reuse
+        previousTokenHash: {
+            type: String,
+        },
+        rotatedAt: {
+            type: Date,
+        },
+
+        // Device details shown in the sessions list
+        userAgent: {
+            type: String,
+            maxlength: 500,
+        },
+        ip: {
+            type: String,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+
+        // Pushed forward on every refresh; the session is removed after it
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'revoked', 'reuse_detected', 'password_reset', 'two_factor_enabled'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Index for a user's active sessions
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
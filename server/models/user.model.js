@@ -4,6 +4,7 @@
  * Roles:
  * - user: Regular users
  * - admin: Platform administrators
+ * - organisation: Organisation administrators
  */
 
 const mongoose = require('mongoose');
@@ -27,6 +28,30 @@ const userSchema = new mongoose.Schema({
     type: String,
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Login tokens issued before this are rejected
+  passwordChangedAt: {
+    type: Date
+  },
+  // Failed logins in a row, and the end of the lock they caused
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockedUntil: {
+    type: Date,
+    select: false
+  },
+  // Unverified accounts cannot apply to events
+  // (accounts from before verification existed are backfilled as verified,
+  // see verifyLegacyAccounts)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   googleId: {
     type: String,
     trim: true
@@ -54,13 +79,74 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Language for emails, kept in sync with the language chosen in the app
+  language: {
+    type: String,
+    enum: {
+      values: ['en', 'ka'],
+      message: 'Language must be either en or ka'
+    },
+    default: 'en'
+  },
+  // TOTP two-factor authentication; everything but the status is kept out of queries by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    // Encrypted TOTP secret
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being set up, becomes the secret once a first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Wrong codes since the password was last accepted
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    }
+  },
+  // Secret for the personal calendar feed URL
+  calendarToken: {
+    type: String,
+    select: false
+  },
+  // Organisations and event categories the user gets new-event notifications for
+  followedOrganisations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation'
+  }],
+  followedCategories: [{
+    type: String
+  }]
 }, {
   timestamps: true
 });
 
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+userSchema.index({ followedOrganisations: 1 });
+userSchema.index({ followedCategories: 1 });
 
 userSchema.pre('save', async function(next) {
   if (!this.isModified('passwordHash') || !this.passwordHash) return next();
@@ -75,6 +161,13 @@ userSchema.methods.verifyPassword = async function(password) {
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.passwordHash;
+  delete obj.calendarToken;
+  delete obj.failedLoginAttempts;
+  delete obj.lockedUntil;
+  obj.twoFactor = {
+    enabled: !!obj.twoFactor?.enabled,
+    enabledAt: obj.twoFactor?.enabledAt
+  };
   delete obj.__v;
   return obj;
 };
@@ -83,4 +176,18 @@ userSchema.methods.isAdmin = function() {
   return this.role === 'admin';
 };
 
+/**
+ * Mark accounts created before email verification existed as verified
+ * Their documents have no emailVerified field; accounts created since then
+ * store an explicit false until verified, so they are left alone
+ * @returns {Promise<number>} - Number of accounts updated
+ */
+userSchema.statics.verifyLegacyAccounts = async function() {
+  const result = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -2,49 +2,117 @@
  * Application Routes
  *
  * Routes for event application management:
- * - POST /applications - Create application (authenticated users)
+ * - POST /applications - Create application (authenticated users with a verified email, daily limit)
  * - GET /applications/my - Get user's own applications
  * - GET /applications/admin - Get all applications (admin only)
- * - GET /applications/organisation - Get org applications (org admins)
+ * - GET /applications/organisation - Get org applications (owners, editors, reviewers)
+ * - GET /applications/organisation/export - Download org applications as CSV (owners, editors, reviewers)
+ * - GET /applications/admin/export - Download all applications as CSV (admin only)
  * - GET /applications/:id - Get single application
  * - GET /applications/stats/:eventId - Get event application stats
- * - PATCH /applications/:id/status - Accept/reject application
+ * - PATCH /applications/:id/status - Accept/reject application (owners, reviewers)
+ * - POST /applications/bulk/status - Accept/reject many applications (owners, reviewers)
+ * - POST /applications/bulk/message - Message many applicants (owners, editors, reviewers)
  * - PATCH /applications/:id/cancel - Cancel own application
+ * - GET /applications/waitlist/:eventId - Get event waitlist (owners, editors, reviewers)
+ * - PATCH /applications/waitlist/:eventId - Reorder event waitlist (owners, reviewers)
+ * - GET /applications/:id/ticket - Get signed ticket for own accepted application
+ * - POST /applications/check-in - Check in attendee by ticket (owners, editors, check-in staff)
+ * - GET /applications/check-in/:eventId - Get check-in progress (owners, editors, check-in staff)
+ * Organisation roles are checked per organisation (see Organisation.PERMISSIONS)
  */
 
 const express = require('express');
 const router = express.Router();
 const applicationController = require('../controllers/application.controller');
-const { auth, allowedTo } = require('../middleware/auth.middleware');
+const { auth, requireVerifiedEmail, allowedTo } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const applicationValidator = require('../validators/application.validator');
 
 // All routes require authentication
 router.use(auth);
 
 // User routes
-router.post('/', applicationController.createApplication);
-router.get('/my', applicationController.getMyApplications);
-router.patch('/:id/cancel', applicationController.cancelApplication);
+router.post('/', requireVerifiedEmail, rateLimit('applications'), validate(applicationValidator.createApplication), applicationController.createApplication);
+router.get('/my', validate(applicationValidator.getMyApplications), applicationController.getMyApplications);
+router.patch('/:id/cancel', validate(applicationValidator.applicationById), applicationController.cancelApplication);
+router.get('/:id/ticket', validate(applicationValidator.applicationById), applicationController.getTicket);
 
 // Organisation admin routes
 router.get(
     '/organisation',
     allowedTo('organisation', 'admin'),
+    validate(applicationValidator.getOrganisationApplications),
     applicationController.getOrganisationApplications
 );
+router.get(
+    '/organisation/export',
+    allowedTo('organisation', 'admin'),
+    validate(applicationValidator.exportOrganisationApplications),
+    applicationController.exportOrganisationApplications
+);
+
+router.post(
+    '/bulk/status',
+    allowedTo('organisation', 'admin'),
+    validate(applicationValidator.bulkUpdateApplicationStatus),
+    applicationController.bulkUpdateApplicationStatus
+);
+router.post(
+    '/bulk/message',
+    allowedTo('organisation', 'admin'),
+    validate(applicationValidator.bulkMessageApplicants),
+    applicationController.bulkMessageApplicants
+);
+
+router.get(
+    '/waitlist/:eventId',
+    allowedTo('organisation', 'admin'),
+    validate(applicationValidator.applicationsByEvent),
+    applicationController.getEventWaitlist
+);
+router.patch(
+    '/waitlist/:eventId',
+    allowedTo('organisation', 'admin'),
+    validate(applicationValidator.reorderWaitlist),
+    applicationController.reorderWaitlist
+);
+
+router.post(
+    '/check-in',
+    allowedTo('organisation', 'admin'),
+    validate(applicationValidator.checkIn),
+    applicationController.checkIn
+);
+router.get(
+    '/check-in/:eventId',
+    allowedTo('organisation', 'admin'),
+    validate(applicationValidator.applicationsByEvent),
+    applicationController.getCheckInStats
+);
 
 // Admin routes
 router.get(
     '/admin',
     allowedTo('admin'),
+    validate(applicationValidator.getAdminApplications),
     applicationController.getAdminApplications
 );
+router.get(
+    '/admin/export',
+    allowedTo('admin'),
+    validate(applicationValidator.exportApplications),
+    applicationController.exportAdminApplications
+);
 
 // Shared routes (with role-based logic in controller)
-router.get('/stats/:eventId', applicationController.getEventApplicationStats);
-router.get('/:id', applicationController.getApplication);
+router.get('/stats/:eventId', validate(applicationValidator.applicationsByEvent), applicationController.getEventApplicationStats);
+router.get('/:id', validate(applicationValidator.applicationById), applicationController.getApplication);
 router.patch(
     '/:id/status',
     allowedTo('organisation', 'admin'),
+    validate(applicationValidator.updateApplicationStatus),
     applicationController.updateApplicationStatus
 );
 
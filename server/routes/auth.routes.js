@@ -1,17 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { auth } = require('../middleware/auth.middleware');
+const { auth, authForTwoFactorSetup } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const authValidator = require('../validators/auth.validator');
 
 // Public Routes
-router.post('/signup', authController.signup);
-router.post('/login', authController.login);
+router.post('/signup', rateLimit('signup'), validate(authValidator.signup), authController.signup);
+router.post('/login', rateLimit('login'), validate(authValidator.login), authController.login);
 router.get('/google', authController.googleRedirect);
-router.get('/google/callback', authController.googleCallback);
+router.get('/google/callback', validate(authValidator.googleCallback), authController.googleCallback);
+router.post('/forgot-password', rateLimit('accountEmail'), validate(authValidator.forgotPassword), authController.forgotPassword);
+router.post('/reset-password', rateLimit('tokenCheck'), validate(authValidator.resetPassword), authController.resetPassword);
+router.post('/verify-email', rateLimit('tokenCheck'), validate(authValidator.verifyEmail), authController.verifyEmail);
+// Second sign-in step, authenticated by the challenge cookie from the password step
+router.post('/2fa/verify', rateLimit('tokenCheck'), validate(authValidator.verifyTwoFactorLogin), authController.verifyTwoFactorLogin);
+// Authenticated by the refresh token cookie, so they work after the access token expired
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
 
 // Protected Routes
-router.post('/logout', auth, authController.logout);
-router.get('/me', auth, authController.me);
-router.put('/profile', auth, authController.updateProfile);
+// Also reachable while required two-factor authentication is not set up yet
+router.get('/me', authForTwoFactorSetup, authController.me);
+router.get('/2fa', authForTwoFactorSetup, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authForTwoFactorSetup, authController.setupTwoFactor);
+router.post('/2fa/enable', authForTwoFactorSetup, validate(authValidator.twoFactorCode), authController.enableTwoFactor);
+
+router.post('/2fa/disable', auth, validate(authValidator.disableTwoFactor), authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, validate(authValidator.twoFactorCode), authController.regenerateRecoveryCodes);
+router.put('/profile', auth, validate(authValidator.updateProfile), authController.updateProfile);
+router.post('/verify-email/resend', auth, rateLimit('accountEmail'), authController.resendVerification);
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions', auth, authController.revokeOtherSessions);
+router.delete('/sessions/:id', auth, validate(authValidator.revokeSession), authController.revokeSession);
 
 module.exports = router;
@@ -1,17 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/event.controller');
+const calendarController = require('../controllers/calendar.controller');
 const { auth, canManageEvent } = require('../middleware/auth.middleware');
 const { uploadEventImages } = require('../middleware/upload.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const eventValidator = require('../validators/event.validator');
+
+// Calendar Routes (must be before /:id)
+// Personal feed is authenticated by the secret token in its URL
+router.get('/calendar/feed', auth, calendarController.getMyCalendarFeed);
+router.post('/calendar/feed/reset', auth, calendarController.resetMyCalendarFeed);
+router.get('/calendar/:token.ics', validate(eventValidator.calendarToken), calendarController.getUserCalendar);
 
 // Public Routes - Anyone can view events
-router.get('/', eventController.getAllEvents);
-router.get('/:id', eventController.getEvent);
+router.get('/', validate(eventValidator.getAllEvents), eventController.getAllEvents);
+router.get('/search', validate(eventValidator.searchEvents), eventController.searchEvents);
+router.get('/:id', validate(eventValidator.eventById), eventController.getEvent);
+router.get('/:id/calendar.ics', validate(eventValidator.eventById), calendarController.getEventCalendar);
 
-// Protected Routes - Admins and organisation admins can create, update, delete events
-// Note: uploadEventImages must come before canManageEvent to parse FormData first
-router.post('/', auth, uploadEventImages, canManageEvent, eventController.createEvent);
-router.put('/:id', auth, canManageEvent, eventController.updateEvent);
-router.delete('/:id', auth, canManageEvent, eventController.deleteEvent);
+// Protected Routes - Admins and organisation admins can create, update, delete (archive) events
+// and read their cancellation/reschedule history
+// Note: uploadEventImages must come before validate and canManageEvent to parse FormData first
+// (the event form submits multipart data for both create and update)
+router.post('/', auth, uploadEventImages, validate(eventValidator.createEvent), canManageEvent, eventController.createEvent);
+router.put('/:id', auth, uploadEventImages, validate(eventValidator.updateEvent), canManageEvent, eventController.updateEvent);
+router.delete('/:id', auth, validate(eventValidator.deleteEvent), canManageEvent, eventController.deleteEvent);
+router.get('/:id/audit', auth, validate(eventValidator.eventById), canManageEvent, eventController.getEventAudit);
 
 module.exports = router;
\ No newline at end of file
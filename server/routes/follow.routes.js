@@ -0,0 +1,32 @@
+/**
+ * Follow Routes
+ *
+ * Routes for following organisations and event categories:
+ * - GET /following - Get followed organisations and categories
+ * - GET /following/feed - Upcoming events from followed organisations and categories
+ * - POST /following/organisations/:id - Follow an organisation
+ * - DELETE /following/organisations/:id - Unfollow an organisation
+ * - POST /following/categories/:category - Follow an event category
+ * - DELETE /following/categories/:category - Unfollow an event category
+ */
+
+const express = require('express');
+const router = express.Router();
+const followController = require('../controllers/follow.controller');
+const { auth } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const followValidator = require('../validators/follow.validator');
+
+// All routes require authentication
+router.use(auth);
+
+router.get('/', followController.getFollowing);
+router.get('/feed', validate(followValidator.getFollowingFeed), followController.getFollowingFeed);
+
+router.post('/organisations/:id', validate(followValidator.organisationById), followController.followOrganisation);
+router.delete('/organisations/:id', validate(followValidator.organisationById), followController.unfollowOrganisation);
+
+router.post('/categories/:category', validate(followValidator.category), followController.followCategory);
+router.delete('/categories/:category', validate(followValidator.category), followController.unfollowCategory);
+
+module.exports = router;
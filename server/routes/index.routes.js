@@ -8,6 +8,10 @@ const eventRoutes = require('./event.routes');
 const userRoutes = require('./user.routes');
 const applicationRoutes = require('./application.routes');
 const notificationRoutes = require('./notification.routes');
+const followRoutes = require('./follow.routes');
+const settingsRoutes = require('./settings.routes');
+const invitationRoutes = require('./invitation.routes');
+const organisationRequestRoutes = require('./organisationRequest.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -16,6 +20,10 @@ router.use('/events', eventRoutes);
 router.use('/users', userRoutes);
 router.use('/applications', applicationRoutes);
 router.use('/notifications', notificationRoutes);
+router.use('/following', followRoutes);
+router.use('/settings', settingsRoutes);
+router.use('/invitations', invitationRoutes);
+router.use('/organisation-requests', organisationRequestRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -0,0 +1,31 @@
+/**
+ * Invitation Routes
+ *
+ * Links from organisation team invitation emails
+ * GET /invitations/:token - Describe the invitation behind a link (public)
+ * POST /invitations/accept - Accept as the signed-in user with the invited email
+ * POST /invitations/signup - Create an account for the invited email and accept
+ *
+ * Pending invitations of all organisations (admin only)
+ * GET /invitations - List with filtering/pagination
+ *
+ * Invitations are sent, resent and revoked through the organisation routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const invitationController = require('../controllers/invitation.controller');
+const { auth, allowedTo } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const invitationValidator = require('../validators/invitation.validator');
+
+// Admin Only Route
+router.get('/', auth, allowedTo('admin'), validate(invitationValidator.getPendingInvitations), invitationController.getPendingInvitations);
+
+// Invitation Link Routes
+router.post('/accept', auth, rateLimit('tokenCheck'), validate(invitationValidator.acceptInvitation), invitationController.acceptInvitation);
+router.post('/signup', rateLimit('signup'), validate(invitationValidator.signupWithInvitation), invitationController.signupWithInvitation);
+router.get('/:token', rateLimit('tokenCheck'), validate(invitationValidator.getInvitation), invitationController.getInvitation);
+
+module.exports = router;
@@ -7,30 +7,44 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const notificationValidator = require('../validators/notification.validator');
 const {
     getMyNotifications,
     getUnreadCount,
     markAsRead,
     markAllAsRead,
     deleteNotification,
+    getPreferences,
+    updatePreferences,
+    mute,
+    unmute,
 } = require('../controllers/notification.controller');
 
 // All routes require authentication
 router.use(auth);
 
 // Get my notifications
-router.get('/', getMyNotifications);
+router.get('/', validate(notificationValidator.getMyNotifications), getMyNotifications);
 
 // Get unread count
 router.get('/unread-count', getUnreadCount);
 
+// Notification preferences
+router.get('/preferences', getPreferences);
+router.patch('/preferences', validate(notificationValidator.updatePreferences), updatePreferences);
+
+// Mute/unmute an organisation or event (target: muted-organisations | muted-events)
+router.post('/preferences/:target/:id', validate(notificationValidator.muteTarget), mute);
+router.delete('/preferences/:target/:id', validate(notificationValidator.muteTarget), unmute);
+
 // Mark all as read
 router.patch('/read-all', markAllAsRead);
 
 // Mark single notification as read
-router.patch('/:id/read', markAsRead);
+router.patch('/:id/read', validate(notificationValidator.notificationById), markAsRead);
 
 // Delete notification
-router.delete('/:id', deleteNotification);
+router.delete('/:id', validate(notificationValidator.notificationById), deleteNotification);
 
 module.exports = router;
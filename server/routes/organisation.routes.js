@@ -2,42 +2,75 @@
  * Organisation Routes
  *
  * Public routes for viewing organisations
- * Admin routes for CRUD operations and admin management
+ * Admin routes for creating and deleting organisations:
+ * - GET /organisations/:id/deletion-preview - What a deletion would change (dry run)
+ * - DELETE /organisations/:id - Delete, archiving or transferring its events
+ * (other users request new organisations through /organisation-requests)
+ * Admin route for adding an existing user directly (owners invite people instead):
+ * - POST /organisations/:id/members - Add a member by user ID or email, with a role
+ * Owner routes (platform admins too) for editing organisations and managing members:
+ * - PATCH /organisations/:id/members/:userId - Change a member's role
+ * - DELETE /organisations/:id/members/:userId - Remove a member
+ * - GET /organisations/:id/invitations - Pending team invitations
+ * - POST /organisations/:id/invitations - Invite an email address with a role
+ * - POST /organisations/:id/invitations/:invitationId/resend - Send again with a new link
+ * - DELETE /organisations/:id/invitations/:invitationId - Revoke an invitation
  */
 
 const express = require('express');
 const router = express.Router();
 const organisationController = require('../controllers/organisation.controller');
-const { auth, allowedTo } = require('../middleware/auth.middleware');
+const calendarController = require('../controllers/calendar.controller');
+const invitationController = require('../controllers/invitation.controller');
+const { auth, allowedTo, canManageOrganisation } = require('../middleware/auth.middleware');
 const { uploadOrganisationImages } = require('../middleware/upload.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const organisationValidator = require('../validators/organisation.validator');
+const invitationValidator = require('../validators/invitation.validator');
 
 // Public Routes - Anyone can view organisations
-router.get('/', organisationController.getAllOrganisations);
+router.get('/', validate(organisationValidator.getAllOrganisations), organisationController.getAllOrganisations);
 
-// Protected Route - Get organisations where user is admin (must be before /:id)
+// Protected Route - Get organisations where user is a member (must be before /:id)
 router.get('/my', auth, organisationController.getMyOrganisations);
 
-router.get('/:id', organisationController.getOrganisation);
+router.get('/:id', validate(organisationValidator.organisationById), organisationController.getOrganisation);
+router.get('/:id/calendar.ics', validate(organisationValidator.organisationById), calendarController.getOrganisationCalendar);
 
-// Admin Only Routes - Only admins can create, update, or delete organisations
+// Admin Only Routes - Only admins can create or delete organisations
 router.post('/',
     auth,
     allowedTo('admin'),
     uploadOrganisationImages,
+    validate(organisationValidator.createOrganisation),
     organisationController.createOrganisation
 );
 
+// Owner Routes - Owners of the organisation and admins
 router.put('/:id',
     auth,
-    allowedTo('admin'),
+    validate({ params: organisationValidator.organisationById.params }),
+    canManageOrganisation,
     uploadOrganisationImages,
+    validate(organisationValidator.updateOrganisation),
     organisationController.updateOrganisation
 );
 
-router.delete('/:id', auth, allowedTo('admin'), organisationController.deleteOrganisation);
+router.get('/:id/deletion-preview', auth, allowedTo('admin'), validate(organisationValidator.previewDeletion), organisationController.previewOrganisationDeletion);
+router.delete('/:id', auth, allowedTo('admin'), validate(organisationValidator.deleteOrganisation), organisationController.deleteOrganisation);
+
+// Organisation Member Management Routes
+// Adding someone without their consent gives them the organisation role, so
+// only platform admins may do it; owners go through invitations
+router.post('/:id/members', auth, allowedTo('admin'), validate(organisationValidator.addMember), organisationController.addMember);
+router.patch('/:id/members/:userId', auth, validate(organisationValidator.updateMemberRole), canManageOrganisation, organisationController.updateMemberRole);
+router.delete('/:id/members/:userId', auth, validate(organisationValidator.removeMember), canManageOrganisation, organisationController.removeMember);
 
-// Organisation Admin Management Routes
-router.post('/:id/admins', auth, allowedTo('admin'), organisationController.addAdmin);
-router.delete('/:id/admins/:userId', auth, allowedTo('admin'), organisationController.removeAdmin);
+// Organisation Invitation Routes
+router.get('/:id/invitations', auth, validate(invitationValidator.organisationInvitations), canManageOrganisation, invitationController.getOrganisationInvitations);
+router.post('/:id/invitations', auth, rateLimit('invitations'), validate(invitationValidator.createInvitation), canManageOrganisation, invitationController.createInvitation);
+router.post('/:id/invitations/:invitationId/resend', auth, rateLimit('invitations'), validate(invitationValidator.invitationById), canManageOrganisation, invitationController.resendInvitation);
+router.delete('/:id/invitations/:invitationId', auth, validate(invitationValidator.invitationById), canManageOrganisation, invitationController.revokeInvitation);
 
 module.exports = router;
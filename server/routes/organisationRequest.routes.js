@@ -0,0 +1,38 @@
+/**
+ * Organisation Request Routes
+ *
+ * Self-service organisation registration (signed-in users)
+ * POST /organisation-requests - Request an organisation (multipart: logo, documents)
+ * GET /organisation-requests/my - Own requests and their status
+ *
+ * Review queue (admin only)
+ * GET /organisation-requests - List with filtering/pagination
+ * POST /organisation-requests/:id/approve - Create the organisation, verified
+ * POST /organisation-requests/:id/reject - Reject with a reason
+ */
+
+const express = require('express');
+const router = express.Router();
+const organisationRequestController = require('../controllers/organisationRequest.controller');
+const { auth, allowedTo } = require('../middleware/auth.middleware');
+const { uploadOrganisationRequest } = require('../middleware/upload.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const organisationRequestValidator = require('../validators/organisationRequest.validator');
+
+// Requester Routes
+router.post('/',
+    auth,
+    rateLimit('organisationRequests'),
+    uploadOrganisationRequest,
+    validate(organisationRequestValidator.createOrganisationRequest),
+    organisationRequestController.createOrganisationRequest
+);
+router.get('/my', auth, organisationRequestController.getMyOrganisationRequests);
+
+// Admin Only Routes
+router.get('/', auth, allowedTo('admin'), validate(organisationRequestValidator.getOrganisationRequests), organisationRequestController.getOrganisationRequests);
+router.post('/:id/approve', auth, allowedTo('admin'), validate(organisationRequestValidator.approveOrganisationRequest), organisationRequestController.approveOrganisationRequest);
+router.post('/:id/reject', auth, allowedTo('admin'), validate(organisationRequestValidator.rejectOrganisationRequest), organisationRequestController.rejectOrganisationRequest);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * Settings Routes
+ *
+ * Platform settings (admin only)
+ * GET /settings - Get platform settings
+ * PATCH /settings/security - Update security settings (roles that require 2FA)
+ */
+
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settings.controller');
+const { auth, allowedTo } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const settingsValidator = require('../validators/settings.validator');
+
+// All routes require authentication and admin role
+router.use(auth);
+router.use(allowedTo('admin'));
+
+router.get('/', settingsController.getSettings);
+router.patch('/security', validate(settingsValidator.updateSecuritySettings), settingsController.updateSecuritySettings);
+
+module.exports = router;
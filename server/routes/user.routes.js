@@ -11,14 +11,16 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
 const { auth, allowedTo } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const userValidator = require('../validators/user.validator');
 
 // All routes require authentication and admin role
 router.use(auth);
 router.use(allowedTo('admin'));
 
 // User routes
-router.get('/', userController.getAllUsers);
-router.get('/:id', userController.getUser);
-router.patch('/:id/role', userController.updateUserRole);
+router.get('/', validate(userValidator.getAllUsers), userController.getAllUsers);
+router.get('/:id', validate(userValidator.userById), userController.getUser);
+router.patch('/:id/role', validate(userValidator.updateUserRole), userController.updateUserRole);
 
 module.exports = router;
@@ -11,12 +11,26 @@ const { Server } = require('socket.io');
 const config = require('./config/index.config');
 const connectDB = require('./config/database.config');
 const routes = require('./routes/index.routes');
+const { rateLimit } = require('./middleware/rateLimit.middleware');
 const { globalErrorHandler, notFoundHandler } = require('./middleware/error.middleware');
 const AppError = require('./utils/appError');
 const socketService = require('./services/socket.service');
+const scheduler = require('./services/scheduler.service');
+const eventLifecycle = require('./services/eventLifecycle.service');
+const emailOutbox = require('./services/emailOutbox.service');
+const eventReminder = require('./services/eventReminder.service');
+const eventSearch = require('./services/eventSearch.service');
+const organisationMembership = require('./services/organisationMembership.service');
+const User = require('./models/user.model');
+const Event = require('./models/event.model');
 
 // Initialize Express app
 const app = express();
+
+// Behind a reverse proxy req.ip must come from X-Forwarded-For (rate limits count per IP)
+if (config.trustProxy) {
+  app.set('trust proxy', config.trustProxy);
+}
 const server = http.createServer(app);
 
 // Initialize Socket.io with CORS
@@ -34,7 +48,34 @@ socketService.initialize(io);
 // ============================================
 // Database Connection
 // ============================================
-connectDB();
+// Seat counts are backfilled before the server listens, so no request can
+// take or give back a seat while they are being counted
+const databaseReady = connectDB().then(() => Event.backfillRegisteredCounts().catch((err) => {
+  console.error('Event seat count backfill failed:', err.message);
+}));
+
+databaseReady.then(() => Promise.all([
+  eventSearch.prepareSearchIndex().catch((err) => {
+    console.error('Search index setup failed:', err.message);
+  }),
+  organisationMembership.migrateOrganisationAdmins().catch((err) => {
+    console.error('Organisation member migration failed:', err.message);
+  }),
+  User.verifyLegacyAccounts().catch((err) => {
+    console.error('Email verification backfill failed:', err.message);
+  })
+]));
+
+// ============================================
+// Background Jobs
+// ============================================
+scheduler.registerJob('event-lifecycle', config.scheduler.eventLifecycleIntervalMs, eventLifecycle.run);
+scheduler.registerJob('event-reminders', config.scheduler.eventReminderIntervalMs, eventReminder.run);
+scheduler.registerJob('email-outbox', config.email.outboxIntervalMs, emailOutbox.run);
+
+if (config.scheduler.enabled) {
+  scheduler.start();
+}
 
 // ============================================
 // Security Middleware
@@ -48,7 +89,8 @@ app.use(cors({
   origin: config.frontendUrl,
   credentials: true, // Allow cookies
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
 // ============================================
@@ -69,7 +111,7 @@ app.use(morgan(config.env === 'development' ? 'dev' : 'combined'));
 // ============================================
 // API Routes
 // ============================================
-app.use(`/api`, routes);
+app.use(`/api`, rateLimit('api'), routes);
 
 // ============================================
 // Error Handling
@@ -86,7 +128,7 @@ app.use(globalErrorHandler);
 // ============================================
 const PORT = config.port;
 
-server.listen(PORT, () => {
+databaseReady.then(() => server.listen(PORT, () => {
   console.log('='.repeat(50));
   console.log(`🚀 Server running in ${config.env.toUpperCase()} mode`);
   console.log(`📡 Port: ${PORT}`);
@@ -94,7 +136,7 @@ server.listen(PORT, () => {
   console.log(`🔌 WebSocket: ws://localhost:${PORT}`);
   console.log(`❤️  Health: http://localhost:${PORT}/api/health`);
   console.log('='.repeat(50));
-});
+}));
 
 // ============================================
 // Graceful Shutdown
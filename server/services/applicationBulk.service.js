@@ -0,0 +1,318 @@
+/**
+ * Application Bulk Service
+ *
+ * Processes many applications in one request:
+ * - Accept/reject a list of application IDs, or everything matching a filter,
+ *   one application at a time (not all-or-nothing)
+ * - Send a message to the applicants of a selection
+ *
+ * Every targeted application gets an entry in the result report, so the
+ * caller can see which items succeeded and why the others did not
+ */
+
+const mongoose = require('mongoose');
+const Application = require('../models/application.model');
+const Event = require('../models/event.model');
+const Organisation = require('../models/organisation.model');
+const AppError = require('../utils/appError');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { notifyApplicationStatusBulk, notifyApplicantsMessage } = require('../utils/notificationHelper');
+
+// Upper bound on applications handled by one bulk request
+const MAX_BULK_ITEMS = 1000;
+
+// Same transitions as the single-application endpoint
+const ALLOWED_TRANSITIONS = {
+    pending: ['accepted', 'rejected'],
+    waitlisted: ['accepted', 'rejected'],
+    accepted: ['rejected'],
+};
+
+/**
+ * Build the application query for a bulk request
+ * @param {Object} user - Requesting user
+ * @param {Object} selection
+ * @param {Array<string>} [selection.ids] - Application IDs
+ * @param {Object} [selection.filter] - { eventId, status }
+ * @param {string} permission - Organisation permission needed on a filtered event
+ * @returns {Promise<{query: Object, ids: Array<string>|null}>}
+ */
+const buildSelection = async (user, { ids, filter }, permission) => {
+    if (Array.isArray(ids) === !!filter) {
+        throw new AppError('Provide either a list of application IDs or a filter', 400);
+    }
+
+    if (ids) {
+        const uniqueIds = [...new Set(ids.map(String))];
+        if (uniqueIds.length === 0) {
+            throw new AppError('No applications selected', 400);
+        }
+        if (uniqueIds.length > MAX_BULK_ITEMS) {
+            throw new AppError(`At most ${MAX_BULK_ITEMS} applications can be processed at once`, 400);
+        }
+        if (uniqueIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw new AppError('Invalid application ID in selection', 400);
+        }
+        return { query: { _id: { $in: uniqueIds } }, ids: uniqueIds };
+    }
+
+    if (!filter.eventId || !mongoose.Types.ObjectId.isValid(filter.eventId)) {
+        throw new AppError('A filter must include a valid eventId', 400);
+    }
+
+    const query = { eventId: filter.eventId };
+    if (filter.status) query.status = filter.status;
+
+    // Organisation members may only target their own events
+    if (user.role !== 'admin') {
+        const event = await Event.findById(filter.eventId).select('organisationId');
+        const organisation = event && await Organisation.findOne({
+            _id: event.organisationId,
+            ...Organisation.memberQuery(user._id, permission),
+        }).select('_id');
+        if (!organisation) {
+            throw new AppError('You are not authorized to manage this event', 403);
+        }
+    }
+
+    return { query, ids: null };
+};
+
+/**
+ * Load selected applications with the event data needed for checks
+ */
+const loadApplications = async (query) => {
+    const applications = await Application.find(query)
+        .sort({ createdAt: 1 })
+        .limit(MAX_BULK_ITEMS + 1)
+        .populate({
+            path: 'eventId',
+            select: 'title price capacity status organisationId',
+            populate: { path: 'organisationId', select: 'members' },
+        });
+
+    if (applications.length > MAX_BULK_ITEMS) {
+        throw new AppError(`The filter matches more than ${MAX_BULK_ITEMS} applications. Narrow it down first.`, 400);
+    }
+
+    return applications;
+};
+
+/**
+ * Check if the user's role in the application's organisation grants a permission
+ */
+const hasPermission = (user, application, permission) => {
+    const organisation = application.eventId?.organisationId;
+    return Boolean(organisation && organisation.hasPermission(user._id, permission));
+};
+
+/**
+ * Check whether the user may process an application
+ * @returns {string|null} - Error message, or null when allowed
+ */
+const getPermissionError = (user, application) => {
+    // Events deleted before archiving existed left their applications behind
+    if (!application.eventId) return 'Event not found';
+    if (user.role === 'admin') return null;
+
+    if (!hasPermission(user, application, 'reviewApplications')) {
+        return 'You are not authorized to process this application';
+    }
+    if (application.eventId.price && application.eventId.price > 0) {
+        return 'Only admins can process paid event applications';
+    }
+    return null;
+};
+
+/**
+ * Report entries for requested IDs that matched nothing
+ */
+const missingResults = (ids, applications) => {
+    if (!ids) return [];
+    const found = new Set(applications.map(app => app._id.toString()));
+    return ids
+        .filter(id => !found.has(id))
+        .map(id => ({ id, success: false, error: 'Application not found' }));
+};
+
+/**
+ * Summarise a result report
+ */
+const summarise = (results) => {
+    const succeeded = results.filter(result => result.success).length;
+    return { requested: results.length, succeeded, failed: results.length - succeeded };
+};
+
+/**
+ * Change one application's status, taking or giving back its seat
+ * @param {Object} application - Application as loaded, with its event
+ * @param {Object} update - Status update to apply
+ * @returns {Promise<string|null>} - Error message, or null when changed
+ */
+const applyStatusChange = async (application, update) => {
+    const eventId = application.eventId._id;
+    const accepting = update.$set.status === 'accepted';
+
+    // Take the seat first, so concurrent acceptances can never overbook the event
+    if (accepting && !(await Event.reserveSeats(eventId))) {
+        return 'Event is at full capacity';
+    }
+
+    let modifiedCount = 0;
+    try {
+        // Only applies if nobody changed the application since it was loaded
+        ({ modifiedCount } = await Application.updateOne({ _id: application._id, status: application.status }, update));
+    } finally {
+        if (accepting && modifiedCount !== 1) await Event.releaseSeats(eventId);
+    }
+    if (modifiedCount !== 1) {
+        return 'The application was changed by someone else';
+    }
+
+    if (application.status === 'accepted') {
+        await Event.releaseSeats(eventId);
+    }
+    return null;
+};
+
+/**
+ * Accept or reject many applications
+ * Not all-or-nothing: each application is changed on its own with a
+ * conditional update and the report says which ones changed. A failing item
+ * never undoes or hides the others, and no transaction (so no replica set)
+ * is needed. Acceptances are processed in application order until each
+ * event is full
+ * @param {Object} user - Requesting user
+ * @param {Object} options
+ * @param {string} options.status - 'accepted' or 'rejected'
+ * @param {string} [options.rejectionReason] - Stored on rejected applications
+ * @param {Array<string>} [options.ids] - Application IDs
+ * @param {Object} [options.filter] - { eventId, status }
+ * @returns {Promise<{results: Array, summary: Object}>}
+ */
+const bulkUpdateStatus = async (user, { status, rejectionReason, ids, filter }) => {
+    if (!['accepted', 'rejected'].includes(status)) {
+        throw new AppError('Status must be accepted or rejected', 400);
+    }
+
+    const selection = await buildSelection(user, { ids, filter }, 'reviewApplications');
+    const applications = await loadApplications(selection.query);
+
+    const results = missingResults(selection.ids, applications);
+    const processed = [];
+    const freedEventIds = new Set();
+    const processedAt = new Date();
+
+    for (const application of applications) {
+        const id = application._id.toString();
+        const previousStatus = application.status;
+
+        const permissionError = getPermissionError(user, application);
+        if (permissionError) {
+            results.push({ id, success: false, error: permissionError });
+            continue;
+        }
+
+        if (!(ALLOWED_TRANSITIONS[previousStatus] || []).includes(status)) {
+            results.push({ id, success: false, error: `Cannot change a ${previousStatus} application to ${status}` });
+            continue;
+        }
+
+        const update = {
+            $set: { status, processedBy: user._id, processedAt },
+            $unset: { waitlistPosition: 1 },
+        };
+        if (status === 'rejected' && rejectionReason) {
+            update.$set.rejectionReason = rejectionReason;
+        }
+
+        let error;
+        try {
+            error = await applyStatusChange(application, update);
+        } catch (err) {
+            // Reported like any other failure, so the items before it stay in the report
+            console.error('Error changing application status:', err);
+            error = 'The application could not be updated';
+        }
+        if (error) {
+            results.push({ id, success: false, error });
+            continue;
+        }
+
+        if (previousStatus === 'accepted') {
+            freedEventIds.add(application.eventId._id.toString());
+        }
+
+        processed.push(application);
+        results.push({ id, success: true, previousStatus, status });
+    }
+
+    if (processed.length > 0) {
+        notifyApplicationStatusBulk(processed, status).catch(err => {
+            console.error('Error sending bulk status notifications:', err);
+        });
+    }
+
+    freedEventIds.forEach(eventId => {
+        promoteFromWaitlist(eventId).catch(err => {
+            console.error('Error promoting from waitlist:', err);
+        });
+    });
+
+    return { results, summary: summarise(results) };
+};
+
+/**
+ * Send a message to the applicants of a selection
+ * @param {Object} user - Requesting user
+ * @param {Object} options
+ * @param {string} [options.title] - Message title (defaults to the event title)
+ * @param {string} options.message - Message body
+ * @param {Array<string>} [options.ids] - Application IDs
+ * @param {Object} [options.filter] - { eventId, status }
+ * @returns {Promise<{results: Array, summary: Object}>}
+ */
+const bulkMessage = async (user, { title, message, ids, filter }) => {
+    if (!message || !String(message).trim()) {
+        throw new AppError('Message is required', 400);
+    }
+    if (String(message).length > 500) {
+        throw new AppError('Message cannot exceed 500 characters', 400);
+    }
+    if (title && String(title).length > 200) {
+        throw new AppError('Title cannot exceed 200 characters', 400);
+    }
+
+    const selection = await buildSelection(user, { ids, filter }, 'messageApplicants');
+    const applications = await loadApplications(selection.query);
+
+    const results = missingResults(selection.ids, applications);
+    const recipients = [];
+
+    applications.forEach(application => {
+        const id = application._id.toString();
+        if (!application.eventId) {
+            results.push({ id, success: false, error: 'Event not found' });
+            return;
+        }
+        // Messaging is allowed for paid events too - only status changes are restricted
+        if (user.role !== 'admin' && !hasPermission(user, application, 'messageApplicants')) {
+            results.push({ id, success: false, error: 'You are not authorized to message this applicant' });
+            return;
+        }
+        recipients.push(application);
+        results.push({ id, success: true });
+    });
+
+    if (recipients.length > 0) {
+        await notifyApplicantsMessage(recipients, title && String(title).trim(), String(message).trim());
+    }
+
+    return { results, summary: summarise(results) };
+};
+
+module.exports = {
+    MAX_BULK_ITEMS,
+    bulkUpdateStatus,
+    bulkMessage,
+};
@@ -0,0 +1,114 @@
+/**
+ * Email Service
+ *
+ * Sends email through a pluggable transport chosen in config:
+ * - smtp: real delivery through nodemailer
+ * - file: writes each message as a JSON file (local development and tests)
+ * - console: logs each message
+ *
+ * A transport is an object with a `send(message)` method resolving to
+ * `{ messageId }`. Messages are normally sent by the email outbox, not directly
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/index.config');
+
+/**
+ * Transport factories keyed by name
+ */
+const transportFactories = {
+    smtp: (options) => {
+        // Loaded lazily so development setups without SMTP never need it
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport({
+            host: options.smtp.host,
+            port: options.smtp.port,
+            secure: options.smtp.secure,
+            auth: options.smtp.user
+                ? { user: options.smtp.user, pass: options.smtp.pass }
+                : undefined,
+        });
+
+        return {
+            name: 'smtp',
+            send: async (message) => {
+                const info = await transporter.sendMail(message);
+                return { messageId: info.messageId };
+            },
+        };
+    },
+
+    file: (options) => ({
+        name: 'file',
+        send: async (message) => {
+            const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            const directory = path.resolve(options.fileDir);
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(
+                path.join(directory, `${messageId}.json`),
+                JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+            );
+            return { messageId };
+        },
+    }),
+
+    console: () => ({
+        name: 'console',
+        send: async (message) => {
+            const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            console.log(`[email] ${messageId} to ${message.to}: ${message.subject}\n${message.text}`);
+            return { messageId };
+        },
+    }),
+};
+
+/**
+ * Create a transport by name
+ * @param {Object} options - Email config (see config.email)
+ */
+const createTransport = (options) => {
+    const factory = transportFactories[options.transport];
+    if (!factory) {
+        throw new Error(`Unknown email transport "${options.transport}"`);
+    }
+    return factory(options);
+};
+
+let transport = null;
+
+/**
+ * Current transport, created from config on first use
+ */
+const getTransport = () => {
+    if (!transport) transport = createTransport(config.email);
+    return transport;
+};
+
+/**
+ * Replace the transport (e.g. with an in-memory one in tests)
+ * @param {Object|null} customTransport - Object with send(message), or null to reset
+ */
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Send one email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.html - HTML body
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendEmail = ({ to, subject, html, text }) => {
+    return getTransport().send({ from: config.email.from, to, subject, html, text });
+};
+
+module.exports = {
+    createTransport,
+    setTransport,
+    sendEmail,
+};
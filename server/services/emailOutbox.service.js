@@ -0,0 +1,132 @@
+/**
+ * Email Outbox Service
+ *
+ * Queues emails and sends them in the background:
+ * - enqueue() only writes to the outbox, so callers never wait on (or fail
+ *   because of) the mail server
+ * - run() is a scheduler job that claims due emails one at a time and
+ *   retries failures with exponential backoff until MAX_ATTEMPTS
+ */
+
+const EmailOutbox = require('../models/emailOutbox.model');
+const { sendEmail } = require('./email.service');
+
+// Attempts before an email is marked as failed
+const MAX_ATTEMPTS = 6;
+
+// First retry delay; each further retry waits five times longer (1m, 5m, 25m, ~2h, ~10h)
+const RETRY_BASE_MS = 60 * 1000;
+
+// How long a claimed email stays locked before another run may take it over
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+// Upper bound on emails sent per run, so one run cannot go on forever
+const EMAILS_PER_RUN = 100;
+
+/**
+ * Add emails to the outbox
+ * @param {Array} emails - { to, recipientId, type, subject, html, text, sensitive? }
+ * @returns {Promise<Array>} - Created outbox rows
+ */
+const enqueue = async (emails) => {
+    if (emails.length === 0) return [];
+    return EmailOutbox.insertMany(emails);
+};
+
+/**
+ * Atomically claim the next due email
+ * Also reclaims emails left in 'sending' by a run that crashed
+ */
+const claimNext = (now) => EmailOutbox.findOneAndUpdate(
+    {
+        $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedUntil: { $lte: now } },
+        ],
+    },
+    {
+        $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+        $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ */
+const getRetryDelay = (attempts) => RETRY_BASE_MS * 5 ** (attempts - 1);
+
+/**
+ * Send one claimed email and record the outcome
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const deliver = async (email) => {
+    try {
+        const { messageId } = await sendEmail(email);
+        await EmailOutbox.updateOne(
+            { _id: email._id },
+            {
+                $set: {
+                    status: 'sent',
+                    sentAt: new Date(),
+                    messageId,
+                    ...(email.sensitive && { html: '[removed]', text: '[removed]' }),
+                },
+                $unset: { lockedUntil: 1, lastError: 1 },
+            }
+        );
+        return true;
+    } catch (error) {
+        const giveUp = email.attempts >= MAX_ATTEMPTS;
+        await EmailOutbox.updateOne(
+            { _id: email._id },
+            {
+                $set: {
+                    status: giveUp ? 'failed' : 'pending',
+                    lastError: String(error.message || error).slice(0, 500),
+                    nextAttemptAt: new Date(Date.now() + getRetryDelay(email.attempts)),
+                },
+                $unset: { lockedUntil: 1 },
+            }
+        );
+        console.error(
+            `Email ${email._id} to ${email.to} failed (attempt ${email.attempts}/${MAX_ATTEMPTS}${giveUp ? ', giving up' : ''}):`,
+            error.message
+        );
+        return false;
+    }
+};
+
+/**
+ * Send due emails
+ * @param {Date} [now] - Current time (passed in by the scheduler)
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+const run = async (now = new Date()) => {
+    let sent = 0;
+    let failed = 0;
+
+    for (let i = 0; i < EMAILS_PER_RUN; i += 1) {
+        const email = await claimNext(now);
+        if (!email) break;
+
+        if (await deliver(email)) {
+            sent += 1;
+        } else {
+            failed += 1;
+        }
+    }
+
+    if (sent > 0 || failed > 0) {
+        console.log(`Email outbox: ${sent} sent, ${failed} failed`);
+    }
+
+    return { sent, failed };
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    enqueue,
+    run,
+};
@@ -0,0 +1,173 @@
+/**
+ * Event Cascade Service
+ *
+ * Side effects of changes that affect an event's applicants:
+ * - Cancelling: every active application (pending, waitlisted or accepted)
+ *   is cancelled and its applicant is told why
+ * - Rescheduling: active applicants are told the new time, their
+ *   applications stay as they are
+ * - Archiving replaces deleting: an upcoming event is cancelled first, then
+ *   hidden from listings while its applications and notifications are kept
+ * Every change is recorded in the event's audit history. Notifications are
+ * sent in the background, so a notification failure never undoes a change
+ */
+
+const Event = require('../models/event.model');
+const Application = require('../models/application.model');
+const EventAudit = require('../models/eventAudit.model');
+const { notifyEventCancelled, notifyEventRescheduled } = require('../utils/notificationHelper');
+
+// Applications that still expect the event to happen
+const ACTIVE_STATUSES = ['pending', 'waitlisted', 'accepted'];
+
+// Event statuses that are cancelled when the event is archived
+const UPCOMING_STATUSES = ['draft', 'published', 'ongoing'];
+
+/**
+ * Find the applications affected by a change to an event
+ * @param {string} eventId - Event ID
+ */
+const findActiveApplications = (eventId) => Application.find({
+    eventId,
+    status: { $in: ACTIVE_STATUSES },
+}).select('_id userId').lean();
+
+/**
+ * Check whether an update moved the event's start or end
+ * @param {Object} oldEvent - Event before the update
+ * @param {Object} event - Event after the update
+ */
+const isRescheduled = (oldEvent, event) => (
+    oldEvent.startDate.getTime() !== event.startDate.getTime()
+    || oldEvent.endDate.getTime() !== event.endDate.getTime()
+);
+
+/**
+ * Cancel the active applications of a cancelled event and tell the applicants
+ * @param {Object} event - The cancelled event (title, cancellationReason)
+ * @param {Object} options
+ * @param {string} [options.actorId] - User who cancelled the event
+ * @returns {Promise<number>} - Number of cancelled applications
+ */
+const handleCancellation = async (event, { actorId } = {}) => {
+    const applications = await findActiveApplications(event._id);
+
+    if (applications.length > 0) {
+        const ids = applications.map((application) => application._id);
+        const cancel = {
+            $set: { status: 'cancelled', processedBy: actorId, processedAt: new Date() },
+            $unset: { waitlistPosition: 1 },
+        };
+
+        // Accepted ones first, so their seats can be given back. They are
+        // flagged so the applicant's calendar feed still shows the cancellation
+        const { modifiedCount: freedSeats } = await Application.updateMany(
+            { _id: { $in: ids }, status: 'accepted' },
+            { ...cancel, $set: { ...cancel.$set, cancelledByEvent: true } }
+        );
+        await Application.updateMany({ _id: { $in: ids }, status: { $in: ACTIVE_STATUSES } }, cancel);
+        await Event.releaseSeats(event._id, { count: freedSeats });
+    }
+
+    await EventAudit.create({
+        eventId: event._id,
+        action: 'cancelled',
+        actorId,
+        reason: event.cancellationReason,
+        affectedApplications: applications.length,
+        cancelledApplications: applications.length,
+    });
+
+    notifyEventCancelled(event, applications, event.cancellationReason).catch(err => {
+        console.error('Error sending event cancellation notifications:', err);
+    });
+
+    return applications.length;
+};
+
+/**
+ * Tell active applicants that an event moved to a new time
+ * @param {Object} oldEvent - Event before the update
+ * @param {Object} event - Event after the update
+ * @param {Object} options
+ * @param {string} [options.actorId] - User who changed the event
+ * @param {string} [options.reason] - Reason for the change
+ * @returns {Promise<number>} - Number of applicants notified
+ */
+const handleReschedule = async (oldEvent, event, { actorId, reason } = {}) => {
+    const applications = await findActiveApplications(event._id);
+
+    await EventAudit.create({
+        eventId: event._id,
+        action: 'rescheduled',
+        actorId,
+        reason,
+        changes: {
+            startDate: { from: oldEvent.startDate, to: event.startDate },
+            endDate: { from: oldEvent.endDate, to: event.endDate },
+        },
+        affectedApplications: applications.length,
+    });
+
+    notifyEventRescheduled(event, applications, reason).catch(err => {
+        console.error('Error sending event reschedule notifications:', err);
+    });
+
+    return applications.length;
+};
+
+/**
+ * Archive an event instead of deleting it
+ * @param {Object} event - The event to archive
+ * @param {Object} options
+ * @param {string} [options.actorId] - User who archived the event
+ * @param {string} [options.reason] - Reason, shown to applicants if the event is cancelled
+ * @returns {Promise<Object|null>} - The archived event, or null if it was already archived
+ */
+const archiveEvent = async (event, { actorId, reason } = {}) => {
+    const now = new Date();
+    const cancel = UPCOMING_STATUSES.includes(event.status);
+
+    const update = { $set: { archivedAt: now, archivedBy: actorId } };
+    if (cancel) {
+        Object.assign(update.$set, {
+            status: 'cancelled',
+            isRegistrationOpen: false,
+            cancelledAt: now,
+            cancellationReason: reason || 'The event was removed by the organisers',
+        });
+        // New revision so subscribed calendars show the cancellation
+        update.$inc = { calendarSequence: 1 };
+    }
+
+    const archived = await Event.findOneAndUpdate(
+        { _id: event._id, status: event.status, archivedAt: null },
+        update,
+        { new: true }
+    );
+    if (!archived) return null;
+
+    const cancelledApplications = cancel
+        ? await handleCancellation(archived, { actorId })
+        : 0;
+
+    await EventAudit.create({
+        eventId: archived._id,
+        action: 'archived',
+        actorId,
+        reason,
+        affectedApplications: await Application.countDocuments({ eventId: archived._id }),
+        cancelledApplications,
+    });
+
+    return archived;
+};
+
+module.exports = {
+    ACTIVE_STATUSES,
+    UPCOMING_STATUSES,
+    isRescheduled,
+    handleCancellation,
+    handleReschedule,
+    archiveEvent,
+};
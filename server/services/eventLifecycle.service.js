@@ -0,0 +1,120 @@
+/**
+ * Event Lifecycle Service
+ *
+ * Moves events through their status workflow based on their dates:
+ * - published -> ongoing at startDate
+ * - published/ongoing -> completed at endDate
+ * - closes registration at the end of the registrationEndDate day, the
+ *   boundary applications are checked against (and reopens it if the
+ *   deadline was moved back into the future)
+ *
+ * Every transition is a conditional update on the previous state, so
+ * running this from several processes at once never applies or
+ * announces the same transition twice.
+ */
+
+const Event = require('../models/event.model');
+const socketService = require('./socket.service');
+
+/**
+ * Apply a transition to every matching event
+ * @param {Object} filter - Events to transition
+ * @param {Object} update - Fields to set
+ * @param {Function} onTransition - Called with (updatedEvent, previousEvent)
+ * @returns {Promise<number>} - Number of events transitioned
+ */
+const transition = async (filter, update, onTransition) => {
+    const candidates = await Event.find(filter).select('_id status isRegistrationOpen');
+
+    let count = 0;
+    for (const candidate of candidates) {
+        const event = await Event.findOneAndUpdate(
+            { ...filter, _id: candidate._id },
+            { $set: update },
+            { new: true }
+        );
+
+        // Another process got there first
+        if (!event) continue;
+
+        count += 1;
+        onTransition(event, candidate);
+    }
+
+    return count;
+};
+
+/**
+ * Announce a status change to connected clients
+ */
+const emitStatusChange = (event, previous) => {
+    socketService.emitToAll('event_status_changed', {
+        eventId: event._id,
+        title: event.title,
+        organisationId: event.organisationId,
+        previousStatus: previous.status,
+        status: event.status,
+        isRegistrationOpen: event.isRegistrationOpen,
+    });
+};
+
+/**
+ * Announce a registration open/close change to connected clients
+ */
+const emitRegistrationChange = (event) => {
+    socketService.emitToAll('event_registration_changed', {
+        eventId: event._id,
+        title: event.title,
+        organisationId: event.organisationId,
+        status: event.status,
+        isRegistrationOpen: event.isRegistrationOpen,
+    });
+};
+
+/**
+ * Run one lifecycle pass
+ * @param {Date} [now] - Reference time (defaults to current time)
+ */
+const run = async (now = new Date()) => {
+    // Finished events - also catches events that were never marked ongoing
+    const completed = await transition(
+        { status: { $in: ['published', 'ongoing'] }, endDate: { $lte: now } },
+        { status: 'completed', isRegistrationOpen: false },
+        emitStatusChange
+    );
+
+    // Started events
+    const ongoing = await transition(
+        { status: 'published', startDate: { $lte: now }, endDate: { $gt: now } },
+        { status: 'ongoing', isRegistrationOpen: false },
+        emitStatusChange
+    );
+
+    // Registration deadline passed (the whole deadline day is still open)
+    const earliestOpenDeadline = Event.earliestOpenDeadline(now);
+    const closed = await transition(
+        { status: 'published', isRegistrationOpen: { $ne: false }, registrationEndDate: { $lt: earliestOpenDeadline } },
+        { isRegistrationOpen: false },
+        emitRegistrationChange
+    );
+
+    // Deadline moved back into the future by an edit
+    const reopened = await transition(
+        { status: 'published', isRegistrationOpen: false, registrationEndDate: { $gte: earliestOpenDeadline } },
+        { isRegistrationOpen: true },
+        emitRegistrationChange
+    );
+
+    if (completed || ongoing || closed || reopened) {
+        console.log(
+            `Event lifecycle: ${ongoing} ongoing, ${completed} completed, ` +
+            `${closed} registrations closed, ${reopened} reopened`
+        );
+    }
+
+    return { completed, ongoing, closed, reopened };
+};
+
+module.exports = {
+    run,
+};
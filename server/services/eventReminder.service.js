@@ -0,0 +1,104 @@
+/**
+ * Event Reminder Service
+ *
+ * Reminds accepted attendees before an event starts, at the offsets set
+ * in config (24 hours and 1 hour by default):
+ * - Only published events are reminded, so cancelled events are dropped
+ * - Sent reminders are recorded with the start date they were sent for,
+ *   so moving an event re-arms its reminders for the new time
+ * - A reminder is claimed with a conditional update before it is sent,
+ *   so running this from several processes never sends it twice
+ */
+
+const Event = require('../models/event.model');
+const config = require('../config/index.config');
+const { notifyEventReminder } = require('../utils/notificationHelper');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Offsets that are due for an event and not sent yet for its current start date
+ * @param {Object} event - Event with remindersSent
+ * @param {Array<number>} offsets - Reminder offsets in minutes
+ * @param {Date} now - Reference time
+ * @returns {Array<number>} - Due offsets
+ */
+const getDueOffsets = (event, offsets, now) => {
+    const startTime = event.startDate.getTime();
+    const sent = new Set(
+        (event.remindersSent || [])
+            .filter((reminder) => reminder.startDate.getTime() === startTime)
+            .map((reminder) => reminder.offsetMinutes)
+    );
+
+    return offsets.filter(
+        (offset) => !sent.has(offset) && startTime - offset * MINUTE_MS <= now.getTime()
+    );
+};
+
+/**
+ * Record due reminders as sent, unless another process already did
+ * Entries for an earlier start date are dropped at the same time
+ * @returns {Promise<Object|null>} - The event, or null if it changed or was claimed elsewhere
+ */
+const claimReminders = (event, dueOffsets) => {
+    const startTime = event.startDate.getTime();
+    const remindersSent = [
+        ...(event.remindersSent || []).filter((reminder) => reminder.startDate.getTime() === startTime),
+        ...dueOffsets.map((offsetMinutes) => ({ offsetMinutes, startDate: event.startDate })),
+    ];
+
+    return Event.findOneAndUpdate(
+        {
+            _id: event._id,
+            status: 'published',
+            startDate: event.startDate,
+            remindersSent: {
+                $not: { $elemMatch: { startDate: event.startDate, offsetMinutes: { $in: dueOffsets } } },
+            },
+        },
+        { $set: { remindersSent } },
+        { new: true }
+    );
+};
+
+/**
+ * Send due reminders
+ * When several offsets are due at once (e.g. an event created an hour
+ * before it starts) attendees get a single reminder
+ * @param {Date} [now] - Reference time (defaults to current time)
+ * @returns {Promise<{events: number, notifications: number}>}
+ */
+const run = async (now = new Date()) => {
+    const offsets = config.scheduler.eventReminderOffsetsMinutes;
+    if (offsets.length === 0) return { events: 0, notifications: 0 };
+
+    const events = await Event.find({
+        status: 'published',
+        startDate: { $gt: now, $lte: new Date(now.getTime() + Math.max(...offsets) * MINUTE_MS) },
+    }).select('title startDate +remindersSent');
+
+    let remindedEvents = 0;
+    let notifications = 0;
+
+    for (const event of events) {
+        const dueOffsets = getDueOffsets(event, offsets, now);
+        if (dueOffsets.length === 0) continue;
+
+        const claimed = await claimReminders(event, dueOffsets);
+        if (!claimed) continue;
+
+        remindedEvents += 1;
+        notifications += await notifyEventReminder(event, now);
+    }
+
+    if (remindedEvents > 0) {
+        console.log(`Event reminders: ${remindedEvents} events, ${notifications} notifications`);
+    }
+
+    return { events: remindedEvents, notifications };
+};
+
+module.exports = {
+    run,
+};
@@ -0,0 +1,265 @@
+/**
+ * Event Search Service
+ *
+ * Full-text search over public events:
+ * - Ranked by relevance across title, tags, organisation name and description
+ * - Facet counts by category, event type, city, price range and date
+ * - Falls back to matching word beginnings when no whole word matches,
+ *   so Georgian word forms (case endings, postpositions) still find an event
+ *
+ * The text index has no language set: MongoDB only stems and removes stop
+ * words for a fixed set of languages, and applying English rules mangles
+ * Georgian text.
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/event.model');
+const Organisation = require('../models/organisation.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Price ranges, each up to (not including) its limit
+const PRICE_RANGES = [
+    { key: 'under-25', below: 25 },
+    { key: '25-50', below: 50 },
+    { key: '50-100', below: 100 },
+];
+const PRICE_KEYS = ['free', ...PRICE_RANGES.map((range) => range.key), '100-plus'];
+
+// When events start, relative to today
+const DATE_BUCKETS = ['earlier', 'today', 'this-week', 'this-month', 'later'];
+
+const SORTS = {
+    relevance: { score: -1, startDate: 1 },
+    startDate: { startDate: 1 },
+    '-startDate': { startDate: -1 },
+    price: { price: 1 },
+    '-price': { price: -1 },
+    '-createdAt': { createdAt: -1 },
+};
+
+// Facet name -> field it counts
+const FACETS = {
+    category: 'category',
+    eventType: 'eventType',
+    city: 'city',
+    price: 'priceRange',
+    date: 'dateBucket',
+};
+
+// Facets listing every possible value, including those without matches
+const FACET_VALUES = {
+    category: Event.schema.path('category').enumValues,
+    eventType: Event.schema.path('eventType').enumValues,
+    price: PRICE_KEYS,
+    date: DATE_BUCKETS,
+};
+
+const MAX_CITIES = 20;
+
+// Internal fields left out of results
+const HIDDEN_FIELDS = ['__v', 'priceRange', 'dateBucket', 'organisationName', 'calendarSequence', 'remindersSent', 'archivedAt', 'archivedBy'];
+
+const SEARCH_FIELDS = ['title', 'tags', 'organisationName', 'description'];
+
+/**
+ * Normalise search text; lower case also turns Georgian capitals
+ * (Mtavruli) into the regular letters stored in events
+ */
+const normalizeQuery = (q) => String(q || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Every word must start a word in one of the searched fields
+ */
+const prefixMatch = (text) => {
+    // Phrase quotes and exclusions only mean something to text search
+    const words = text.split(' ')
+        .map((word) => word.replace(/^-+|"/g, ''))
+        .filter(Boolean)
+        .slice(0, 10);
+    if (words.length === 0) return { _id: null };
+
+    return {
+        $and: words.map((word) => {
+            const regex = new RegExp(`(^|\\s)${escapeRegex(word)}`, 'i');
+            return { $or: SEARCH_FIELDS.map((field) => ({ [field]: regex })) };
+        }),
+    };
+};
+
+const priceRangeExpression = () => ({
+    $switch: {
+        branches: [
+            { case: { $or: [{ $eq: ['$isFree', true] }, { $lte: [{ $ifNull: ['$price', 0] }, 0] }] }, then: 'free' },
+            ...PRICE_RANGES.map((range) => ({ case: { $lt: ['$price', range.below] }, then: range.key })),
+        ],
+        default: '100-plus',
+    },
+});
+
+const dateBucketExpression = (now) => {
+    const startOfToday = new Date(now);
+    startOfToday.setHours(0, 0, 0, 0);
+    const dayAfter = (days) => new Date(startOfToday.getTime() + days * DAY_MS);
+
+    return {
+        $switch: {
+            branches: [
+                { case: { $lt: ['$startDate', startOfToday] }, then: 'earlier' },
+                { case: { $lt: ['$startDate', dayAfter(1)] }, then: 'today' },
+                { case: { $lt: ['$startDate', dayAfter(7)] }, then: 'this-week' },
+                { case: { $lt: ['$startDate', dayAfter(30)] }, then: 'this-month' },
+            ],
+            default: 'later',
+        },
+    };
+};
+
+/**
+ * Conditions of the selected facet values
+ * @param {Object} filters - Selected values per facet
+ * @param {string} [except] - Facet to leave out, so its own counts show the alternatives
+ */
+const facetMatch = (filters, except) => {
+    const match = {};
+    Object.entries(FACETS).forEach(([facet, field]) => {
+        if (facet !== except && filters[facet] && filters[facet].length > 0) {
+            match[field] = { $in: filters[facet] };
+        }
+    });
+    return match;
+};
+
+const formatFacet = (facet, groups) => {
+    const counts = new Map(groups.map((group) => [group._id, group.count]));
+
+    if (FACET_VALUES[facet]) {
+        return FACET_VALUES[facet].map((value) => ({ value, count: counts.get(value) || 0 }));
+    }
+
+    return groups
+        .filter((group) => group._id)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_CITIES)
+        .map((group) => ({ value: group._id, count: group.count }));
+};
+
+const runSearch = async (match, { useScore, organisationId, filters, sort, page, limit, now }) => {
+    const sortBy = {
+        ...(useScore || sort !== 'relevance' ? SORTS[sort] : SORTS.startDate),
+        _id: 1,
+    };
+
+    const facetPipelines = Object.fromEntries(Object.entries(FACETS).map(([facet, field]) => [
+        facet,
+        [
+            { $match: facetMatch(filters, facet) },
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        ],
+    ]));
+
+    const [result] = await Event.aggregate([
+        // Drafts are not public; archived events are kept for history only
+        {
+            $match: {
+                ...match,
+                ...(organisationId && { organisationId: new mongoose.Types.ObjectId(organisationId) }),
+                archivedAt: null,
+                status: { $ne: 'draft' },
+            },
+        },
+        ...(useScore ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        { $addFields: { priceRange: priceRangeExpression(), dateBucket: dateBucketExpression(now) } },
+        {
+            $facet: {
+                events: [
+                    { $match: facetMatch(filters) },
+                    { $sort: sortBy },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: Object.fromEntries(HIDDEN_FIELDS.map((field) => [field, 0])) },
+                ],
+                total: [
+                    { $match: facetMatch(filters) },
+                    { $count: 'count' },
+                ],
+                ...facetPipelines,
+            },
+        },
+    ]);
+
+    const events = await Event.populate(result.events, { path: 'organisationId', select: 'name type logo' });
+
+    return {
+        events,
+        total: result.total.length > 0 ? result.total[0].count : 0,
+        facets: Object.fromEntries(Object.keys(FACETS).map((facet) => [facet, formatFacet(facet, result[facet])])),
+    };
+};
+
+/**
+ * Search events
+ * @param {Object} options
+ * @param {string} [options.q] - Search text; without it all public events match
+ * @param {string} [options.organisationId] - Only events of this organisation
+ * @param {Object} [options.filters] - Selected values per facet (category, eventType, city, price, date)
+ * @param {string} [options.sort] - One of SORTS; default relevance, or startDate without search text
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.limit] - Results per page
+ * @returns {Promise<{events: Array, total: number, facets: Object, matchMode: string}>}
+ *   matchMode is "words" for whole-word matches, "prefix" for the word beginning
+ *   fallback and "all" without search text
+ */
+const searchEvents = async ({ q, organisationId, filters = {}, sort, page = 1, limit = 12, now = new Date() }) => {
+    const text = normalizeQuery(q);
+    const options = { organisationId, filters, page, limit, now, sort: sort || (text ? 'relevance' : 'startDate') };
+
+    if (!text) {
+        return { ...(await runSearch({}, options)), matchMode: 'all' };
+    }
+
+    const result = await runSearch({ $text: { $search: text } }, { ...options, useScore: true });
+    if (result.total > 0) {
+        return { ...result, matchMode: 'words' };
+    }
+
+    return { ...(await runSearch(prefixMatch(text), options)), matchMode: 'prefix' };
+};
+
+/**
+ * Bring an existing database up to date with the search index
+ * - Replaces the text index of earlier versions (only one is allowed)
+ * - Fills in the organisation name of events created before it was copied
+ */
+const prepareSearchIndex = async () => {
+    const collections = await Event.db.db.listCollections({ name: Event.collection.collectionName }).toArray();
+    if (collections.length > 0) {
+        const indexes = await Event.collection.indexes();
+        const stale = indexes.filter((index) => index.key._fts === 'text' && index.name !== Event.SEARCH_INDEX);
+        for (const index of stale) {
+            await Event.collection.dropIndex(index.name);
+        }
+    }
+    await Event.createIndexes();
+
+    const organisationIds = await Event.distinct('organisationId', { organisationName: { $exists: false } });
+    const organisations = await Organisation.find({ _id: { $in: organisationIds } }).select('name');
+    await Promise.all(organisations.map((organisation) => Event.updateMany(
+        { organisationId: organisation._id, organisationName: { $exists: false } },
+        { organisationName: organisation.name }
+    )));
+};
+
+module.exports = {
+    PRICE_KEYS,
+    DATE_BUCKETS,
+    SORTS,
+    searchEvents,
+    prepareSearchIndex,
+};
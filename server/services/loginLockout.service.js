@@ -0,0 +1,64 @@
+/**
+ * Login Lockout Service
+ *
+ * Locks an account for a while after too many failed logins in a row
+ * (wrong passwords or wrong two-factor codes), so a password cannot be
+ * guessed by spreading attempts over many IP addresses
+ */
+
+const User = require('../models/user.model');
+const rateLimitConfig = require('../config/rateLimit.config');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Minutes left on an account lock
+ * @param {Object} user - User loaded with +lockedUntil
+ * @returns {number} 0 when the account is not locked
+ */
+const getLockMinutesLeft = (user) => {
+    if (!user.lockedUntil) return 0;
+    const msLeft = user.lockedUntil.getTime() - Date.now();
+    return msLeft > 0 ? Math.ceil(msLeft / MINUTE_MS) : 0;
+};
+
+/**
+ * Count a failed login; locks the account when the limit is reached
+ * @param {string} userId - User ID
+ * @returns {Promise<Date|null>} When the lock ends, if this failure locked the account
+ */
+const recordFailure = async (userId) => {
+    const { maxFailures, lockMinutes } = rateLimitConfig.loginLockout;
+
+    const user = await User.findOneAndUpdate(
+        { _id: userId },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    ).select('+failedLoginAttempts');
+
+    if (!user || user.failedLoginAttempts < maxFailures) return null;
+
+    const lockedUntil = new Date(Date.now() + lockMinutes * MINUTE_MS);
+    await User.updateOne(
+        { _id: userId },
+        { $set: { lockedUntil, failedLoginAttempts: 0 } }
+    );
+    console.warn(`Account ${userId} locked until ${lockedUntil.toISOString()} after ${maxFailures} failed logins`);
+
+    return lockedUntil;
+};
+
+/**
+ * Clear failures and any lock (successful login, password reset)
+ * @param {string} userId - User ID
+ */
+const reset = (userId) => User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } }
+);
+
+module.exports = {
+    getLockMinutesLeft,
+    recordFailure,
+    reset,
+};
@@ -0,0 +1,263 @@
+/**
+ * Organisation Cascade Service
+ *
+ * What deleting an organisation does to everything that points at it:
+ * - Its events are either archived (upcoming ones are cancelled and their
+ *   applicants told, see eventCascade.service) or transferred to another
+ *   organisation with their applications untouched
+ * - Logo, cover image and the images of archived events are removed from Cloudinary
+ * - Invitations are deleted, followers stop following it and registration
+ *   requests lose their link to it
+ * - Former members without another organisation go back to the user role
+ * planOrganisationDeletion counts all of this without changing anything, so
+ * admins can review a summary before confirming
+ */
+
+const Organisation = require('../models/organisation.model');
+const OrganisationRequest = require('../models/organisationRequest.model');
+const Event = require('../models/event.model');
+const EventAudit = require('../models/eventAudit.model');
+const Application = require('../models/application.model');
+const Invitation = require('../models/invitation.model');
+const User = require('../models/user.model');
+const { ACTIVE_STATUSES, UPCOMING_STATUSES, archiveEvent } = require('./eventCascade.service');
+const { syncOrganisationRoles } = require('./organisationMembership.service');
+const { deleteFromCloudinary } = require('../utils/cloudinaryUpload');
+const AppError = require('../utils/appError');
+
+// What happens to the organisation's events
+const EVENT_POLICIES = ['archive', 'transfer'];
+
+// Shown to applicants of upcoming events when no reason is given
+const DEFAULT_REASON = 'The organisation hosting this event was removed';
+
+/**
+ * Find the organisation that receives the events
+ * @param {Object} organisation - Organisation being deleted
+ * @param {string} transferTo - Receiving organisation ID
+ */
+const findTransferTarget = async (organisation, transferTo) => {
+    if (!transferTo) {
+        throw new AppError('Choose the organisation that takes over the events', 400, {
+            transferTo: 'Choose an organisation',
+        });
+    }
+    if (String(transferTo) === String(organisation._id)) {
+        throw new AppError('Events cannot be transferred to the organisation being deleted', 400, {
+            transferTo: 'Choose another organisation',
+        });
+    }
+
+    const target = await Organisation.findById(transferTo).select('name logo');
+    if (!target) {
+        throw new AppError('Organisation to transfer the events to not found', 404, {
+            transferTo: 'Organisation not found',
+        });
+    }
+    return target;
+};
+
+/**
+ * Count the members who would lose the organisation role
+ * Platform admins and members of other organisations keep their role
+ * @param {Object} organisation - Organisation being deleted
+ */
+const countLosingRole = async (organisation) => {
+    const memberIds = organisation.getMemberIds();
+    if (memberIds.length === 0) return 0;
+
+    const elsewhere = await Organisation.distinct('members.userId', {
+        _id: { $ne: organisation._id },
+        'members.userId': { $in: memberIds },
+    });
+
+    return User.countDocuments({
+        _id: { $in: memberIds, $nin: elsewhere },
+        role: 'organisation',
+    });
+};
+
+/**
+ * Image URLs of events that are archived with the organisation
+ * @param {Array<Object>} events - Events with coverImage and images
+ */
+const eventImages = (events) => events.flatMap((event) => [event.coverImage, ...(event.images || [])].filter(Boolean));
+
+/**
+ * Summarise what deleting an organisation would change, without changing anything
+ * @param {Object} organisation - Organisation document
+ * @param {Object} options
+ * @param {string} [options.events='archive'] - archive or transfer
+ * @param {string} [options.transferTo] - Receiving organisation ID (transfer only)
+ * @returns {Promise<Object>} - Deletion summary
+ */
+const planOrganisationDeletion = async (organisation, { events: policy = 'archive', transferTo } = {}) => {
+    const target = policy === 'transfer' ? await findTransferTarget(organisation, transferTo) : null;
+
+    const events = await Event.find({ organisationId: organisation._id })
+        .select('status archivedAt coverImage images')
+        .lean();
+    const upcomingIds = events
+        .filter((event) => !event.archivedAt && UPCOMING_STATUSES.includes(event.status))
+        .map((event) => event._id);
+
+    const [applications, cancelledApplications, pendingInvitations, followers, losingRole] = await Promise.all([
+        Application.countDocuments({ eventId: { $in: events.map((event) => event._id) } }),
+        policy === 'archive'
+            ? Application.countDocuments({ eventId: { $in: upcomingIds }, status: { $in: ACTIVE_STATUSES } })
+            : 0,
+        Invitation.countDocuments({ organisationId: organisation._id, status: 'pending' }),
+        User.countDocuments({ followedOrganisations: organisation._id }),
+        countLosingRole(organisation),
+    ]);
+
+    const images = [organisation.logo, organisation.coverImage].filter(Boolean);
+
+    return {
+        organisation: { _id: organisation._id, name: organisation.name },
+        events: {
+            policy,
+            transferTo: target,
+            total: events.length,
+            upcoming: upcomingIds.length,
+            alreadyArchived: events.filter((event) => event.archivedAt).length,
+        },
+        applications: {
+            total: applications,
+            cancelled: cancelledApplications,
+        },
+        members: {
+            total: organisation.getMemberIds().length,
+            losingRole,
+        },
+        pendingInvitations,
+        followers,
+        images: images.length + (policy === 'archive' ? eventImages(events).length : 0),
+    };
+};
+
+/**
+ * Remove images from Cloudinary, logging failures instead of failing
+ * @param {Array<string>} urls - Image URLs
+ */
+const deleteImages = async (urls) => {
+    for (const url of urls) {
+        try {
+            await deleteFromCloudinary(url);
+        } catch (error) {
+            console.error('Error deleting image from Cloudinary:', error);
+        }
+    }
+};
+
+/**
+ * Archive every event of the organisation that is not archived yet
+ * An event changed while archiving is reloaded and tried once more
+ * @returns {Promise<Object>} - Archived events and cancelled applications
+ */
+const archiveEvents = async (organisation, { actorId, reason }) => {
+    const events = await Event.find({ organisationId: organisation._id, archivedAt: null });
+    let archived = 0;
+
+    for (const event of events) {
+        let result = await archiveEvent(event, { actorId, reason });
+        if (!result) {
+            const current = await Event.findById(event._id);
+            result = current && !current.archivedAt
+                ? await archiveEvent(current, { actorId, reason })
+                : current;
+        }
+        if (!result) {
+            throw new AppError('An event of this organisation was changed during deletion. Please try again', 409);
+        }
+        archived += 1;
+    }
+
+    // The events stay with their applications but nobody can show them again
+    const withImages = await Event.find({
+        organisationId: organisation._id,
+        $or: [{ coverImage: { $ne: null } }, { 'images.0': { $exists: true } }],
+    }).select('coverImage images').lean();
+
+    await Event.updateMany(
+        { _id: { $in: withImages.map((event) => event._id) } },
+        { $set: { coverImage: null, images: [] } }
+    );
+
+    return { archived, images: eventImages(withImages) };
+};
+
+/**
+ * Move every event of the organisation to another organisation
+ * @returns {Promise<number>} - Number of transferred events
+ */
+const transferEvents = async (organisation, target, { actorId, reason }) => {
+    const eventIds = await Event.distinct('_id', { organisationId: organisation._id });
+    if (eventIds.length === 0) return 0;
+
+    await Event.updateMany(
+        { _id: { $in: eventIds } },
+        { $set: { organisationId: target._id, organisationName: target.name } }
+    );
+
+    await EventAudit.insertMany(eventIds.map((eventId) => ({
+        eventId,
+        action: 'transferred',
+        actorId,
+        reason,
+        changes: { organisationId: { from: organisation._id, to: target._id } },
+    })));
+
+    return eventIds.length;
+};
+
+/**
+ * Delete an organisation and everything that depends on it
+ * @param {Object} organisation - Organisation document
+ * @param {Object} options
+ * @param {string} [options.events='archive'] - archive or transfer
+ * @param {string} [options.transferTo] - Receiving organisation ID (transfer only)
+ * @param {string} [options.reason] - Shown to applicants of cancelled events
+ * @param {string} [options.actorId] - Admin deleting the organisation
+ * @returns {Promise<Object>} - The deletion summary, counted before the changes
+ */
+const deleteOrganisationWithCascade = async (organisation, { events: policy = 'archive', transferTo, reason, actorId } = {}) => {
+    const summary = await planOrganisationDeletion(organisation, { events: policy, transferTo });
+    const images = [organisation.logo, organisation.coverImage].filter(Boolean);
+
+    if (policy === 'transfer') {
+        await transferEvents(organisation, summary.events.transferTo, { actorId, reason });
+    } else {
+        const result = await archiveEvents(organisation, { actorId, reason: reason || DEFAULT_REASON });
+        images.push(...result.images);
+    }
+
+    await Organisation.findByIdAndDelete(organisation._id);
+
+    await Promise.all([
+        // Invitation links to the organisation stop working
+        Invitation.deleteMany({ organisationId: organisation._id }),
+        User.updateMany(
+            { followedOrganisations: organisation._id },
+            { $pull: { followedOrganisations: organisation._id } }
+        ),
+        OrganisationRequest.updateMany(
+            { organisationId: organisation._id },
+            { $set: { organisationId: null } }
+        ),
+    ]);
+
+    // Former members without another organisation lose the organisation role
+    await syncOrganisationRoles(organisation.getMemberIds());
+
+    // Last, so a failed deletion never leaves records pointing at removed images
+    await deleteImages(images);
+
+    return summary;
+};
+
+module.exports = {
+    EVENT_POLICIES,
+    planOrganisationDeletion,
+    deleteOrganisationWithCascade,
+};
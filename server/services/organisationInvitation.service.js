@@ -0,0 +1,83 @@
+/**
+ * Organisation Invitation Service
+ *
+ * Sends team invitations by email and turns accepted invitations into
+ * memberships
+ * The raw token only ever appears in the emailed link
+ */
+
+const Organisation = require('../models/organisation.model');
+const User = require('../models/user.model');
+const emailOutbox = require('./emailOutbox.service');
+const { syncOrganisationRoles } = require('./organisationMembership.service');
+const { renderEmail } = require('../utils/emailTemplates');
+const config = require('../config/index.config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Client page that handles the link
+const ACCEPT_PATH = '/invitations/accept';
+
+/**
+ * Give an invitation a new token and queue the email carrying it
+ * Saves the invitation; links from earlier sends stop working
+ * @param {Object} invitation - Invitation document (new or pending)
+ * @param {Object} organisation - Organisation the invitation is for (name)
+ * @param {Object} inviter - User sending the invitation (name, language)
+ */
+const sendInvitation = async (invitation, organisation, inviter) => {
+    const ttlDays = config.invitations.ttlDays;
+
+    const token = invitation.issueToken(ttlDays * DAY_MS);
+    invitation.lastSentAt = new Date();
+    invitation.sendCount += 1;
+    await invitation.save();
+
+    // Invitees without an account get the email in the inviter's language
+    const recipient = await User.findOne({ email: invitation.email }).select('name language');
+    const rendered = renderEmail('organisation_invitation', recipient?.language || inviter.language, {
+        recipientName: recipient?.name,
+        inviterName: inviter.name,
+        organisationName: organisation.name,
+        role: invitation.role,
+        expiresInDays: ttlDays,
+        url: `${config.frontendUrl}${ACCEPT_PATH}?token=${token}`,
+    });
+
+    await emailOutbox.enqueue([{
+        to: invitation.email,
+        recipientId: recipient?._id,
+        type: 'organisation_invitation',
+        sensitive: true,
+        ...rendered,
+    }]);
+};
+
+/**
+ * Add the user who accepted an invitation to the organisation
+ * A user who already is a member keeps their current role
+ * @param {Object} invitation - Accepted invitation
+ * @param {Object} user - User who accepted it
+ */
+const joinOrganisation = async (invitation, user) => {
+    await Organisation.updateOne(
+        { _id: invitation.organisationId, 'members.userId': { $ne: user._id } },
+        {
+            $push: {
+                members: {
+                    userId: user._id,
+                    role: invitation.role,
+                    addedBy: invitation.invitedBy,
+                    addedAt: new Date(),
+                },
+            },
+        }
+    );
+
+    await syncOrganisationRoles([user._id]);
+};
+
+module.exports = {
+    sendInvitation,
+    joinOrganisation,
+};
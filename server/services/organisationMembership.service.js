@@ -0,0 +1,77 @@
+/**
+ * Organisation Membership Service
+ *
+ * Keeps the global "organisation" role of users in line with their
+ * organisation memberships:
+ * - A user with at least one membership has the organisation role, which
+ *   opens the organisation dashboard
+ * - A user without memberships goes back to the user role
+ * - Platform admins keep their role either way
+ * Permissions inside an organisation come from the member role only
+ * (see Organisation.PERMISSIONS)
+ */
+
+const Organisation = require('../models/organisation.model');
+const User = require('../models/user.model');
+
+/**
+ * Set the global role of users from their memberships
+ * @param {Array<ObjectId|string>} userIds - Users whose memberships changed
+ */
+const syncOrganisationRoles = async (userIds) => {
+    const ids = [...new Set(userIds.map(String))];
+    if (ids.length === 0) return;
+
+    const memberIds = await Organisation.distinct('members.userId', { 'members.userId': { $in: ids } });
+    const members = new Set(memberIds.map(String));
+
+    const toOrganisation = ids.filter((id) => members.has(id));
+    const toUser = ids.filter((id) => !members.has(id));
+
+    await Promise.all([
+        toOrganisation.length > 0 && User.updateMany(
+            { _id: { $in: toOrganisation }, role: 'user' },
+            { role: 'organisation' }
+        ),
+        toUser.length > 0 && User.updateMany(
+            { _id: { $in: toUser }, role: 'organisation' },
+            { role: 'user' }
+        ),
+    ]);
+};
+
+/**
+ * Bring an existing database up to date with member roles
+ * - Admins of earlier versions become owners
+ * - Users with the organisation role but no membership become regular users
+ */
+const migrateOrganisationAdmins = async () => {
+    const collection = Organisation.collection;
+    const legacy = await collection.find({ admins: { $exists: true } }).project({ admins: 1, members: 1 }).toArray();
+    const changed = [];
+
+    for (const organisation of legacy) {
+        const existing = new Set((organisation.members || []).map((member) => String(member.userId)));
+        const owners = (organisation.admins || [])
+            // The old array could hold the same user twice
+            .filter((adminId) => adminId && !existing.has(String(adminId)) && existing.add(String(adminId)))
+            .map((adminId) => ({ userId: adminId, role: 'owner', addedBy: null, addedAt: new Date() }));
+        changed.push(...owners.map((owner) => owner.userId));
+
+        await collection.updateOne(
+            { _id: organisation._id },
+            {
+                $push: { members: { $each: owners } },
+                $unset: { admins: '' },
+            }
+        );
+    }
+
+    const organisationUsers = await User.distinct('_id', { role: 'organisation' });
+    await syncOrganisationRoles([...changed, ...organisationUsers]);
+};
+
+module.exports = {
+    syncOrganisationRoles,
+    migrateOrganisationAdmins,
+};
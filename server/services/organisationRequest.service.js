@@ -0,0 +1,74 @@
+/**
+ * Organisation Request Service
+ *
+ * Turns approved registration requests into organisations and tells
+ * requesters about the decision by email
+ */
+
+const Organisation = require('../models/organisation.model');
+const User = require('../models/user.model');
+const emailOutbox = require('./emailOutbox.service');
+const { syncOrganisationRoles } = require('./organisationMembership.service');
+const { renderEmail } = require('../utils/emailTemplates');
+const config = require('../config/index.config');
+
+/**
+ * Create the organisation of an approved request
+ * The organisation is verified and the requester becomes its owner
+ * @param {Object} request - Approved organisation request
+ * @param {Object} reviewer - Platform admin who approved it
+ * @returns {Promise<Object>} - The new organisation
+ */
+const createOrganisationFromRequest = async (request, reviewer) => {
+    const now = new Date();
+
+    const organisation = await Organisation.create({
+        name: request.name,
+        type: request.type,
+        description: request.description,
+        logo: request.logo,
+        website: request.website,
+        email: request.email,
+        phone: request.phone,
+        socialMedia: request.socialMedia,
+        members: [{ userId: request.requestedBy, role: 'owner', addedBy: reviewer._id, addedAt: now }],
+        verified: true,
+        verifiedAt: now,
+    });
+
+    await syncOrganisationRoles([request.requestedBy]);
+
+    return organisation;
+};
+
+/**
+ * Queue the email telling the requester whether their request was approved
+ * @param {Object} request - Approved or rejected organisation request
+ */
+const sendDecisionEmail = async (request) => {
+    const requester = await User.findById(request.requestedBy).select('name email language');
+    if (!requester) return;
+
+    const approved = request.status === 'approved';
+    const type = approved ? 'organisation_request_approved' : 'organisation_request_rejected';
+    const rendered = renderEmail(type, requester.language, {
+        recipientName: requester.name,
+        organisationName: request.name,
+        reason: request.rejectionReason,
+        url: approved
+            ? `${config.frontendUrl}/organisation?org=${request.organisationId}`
+            : `${config.frontendUrl}/dashboard`,
+    });
+
+    await emailOutbox.enqueue([{
+        to: requester.email,
+        recipientId: requester._id,
+        type,
+        ...rendered,
+    }]);
+};
+
+module.exports = {
+    createOrganisationFromRequest,
+    sendDecisionEmail,
+};
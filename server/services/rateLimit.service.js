@@ -0,0 +1,159 @@
+/**
+ * Rate Limit Service
+ *
+ * Fixed-window request counters behind a pluggable store:
+ * - memory: counters live in this process (default, single server)
+ * - mongo: counters are shared by all server processes and survive restarts
+ * Policies can pick their own store (daily limits use mongo)
+ * Any object with the same methods can be plugged in with setStore()
+ *
+ * Store interface:
+ * - increment(key, windowMs) -> Promise<{count, resetAt}> - count this request,
+ *   starting a new window if the last one is over
+ * - decrement(key) -> Promise - take back a counted request
+ * - reset(key) -> Promise - forget the key
+ */
+
+const RateLimitCounter = require('../models/rateLimitCounter.model');
+const rateLimitConfig = require('../config/rateLimit.config');
+
+// How often the memory store drops finished windows
+const MEMORY_CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Store keeping counters in a Map
+ */
+const createMemoryStore = () => {
+    const counters = new Map();
+
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt.getTime() <= now) counters.delete(key);
+        }
+    }, MEMORY_CLEANUP_INTERVAL_MS);
+    // Never keeps the process alive on its own
+    cleanup.unref();
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt.getTime() <= now) {
+                counter = { count: 0, resetAt: new Date(now + windowMs) };
+                counters.set(key, counter);
+            }
+            counter.count += 1;
+            return { count: counter.count, resetAt: counter.resetAt };
+        },
+
+        async decrement(key) {
+            const counter = counters.get(key);
+            if (counter && counter.count > 0) counter.count -= 1;
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        },
+    };
+};
+
+/**
+ * Store keeping counters in MongoDB, shared by all server processes
+ */
+const createMongoStore = () => ({
+    async increment(key, windowMs) {
+        const now = new Date();
+        const windowActive = { $gt: ['$resetAt', now] };
+
+        // One atomic update: count up in the current window, or start a new one
+        const counter = await RateLimitCounter.findOneAndUpdate(
+            { _id: key },
+            [{
+                $set: {
+                    count: { $cond: [windowActive, { $add: ['$count', 1] }, 1] },
+                    resetAt: { $cond: [windowActive, '$resetAt', new Date(now.getTime() + windowMs)] },
+                },
+            }],
+            { upsert: true, new: true, lean: true }
+        );
+
+        return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async decrement(key) {
+        await RateLimitCounter.updateOne(
+            { _id: key, count: { $gt: 0 }, resetAt: { $gt: new Date() } },
+            { $inc: { count: -1 } }
+        );
+    },
+
+    async reset(key) {
+        await RateLimitCounter.deleteOne({ _id: key });
+    },
+});
+
+const STORES = {
+    memory: createMemoryStore,
+    mongo: createMongoStore,
+};
+
+// Stores in use by name, created from the configuration on first use
+const stores = new Map();
+
+/**
+ * A store by name
+ * @param {string} [name] - Store name, the configured default when omitted
+ */
+const getStore = (name = rateLimitConfig.store) => {
+    if (!stores.has(name)) {
+        const createStore = STORES[name];
+        if (!createStore) {
+            throw new Error(`Unknown rate limit store "${name}"`);
+        }
+        stores.set(name, createStore());
+    }
+    return stores.get(name);
+};
+
+/**
+ * Use another store (e.g. Redis backed)
+ * @param {Object} customStore - Object implementing the store interface
+ * @param {string} [name] - Store it replaces, the configured default when omitted
+ */
+const setStore = (customStore, name = rateLimitConfig.store) => {
+    stores.set(name, customStore);
+};
+
+/**
+ * Count a request against a limit
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length
+ * @param {string} [storeName] - Store to count in, the default when omitted
+ * @returns {Promise<{count: number, resetAt: Date}>}
+ */
+const hit = (key, windowMs, storeName) => getStore(storeName).increment(key, windowMs);
+
+/**
+ * Take back a counted request
+ * @param {string} key - Counter key
+ * @param {string} [storeName] - Store the request was counted in
+ */
+const undo = (key, storeName) => getStore(storeName).decrement(key);
+
+/**
+ * Forget a counter
+ * @param {string} key - Counter key
+ * @param {string} [storeName] - Store the counter is kept in
+ */
+const reset = (key, storeName) => getStore(storeName).reset(key);
+
+module.exports = {
+    createMemoryStore,
+    createMongoStore,
+    getStore,
+    setStore,
+    hit,
+    undo,
+    reset,
+};
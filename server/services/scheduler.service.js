@@ -0,0 +1,102 @@
+/**
+ * Scheduler Service
+ *
+ * Runs background jobs on a fixed interval
+ * - Each run takes a lease in the JobLock collection first, so when
+ *   several server processes are running only one of them does the work
+ * - A job never overlaps with itself inside one process
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const JobLock = require('../models/jobLock.model');
+
+// Unique identifier for this process
+const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Registered jobs: { name: { intervalMs, handler, timer, running } }
+const jobs = new Map();
+
+let started = false;
+
+/**
+ * Run a job once if this process can take its lease
+ * @param {string} name - Job name
+ */
+const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job || job.running) return;
+
+    job.running = true;
+    try {
+        // Lease outlives the interval so a slow run is not picked up twice
+        const acquired = await JobLock.acquire(name, owner, job.intervalMs * 2);
+        if (!acquired) return;
+
+        await job.handler(new Date());
+    } catch (error) {
+        console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+/**
+ * Register a background job
+ * @param {string} name - Unique job name (also the lock name)
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} handler - Async function called with the current date
+ */
+const registerJob = (name, intervalMs, handler) => {
+    if (jobs.has(name)) {
+        throw new Error(`Job "${name}" is already registered`);
+    }
+
+    jobs.set(name, { intervalMs, handler, timer: null, running: false });
+
+    if (started) scheduleJob(name);
+};
+
+/**
+ * Start the interval timer for a job
+ * @param {string} name - Job name
+ */
+const scheduleJob = (name) => {
+    const job = jobs.get(name);
+    job.timer = setInterval(() => runJob(name), job.intervalMs);
+    // Background jobs must not keep the process alive on shutdown
+    job.timer.unref();
+    runJob(name);
+};
+
+/**
+ * Start all registered jobs
+ */
+const start = () => {
+    if (started) return;
+    started = true;
+
+    jobs.forEach((job, name) => scheduleJob(name));
+
+    console.log(`Scheduler started (${jobs.size} jobs, owner ${owner})`);
+};
+
+/**
+ * Stop all registered jobs
+ */
+const stop = () => {
+    jobs.forEach((job, name) => {
+        clearInterval(job.timer);
+        job.timer = null;
+        // Let another process take over without waiting for the lease to expire
+        JobLock.release(name, owner).catch(() => {});
+    });
+    started = false;
+};
+
+module.exports = {
+    registerJob,
+    runJob,
+    start,
+    stop,
+};
@@ -0,0 +1,226 @@
+/**
+ * Session Service
+ *
+ * Sign-in sessions with rotating refresh tokens:
+ * - A refresh token is "<sessionId>.<secret>"; only a hash of the secret is stored
+ * - Each refresh replaces the secret. A replaced secret presented again
+ *   means the token was stolen, so the session is revoked
+ * - Revoking a session also disconnects its sockets
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const config = require('../config/index.config');
+const AppError = require('../utils/appError');
+const socketService = require('./socket.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a just-replaced refresh token is still accepted (parallel refreshes)
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const getExpiry = () => new Date(Date.now() + config.refreshTokenTtlDays * DAY_MS);
+
+/**
+ * Device details of a request
+ * @param {Object} req - Express request
+ */
+const getClientInfo = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip,
+});
+
+/**
+ * Split a refresh token into session ID and secret
+ * @returns {{sessionId: string, secret: string}|null}
+ */
+const parseRefreshToken = (token) => {
+    const [sessionId, secret] = String(token || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - The user
+ * @param {Object} req - Express request
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+const createSession = async (user, req) => {
+    const secret = generateSecret();
+    const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hashSecret(secret),
+        expiresAt: getExpiry(),
+        ...getClientInfo(req),
+    });
+
+    return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * @param {string} token - Refresh token from the cookie
+ * @param {Object} req - Express request
+ * @returns {Promise<{session: Object, refreshToken: string|null}>} - refreshToken
+ *   is null when a parallel request already rotated the token (keep the cookie)
+ * @throws {AppError} 401 if the token is invalid, expired or revoked
+ */
+const rotateRefreshToken = async (token, req) => {
+    const parsed = parseRefreshToken(token);
+    if (!parsed) {
+        throw new AppError('Invalid refresh token', 401);
+    }
+
+    const now = new Date();
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= now) {
+        throw new AppError('Session has expired. Please log in again.', 401);
+    }
+
+    const presentedHash = hashSecret(parsed.secret);
+
+    if (presentedHash !== session.refreshTokenHash) {
+        const inGracePeriod = presentedHash === session.previousTokenHash
+            && session.rotatedAt
+            && now - session.rotatedAt < ROTATION_GRACE_MS;
+
+        if (inGracePeriod) {
+            return { session, refreshToken: null };
+        }
+
+        // An old token came back: whoever holds the session now is not trusted
+        await revokeSession(session._id, 'reuse_detected');
+        console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.userId})`);
+        throw new AppError('Session has expired. Please log in again.', 401);
+    }
+
+    const secret = generateSecret();
+    const rotated = await Session.findOneAndUpdate(
+        // Only one of several parallel refreshes with the same token wins
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashSecret(secret),
+                previousTokenHash: presentedHash,
+                rotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: getExpiry(),
+                ...getClientInfo(req),
+            },
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        return { session, refreshToken: null };
+    }
+
+    return { session: rotated, refreshToken: `${rotated._id}.${secret}` };
+};
+
+/**
+ * Check whether a session can still be used
+ * @param {string} sessionId - Session ID from the access token
+ */
+const isSessionActive = async (sessionId) => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    return !!(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @param {string} [userId] - Only revoke if the session belongs to this user
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId) => {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.userId = userId;
+
+    const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    socketService.disconnectSession(sessionId);
+
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * The secret must match, so knowing a session ID is not enough to end it.
+ * The secret it last replaced is accepted too - refreshing with it would
+ * revoke the session anyway
+ * @param {string} token - Refresh token
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+const revokeByRefreshToken = async (token, reason) => {
+    const parsed = parseRefreshToken(token);
+    if (!parsed) return false;
+
+    const presentedHash = hashSecret(parsed.secret);
+    const result = await Session.updateOne(
+        {
+            _id: parsed.sessionId,
+            revokedAt: null,
+            $or: [{ refreshTokenHash: presentedHash }, { previousTokenHash: presentedHash }],
+        },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    socketService.disconnectSession(parsed.sessionId);
+    return true;
+};
+
+/**
+ * Revoke all sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep (the caller's own)
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(filter).select('_id').lean();
+    if (sessions.length === 0) return 0;
+
+    await Session.updateMany(
+        { _id: { $in: sessions.map((session) => session._id) }, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    sessions.forEach((session) => socketService.disconnectSession(session._id));
+
+    return sessions.length;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ */
+const listActiveSessions = (userId) => Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+})
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    isSessionActive,
+    revokeSession,
+    revokeByRefreshToken,
+    revokeUserSessions,
+    listActiveSessions,
+};
@@ -2,19 +2,56 @@
  * Socket.io Service
  *
  * Handles real-time WebSocket connections for notifications
- * - Authenticates users via JWT
- * - Tracks connected users
+ * - Authenticates users via JWT (auth payload, query or the token cookie)
+ *   and only while the token's session is active
+ * - Tracks connected users and sessions, so revoking a session disconnects it
  * - Provides methods to emit events to specific users or all users
  */
 
 const { verifyToken } = require('../utils/jwt');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
 
-// Track connected users: { oduserId: Set of socketIds }
+// Track connected users: { userId: Set of socketIds }
 const connectedUsers = new Map();
 
+// Track sockets per sign-in session: { sessionId: Set of socketIds }
+const sessionSockets = new Map();
+
 let io = null;
 
+/**
+ * Read the access token cookie from the handshake headers
+ * @param {string} [cookieHeader] - Raw Cookie header
+ */
+const getTokenCookie = (cookieHeader) => {
+    const match = /(?:^|;\s*)token=([^;]+)/.exec(cookieHeader || '');
+    return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Add a socket to a tracking map
+ */
+const trackSocket = (map, key, socketId) => {
+    if (!map.has(key)) {
+        map.set(key, new Set());
+    }
+    map.get(key).add(socketId);
+};
+
+/**
+ * Remove a socket from a tracking map
+ */
+const untrackSocket = (map, key, socketId) => {
+    const sockets = map.get(key);
+    if (sockets) {
+        sockets.delete(socketId);
+        if (sockets.size === 0) {
+            map.delete(key);
+        }
+    }
+};
+
 /**
  * Initialize Socket.io with the server instance
  */
@@ -24,7 +61,9 @@ const initialize = (socketIo) => {
     // Authentication middleware
     io.use(async (socket, next) => {
         try {
-            const token = socket.handshake.auth.token || socket.handshake.query.token;
+            const token = socket.handshake.auth.token
+                || socket.handshake.query.token
+                || getTokenCookie(socket.handshake.headers.cookie);
 
             if (!token) {
                 return next(new Error('Authentication required'));
@@ -35,12 +74,19 @@ const initialize = (socketIo) => {
                 return next(new Error('Invalid token'));
             }
 
-            const user = await User.findById(decoded.id).select('_id name role');
-            if (!user) {
+            const [user, sessionActive] = await Promise.all([
+                User.findById(decoded.id).select('_id name role isActive'),
+                Session.exists({ _id: decoded.sid, revokedAt: null, expiresAt: { $gt: new Date() } }),
+            ]);
+            if (!user || !user.isActive) {
                 return next(new Error('User not found'));
             }
+            if (!sessionActive) {
+                return next(new Error('Session has been revoked'));
+            }
 
             socket.userId = user._id.toString();
+            socket.sessionId = decoded.sid;
             socket.user = user;
             next();
         } catch (error) {
@@ -50,25 +96,18 @@ const initialize = (socketIo) => {
 
     // Handle connections
     io.on('connection', (socket) => {
-        const userId = socket.userId;
+        const { userId, sessionId } = socket;
 
         // Add user to connected users
-        if (!connectedUsers.has(userId)) {
-            connectedUsers.set(userId, new Set());
-        }
-        connectedUsers.get(userId).add(socket.id);
+        trackSocket(connectedUsers, userId, socket.id);
+        trackSocket(sessionSockets, sessionId, socket.id);
 
         console.log(`User connected: ${userId} (socket: ${socket.id})`);
 
         // Handle disconnection
         socket.on('disconnect', () => {
-            const userSockets = connectedUsers.get(userId);
-            if (userSockets) {
-                userSockets.delete(socket.id);
-                if (userSockets.size === 0) {
-                    connectedUsers.delete(userId);
-                }
-            }
+            untrackSocket(connectedUsers, userId, socket.id);
+            untrackSocket(sessionSockets, sessionId, socket.id);
             console.log(`User disconnected: ${userId} (socket: ${socket.id})`);
         });
     });
@@ -121,6 +160,25 @@ const emitToAll = (event, data) => {
     io.emit(event, data);
 };
 
+/**
+ * Disconnect every socket opened with a session (after it was revoked)
+ * @param {string} sessionId - Session ID
+ */
+const disconnectSession = (sessionId) => {
+    if (!io) return;
+
+    const sockets = sessionSockets.get(sessionId.toString());
+    if (!sockets) return;
+
+    [...sockets].forEach((socketId) => {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket) {
+            socket.emit('session_revoked');
+            socket.disconnect(true);
+        }
+    });
+};
+
 /**
  * Check if user is online
  * @param {string} userId - User ID to check
@@ -141,6 +199,7 @@ module.exports = {
     emitToUser,
     emitToUsers,
     emitToAll,
+    disconnectSession,
     isUserOnline,
     getConnectedUsersCount,
 };
@@ -0,0 +1,230 @@
+/**
+ * Two-Factor Service
+ *
+ * TOTP two-factor authentication for user accounts:
+ * - Enrolment: a pending secret is confirmed with a first code, which
+ *   turns 2FA on and hands out one-time recovery codes
+ * - Sign-in: after the password, a code or a recovery code is required.
+ *   Each code works once and wrong codes are limited per password entry
+ * - Platform admins can require 2FA for roles; users with such a role
+ *   can only reach the enrolment endpoints until they have set it up
+ */
+
+const User = require('../models/user.model');
+const PlatformSettings = require('../models/platformSettings.model');
+const totp = require('../utils/totp');
+
+// Wrong codes allowed before the password has to be entered again
+const MAX_FAILED_ATTEMPTS = 5;
+
+// Required roles are checked on every request, so they are cached briefly
+const REQUIRED_ROLES_CACHE_MS = 30 * 1000;
+
+let requiredRolesCache = null;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Roles that must use two-factor authentication
+ * @returns {Promise<string[]>}
+ */
+const getRequiredRoles = async () => {
+    if (requiredRolesCache && requiredRolesCache.expiresAt > Date.now()) {
+        return requiredRolesCache.roles;
+    }
+
+    const settings = await PlatformSettings.getSettings();
+    requiredRolesCache = {
+        roles: settings.twoFactorRequiredRoles || [],
+        expiresAt: Date.now() + REQUIRED_ROLES_CACHE_MS,
+    };
+
+    return requiredRolesCache.roles;
+};
+
+/**
+ * Forget the cached required roles (after the settings changed)
+ */
+const clearRequiredRolesCache = () => {
+    requiredRolesCache = null;
+};
+
+/**
+ * Whether 2FA is required for the user's role
+ * @param {Object} user - The user
+ */
+const isRequiredFor = async (user) => (await getRequiredRoles()).includes(user.role);
+
+/**
+ * Whether the user has to set up 2FA before using the app
+ * @param {Object} user - The user
+ */
+const isSetupRequired = async (user) => !user.twoFactor?.enabled && isRequiredFor(user);
+
+/**
+ * User JSON for auth responses, with the 2FA setup flag the client routes on
+ * @param {Object} user - User document
+ */
+const withTwoFactorStatus = async (user) => ({
+    ...user.toJSON(),
+    twoFactorSetupRequired: await isSetupRequired(user),
+});
+
+/**
+ * Start (or restart) enrolment with a new pending secret
+ * @param {Object} user - The user
+ * @returns {Promise<{secret: string, otpauthUrl: string}>} For the authenticator app
+ */
+const startSetup = async (user) => {
+    const secret = totp.generateSecret();
+
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.pendingSecret': totp.encryptSecret(secret) } }
+    );
+
+    return { secret, otpauthUrl: totp.buildOtpauthUrl(secret, user.email) };
+};
+
+/**
+ * Finish enrolment by confirming a code for the pending secret
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong
+ */
+const enable = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user?.twoFactor?.pendingSecret) return null;
+
+    const step = totp.verifyCode(totp.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) return null;
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    const result = await User.updateOne(
+        // Only the secret the code was checked against is turned on
+        { _id: userId, 'twoFactor.pendingSecret': user.twoFactor.pendingSecret },
+        {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.enabledAt': new Date(),
+                'twoFactor.secret': user.twoFactor.pendingSecret,
+                'twoFactor.recoveryCodes': hashes,
+                'twoFactor.lastUsedStep': step,
+                'twoFactor.failedAttempts': 0,
+            },
+            $unset: { 'twoFactor.pendingSecret': 1 },
+        }
+    );
+
+    return result.modifiedCount > 0 ? codes : null;
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {string} userId - User ID
+ */
+const disable = (userId) => User.updateOne(
+    { _id: userId },
+    {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+        $unset: {
+            'twoFactor.enabledAt': 1,
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.recoveryCodes': 1,
+            'twoFactor.lastUsedStep': 1,
+        },
+    }
+);
+
+/**
+ * Check a code from the authenticator app or a recovery code
+ * Either is used up by a successful check
+ * @param {string} userId - User ID
+ * @param {Object} input
+ * @param {string} [input.code] - TOTP code
+ * @param {string} [input.recoveryCode] - Recovery code
+ * @returns {Promise<boolean>}
+ */
+const verifyUserCode = async (userId, { code, recoveryCode }) => {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+    if (recoveryCode) {
+        const hash = totp.hashRecoveryCode(recoveryCode);
+        const result = await User.updateOne(
+            { _id: userId, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(user.twoFactor.secret), code);
+    if (step === null) return false;
+
+    // A code seen before (or an older one) is rejected, even within its 30 seconds
+    const result = await User.updateOne(
+        { _id: userId, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Replace the recovery codes with a new set
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} The new codes, shown to the user once
+ */
+const regenerateRecoveryCodes = async (userId) => {
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+    return codes;
+};
+
+/**
+ * Number of unused recovery codes
+ * @param {string} userId - User ID
+ */
+const countRecoveryCodes = async (userId) => {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes').lean();
+    return user?.twoFactor?.recoveryCodes?.length || 0;
+};
+
+/**
+ * Count a sign-in code attempt against the limit
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} False when the limit is reached
+ */
+const claimAttempt = async (userId) => {
+    const user = await User.findOneAndUpdate(
+        { _id: userId, 'twoFactor.failedAttempts': { $not: { $gte: MAX_FAILED_ATTEMPTS } } },
+        { $inc: { 'twoFactor.failedAttempts': 1 } }
+    );
+    return !!user;
+};
+
+/**
+ * Reset the attempt counter (correct password or correct code)
+ * @param {string} userId - User ID
+ */
+const resetAttempts = (userId) => User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.failedAttempts': 0 } }
+);
+
+module.exports = {
+    MAX_FAILED_ATTEMPTS,
+    getRequiredRoles,
+    clearRequiredRolesCache,
+    isRequiredFor,
+    isSetupRequired,
+    withTwoFactorStatus,
+    startSetup,
+    enable,
+    disable,
+    verifyUserCode,
+    regenerateRecoveryCodes,
+    countRecoveryCodes,
+    claimAttempt,
+    resetAttempts,
+};
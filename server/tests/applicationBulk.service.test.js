@@ -0,0 +1,129 @@
+/**
+ * Application Bulk Service tests
+ *
+ * Models are stubbed, so no database is needed
+ */
+
+jest.mock('../utils/notificationHelper', () => ({
+    notifyApplicationStatusBulk: jest.fn(() => Promise.resolve()),
+    notifyApplicantsMessage: jest.fn(() => Promise.resolve()),
+}));
+jest.mock('../utils/waitlist', () => ({
+    promoteFromWaitlist: jest.fn(() => Promise.resolve()),
+}));
+
+const mongoose = require('mongoose');
+const Application = require('../models/application.model');
+const Event = require('../models/event.model');
+const { bulkUpdateStatus, bulkMessage } = require('../services/applicationBulk.service');
+const { notifyApplicantsMessage } = require('../utils/notificationHelper');
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const makeApplication = (status, event) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    status,
+    eventId: event,
+});
+
+// Application.find(...).sort().limit().populate() resolving to the given applications
+const stubFind = (applications) => {
+    const query = {
+        sort: () => query,
+        limit: () => query,
+        populate: () => Promise.resolve(applications),
+    };
+    jest.spyOn(Application, 'find').mockReturnValue(query);
+};
+
+describe('bulkUpdateStatus', () => {
+    const event = { _id: new mongoose.Types.ObjectId(), title: 'Workshop', capacity: 10 };
+
+    beforeEach(() => {
+        jest.spyOn(Event, 'reserveSeats').mockResolvedValue(true);
+        jest.spyOn(Event, 'releaseSeats').mockResolvedValue();
+        jest.spyOn(Application, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('reports applications of deleted events and still processes the others', async () => {
+        const first = makeApplication('pending', event);
+        const orphaned = makeApplication('pending', null);
+        const last = makeApplication('pending', event);
+        stubFind([first, orphaned, last]);
+
+        const ids = [first, orphaned, last].map((application) => application._id.toString());
+        const { results, summary } = await bulkUpdateStatus(admin, { status: 'accepted', ids });
+
+        expect(results).toEqual([
+            { id: ids[0], success: true, previousStatus: 'pending', status: 'accepted' },
+            { id: ids[1], success: false, error: 'Event not found' },
+            { id: ids[2], success: true, previousStatus: 'pending', status: 'accepted' },
+        ]);
+        expect(summary).toEqual({ requested: 3, succeeded: 2, failed: 1 });
+        expect(Application.updateOne).toHaveBeenCalledTimes(2);
+        expect(Event.reserveSeats).toHaveBeenCalledTimes(2);
+    });
+
+    it('gives the seat back when the application changed meanwhile', async () => {
+        const application = makeApplication('pending', event);
+        stubFind([application]);
+        Application.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+        const { results } = await bulkUpdateStatus(admin, {
+            status: 'accepted',
+            ids: [application._id.toString()],
+        });
+
+        expect(results[0]).toMatchObject({ success: false, error: 'The application was changed by someone else' });
+        expect(Event.releaseSeats).toHaveBeenCalledWith(event._id);
+    });
+
+    it('reports a failed update without losing the report of earlier items', async () => {
+        const first = makeApplication('pending', event);
+        const failing = makeApplication('pending', event);
+        stubFind([first, failing]);
+        Application.updateOne
+            .mockResolvedValueOnce({ modifiedCount: 1 })
+            .mockRejectedValueOnce(new Error('connection lost'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const { results, summary } = await bulkUpdateStatus(admin, {
+            status: 'accepted',
+            ids: [first._id.toString(), failing._id.toString()],
+        });
+
+        expect(results[0]).toMatchObject({ success: true });
+        expect(results[1]).toMatchObject({ success: false, error: 'The application could not be updated' });
+        expect(summary).toEqual({ requested: 2, succeeded: 1, failed: 1 });
+        expect(Event.releaseSeats).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('bulkMessage', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('skips applications of deleted events', async () => {
+        const event = { _id: new mongoose.Types.ObjectId(), title: 'Workshop' };
+        const application = makeApplication('accepted', event);
+        const orphaned = makeApplication('accepted', null);
+        stubFind([application, orphaned]);
+
+        const { results } = await bulkMessage(admin, {
+            message: 'Bring your laptop',
+            ids: [application._id.toString(), orphaned._id.toString()],
+        });
+
+        expect(results).toEqual([
+            { id: application._id.toString(), success: true },
+            { id: orphaned._id.toString(), success: false, error: 'Event not found' },
+        ]);
+        expect(notifyApplicantsMessage).toHaveBeenCalledWith([application], undefined, 'Bring your laptop');
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Account Emails
+ *
+ * Emails with single-use links for email verification and password reset
+ * The raw token only ever appears in the emailed link
+ */
+
+const AuthToken = require('../models/authToken.model');
+const emailOutbox = require('../services/emailOutbox.service');
+const { renderEmail } = require('./emailTemplates');
+const config = require('../config/index.config');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Client page that handles the link, and how long the link stays valid
+const PURPOSES = {
+    email_verification: {
+        path: '/verify-email',
+        getTtlHours: () => config.authTokens.emailVerificationTtlHours,
+    },
+    password_reset: {
+        path: '/reset-password',
+        getTtlHours: () => config.authTokens.passwordResetTtlHours,
+    },
+};
+
+/**
+ * Issue a token and queue the email carrying it
+ * @param {Object} user - Recipient (name, email, language)
+ * @param {string} purpose - 'email_verification' or 'password_reset'
+ */
+const sendAccountEmail = async (user, purpose) => {
+    const { path, getTtlHours } = PURPOSES[purpose];
+    const ttlHours = getTtlHours();
+
+    const token = await AuthToken.issue(user._id, purpose, ttlHours * HOUR_MS);
+    const rendered = renderEmail(purpose, user.language, {
+        recipientName: user.name,
+        expiresInHours: ttlHours,
+        url: `${config.frontendUrl}${path}?token=${token}`,
+    });
+
+    await emailOutbox.enqueue([{
+        to: user.email,
+        recipientId: user._id,
+        type: purpose,
+        sensitive: true,
+        ...rendered,
+    }]);
+};
+
+/**
+ * Send a link to confirm the user's email address
+ * @param {Object} user - The user
+ */
+const sendVerificationEmail = (user) => sendAccountEmail(user, 'email_verification');
+
+/**
+ * Send a link to choose a new password
+ * @param {Object} user - The user
+ */
+const sendPasswordResetEmail = (user) => sendAccountEmail(user, 'password_reset');
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+};
@@ -6,52 +6,184 @@
  * - Text search with regex fallback
  * - Sorting
  * - Field selection
- * - Pagination
+ * - Pagination by page number or by cursor
+ *
+ * Each listing declares which fields clients may filter, sort and select
+ * on; anything else is rejected with a 400.
  */
 const mongoose = require('mongoose');
+const AppError = require('./appError');
+
+// Query parameters that are not field filters
+const EXCLUDED_FIELDS = ['page', 'sort', 'limit', 'fields', 'search', 'after', 'before', 'count'];
+
+// Filter operators, e.g. ?startDate[gte]=2025-01-01 or ?status[in]=draft,published
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'ne', 'in', 'nin', 'exists', 'between'];
+
+/**
+ * Split a query value into a list; values may be comma separated or repeated
+ */
+const toList = (value) => [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const parseBoolean = (field, value) => {
+    if (value === 'true' || value === true) return true;
+    if (value === 'false' || value === false) return false;
+    throw new Error(`${field} must be true or false`);
+};
+
+/**
+ * Value of a field on a result, either a document or a lean object
+ * Populated references are reduced to their ID
+ */
+const readValue = (doc, field) => {
+    const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+    if (value === undefined || value === null) return null;
+    return value._id || value;
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+};
 
 class APIFeatures {
-    constructor(query, queryString) {
+    /**
+     * @param {Object} query - Mongoose query
+     * @param {Object} queryString - Request query parameters
+     * @param {Object} [allowed] - Fields clients may use
+     * @param {Array<string>} [allowed.filterable] - Fields that can be filtered on
+     * @param {Array<string>} [allowed.sortable] - Fields that can be sorted by
+     * @param {Array<string>} [allowed.selectable] - Fields that can be selected
+     */
+    constructor(query, queryString, allowed = {}) {
         this.query = query;
         this.queryString = queryString;
+        this.allowed = {
+            filterable: allowed.filterable || [],
+            sortable: allowed.sortable || [],
+            selectable: allowed.selectable || [],
+        };
     }
 
     /**
-     * Filter query by field values
-     * Supports comparison operators: gte, gt, lte, lt
-     * Handles ObjectId fields automatically
+     * Convert a query string value to the field's schema type
      */
-    filter() {
-        const queryObj = { ...this.queryString };
-        const excludedFields = ['page', 'sort', 'limit', 'fields', 'search'];
-        excludedFields.forEach(field => delete queryObj[field]);
+    castValue(field, value) {
+        const schemaType = this.query.model.schema.path(field);
+        // Array fields match on their elements
+        const type = (schemaType && schemaType.caster) || schemaType;
 
-        // Fields that should be treated as ObjectIds
-        const objectIdFields = ['organisationId', 'userId', 'eventId'];
+        switch (type && type.instance) {
+            case 'ObjectId':
+                if (!mongoose.Types.ObjectId.isValid(value)) {
+                    throw new Error(`${field} must be a valid ID`);
+                }
+                return new mongoose.Types.ObjectId(value);
+            case 'Date': {
+                const date = new Date(value);
+                if (Number.isNaN(date.getTime())) {
+                    throw new Error(`${field} must be a valid date`);
+                }
+                return date;
+            }
+            case 'Number': {
+                const number = Number(value);
+                if (value === '' || Number.isNaN(number)) {
+                    throw new Error(`${field} must be a number`);
+                }
+                return number;
+            }
+            case 'Boolean':
+                return parseBoolean(field, value);
+            default:
+                if (typeof value !== 'string') {
+                    throw new Error(`${field} must be a single value`);
+                }
+                if (type && type.enumValues && type.enumValues.length > 0 && !type.enumValues.includes(value)) {
+                    throw new Error(`${field} must be one of [${type.enumValues.join(', ')}]`);
+                }
+                return value;
+        }
+    }
 
-        // Convert ObjectId string fields to actual ObjectIds
-        objectIdFields.forEach(field => {
-            if (queryObj[field] && mongoose.Types.ObjectId.isValid(queryObj[field])) {
-                queryObj[field] = new mongoose.Types.ObjectId(queryObj[field]);
+    /**
+     * Mongo condition for one filter parameter
+     * - ?status=draft - equal
+     * - ?status=draft,published - any of the values
+     * - ?price[gte]=10&price[lt]=50, ?startDate[between]=2025-01-01,2025-02-01
+     * - ?status[in]=a,b, ?status[nin]=a,b, ?status[ne]=a, ?coverImage[exists]=true
+     */
+    buildCondition(field, value) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            const values = toList(value).map(item => this.castValue(field, item));
+            if (values.length === 0) {
+                throw new Error(`${field} needs a value`);
+            }
+            return values.length === 1 ? values[0] : { $in: values };
+        }
+
+        const condition = {};
+        Object.entries(value).forEach(([operator, operand]) => {
+            if (!OPERATORS.includes(operator)) {
+                throw new Error(`Unknown operator "${operator}" for ${field}. Use one of: ${OPERATORS.join(', ')}`);
+            }
+
+            if (operator === 'exists') {
+                condition.$exists = parseBoolean(field, operand);
+            } else if (operator === 'in' || operator === 'nin') {
+                condition[`$${operator}`] = toList(operand).map(item => this.castValue(field, item));
+            } else if (operator === 'between') {
+                const bounds = toList(operand);
+                if (bounds.length !== 2) {
+                    throw new Error(`${field}[between] needs two comma-separated values`);
+                }
+                condition.$gte = this.castValue(field, bounds[0]);
+                condition.$lte = this.castValue(field, bounds[1]);
+            } else {
+                condition[`$${operator}`] = this.castValue(field, operand);
             }
         });
 
-        // Advanced filtering with comparison operators
-        let queryStr = JSON.stringify(queryObj);
-        queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
+        return condition;
+    }
 
-        // Parse back and handle ObjectIds (they get stringified)
-        const parsedQuery = JSON.parse(queryStr);
+    /**
+     * Filter query by field values
+     * Only the declared filterable fields are accepted; see buildCondition for the syntax
+     * @throws {AppError} 400 with a message per rejected field
+     */
+    filter() {
+        const queryObj = { ...this.queryString };
+        EXCLUDED_FIELDS.forEach(field => delete queryObj[field]);
+
+        const conditions = {};
+        const errors = {};
 
-        // Re-convert ObjectId fields after JSON parse
-        objectIdFields.forEach(field => {
-            if (parsedQuery[field] && typeof parsedQuery[field] === 'string' &&
-                mongoose.Types.ObjectId.isValid(parsedQuery[field])) {
-                parsedQuery[field] = new mongoose.Types.ObjectId(parsedQuery[field]);
+        Object.entries(queryObj).forEach(([field, value]) => {
+            if (!this.allowed.filterable.includes(field)) {
+                errors[field] = `Filtering by ${field} is not supported`;
+                return;
+            }
+            try {
+                conditions[field] = this.buildCondition(field, value);
+            } catch (err) {
+                errors[field] = err.message;
             }
         });
 
-        this.query = this.query.find(parsedQuery);
+        if (Object.keys(errors).length > 0) {
+            throw new AppError(Object.values(errors).join('. '), 400, errors);
+        }
+
+        this.query = this.query.find(conditions);
 
         return this;
     }
@@ -78,27 +210,51 @@ class APIFeatures {
     }
 
     /**
-     * Sort results by specified fields
+     * Sort results by specified fields, e.g. ?sort=-startDate,title
      * Default: newest first (-createdAt)
+     * _id breaks ties so that every result has a stable position for cursors
+     * @throws {AppError} 400 if a field is not sortable
      */
     sort() {
+        let sortBy = ['-createdAt'];
         if (this.queryString.sort) {
-            const sortBy = this.queryString.sort.split(',').join(' ');
-            this.query = this.query.sort(sortBy);
-        } else {
-            this.query = this.query.sort('-createdAt');
+            sortBy = toList(this.queryString.sort);
+            const rejected = sortBy
+                .map(field => field.replace(/^-/, ''))
+                .filter(field => !this.allowed.sortable.includes(field));
+            if (rejected.length > 0) {
+                const message = `Sorting by ${rejected.join(', ')} is not supported`;
+                throw new AppError(message, 400, { sort: message });
+            }
         }
 
+        // [[field, 1 | -1], ...]
+        this.sortSpec = sortBy.map(field => (
+            field.startsWith('-') ? [field.slice(1), -1] : [field, 1]
+        ));
+        this.sortSpec.push(['_id', this.sortSpec[this.sortSpec.length - 1][1]]);
+        this.sortKey = sortBy.join(',');
+
+        this.query = this.query.sort(Object.fromEntries(this.sortSpec));
+
         return this;
     }
 
     /**
-     * Select specific fields to return
+     * Select specific fields to return, e.g. ?fields=title,startDate
+     * @throws {AppError} 400 if a field is not selectable
      */
     limitFields() {
         if (this.queryString.fields) {
-            const fields = this.queryString.fields.split(',').join(' ');
-            this.query = this.query.select(fields);
+            const fields = toList(this.queryString.fields);
+            const rejected = fields.filter(field => !this.allowed.selectable.includes(field));
+            if (rejected.length > 0) {
+                const message = `Selecting ${rejected.join(', ')} is not supported`;
+                throw new AppError(message, 400, { fields: message });
+            }
+            // Cursors are built from the sort fields, so those are always returned
+            const sortFields = (this.sortSpec || []).map(([field]) => field);
+            this.query = this.query.select([...new Set([...fields, ...sortFields])].join(' '));
         } else {
             this.query = this.query.select('-__v');
         }
@@ -106,19 +262,147 @@ class APIFeatures {
         return this;
     }
 
+    /**
+     * Keyset condition matching the results after a cursor's position
+     * Ascending, missing values sort first; descending, they sort last
+     */
+    cursorCondition(values, sortSpec) {
+        const branches = [];
+
+        sortSpec.forEach(([field, direction], index) => {
+            const value = values[index];
+            let after;
+            if (direction === 1) {
+                after = value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+            } else if (value !== null) {
+                after = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+            } else {
+                // Nothing sorts after a missing value in descending order
+                return;
+            }
+
+            const equalities = sortSpec.slice(0, index).map(([previous], i) => ({ [previous]: values[i] }));
+            branches.push(equalities.length > 0 ? { $and: [...equalities, after] } : after);
+        });
+
+        return { $or: branches };
+    }
+
+    /**
+     * Read a cursor from ?after or ?before
+     * @throws {AppError} 400 if the cursor is malformed or from another sort order
+     */
+    parseCursor(param) {
+        const message = 'Invalid or expired cursor, please start from the first page';
+        const payload = decodeCursor(this.queryString[param]);
+
+        if (!payload || payload.s !== this.sortKey || !Array.isArray(payload.v) || payload.v.length !== this.sortSpec.length) {
+            throw new AppError(message, 400, { [param]: message });
+        }
+
+        try {
+            return this.sortSpec.map(([field], index) => (
+                payload.v[index] === null ? null : this.castValue(field, payload.v[index])
+            ));
+        } catch (err) {
+            throw new AppError(message, 400, { [param]: message });
+        }
+    }
+
     /**
      * Paginate results
-     * Default: page 1, limit 10
+     * - ?page=2 - page number, default 1
+     * - ?after=<nextCursor>, ?before=<prevCursor> - results next to a cursor from
+     *   an earlier response; stays stable while documents are added
+     * Default limit: 10
+     * Call after sort(); one extra result is fetched to tell whether more follow
+     * @param {number} [defaultLimit] - Page size when ?limit is not given
+     * @throws {AppError} 400 if both after and before are given or a cursor is invalid
      */
-    paginate() {
-        const page = this.queryString.page * 1 || 1;
-        const limit = this.queryString.limit * 1 || 10;
-        const skip = (page - 1) * limit;
+    paginate(defaultLimit = 10) {
+        const { after, before } = this.queryString;
+        if (after && before) {
+            const message = 'Use either after or before, not both';
+            throw new AppError(message, 400, { before: message });
+        }
+
+        this.limit = this.queryString.limit * 1 || defaultLimit;
+        this.cursorParam = (after && 'after') || (before && 'before') || null;
+        // Filter without the cursor, for counting all matches
+        this.countFilter = this.query.clone().getFilter();
+
+        if (this.cursorParam) {
+            // Walk backwards from a "before" cursor, results are put back in order later
+            const sortSpec = this.cursorParam === 'before'
+                ? this.sortSpec.map(([field, direction]) => [field, -direction])
+                : this.sortSpec;
+            const values = this.parseCursor(this.cursorParam);
 
-        this.query = this.query.skip(skip).limit(limit);
+            this.query = this.query
+                .and([this.cursorCondition(values, sortSpec)])
+                .sort(Object.fromEntries(sortSpec))
+                .limit(this.limit + 1);
+        } else {
+            this.page = this.queryString.page * 1 || 1;
+            this.query = this.query.skip((this.page - 1) * this.limit).limit(this.limit + 1);
+        }
 
         return this;
     }
+
+    /**
+     * Opaque cursor pointing at a result
+     */
+    cursorFor(doc) {
+        return encodeCursor({
+            s: this.sortKey,
+            v: this.sortSpec.map(([field]) => readValue(doc, field)),
+        });
+    }
+
+    /**
+     * Total number of matches, or undefined when not requested
+     * Counted by default for page numbers; cursor requests count with ?count=true
+     */
+    async countTotal() {
+        const { count } = this.queryString;
+        const wanted = count === undefined ? !this.cursorParam : parseBoolean('count', count);
+        if (!wanted) return undefined;
+
+        return this.query.model.countDocuments(this.countFilter);
+    }
+
+    /**
+     * Trim the results fetched by paginate() and describe the page
+     * @param {Array} docs - Results of the paginated query
+     * @returns {Promise<{docs: Array, pagination: Object}>} pagination holds
+     *   total, page and totalPages (when counted) and nextCursor and prevCursor
+     */
+    async paginateResults(docs) {
+        const hasMore = docs.length > this.limit;
+        let results = docs.slice(0, this.limit);
+        if (this.cursorParam === 'before') results = results.reverse();
+
+        const first = results[0];
+        const last = results[results.length - 1];
+        const total = await this.countTotal();
+
+        const pagination = { total };
+        if (this.cursorParam === 'after') {
+            pagination.nextCursor = hasMore ? this.cursorFor(last) : null;
+            pagination.prevCursor = first ? this.cursorFor(first) : null;
+        } else if (this.cursorParam === 'before') {
+            pagination.nextCursor = last ? this.cursorFor(last) : null;
+            pagination.prevCursor = hasMore ? this.cursorFor(first) : null;
+        } else {
+            pagination.page = this.page;
+            if (total !== undefined) pagination.totalPages = Math.ceil(total / this.limit);
+            pagination.nextCursor = hasMore ? this.cursorFor(last) : null;
+            pagination.prevCursor = this.page > 1 && first ? this.cursorFor(first) : null;
+        }
+
+        return { docs: results, pagination };
+    }
 }
 
-module.exports = APIFeatures;
\ No newline at end of file
+module.exports = APIFeatures;
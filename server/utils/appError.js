@@ -6,13 +6,17 @@ class AppError extends Error {
   /**
    * @param {string} message - Error message
    * @param {number} statusCode - HTTP status code
+   * @param {Object<string, string>} [errors] - Messages keyed by field, for inline form errors
    */
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errors) {
     super(message);
 
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true; // Operational errors vs programming errors
+    if (errors) {
+      this.errors = errors;
+    }
 
     // Capture stack trace
     Error.captureStackTrace(this, this.constructor);
@@ -0,0 +1,157 @@
+/**
+ * Application Export Helper
+ *
+ * Streams applications as CSV straight from a database cursor, so large
+ * attendee lists are never loaded into memory at once
+ * - One column per registration question when exporting a single event
+ * - Otherwise all answers are combined into one "Answers" column
+ */
+
+const { once } = require('events');
+const Application = require('../models/application.model');
+const Event = require('../models/event.model');
+
+// Documents fetched from MongoDB per round trip
+const CURSOR_BATCH_SIZE = 500;
+
+// Rows buffered before writing to the response
+const ROWS_PER_CHUNK = 200;
+
+const BASE_COLUMNS = [
+    'Name',
+    'Email',
+    'Event',
+    'Event Start',
+    'Status',
+    'Processed By',
+    'Processed At',
+    'Applied At',
+    'Updated At',
+    'Checked In At',
+    'Rejection Reason',
+    'Message',
+];
+
+/**
+ * Escape one CSV cell
+ * Cells starting with formula characters are prefixed so spreadsheet
+ * apps do not execute them
+ */
+const escapeCell = (value) => {
+    if (value === undefined || value === null) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (cells) => cells.map(escapeCell).join(',') + '\r\n';
+
+/**
+ * Format an answer value for a cell
+ */
+const formatAnswer = (value) => (typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value);
+
+/**
+ * Stream applications matching a filter as a CSV download
+ * @param {Object} res - Express response
+ * @param {Object} filter - Application query filter
+ * @param {Object} [options]
+ * @param {string} [options.eventId] - Single event being exported (adds question columns)
+ * @param {string} [options.filename] - Download file name
+ */
+const streamApplicationsCsv = async (res, filter, { eventId, filename = 'applications.csv' } = {}) => {
+    const event = eventId
+        ? await Event.findById(eventId).select('registrationQuestions')
+        : null;
+    const questions = event?.registrationQuestions || [];
+
+    const header = event
+        ? [...BASE_COLUMNS, ...questions.map(question => question.label)]
+        : [...BASE_COLUMNS, 'Answers'];
+
+    res.status(200);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+
+    // Byte order mark so spreadsheet apps read non-Latin text (e.g. Georgian) correctly
+    res.write('\uFEFF' + toRow(header));
+
+    const cursor = Application.find(filter)
+        .sort({ createdAt: 1 })
+        .populate('userId', 'name email')
+        .populate('eventId', 'title startDate')
+        .populate('processedBy', 'name')
+        .lean()
+        .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+    // Stop reading when the client goes away, also while waiting for 'drain'
+    const closed = new AbortController();
+    res.on('close', () => closed.abort());
+
+    let chunk = '';
+    let rowsInChunk = 0;
+
+    const flush = async () => {
+        if (!chunk) return;
+        const canContinue = res.write(chunk);
+        chunk = '';
+        rowsInChunk = 0;
+        // Respect backpressure from slow clients
+        if (canContinue || closed.signal.aborted) return;
+        try {
+            await once(res, 'drain', { signal: closed.signal });
+        } catch (err) {
+            // A disconnected client never drains - the loop stops on the next check
+            if (err.name !== 'AbortError') throw err;
+        }
+    };
+
+    try {
+        for await (const application of cursor) {
+            if (closed.signal.aborted) break;
+
+            const answers = application.answers || [];
+            const answerCells = event
+                ? questions.map(question => {
+                    const answer = answers.find(a => a.questionId && a.questionId.toString() === question._id.toString());
+                    return answer ? formatAnswer(answer.value) : '';
+                })
+                : [answers.map(a => `${a.label}: ${formatAnswer(a.value)}`).join('; ')];
+
+            chunk += toRow([
+                application.userId?.name,
+                application.userId?.email,
+                application.eventId?.title,
+                application.eventId?.startDate,
+                application.status,
+                application.processedBy?.name,
+                application.processedAt,
+                application.createdAt,
+                application.updatedAt,
+                application.checkedInAt,
+                application.rejectionReason,
+                application.message,
+                ...answerCells,
+            ]);
+            rowsInChunk += 1;
+
+            if (rowsInChunk >= ROWS_PER_CHUNK) await flush();
+        }
+
+        await flush();
+        res.end();
+    } catch (err) {
+        // Headers are already sent, so the error handler cannot reply - cut the download short instead
+        console.error('Error streaming application export:', err);
+        res.destroy(err);
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = {
+    streamApplicationsCsv,
+};
@@ -70,7 +70,71 @@ const deleteFromCloudinary = async (imageUrl) => {
   }
 };
 
+/**
+ * Upload a private document (e.g. a PDF) to Cloudinary from buffer
+ * Stored as-is (raw, no transformations) and only reachable through signed
+ * download links, see getDocumentUrl
+ * @param {Buffer} fileBuffer - File buffer from multer
+ * @param {String} fileName - Original file name, kept in the public ID
+ * @param {String} folder - Cloudinary folder name
+ * @returns {Promise<String>} - Public ID of the document
+ */
+const uploadDocumentToCloudinary = (fileBuffer, fileName, folder = 'conevent') => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: folder,
+        resource_type: 'raw',
+        type: 'authenticated',
+        use_filename: true,
+        unique_filename: true,
+        filename_override: fileName
+      },
+      (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result.public_id);
+        }
+      }
+    );
+
+    Readable.from(fileBuffer).pipe(uploadStream);
+  });
+};
+
+/**
+ * Short-lived signed download link for a private document
+ * @param {String} publicId - Public ID from uploadDocumentToCloudinary
+ * @param {Number} expiresInSeconds - How long the link works
+ * @returns {String} - Download URL
+ */
+const getDocumentUrl = (publicId, expiresInSeconds = 60 * 60) => {
+  return cloudinary.utils.private_download_url(publicId, '', {
+    resource_type: 'raw',
+    type: 'authenticated',
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+  });
+};
+
+/**
+ * Delete a private document from Cloudinary
+ * @param {String} publicId - Public ID from uploadDocumentToCloudinary
+ * @returns {Promise<Object>} - Deletion result
+ */
+const deleteDocumentFromCloudinary = async (publicId) => {
+  try {
+    return await cloudinary.uploader.destroy(publicId, { resource_type: 'raw', type: 'authenticated' });
+  } catch (error) {
+    console.error('Error deleting document from Cloudinary:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   uploadToCloudinary,
-  deleteFromCloudinary
+  deleteFromCloudinary,
+  uploadDocumentToCloudinary,
+  getDocumentUrl,
+  deleteDocumentFromCloudinary
 };
\ No newline at end of file
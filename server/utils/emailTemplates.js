@@ -0,0 +1,362 @@
+/**
+ * Email Templates
+ *
+ * Localized (en/ka) HTML and plain text emails for notifications
+ * - One entry per notification type: subject, body lines and call to action
+ * - Account emails (verification, password reset, team invitations, organisation
+ *   registration decisions) are marked `account` and get their own footer, as
+ *   they are not controlled by notification settings
+ * - Every value interpolated into HTML is escaped
+ */
+
+const SUPPORTED_LOCALES = ['en', 'ka'];
+const DEFAULT_LOCALE = 'en';
+
+const STRINGS = {
+    en: {
+        // Invitees may not have an account, and so no name, yet
+        greeting: (name) => (name ? `Hi ${name},` : 'Hi,'),
+        footer: 'You are receiving this email because of your notification settings on Conevent. You can change them under Settings.',
+        accountFooter: 'You are receiving this email because of a request for your Conevent account. If it was not you, you can ignore this email.',
+        roles: {
+            owner: 'Owner',
+            editor: 'Event Manager',
+            reviewer: 'Application Reviewer',
+            checkin: 'Check-in Staff',
+        },
+        email_verification: {
+            account: true,
+            subject: () => 'Confirm your email address',
+            lines: (d) => [
+                'Please confirm your email address to finish setting up your Conevent account.',
+                `The link expires in ${d.expiresInHours} hour${d.expiresInHours === 1 ? '' : 's'}.`,
+            ],
+            action: 'Confirm email',
+        },
+        password_reset: {
+            account: true,
+            subject: () => 'Reset your password',
+            lines: (d) => [
+                'We received a request to reset the password for your Conevent account.',
+                `The link expires in ${d.expiresInHours} hour${d.expiresInHours === 1 ? '' : 's'} and can only be used once.`,
+            ],
+            action: 'Reset password',
+        },
+        organisation_invitation: {
+            account: true,
+            subject: (d) => `Join ${d.organisationName} on Conevent`,
+            lines: (d) => [
+                `${d.inviterName || 'The team'} invited you to join ${d.organisationName} on Conevent as ${d.roleName}.`,
+                'If you do not have a Conevent account yet, you can create one when you accept.',
+                `The invitation expires in ${d.expiresInDays} day${d.expiresInDays === 1 ? '' : 's'}.`,
+            ],
+            action: 'Accept invitation',
+        },
+        organisation_request_approved: {
+            account: true,
+            subject: (d) => `${d.organisationName} is now on Conevent`,
+            lines: (d) => [
+                `Your request to register ${d.organisationName} was approved, and the organisation is now verified.`,
+                'You are its owner: you can publish events and invite your team from the organisation dashboard.',
+            ],
+            action: 'Open organisation dashboard',
+        },
+        organisation_request_rejected: {
+            account: true,
+            subject: (d) => `Update on your request to register ${d.organisationName}`,
+            lines: (d) => [
+                `Unfortunately, your request to register ${d.organisationName} on Conevent was not approved.`,
+                d.reason && `Reason: ${d.reason}`,
+                'You can send a new request with updated details.',
+            ],
+            action: 'Open Conevent',
+        },
+        application_received: {
+            subject: (d) => `New application for "${d.eventTitle}"`,
+            lines: (d) => [`${d.applicantName} applied to "${d.eventTitle}".`],
+            action: 'Review applications',
+        },
+        application_accepted: {
+            subject: (d) => `You're in: "${d.eventTitle}"`,
+            lines: (d) => [
+                `Congratulations! Your application to "${d.eventTitle}" was accepted.`,
+                d.eventDate && `The event starts on ${d.eventDate}.`,
+            ],
+            action: 'View my ticket',
+        },
+        application_rejected: {
+            subject: (d) => `Update on your application to "${d.eventTitle}"`,
+            lines: (d) => [
+                `Unfortunately, your application to "${d.eventTitle}" was not accepted.`,
+                d.rejectionReason && `Reason: ${d.rejectionReason}`,
+            ],
+            action: 'My applications',
+        },
+        waitlist_promoted: {
+            subject: (d) => `A spot opened up: "${d.eventTitle}"`,
+            lines: (d) => [
+                `A spot opened up and you've been accepted to "${d.eventTitle}".`,
+                d.eventDate && `The event starts on ${d.eventDate}.`,
+            ],
+            action: 'View my ticket',
+        },
+        event_message: {
+            subject: (d) => d.title,
+            lines: (d) => [`Message from the organisers of "${d.eventTitle}":`, d.message],
+            action: 'Open Conevent',
+        },
+        new_event: {
+            subject: (d) => `New event: "${d.eventTitle}"`,
+            lines: (d) => [
+                `${d.organisationName} just published "${d.eventTitle}".`,
+                d.eventDate && `It starts on ${d.eventDate}.`,
+            ],
+            action: 'View event',
+        },
+        event_reminder: {
+            subject: (d) => `Reminder: "${d.eventTitle}" is coming up`,
+            lines: (d) => [
+                `This is a reminder that "${d.eventTitle}" starts on ${d.eventDate}.`,
+                'Have your ticket ready for check-in.',
+            ],
+            action: 'View my ticket',
+        },
+        event_cancelled: {
+            subject: (d) => `Cancelled: "${d.eventTitle}"`,
+            lines: (d) => [
+                `Unfortunately, "${d.eventTitle}" has been cancelled by the organisers.`,
+                d.reason && `Reason: ${d.reason}`,
+                'Your application has been cancelled.',
+            ],
+            action: 'My applications',
+        },
+        event_rescheduled: {
+            subject: (d) => `New date for "${d.eventTitle}"`,
+            lines: (d) => [
+                `"${d.eventTitle}" has been rescheduled. It now starts on ${d.eventDate}.`,
+                d.reason && `Reason: ${d.reason}`,
+                'If you can no longer attend, please cancel your application so someone else can take your place.',
+            ],
+            action: 'My applications',
+        },
+    },
+    ka: {
+        greeting: (name) => (name ? `გამარჯობა, ${name}!` : 'გამარჯობა!'),
+        footer: 'ამ წერილს იღებთ Conevent-ზე თქვენი შეტყობინებების პარამეტრების გამო. მათი შეცვლა შეგიძლიათ პარამეტრებში.',
+        accountFooter: 'ამ წერილს იღებთ თქვენი Conevent-ის ანგარიშისთვის გაკეთებული მოთხოვნის გამო. თუ ეს თქვენ არ იყავით, უგულებელყავით ეს წერილი.',
+        roles: {
+            owner: 'მფლობელი',
+            editor: 'ღონისძიებების მენეჯერი',
+            reviewer: 'განაცხადების განმხილველი',
+            checkin: 'რეგისტრაციის პერსონალი',
+        },
+        email_verification: {
+            account: true,
+            subject: () => 'დაადასტურეთ ელფოსტის მისამართი',
+            lines: (d) => [
+                'Conevent-ის ანგარიშის შექმნის დასასრულებლად დაადასტურეთ ელფოსტის მისამართი.',
+                `ბმული მოქმედებს ${d.expiresInHours} საათის განმავლობაში.`,
+            ],
+            action: 'ელფოსტის დადასტურება',
+        },
+        password_reset: {
+            account: true,
+            subject: () => 'პაროლის აღდგენა',
+            lines: (d) => [
+                'მივიღეთ მოთხოვნა თქვენი Conevent-ის ანგარიშის პაროლის აღდგენაზე.',
+                `ბმული მოქმედებს ${d.expiresInHours} საათის განმავლობაში და მისი გამოყენება მხოლოდ ერთხელ შეიძლება.`,
+            ],
+            action: 'პაროლის აღდგენა',
+        },
+        organisation_invitation: {
+            account: true,
+            subject: (d) => `მოწვევა ორგანიზაციის „${d.organisationName}“ გუნდში`,
+            lines: (d) => [
+                `${d.inviterName || 'გუნდი'} გიწვევთ Conevent-ზე ორგანიზაციის „${d.organisationName}“ გუნდში როლით: ${d.roleName}.`,
+                'თუ Conevent-ის ანგარიში ჯერ არ გაქვთ, მოწვევის მიღებისას შეგიძლიათ შექმნათ.',
+                `მოწვევა მოქმედებს ${d.expiresInDays} დღის განმავლობაში.`,
+            ],
+            action: 'მოწვევის მიღება',
+        },
+        organisation_request_approved: {
+            account: true,
+            subject: (d) => `ორგანიზაცია „${d.organisationName}“ უკვე Conevent-ზეა`,
+            lines: (d) => [
+                `ორგანიზაციის „${d.organisationName}“ რეგისტრაციის მოთხოვნა დამტკიცდა და ორგანიზაცია ვერიფიცირებულია.`,
+                'თქვენ ხართ მისი მფლობელი: ორგანიზაციის პანელიდან შეგიძლიათ ღონისძიებების გამოქვეყნება და გუნდის მოწვევა.',
+            ],
+            action: 'ორგანიზაციის პანელის გახსნა',
+        },
+        organisation_request_rejected: {
+            account: true,
+            subject: (d) => `ორგანიზაციის „${d.organisationName}“ რეგისტრაციის მოთხოვნა`,
+            lines: (d) => [
+                `სამწუხაროდ, ორგანიზაციის „${d.organisationName}“ Conevent-ზე რეგისტრაციის მოთხოვნა არ დამტკიცდა.`,
+                d.reason && `მიზეზი: ${d.reason}`,
+                'შეგიძლიათ გამოგზავნოთ ახალი მოთხოვნა განახლებული მონაცემებით.',
+            ],
+            action: 'Conevent-ის გახსნა',
+        },
+        application_received: {
+            subject: (d) => `ახალი განაცხადი: „${d.eventTitle}“`,
+            lines: (d) => [`ღონისძიებაზე „${d.eventTitle}“ ახალი განაცხადი შემოვიდა: ${d.applicantName}.`],
+            action: 'განაცხადების ნახვა',
+        },
+        application_accepted: {
+            subject: (d) => `განაცხადი მიღებულია: „${d.eventTitle}“`,
+            lines: (d) => [
+                `გილოცავთ! თქვენი განაცხადი ღონისძიებაზე „${d.eventTitle}“ მიღებულია.`,
+                d.eventDate && `ღონისძიება იწყება: ${d.eventDate}.`,
+            ],
+            action: 'ბილეთის ნახვა',
+        },
+        application_rejected: {
+            subject: (d) => `განაცხადის სტატუსი: „${d.eventTitle}“`,
+            lines: (d) => [
+                `სამწუხაროდ, თქვენი განაცხადი ღონისძიებაზე „${d.eventTitle}“ არ იქნა მიღებული.`,
+                d.rejectionReason && `მიზეზი: ${d.rejectionReason}`,
+            ],
+            action: 'ჩემი განაცხადები',
+        },
+        waitlist_promoted: {
+            subject: (d) => `გათავისუფლდა ადგილი: „${d.eventTitle}“`,
+            lines: (d) => [
+                `გათავისუფლდა ადგილი და თქვენ მიღებული ხართ ღონისძიებაზე „${d.eventTitle}“.`,
+                d.eventDate && `ღონისძიება იწყება: ${d.eventDate}.`,
+            ],
+            action: 'ბილეთის ნახვა',
+        },
+        event_message: {
+            subject: (d) => d.title,
+            lines: (d) => [`შეტყობინება ღონისძიების „${d.eventTitle}“ ორგანიზატორებისგან:`, d.message],
+            action: 'Conevent-ის გახსნა',
+        },
+        new_event: {
+            subject: (d) => `ახალი ღონისძიება: „${d.eventTitle}“`,
+            lines: (d) => [
+                `${d.organisationName} აქვეყნებს ახალ ღონისძიებას „${d.eventTitle}“.`,
+                d.eventDate && `ღონისძიება იწყება: ${d.eventDate}.`,
+            ],
+            action: 'ღონისძიების ნახვა',
+        },
+        event_reminder: {
+            subject: (d) => `შეხსენება: „${d.eventTitle}“ მალე იწყება`,
+            lines: (d) => [
+                `შეგახსენებთ, რომ ღონისძიება „${d.eventTitle}“ იწყება: ${d.eventDate}.`,
+                'რეგისტრაციისთვის მოამზადეთ ბილეთი.',
+            ],
+            action: 'ბილეთის ნახვა',
+        },
+        event_cancelled: {
+            subject: (d) => `გაუქმებულია: „${d.eventTitle}“`,
+            lines: (d) => [
+                `სამწუხაროდ, ორგანიზატორებმა ღონისძიება „${d.eventTitle}“ გააუქმეს.`,
+                d.reason && `მიზეზი: ${d.reason}`,
+                'თქვენი განაცხადი გაუქმებულია.',
+            ],
+            action: 'ჩემი განაცხადები',
+        },
+        event_rescheduled: {
+            subject: (d) => `ახალი თარიღი: „${d.eventTitle}“`,
+            lines: (d) => [
+                `ღონისძიება „${d.eventTitle}“ გადაიდო. ახალი დაწყების დრო: ${d.eventDate}.`,
+                d.reason && `მიზეზი: ${d.reason}`,
+                'თუ დასწრებას ვეღარ შეძლებთ, გთხოვთ გააუქმოთ განაცხადი, რომ ადგილი სხვას დაუთმოთ.',
+            ],
+            action: 'ჩემი განაცხადები',
+        },
+    },
+};
+
+/**
+ * Escape text for HTML
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Pick a supported locale
+ */
+const resolveLocale = (locale) => (SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+/**
+ * Format a date for an email in the recipient's language
+ */
+const formatEmailDate = (date, locale) => {
+    if (!date) return null;
+    return new Date(date).toLocaleString(resolveLocale(locale) === 'ka' ? 'ka-GE' : 'en-GB', {
+        dateStyle: 'long',
+        timeStyle: 'short',
+        timeZone: 'UTC',
+    }) + ' UTC';
+};
+
+/**
+ * Wrap the email body in a minimal, inline-styled layout
+ */
+const renderHtml = ({ greeting, lines, action, url, footer, locale }) => `<!DOCTYPE html>
+<html lang="${locale}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body style="margin:0;padding:24px;background:#f5f3ff;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;">
+<tr><td style="padding:24px 32px;background:#7c3aed;border-radius:12px 12px 0 0;color:#ffffff;font-size:20px;font-weight:bold;">Conevent</td></tr>
+<tr><td style="padding:32px;">
+<p style="margin:0 0 16px;">${escapeHtml(greeting)}</p>
+${lines.map((line) => `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(line)}</p>`).join('\n')}
+${url ? `<p style="margin:24px 0 0;"><a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 20px;background:#7c3aed;color:#ffffff;text-decoration:none;border-radius:8px;">${escapeHtml(action)}</a></p>` : ''}
+</td></tr>
+<tr><td style="padding:16px 32px;border-top:1px solid #e5e7eb;font-size:12px;color:#6b7280;">${escapeHtml(footer)}</td></tr>
+</table>
+</body>
+</html>`;
+
+/**
+ * Render an email for a notification type
+ * @param {string} type - Notification type
+ * @param {string} locale - 'en' or 'ka' (falls back to English)
+ * @param {Object} data - Template data: recipientName, eventTitle, eventDate,
+ *   organisationName, applicantName, rejectionReason, reason, title, message, url,
+ *   expiresInHours, expiresInDays, inviterName, role (organisation member role)
+ * @returns {{subject: string, html: string, text: string}|null} - null when the type has no template
+ */
+const renderEmail = (type, locale, data) => {
+    const resolvedLocale = resolveLocale(locale);
+    const strings = STRINGS[resolvedLocale];
+    const template = strings[type];
+    if (!template) return null;
+
+    const templateData = {
+        ...data,
+        eventDate: formatEmailDate(data.eventDate, resolvedLocale),
+        roleName: data.role && strings.roles[data.role],
+    };
+    const greeting = strings.greeting(data.recipientName);
+    const lines = template.lines(templateData).filter(Boolean);
+    const footer = template.account ? strings.accountFooter : strings.footer;
+
+    const text = [
+        greeting,
+        '',
+        ...lines,
+        ...(data.url ? ['', `${template.action}: ${data.url}`] : []),
+        '',
+        '--',
+        footer,
+    ].join('\n');
+
+    return {
+        subject: template.subject(templateData),
+        html: renderHtml({ greeting, lines, action: template.action, url: data.url, footer, locale: resolvedLocale }),
+        text,
+    };
+};
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    formatEmailDate,
+    renderEmail,
+};
@@ -0,0 +1,175 @@
+/**
+ * iCalendar Helper
+ *
+ * Builds RFC 5545 calendars from events:
+ * - One VEVENT per event with a UID derived from the event ID, so
+ *   calendar apps update the same entry instead of adding duplicates
+ * - SEQUENCE follows Event.calendarSequence, which is bumped whenever the
+ *   time, place or cancellation status of an event changes
+ * - Cancelled events are kept in feeds with STATUS:CANCELLED so
+ *   subscribers see the cancellation
+ */
+
+// Fields whose change must reach calendar apps as a new revision
+const CALENDAR_FIELDS = ['startDate', 'endDate', 'eventType', 'onlineLink', 'street', 'address', 'city'];
+
+const PRODUCT_ID = '-//Conevent//Conevent Events//EN';
+const UID_DOMAIN = 'conevent';
+
+/**
+ * Escape a value for use in a TEXT property
+ */
+const escapeText = (value) =>
+    String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME (e.g. 20250101T090000Z)
+ */
+const formatDate = (date) =>
+    new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to at most 75 octets per line
+ * Never splits a multi-byte character (Georgian text is 3 bytes per letter)
+ */
+const foldLine = (line) => {
+    if (Buffer.byteLength(line) <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    // Continuation lines start with a space, which counts towards the limit
+    let limit = 75;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+            limit = 74;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Location text for an event
+ */
+const getLocation = (event) => {
+    const venue = [event.street, event.address, event.city].filter(Boolean).join(', ');
+    if (event.eventType === 'online') return event.onlineLink || 'Online';
+    if (event.eventType === 'hybrid' && event.onlineLink) {
+        return venue ? `${venue} / ${event.onlineLink}` : event.onlineLink;
+    }
+    return venue;
+};
+
+/**
+ * Map event status to a VEVENT STATUS value
+ */
+const getStatus = (event) => {
+    if (event.status === 'cancelled') return 'CANCELLED';
+    if (event.status === 'draft') return 'TENTATIVE';
+    return 'CONFIRMED';
+};
+
+/**
+ * Build the content lines of one VEVENT
+ * @param {Object} event - Event document (organisationId may be populated)
+ * @param {Date} now - DTSTAMP value
+ */
+const buildEventLines = (event, now) => {
+    const organisation = event.organisationId && event.organisationId.name ? event.organisationId : null;
+
+    const description = [
+        event.description,
+        event.onlineLink ? `Online: ${event.onlineLink}` : null,
+        event.requirements ? `Requirements: ${event.requirements}` : null,
+    ].filter(Boolean).join('\n\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDate(now)}`,
+        `DTSTART:${formatDate(event.startDate)}`,
+        `DTEND:${formatDate(event.endDate)}`,
+        `SEQUENCE:${event.calendarSequence || 0}`,
+        `STATUS:${getStatus(event)}`,
+        `SUMMARY:${escapeText(event.title)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+    ];
+
+    const location = getLocation(event);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+    if (event.onlineLink) lines.push(`URL:${event.onlineLink}`);
+    if (organisation && organisation.email) {
+        lines.push(`ORGANIZER;CN="${String(organisation.name).replace(/"/g, '\'')}":mailto:${organisation.email}`);
+    }
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array} options.events - Event documents
+ * @param {boolean} [options.feed] - Add refresh hints for subscribed feeds
+ * @returns {string} - iCalendar text
+ */
+const buildCalendar = ({ name, events, feed = false }) => {
+    const now = new Date();
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    if (feed) {
+        lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H');
+    }
+
+    events.forEach(event => lines.push(...buildEventLines(event, now)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Check whether an update changed anything calendar apps must pick up
+ * @param {Object} oldEvent - Event before the update
+ * @param {Object} newEvent - Event after the update
+ * @returns {boolean}
+ */
+const hasCalendarChanges = (oldEvent, newEvent) => {
+    const fieldChanged = CALENDAR_FIELDS.some(field => {
+        const before = oldEvent[field] instanceof Date ? oldEvent[field].getTime() : oldEvent[field];
+        const after = newEvent[field] instanceof Date ? newEvent[field].getTime() : newEvent[field];
+        return (before ?? null) !== (after ?? null);
+    });
+
+    const cancelledChanged = (oldEvent.status === 'cancelled') !== (newEvent.status === 'cancelled');
+
+    return fieldChanged || cancelledChanged;
+};
+
+module.exports = {
+    buildCalendar,
+    hasCalendarChanges,
+};
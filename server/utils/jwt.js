@@ -2,7 +2,7 @@ const jwt = require('jsonwebtoken');
 const config = require('../config/index.config');
 
 exports.generateToken = (payload) => {
-  return jwt.sign(payload, config.jwtSecret, { expiresIn: config.jwtExpire });
+  return jwt.sign(payload, config.jwtSecret, { expiresIn: `${config.accessTokenTtlMinutes}m` });
 };
 
 exports.verifyToken = (token) => {
@@ -12,3 +12,45 @@ exports.verifyToken = (token) => {
     return null;
   }
 };
+
+/**
+ * Sign an event ticket
+ * Tickets use their own audience so they can never be used as a login token
+ * (and login tokens can never be used as tickets)
+ * @param {Object} payload - { applicationId, eventId, code }
+ * @param {Date} expiresAt - When the ticket stops being valid
+ */
+exports.generateTicketToken = (payload, expiresAt) => {
+  return jwt.sign(payload, config.jwtSecret, {
+    audience: 'ticket',
+    expiresIn: Math.max(Math.floor((expiresAt - Date.now()) / 1000), 60)
+  });
+};
+
+exports.verifyTicketToken = (token) => {
+  try {
+    return jwt.verify(token, config.jwtSecret, { audience: 'ticket' });
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sign a two-factor challenge, issued once the password was accepted
+ * Uses its own audience, so it only ever works for entering the code
+ * @param {string} userId - User who passed the password step
+ */
+exports.generateTwoFactorChallengeToken = (userId) => {
+  return jwt.sign({ id: userId }, config.jwtSecret, {
+    audience: 'two_factor',
+    expiresIn: `${config.twoFactor.challengeTtlMinutes}m`
+  });
+};
+
+exports.verifyTwoFactorChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, config.jwtSecret, { audience: 'two_factor' });
+  } catch (error) {
+    return null;
+  }
+};
@@ -2,131 +2,417 @@
  * Notification Helper
  *
  * Utility functions to create notifications and emit them in real-time
+ * Every notification passes through the recipient's preferences:
+ * - Notifications about muted organisations or events are dropped
+ * - In-app notifications are stored, real-time ones are pushed over the socket
+ * - Email notifications are rendered in the recipient's language and queued
+ *   in the email outbox, so a mail failure never fails the caller
  */
 
 const Notification = require('../models/notification.model');
+const NotificationPreference = require('../models/notificationPreference.model');
+const Event = require('../models/event.model');
 const User = require('../models/user.model');
+const Application = require('../models/application.model');
 const socketService = require('../services/socket.service');
+const emailOutbox = require('../services/emailOutbox.service');
+const { renderEmail, formatEmailDate } = require('./emailTemplates');
+const config = require('../config/index.config');
+
+// Notifications inserted per database round trip in bulk operations
+const NOTIFICATION_BATCH_SIZE = 500;
 
 /**
- * Create a notification and emit it via Socket.io
- * @param {Object} options
- * @param {string} options.recipientId - User ID to receive notification
- * @param {string} options.type - Notification type
- * @param {string} options.title - Notification title
- * @param {string} options.message - Notification message
- * @param {string} [options.relatedEvent] - Related event ID
- * @param {string} [options.relatedApplication] - Related application ID
+ * Push a notification to its recipient if online
+ * @param {Object} notification - Stored notification, or notification data for real-time only delivery
  */
-const createAndEmit = async ({
-    recipientId,
-    type,
-    title,
-    message,
-    relatedEvent,
-    relatedApplication,
-}) => {
-    // Create notification in DB
-    const notification = await Notification.create({
-        recipientId,
-        type,
-        title,
-        message,
-        relatedEvent,
-        relatedApplication,
-    });
-
-    // Emit to user if online
-    socketService.emitToUser(recipientId, 'notification', {
+const emitNotification = (notification) => {
+    socketService.emitToUser(notification.recipientId, 'notification', {
         _id: notification._id,
         type: notification.type,
         title: notification.title,
         message: notification.message,
         relatedEvent: notification.relatedEvent,
         relatedApplication: notification.relatedApplication,
-        isRead: notification.isRead,
-        createdAt: notification.createdAt,
+        isRead: notification.isRead || false,
+        createdAt: notification.createdAt || new Date(),
+    });
+};
+
+/**
+ * Check whether a notification concerns something the recipient muted
+ * @param {Object|null} preference - Recipient's preferences
+ * @param {Object} notification - Notification data
+ * @param {Map} eventOrganisations - Event ID -> organisation ID
+ */
+const isMuted = (preference, notification, eventOrganisations) => {
+    if (!preference || !notification.relatedEvent) return false;
+
+    const eventId = notification.relatedEvent.toString();
+    if ((preference.mutedEvents || []).some((id) => id.toString() === eventId)) {
+        return true;
+    }
+
+    const organisationId = eventOrganisations.get(eventId);
+    return !!organisationId && (preference.mutedOrganisations || []).some((id) => id.toString() === organisationId);
+};
+
+/**
+ * Apply recipients' preferences to a list of notifications
+ * @param {Array} notifications - Notification data (recipientId, type, relatedEvent, ...)
+ * @returns {Promise<{stored: Array, realtimeOnly: Array, email: Array}>} - Notifications
+ *   to store (each with whether to push it), notifications to push without
+ *   storing and notifications to email
+ */
+const applyPreferences = async (notifications) => {
+    const recipientIds = [...new Set(notifications.map((n) => n.recipientId.toString()))];
+    const preferences = await NotificationPreference.find({ userId: { $in: recipientIds } }).lean();
+    const preferenceByUser = new Map(preferences.map((p) => [p.userId.toString(), p]));
+
+    // Muted organisations are matched through the notification's event
+    let eventOrganisations = new Map();
+    if (preferences.some((p) => p.mutedOrganisations?.length > 0)) {
+        const eventIds = [...new Set(
+            notifications.filter((n) => n.relatedEvent).map((n) => n.relatedEvent.toString())
+        )];
+        const events = await Event.find({ _id: { $in: eventIds } }).select('organisationId').lean();
+        eventOrganisations = new Map(events.map((e) => [e._id.toString(), e.organisationId.toString()]));
+    }
+
+    const stored = [];
+    const realtimeOnly = [];
+    const email = [];
+
+    notifications.forEach((notification) => {
+        const preference = preferenceByUser.get(notification.recipientId.toString());
+        if (isMuted(preference, notification, eventOrganisations)) return;
+
+        const channels = NotificationPreference.getChannels(preference, notification.type);
+        if (channels.inApp) {
+            stored.push({ notification, realtime: channels.realtime });
+        } else if (channels.realtime) {
+            realtimeOnly.push(notification);
+        }
+        if (channels.email) {
+            email.push(notification);
+        }
     });
 
-    return notification;
+    return { stored, realtimeOnly, email };
 };
 
 /**
- * Notify all users about a new event
+ * Link in an email to the page where the recipient can act on it
+ * @param {string} type - Notification type
+ */
+const getEmailUrl = (type) => (
+    type === 'application_received'
+        ? `${config.frontendUrl}/organisation`
+        : `${config.frontendUrl}/dashboard`
+);
+
+/**
+ * Render notifications as emails and add them to the outbox
+ * Recipients, events and applications are loaded in one query each
+ * @param {Array} notifications - Notification data to email, optionally with
+ *   emailData: extra template data that is not stored with the notification
+ * @returns {Promise<number>} - Number of emails queued
+ */
+const queueNotificationEmails = async (notifications) => {
+    if (notifications.length === 0) return 0;
+
+    const unique = (values) => [...new Set(values.filter(Boolean).map((value) => value.toString()))];
+
+    const [users, events, applications] = await Promise.all([
+        User.find({ _id: { $in: unique(notifications.map((n) => n.recipientId)) }, isActive: true })
+            .select('name email language')
+            .lean(),
+        Event.find({ _id: { $in: unique(notifications.map((n) => n.relatedEvent)) } })
+            .select('title startDate organisationId')
+            .populate('organisationId', 'name')
+            .lean(),
+        Application.find({ _id: { $in: unique(notifications.map((n) => n.relatedApplication)) } })
+            .select('userId rejectionReason')
+            .populate('userId', 'name')
+            .lean(),
+    ]);
+
+    const userById = new Map(users.map((u) => [u._id.toString(), u]));
+    const eventById = new Map(events.map((e) => [e._id.toString(), e]));
+    const applicationById = new Map(applications.map((a) => [a._id.toString(), a]));
+
+    const emails = [];
+
+    notifications.forEach((notification) => {
+        const user = userById.get(notification.recipientId.toString());
+        if (!user?.email) return;
+
+        const event = notification.relatedEvent && eventById.get(notification.relatedEvent.toString());
+        const application = notification.relatedApplication
+            && applicationById.get(notification.relatedApplication.toString());
+
+        const rendered = renderEmail(notification.type, user.language, {
+            recipientName: user.name,
+            eventTitle: event?.title,
+            eventDate: event?.startDate,
+            organisationName: event?.organisationId?.name,
+            applicantName: application?.userId?.name,
+            rejectionReason: application?.rejectionReason,
+            title: notification.title,
+            message: notification.message,
+            url: getEmailUrl(notification.type),
+            ...notification.emailData,
+        });
+        if (!rendered) return;
+
+        emails.push({
+            to: user.email,
+            recipientId: user._id,
+            type: notification.type,
+            ...rendered,
+        });
+    });
+
+    await emailOutbox.enqueue(emails);
+    return emails.length;
+};
+
+/**
+ * Create many notifications in batches and emit them via Socket.io,
+ * respecting each recipient's preferences
+ * @param {Array} notifications - Notification documents to create
+ * @returns {Promise<Array>} - Stored notifications
+ */
+const createAndEmitMany = async (notifications) => {
+    const created = [];
+
+    for (let i = 0; i < notifications.length; i += NOTIFICATION_BATCH_SIZE) {
+        const { stored, realtimeOnly, email } = await applyPreferences(
+            notifications.slice(i, i + NOTIFICATION_BATCH_SIZE)
+        );
+
+        if (stored.length > 0) {
+            const batch = await Notification.insertMany(stored.map((item) => item.notification));
+            batch.forEach((notification, index) => {
+                if (stored[index].realtime) emitNotification(notification);
+            });
+            created.push(...batch);
+        }
+
+        realtimeOnly.forEach(emitNotification);
+
+        // Email is best effort: the notifications above are already delivered
+        try {
+            await queueNotificationEmails(email);
+        } catch (error) {
+            console.error('Failed to queue notification emails:', error.message);
+        }
+    }
+
+    return created;
+};
+
+/**
+ * Create a notification and emit it via Socket.io, respecting the
+ * recipient's preferences
+ * @param {Object} options
+ * @param {string} options.recipientId - User ID to receive notification
+ * @param {string} options.type - Notification type
+ * @param {string} options.title - Notification title
+ * @param {string} options.message - Notification message
+ * @param {string} [options.relatedEvent] - Related event ID
+ * @param {string} [options.relatedApplication] - Related application ID
+ * @returns {Promise<Object|null>} - Stored notification, or null if not stored
+ */
+const createAndEmit = async (options) => {
+    const [notification] = await createAndEmitMany([options]);
+    return notification || null;
+};
+
+/**
+ * Notify followers about a new event
+ * Recipients are active users following the organisation or the event's
+ * category. They are read with a cursor and notified batch by batch, so
+ * large follower lists are never loaded at once
  * @param {Object} event - The event object
- * @param {Object} organisation - The organisation object
+ * @param {Object} organisation - The organisation document (name, members)
+ * @returns {Promise<number>} - Number of notifications created
  */
 const notifyNewEvent = async (event, organisation) => {
-    // Get all active users
-    const users = await User.find({ isActive: true }).select('_id');
-
-    // Create notifications for all users
-    const notifications = users.map((user) => ({
-        recipientId: user._id,
-        type: 'new_event',
-        title: 'New Event',
-        message: `${organisation.name} just published "${event.title}"`,
-        relatedEvent: event._id,
-    }));
-
-    // Bulk insert notifications
-    await Notification.insertMany(notifications);
-
-    // Emit to all connected users
-    socketService.emitToAll('new_event', {
-        type: 'new_event',
-        title: 'New Event',
-        message: `${organisation.name} just published "${event.title}"`,
-        event: {
-            _id: event._id,
-            title: event.title,
-            coverImage: event.coverImage,
-            startDate: event.startDate,
-            organisationName: organisation.name,
-        },
-    });
+    const message = `${organisation.name} just published "${event.title}"`;
+
+    const cursor = User.find({
+        isActive: true,
+        // The organisation's own members do not need to hear about their event
+        _id: { $nin: organisation.getMemberIds() },
+        $or: [
+            { followedOrganisations: organisation._id },
+            { followedCategories: event.category },
+        ],
+    })
+        .select('_id')
+        .lean()
+        .cursor({ batchSize: NOTIFICATION_BATCH_SIZE });
+
+    let created = 0;
+    let batch = [];
+
+    for await (const user of cursor) {
+        batch.push({
+            recipientId: user._id,
+            type: 'new_event',
+            title: 'New Event',
+            message,
+            relatedEvent: event._id,
+        });
+
+        if (batch.length >= NOTIFICATION_BATCH_SIZE) {
+            created += (await createAndEmitMany(batch)).length;
+            batch = [];
+        }
+    }
+
+    if (batch.length > 0) {
+        created += (await createAndEmitMany(batch)).length;
+    }
+
+    return created;
 };
 
 /**
- * Notify organisation admins about a new application
- * @param {Object} application - The application object (populated)
- * @param {Array} adminIds - Array of admin user IDs
- */
-const notifyNewApplication = async (application, adminIds) => {
-    const notifications = adminIds.map((adminId) => ({
-        recipientId: adminId,
-        type: 'application_received',
-        title: 'New Application',
-        message: `${application.userId.name} applied to "${application.eventId.title}"`,
-        relatedEvent: application.eventId._id,
-        relatedApplication: application._id,
-    }));
+ * Describe the time left until an event starts, e.g. "24 hours" or "45 minutes"
+ * @param {number} ms - Milliseconds until the start
+ */
+const formatTimeUntil = (ms) => {
+    const minutes = Math.max(1, Math.round(ms / (60 * 1000)));
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Remind accepted attendees that an event is about to start
+ * Attendees are read with a cursor and notified batch by batch
+ * @param {Object} event - The event object (title, startDate)
+ * @param {Date} [now] - Reference time for the "starts in" text
+ * @returns {Promise<number>} - Number of notifications created
+ */
+const notifyEventReminder = async (event, now = new Date()) => {
+    const message = `"${event.title}" starts in ${formatTimeUntil(event.startDate.getTime() - now.getTime())}`;
 
-    // Bulk insert notifications
-    await Notification.insertMany(notifications);
+    const cursor = Application.find({ eventId: event._id, status: 'accepted' })
+        .select('_id userId')
+        .lean()
+        .cursor({ batchSize: NOTIFICATION_BATCH_SIZE });
 
-    // Emit to each admin
-    adminIds.forEach((adminId) => {
-        socketService.emitToUser(adminId, 'notification', {
+    let created = 0;
+    let batch = [];
+
+    for await (const application of cursor) {
+        batch.push({
+            recipientId: application.userId,
+            type: 'event_reminder',
+            title: 'Event Reminder',
+            message,
+            relatedEvent: event._id,
+            relatedApplication: application._id,
+        });
+
+        if (batch.length >= NOTIFICATION_BATCH_SIZE) {
+            created += (await createAndEmitMany(batch)).length;
+            batch = [];
+        }
+    }
+
+    if (batch.length > 0) {
+        created += (await createAndEmitMany(batch)).length;
+    }
+
+    return created;
+};
+
+/**
+ * Shorten text to fit a notification message
+ */
+const truncate = (text, maxLength) => (
+    text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+);
+
+/**
+ * Tell applicants that an event was cancelled
+ * @param {Object} event - The event object (title)
+ * @param {Array} applications - Affected applications (_id, userId)
+ * @param {string} [reason] - Cancellation reason
+ * @returns {Promise<Array>} - Stored notifications
+ */
+const notifyEventCancelled = async (event, applications, reason) => {
+    const message = `"${event.title}" has been cancelled${reason ? `: ${reason}` : ''}`;
+
+    return createAndEmitMany(
+        applications.map((application) => ({
+            recipientId: application.userId._id || application.userId,
+            type: 'event_cancelled',
+            title: 'Event Cancelled',
+            message: truncate(message, 500),
+            relatedEvent: event._id,
+            relatedApplication: application._id,
+            emailData: { reason },
+        }))
+    );
+};
+
+/**
+ * Tell applicants that an event moved to a new time
+ * @param {Object} event - The event object (title, startDate)
+ * @param {Array} applications - Affected applications (_id, userId)
+ * @param {string} [reason] - Reason for the change
+ * @returns {Promise<Array>} - Stored notifications
+ */
+const notifyEventRescheduled = async (event, applications, reason) => {
+    const message = `"${event.title}" has been rescheduled to ${formatEmailDate(event.startDate, 'en')}`
+        + (reason ? `: ${reason}` : '');
+
+    return createAndEmitMany(
+        applications.map((application) => ({
+            recipientId: application.userId._id || application.userId,
+            type: 'event_rescheduled',
+            title: 'Event Rescheduled',
+            message: truncate(message, 500),
+            relatedEvent: event._id,
+            relatedApplication: application._id,
+            emailData: { reason },
+        }))
+    );
+};
+
+/**
+ * Notify organisation reviewers about a new application
+ * @param {Object} application - The application object (populated)
+ * @param {Array} reviewerIds - Array of user IDs of members who review applications
+ */
+const notifyNewApplication = async (application, reviewerIds) => {
+    return createAndEmitMany(
+        reviewerIds.map((reviewerId) => ({
+            recipientId: reviewerId,
             type: 'application_received',
             title: 'New Application',
             message: `${application.userId.name} applied to "${application.eventId.title}"`,
             relatedEvent: application.eventId._id,
             relatedApplication: application._id,
-            createdAt: new Date(),
-        });
-    });
+        }))
+    );
 };
 
 /**
- * Notify user about application status change
- * @param {Object} application - The application object (populated)
+ * Build the notification for an application status change
+ * @param {Object} application - The application object (eventId populated with title)
  * @param {string} status - 'accepted' or 'rejected'
  */
-const notifyApplicationStatus = async (application, status) => {
+const buildStatusNotification = (application, status) => {
     const isAccepted = status === 'accepted';
 
-    const notification = await Notification.create({
+    return {
         recipientId: application.userId._id || application.userId,
         type: isAccepted ? 'application_accepted' : 'application_rejected',
         title: isAccepted ? 'Application Accepted' : 'Application Rejected',
@@ -135,26 +421,73 @@ const notifyApplicationStatus = async (application, status) => {
             : `Your application to "${application.eventId.title}" was not accepted`,
         relatedEvent: application.eventId._id || application.eventId,
         relatedApplication: application._id,
-    });
+    };
+};
 
-    // Emit to user
-    socketService.emitToUser(application.userId._id || application.userId, 'notification', {
-        _id: notification._id,
-        type: notification.type,
-        title: notification.title,
-        message: notification.message,
-        relatedEvent: notification.relatedEvent,
-        relatedApplication: notification.relatedApplication,
-        isRead: false,
-        createdAt: notification.createdAt,
+/**
+ * Notify user about application status change
+ * @param {Object} application - The application object (populated)
+ * @param {string} status - 'accepted' or 'rejected'
+ */
+const notifyApplicationStatus = async (application, status) => {
+    return createAndEmit(buildStatusNotification(application, status));
+};
+
+/**
+ * Notify user that they were promoted from the waitlist
+ * @param {Object} application - The application object (eventId populated with title)
+ */
+const notifyWaitlistPromotion = async (application) => {
+    return createAndEmit({
+        recipientId: application.userId._id || application.userId,
+        type: 'waitlist_promoted',
+        title: 'Spot Available',
+        message: `A spot opened up and you've been accepted to "${application.eventId.title}"`,
+        relatedEvent: application.eventId._id || application.eventId,
+        relatedApplication: application._id,
     });
+};
 
-    return notification;
+/**
+ * Notify many users about their application status changes (bulk processing)
+ * @param {Array} applications - Applications (eventId populated with title)
+ * @param {string} status - 'accepted' or 'rejected'
+ */
+const notifyApplicationStatusBulk = async (applications, status) => {
+    return createAndEmitMany(
+        applications.map((application) => buildStatusNotification(application, status))
+    );
+};
+
+/**
+ * Send an organiser's message to applicants
+ * @param {Array} applications - Applications (eventId populated with title)
+ * @param {string} title - Message title
+ * @param {string} message - Message body
+ */
+const notifyApplicantsMessage = async (applications, title, message) => {
+    return createAndEmitMany(
+        applications.map((application) => ({
+            recipientId: application.userId._id || application.userId,
+            type: 'event_message',
+            title: title || `Message about "${application.eventId.title}"`,
+            message,
+            relatedEvent: application.eventId._id || application.eventId,
+            relatedApplication: application._id,
+        }))
+    );
 };
 
 module.exports = {
     createAndEmit,
+    createAndEmitMany,
     notifyNewEvent,
+    notifyEventReminder,
+    notifyEventCancelled,
+    notifyEventRescheduled,
     notifyNewApplication,
     notifyApplicationStatus,
+    notifyWaitlistPromotion,
+    notifyApplicationStatusBulk,
+    notifyApplicantsMessage,
 };
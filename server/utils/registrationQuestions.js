@@ -0,0 +1,152 @@
+/**
+ * Registration Questions Helper
+ *
+ * Custom questions organisers attach to an event (student ID, faculty,
+ * T-shirt size, ...) and validation of applicants' answers
+ *
+ * Question types:
+ * - text: free text
+ * - number: numeric value
+ * - select: one of the question's options
+ * - checkbox: true/false (a required checkbox must be ticked)
+ */
+
+const AppError = require('./appError');
+
+const QUESTION_TYPES = ['text', 'number', 'select', 'checkbox'];
+const MAX_QUESTIONS = 20;
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+/**
+ * Normalise the question list sent by the event form
+ * Accepts an array or a JSON string (multipart form submissions)
+ * @param {Array|string} raw - Questions from the request body
+ * @returns {Array} - Questions ready to be stored on the event
+ */
+const parseQuestions = (raw) => {
+    if (raw === undefined || raw === null || raw === '') return [];
+
+    let questions = raw;
+    if (typeof raw === 'string') {
+        try {
+            questions = JSON.parse(raw);
+        } catch {
+            throw new AppError('Registration questions must be valid JSON', 400);
+        }
+    }
+
+    if (!Array.isArray(questions)) {
+        throw new AppError('Registration questions must be a list', 400);
+    }
+    if (questions.length > MAX_QUESTIONS) {
+        throw new AppError(`An event can have at most ${MAX_QUESTIONS} registration questions`, 400);
+    }
+
+    return questions.map((question, index) => {
+        if (!question || typeof question !== 'object' || Array.isArray(question)) {
+            throw new AppError(`Question ${index + 1} must be an object with a label and a type`, 400);
+        }
+
+        const label = String(question.label || '').trim();
+        if (!label) {
+            throw new AppError(`Question ${index + 1} needs a label`, 400);
+        }
+        if (!QUESTION_TYPES.includes(question.type)) {
+            throw new AppError(`Question "${label}" has an invalid type`, 400);
+        }
+
+        if (question.type === 'select' && question.options !== undefined && !Array.isArray(question.options)) {
+            throw new AppError(`The options of question "${label}" must be a list`, 400);
+        }
+
+        const options = question.type === 'select'
+            ? [...new Set((question.options || []).map(option => String(option).trim()).filter(Boolean))]
+            : [];
+        if (question.type === 'select' && options.length < 2) {
+            throw new AppError(`Question "${label}" needs at least two options`, 400);
+        }
+
+        return {
+            // Keep existing IDs so stored answers still match after an edit
+            ...(question._id && { _id: question._id }),
+            label,
+            type: question.type,
+            required: question.required === true || question.required === 'true',
+            options,
+        };
+    });
+};
+
+/**
+ * Validate answers against an event's questions
+ * @param {Array} questions - Event registrationQuestions
+ * @param {Object} rawAnswers - Answers keyed by question ID
+ * @returns {{answers: Array, errors: Array<string>}}
+ */
+const validateAnswers = (questions = [], rawAnswers = {}) => {
+    const answers = [];
+    const errors = [];
+    const input = rawAnswers && typeof rawAnswers === 'object' ? rawAnswers : {};
+
+    questions.forEach(question => {
+        const id = question._id.toString();
+        const raw = input[id];
+        const isEmpty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+        let value;
+        switch (question.type) {
+            case 'checkbox':
+                value = raw === true || raw === 'true';
+                if (question.required && !value) {
+                    errors.push(`"${question.label}" must be checked`);
+                    return;
+                }
+                break;
+
+            case 'number':
+                if (isEmpty) break;
+                value = Number(raw);
+                if (!Number.isFinite(value)) {
+                    errors.push(`"${question.label}" must be a number`);
+                    return;
+                }
+                break;
+
+            case 'select':
+                if (isEmpty) break;
+                value = String(raw);
+                if (!question.options.includes(value)) {
+                    errors.push(`"${question.label}" must be one of: ${question.options.join(', ')}`);
+                    return;
+                }
+                break;
+
+            default:
+                if (isEmpty) break;
+                value = String(raw).trim();
+                if (value.length > MAX_TEXT_ANSWER_LENGTH) {
+                    errors.push(`"${question.label}" cannot exceed ${MAX_TEXT_ANSWER_LENGTH} characters`);
+                    return;
+                }
+        }
+
+        if (value === undefined) {
+            if (question.required) errors.push(`"${question.label}" is required`);
+            return;
+        }
+
+        answers.push({
+            questionId: question._id,
+            label: question.label,
+            value,
+        });
+    });
+
+    return { answers, errors };
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    parseQuestions,
+    validateAnswers,
+};
@@ -1,39 +1,111 @@
 const config = require('../config/index.config');
-const { generateToken } = require('./jwt');
+const { generateToken, generateTwoFactorChallengeToken } = require('./jwt');
+const { createSession } = require('../services/session.service');
+const { withTwoFactorStatus } = require('../services/twoFactor.service');
+
+// Cookie settings shared by the access and refresh token cookies
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none'
+};
+
+// The refresh token is only ever sent to the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
 
 /**
- * Send JWT token as HTTP-only cookie
+ * Send the short-lived access token (JWT) as HTTP-only cookie
+ * The token carries the session ID, so it stops working when the session is revoked
  */
 const sendTokenCookie = (res, tokenPayload) => {
   const token = generateToken(tokenPayload);
 
   res.cookie('token', token, {
-    httpOnly: true,
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    secure: true,
-    sameSite: 'none'
+    ...cookieOptions,
+    maxAge: config.accessTokenTtlMinutes * 60 * 1000
   });
 
   return token;
 };
 
 /**
- * Send token cookie and JSON response for user
+ * Send the refresh token as HTTP-only cookie
+ */
+const sendRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: config.refreshTokenTtlDays * 24 * 60 * 60 * 1000
+  });
+};
+
+/**
+ * Send the two-factor challenge as HTTP-only cookie
+ * Proves the password was accepted while the user enters the code
+ */
+const sendTwoFactorChallengeCookie = (res, user) => {
+  res.cookie('twoFactorChallenge', generateTwoFactorChallengeToken(user._id), {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: config.twoFactor.challengeTtlMinutes * 60 * 1000
+  });
+};
+
+const clearTwoFactorChallengeCookie = (res) => {
+  res.clearCookie('twoFactorChallenge', { ...cookieOptions, path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Clear all auth cookies
  */
-const sendUserResponse = (res, user, statusCode = 200) => {
-  sendTokenCookie(res, {
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', cookieOptions);
+  res.clearCookie('refreshToken', { ...cookieOptions, path: REFRESH_COOKIE_PATH });
+  clearTwoFactorChallengeCookie(res);
+};
+
+/**
+ * Send the access token for a user's session
+ */
+const sendAccessToken = (res, user, sessionId) => {
+  return sendTokenCookie(res, {
     id: user._id,
     accountType: 'user',
-    role: user.role
+    role: user.role,
+    sid: sessionId
   });
+};
+
+/**
+ * Start a new session for a user and send both cookies
+ */
+const startSession = async (req, res, user) => {
+  const { session, refreshToken } = await createSession(user, req);
+
+  sendAccessToken(res, user, session._id);
+  sendRefreshCookie(res, refreshToken);
+
+  return session;
+};
+
+/**
+ * Start a session and send the JSON response for user
+ */
+const sendUserResponse = async (req, res, user, statusCode = 200) => {
+  await startSession(req, res, user);
 
   res.status(statusCode).json({
     success: true,
-    user
+    user: await withTwoFactorStatus(user)
   });
 };
 
 module.exports = {
-  sendTokenCookie,
+  sendAccessToken,
+  sendRefreshCookie,
+  sendTwoFactorChallengeCookie,
+  clearTwoFactorChallengeCookie,
+  clearAuthCookies,
+  startSession,
   sendUserResponse
 };
@@ -0,0 +1,182 @@
+/**
+ * TOTP (RFC 6238)
+ *
+ * Time-based one-time passwords as used by authenticator apps:
+ * HMAC-SHA1, 30 second steps, 6 digits
+ * Also encryption of the stored secrets and one-time recovery codes
+ */
+
+const crypto = require('crypto');
+const config = require('../config/index.config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Steps accepted either side of the current one, for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * New random secret, base32 encoded as authenticator apps expect
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Number of 30 second steps since the Unix epoch
+ */
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const getStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code against the current time
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} The matching time step (to reject the same code twice), or null
+ */
+const verifyCode = (secret, code, now = Date.now()) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = getStep(now);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * otpauth:// URL shown as a QR code during enrolment
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+    const issuer = config.twoFactor.issuer;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+};
+
+const getEncryptionKey = () => crypto
+    .createHash('sha256')
+    .update(config.twoFactor.encryptionKey || config.jwtSecret)
+    .digest();
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @returns {string} "iv.tag.ciphertext", base64 parts
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash of a recovery code; dashes, spaces and case are ignored
+ */
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code || '').toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+/**
+ * New set of recovery codes, e.g. "k3v9x-2mq7d"
+ * @returns {{codes: string[], hashes: string[]}} Codes to show once, hashes to store
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl,
+    encryptSecret,
+    decryptSecret,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+};
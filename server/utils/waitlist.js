@@ -0,0 +1,56 @@
+/**
+ * Waitlist Helper
+ *
+ * Promotes waitlisted applications when an event has free capacity
+ */
+
+const Application = require('../models/application.model');
+const Event = require('../models/event.model');
+const { notifyWaitlistPromotion } = require('./notificationHelper');
+
+/**
+ * Promote waitlisted applications in order until the event is full
+ * A seat is reserved on the event before each promotion and the status
+ * switch is atomic, so concurrent calls can neither promote the same
+ * application twice nor pass the event's capacity
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} - Promoted applications
+ */
+const promoteFromWaitlist = async (eventId) => {
+    const event = await Event.findById(eventId).select('title capacity status');
+    if (!event || !['published', 'ongoing'].includes(event.status)) {
+        return [];
+    }
+
+    const promoted = [];
+
+    while (await Event.reserveSeats(event._id)) {
+        const application = await Application.findOneAndUpdate(
+            { eventId: event._id, status: 'waitlisted' },
+            {
+                $set: { status: 'accepted', processedAt: new Date() },
+                $unset: { waitlistPosition: 1 },
+            },
+            { sort: { waitlistPosition: 1, createdAt: 1 }, new: true }
+        );
+
+        if (!application) {
+            // Nobody left on the waitlist - give the seat back
+            await Event.releaseSeats(event._id);
+            break;
+        }
+
+        application.eventId = event;
+        promoted.push(application);
+
+        notifyWaitlistPromotion(application).catch(err => {
+            console.error('Error sending waitlist promotion notification:', err);
+        });
+    }
+
+    return promoted;
+};
+
+module.exports = {
+    promoteFromWaitlist,
+};
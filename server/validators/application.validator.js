@@ -0,0 +1,192 @@
+/**
+ * Application Validation Schemas
+ */
+
+const Joi = require('joi');
+const Application = require('../models/application.model');
+const { objectId, idParams, listQuery } = require('./common.validator');
+
+const STATUSES = Application.schema.path('status').enumValues;
+
+// Decisions organisers can make on an application
+const DECISIONS = ['accepted', 'rejected'];
+
+// Same bound as the bulk service
+const MAX_BULK_ITEMS = 1000;
+
+const eventIdParams = Joi.object({
+    eventId: objectId().required(),
+});
+
+// Status filter of listings; "all" means no filter
+const statusFilter = Joi.string().valid(...STATUSES, 'all');
+
+const bulkSelectionMessages = {
+    'object.xor': 'Provide either a list of application IDs or a filter',
+    'object.missing': 'Provide either a list of application IDs or a filter',
+};
+
+// Either explicit application IDs or a filter selecting them
+const bulkSelection = {
+    ids: Joi.array().items(objectId()).min(1).max(MAX_BULK_ITEMS).unique(),
+    filter: Joi.object({
+        eventId: objectId().required(),
+        status: Joi.string().valid(...STATUSES),
+    }),
+};
+
+/**
+ * POST /applications
+ * Answers are keyed by registration question ID and checked against the event's questions
+ */
+const createApplication = {
+    body: Joi.object({
+        eventId: objectId().required(),
+        message: Joi.string().trim().allow('').max(500),
+        answers: Joi.object().pattern(
+            objectId(),
+            Joi.alternatives().try(Joi.string().allow('').max(1000), Joi.number(), Joi.boolean()).allow(null)
+        ),
+    }),
+};
+
+/**
+ * GET /applications/my
+ * Field filters are checked by APIFeatures against the filterable fields
+ */
+const getMyApplications = {
+    query: Joi.object(listQuery).unknown(true),
+};
+
+/**
+ * GET /applications/admin
+ * Other field filters are checked by APIFeatures
+ */
+const getAdminApplications = {
+    query: Joi.object({
+        ...listQuery,
+        status: statusFilter,
+        eventId: objectId(),
+        userId: objectId(),
+    }).unknown(true),
+};
+
+/**
+ * GET /applications/organisation
+ * Without organisationId, applications of all the user's organisations are listed
+ */
+const getOrganisationApplications = {
+    query: Joi.object({
+        ...listQuery,
+        status: statusFilter,
+        eventId: objectId(),
+        organisationId: objectId(),
+    }),
+};
+
+/**
+ * GET /applications/admin/export
+ */
+const exportApplications = {
+    query: Joi.object({
+        format: Joi.string().valid('csv'),
+        status: statusFilter,
+        eventId: objectId(),
+    }),
+};
+
+/**
+ * GET /applications/organisation/export
+ */
+const exportOrganisationApplications = {
+    query: exportApplications.query.keys({
+        organisationId: objectId(),
+    }),
+};
+
+/**
+ * GET /applications/:id, PATCH /applications/:id/cancel, GET /applications/:id/ticket
+ */
+const applicationById = {
+    params: idParams,
+};
+
+/**
+ * GET /applications/stats/:eventId, GET /applications/waitlist/:eventId, GET /applications/check-in/:eventId
+ */
+const applicationsByEvent = {
+    params: eventIdParams,
+};
+
+/**
+ * PATCH /applications/:id/status
+ */
+const updateApplicationStatus = {
+    params: idParams,
+    body: Joi.object({
+        status: Joi.string().valid(...DECISIONS).required(),
+        rejectionReason: Joi.string().trim().allow('').max(500),
+    }),
+};
+
+/**
+ * POST /applications/bulk/status
+ */
+const bulkUpdateApplicationStatus = {
+    body: Joi.object({
+        status: Joi.string().valid(...DECISIONS).required(),
+        rejectionReason: Joi.string().trim().allow('').max(500),
+        ...bulkSelection,
+    }).xor('ids', 'filter').messages(bulkSelectionMessages),
+};
+
+/**
+ * POST /applications/bulk/message
+ */
+const bulkMessageApplicants = {
+    body: Joi.object({
+        title: Joi.string().trim().allow('').max(200),
+        message: Joi.string().trim().max(500).required(),
+        ...bulkSelection,
+    }).xor('ids', 'filter').messages(bulkSelectionMessages),
+};
+
+/**
+ * PATCH /applications/waitlist/:eventId
+ */
+const reorderWaitlist = {
+    params: eventIdParams,
+    body: Joi.object({
+        order: Joi.array().items(objectId()).min(1).unique().required(),
+    }),
+};
+
+/**
+ * POST /applications/check-in
+ * The QR code carries a signed token, staff can also type the short code
+ */
+const checkIn = {
+    body: Joi.object({
+        eventId: objectId().required(),
+        token: Joi.string().trim().max(2000),
+        code: Joi.string().trim().max(20),
+    }).or('token', 'code').messages({
+        'object.missing': 'A ticket token or code is required',
+    }),
+};
+
+module.exports = {
+    createApplication,
+    getMyApplications,
+    getAdminApplications,
+    getOrganisationApplications,
+    exportApplications,
+    exportOrganisationApplications,
+    applicationById,
+    applicationsByEvent,
+    updateApplicationStatus,
+    bulkUpdateApplicationStatus,
+    bulkMessageApplicants,
+    reorderWaitlist,
+    checkIn,
+};
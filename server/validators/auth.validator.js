@@ -0,0 +1,149 @@
+/**
+ * Auth Validation Schemas
+ */
+
+const Joi = require('joi');
+const User = require('../models/user.model');
+const { email, idParams } = require('./common.validator');
+
+const LANGUAGES = User.schema.path('language').enumValues;
+
+const password = () => Joi.string().min(6).max(128);
+
+// Single-use tokens from account emails; unknown tokens are rejected by the controller
+const emailToken = () => Joi.string().trim().max(200);
+
+// Six digit code from the authenticator app, spaces ignored
+const totpCode = () => Joi.string().replace(/\s/g, '').pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Code must be 6 digits',
+});
+
+const recoveryCode = () => Joi.string().trim().max(50);
+
+const codeMessages = {
+    'object.missing': 'Please provide the code from your authenticator app or a recovery code',
+    'object.xor': 'Provide either a code or a recovery code, not both',
+};
+
+/**
+ * POST /auth/signup
+ */
+const signup = {
+    body: Joi.object({
+        name: Joi.string().trim().min(2).max(100).required(),
+        email: email().required(),
+        password: password().required(),
+    }),
+};
+
+/**
+ * POST /auth/login
+ * No password rules here, old passwords may predate them
+ */
+const login = {
+    body: Joi.object({
+        email: email().required(),
+        password: Joi.string().max(128).required(),
+    }),
+};
+
+/**
+ * GET /auth/google/callback
+ */
+const googleCallback = {
+    query: Joi.object({
+        code: Joi.string().max(2000),
+        error: Joi.string().max(200),
+    }),
+};
+
+/**
+ * POST /auth/forgot-password
+ */
+const forgotPassword = {
+    body: Joi.object({
+        email: email().required(),
+    }),
+};
+
+/**
+ * POST /auth/reset-password
+ */
+const resetPassword = {
+    body: Joi.object({
+        token: emailToken().required(),
+        password: password().required(),
+    }),
+};
+
+/**
+ * POST /auth/verify-email
+ */
+const verifyEmail = {
+    body: Joi.object({
+        token: emailToken().required(),
+    }),
+};
+
+/**
+ * POST /auth/2fa/verify
+ */
+const verifyTwoFactorLogin = {
+    body: Joi.object({
+        code: totpCode(),
+        recoveryCode: recoveryCode(),
+    }).xor('code', 'recoveryCode').messages(codeMessages),
+};
+
+/**
+ * POST /auth/2fa/enable, POST /auth/2fa/recovery-codes
+ */
+const twoFactorCode = {
+    body: Joi.object({
+        code: totpCode().required(),
+    }),
+};
+
+/**
+ * POST /auth/2fa/disable
+ * The password is only checked for accounts that have one
+ */
+const disableTwoFactor = {
+    body: Joi.object({
+        password: Joi.string().allow('').max(128),
+        code: totpCode(),
+        recoveryCode: recoveryCode(),
+    }).xor('code', 'recoveryCode').messages(codeMessages),
+};
+
+/**
+ * PUT /auth/profile
+ */
+const updateProfile = {
+    body: Joi.object({
+        name: Joi.string().trim().min(2).max(100),
+        bio: Joi.string().trim().allow('').max(500),
+        language: Joi.string().valid(...LANGUAGES),
+    }),
+};
+
+/**
+ * DELETE /auth/sessions/:id
+ */
+const revokeSession = {
+    params: idParams,
+};
+
+module.exports = {
+    signup,
+    login,
+    googleCallback,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    verifyTwoFactorLogin,
+    twoFactorCode,
+    disableTwoFactor,
+    updateProfile,
+    revokeSession,
+};
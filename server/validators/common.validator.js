@@ -0,0 +1,62 @@
+/**
+ * Common Validation Schemas
+ *
+ * Building blocks shared by the per-module validators
+ */
+
+const Joi = require('joi');
+
+// Largest page size a listing accepts
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * MongoDB ObjectId as a 24 character hex string
+ */
+const objectId = () => Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': '{#label} must be a valid ID' });
+
+/**
+ * Email address; any top-level domain is accepted
+ */
+const email = () => Joi.string()
+    .trim()
+    .lowercase()
+    .email({ tlds: { allow: false } });
+
+/**
+ * Params of routes addressing a single document by :id
+ */
+const idParams = Joi.object({
+    id: objectId().required(),
+});
+
+/**
+ * Opaque cursor from the nextCursor or prevCursor of a listing; decoded by APIFeatures
+ */
+const cursor = () => Joi.string().pattern(/^[\w-]+$/).max(1000).messages({
+    'string.pattern.base': 'Invalid or expired cursor, please start from the first page',
+});
+
+/**
+ * Pagination, sorting and search query parameters of listing endpoints
+ */
+const listQuery = {
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT),
+    after: cursor(),
+    before: cursor(),
+    // Page numbers include the total by default, cursors only on request
+    count: Joi.boolean(),
+    sort: Joi.string().max(200),
+    fields: Joi.string().max(500),
+    search: Joi.string().trim().allow('').max(200),
+};
+
+module.exports = {
+    MAX_PAGE_LIMIT,
+    objectId,
+    email,
+    idParams,
+    listQuery,
+};
@@ -0,0 +1,151 @@
+/**
+ * Event Validation Schemas
+ *
+ * Create and update arrive as multipart form data, so every value starts
+ * out as a string; Joi converts numbers, booleans and dates
+ */
+
+const Joi = require('joi');
+const Event = require('../models/event.model');
+const { objectId, email, idParams, listQuery } = require('./common.validator');
+const { PRICE_KEYS, DATE_BUCKETS, SORTS } = require('../services/eventSearch.service');
+
+const CATEGORIES = Event.schema.path('category').enumValues;
+const EVENT_TYPES = Event.schema.path('eventType').enumValues;
+const STATUSES = Event.schema.path('status').enumValues;
+const QUESTION_TYPES = Event.schema.path('registrationQuestions').schema.path('type').enumValues;
+
+const registrationQuestion = Joi.object({
+    _id: objectId(),
+    label: Joi.string().trim().max(200).required(),
+    type: Joi.string().valid(...QUESTION_TYPES).required(),
+    required: Joi.boolean(),
+    options: Joi.array().items(Joi.string().trim().allow('')),
+});
+
+// Fields clients may set; server-managed fields (counters, archive state, ...) are dropped
+const eventBody = Joi.object({
+    title: Joi.string().trim().max(150),
+    description: Joi.string().trim().max(2000),
+    organisationId: objectId(),
+    category: Joi.string().valid(...CATEGORIES),
+    eventType: Joi.string().valid(...EVENT_TYPES),
+    onlineLink: Joi.string().trim().allow('').max(500),
+    street: Joi.string().trim().allow('').max(200),
+    address: Joi.string().trim().allow('').max(300),
+    city: Joi.string().trim().allow('').max(100),
+    startDate: Joi.date(),
+    endDate: Joi.date().when('startDate', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('startDate')).messages({
+            'date.greater': 'End date must be after start date',
+        }),
+    }),
+    registrationStartDate: Joi.date(),
+    registrationEndDate: Joi.date().when('startDate', {
+        is: Joi.exist(),
+        then: Joi.date().less(Joi.ref('startDate')).messages({
+            'date.less': 'Registration must end before event starts',
+        }),
+    }),
+    capacity: Joi.number().integer().min(5),
+    isFree: Joi.boolean(),
+    price: Joi.number().min(0),
+    currency: Joi.string().trim().uppercase().length(3),
+    // A single tag arrives as a plain string in multipart data
+    tags: Joi.array().items(Joi.string().trim().max(50)).max(20).single(),
+    status: Joi.string().valid(...STATUSES),
+    cancellationReason: Joi.string().trim().allow('').max(500),
+    requirements: Joi.string().trim().allow('').max(1000),
+    contactEmail: email().allow(''),
+    contactPhone: Joi.string().trim().allow('').max(30),
+    // JSON string in multipart data, parsed and checked in detail by parseQuestions
+    registrationQuestions: Joi.alternatives().try(
+        Joi.array().items(registrationQuestion),
+        Joi.string()
+    ),
+});
+
+/**
+ * GET /events
+ * Field filters are checked by APIFeatures against the filterable fields
+ */
+const getAllEvents = {
+    query: Joi.object(listQuery).unknown(true),
+};
+
+/**
+ * GET /events/search
+ * Facet filters take several values as repeated parameters, e.g. ?category=workshop&category=seminar
+ */
+const searchEvents = {
+    query: Joi.object({
+        q: Joi.string().trim().allow('').max(200),
+        organisationId: objectId(),
+        category: Joi.array().items(Joi.string().valid(...CATEGORIES)).single(),
+        eventType: Joi.array().items(Joi.string().valid(...EVENT_TYPES)).single(),
+        city: Joi.array().items(Joi.string().trim().max(100)).max(20).single(),
+        price: Joi.array().items(Joi.string().valid(...PRICE_KEYS)).single(),
+        date: Joi.array().items(Joi.string().valid(...DATE_BUCKETS)).single(),
+        sort: Joi.string().valid(...Object.keys(SORTS)),
+        page: listQuery.page,
+        limit: Joi.number().integer().min(1).max(50),
+    }),
+};
+
+/**
+ * GET /events/:id, DELETE /events/:id, GET /events/:id/audit
+ */
+const eventById = {
+    params: idParams,
+};
+
+/**
+ * POST /events
+ */
+const createEvent = {
+    body: eventBody.fork(
+        ['title', 'description', 'organisationId', 'category', 'eventType', 'startDate', 'endDate', 'registrationEndDate', 'capacity'],
+        (schema) => schema.required()
+    ),
+};
+
+/**
+ * PUT /events/:id
+ */
+const updateEvent = {
+    params: idParams,
+    body: eventBody.keys({
+        // Passed on to applicants when the dates change, not stored
+        rescheduleReason: Joi.string().trim().allow('').max(500),
+    }),
+};
+
+/**
+ * DELETE /events/:id
+ */
+const deleteEvent = {
+    params: idParams,
+    body: Joi.object({
+        reason: Joi.string().trim().allow('').max(500),
+    }),
+};
+
+/**
+ * GET /events/calendar/:token.ics
+ */
+const calendarToken = {
+    params: Joi.object({
+        token: Joi.string().hex().max(128).required(),
+    }),
+};
+
+module.exports = {
+    getAllEvents,
+    searchEvents,
+    eventById,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    calendarToken,
+};
@@ -0,0 +1,41 @@
+/**
+ * Follow Validation Schemas
+ */
+
+const Joi = require('joi');
+const Event = require('../models/event.model');
+const { idParams, listQuery } = require('./common.validator');
+
+const CATEGORIES = Event.schema.path('category').enumValues;
+
+/**
+ * GET /following/feed
+ */
+const getFollowingFeed = {
+    query: Joi.object({
+        page: listQuery.page,
+        limit: Joi.number().integer().min(1).max(50),
+    }),
+};
+
+/**
+ * POST /following/organisations/:id, DELETE /following/organisations/:id
+ */
+const organisationById = {
+    params: idParams,
+};
+
+/**
+ * POST /following/categories/:category, DELETE /following/categories/:category
+ */
+const category = {
+    params: Joi.object({
+        category: Joi.string().valid(...CATEGORIES).required(),
+    }),
+};
+
+module.exports = {
+    getFollowingFeed,
+    organisationById,
+    category,
+};
@@ -0,0 +1,89 @@
+/**
+ * Invitation Validation Schemas
+ */
+
+const Joi = require('joi');
+const Organisation = require('../models/organisation.model');
+const { objectId, email, idParams, listQuery } = require('./common.validator');
+
+// Token from the invitation link; unknown tokens are rejected by the controller
+const invitationToken = () => Joi.string().trim().max(200);
+
+const invitationParams = Joi.object({
+    id: objectId().required(),
+    invitationId: objectId().required(),
+});
+
+/**
+ * GET /organisations/:id/invitations
+ */
+const organisationInvitations = {
+    params: idParams,
+};
+
+/**
+ * POST /organisations/:id/invitations
+ */
+const createInvitation = {
+    params: idParams,
+    body: Joi.object({
+        email: email().required(),
+        role: Joi.string().valid(...Organisation.ROLES).default('editor'),
+    }),
+};
+
+/**
+ * POST /organisations/:id/invitations/:invitationId/resend,
+ * DELETE /organisations/:id/invitations/:invitationId
+ */
+const invitationById = {
+    params: invitationParams,
+};
+
+/**
+ * GET /invitations
+ * Field filters are checked by APIFeatures against the filterable fields
+ */
+const getPendingInvitations = {
+    query: Joi.object(listQuery).unknown(true),
+};
+
+/**
+ * GET /invitations/:token
+ */
+const getInvitation = {
+    params: Joi.object({
+        token: invitationToken().required(),
+    }),
+};
+
+/**
+ * POST /invitations/accept
+ */
+const acceptInvitation = {
+    body: Joi.object({
+        token: invitationToken().required(),
+    }),
+};
+
+/**
+ * POST /invitations/signup
+ * The email address comes from the invitation
+ */
+const signupWithInvitation = {
+    body: Joi.object({
+        token: invitationToken().required(),
+        name: Joi.string().trim().min(2).max(100).required(),
+        password: Joi.string().min(6).max(128).required(),
+    }),
+};
+
+module.exports = {
+    organisationInvitations,
+    createInvitation,
+    invitationById,
+    getPendingInvitations,
+    getInvitation,
+    acceptInvitation,
+    signupWithInvitation,
+};
@@ -0,0 +1,67 @@
+/**
+ * Notification Validation Schemas
+ */
+
+const Joi = require('joi');
+const NotificationPreference = require('../models/notificationPreference.model');
+const { objectId, idParams, listQuery } = require('./common.validator');
+
+const { NOTIFICATION_TYPES, CHANNELS } = NotificationPreference;
+
+// Route segments of the mute lists
+const MUTE_TARGETS = ['muted-organisations', 'muted-events'];
+
+/**
+ * GET /notifications
+ */
+const getMyNotifications = {
+    query: Joi.object({
+        page: listQuery.page,
+        limit: listQuery.limit,
+        after: listQuery.after,
+        before: listQuery.before,
+        count: listQuery.count,
+    }),
+};
+
+/**
+ * PATCH /notifications/:id/read, DELETE /notifications/:id
+ */
+const notificationById = {
+    params: idParams,
+};
+
+/**
+ * PATCH /notifications/preferences
+ * Partial updates: only the listed types and channels change
+ */
+const updatePreferences = {
+    body: Joi.object({
+        types: Joi.object()
+            .pattern(
+                Joi.string().valid(...NOTIFICATION_TYPES),
+                Joi.object(Object.fromEntries(CHANNELS.map((channel) => [channel, Joi.boolean().strict()])))
+            )
+            .min(1)
+            .required()
+            // Report unknown types and channels instead of dropping them
+            .prefs({ stripUnknown: false }),
+    }),
+};
+
+/**
+ * POST /notifications/preferences/:target/:id, DELETE /notifications/preferences/:target/:id
+ */
+const muteTarget = {
+    params: Joi.object({
+        target: Joi.string().valid(...MUTE_TARGETS).required(),
+        id: objectId().required(),
+    }),
+};
+
+module.exports = {
+    getMyNotifications,
+    notificationById,
+    updatePreferences,
+    muteTarget,
+};
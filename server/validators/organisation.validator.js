@@ -0,0 +1,142 @@
+/**
+ * Organisation Validation Schemas
+ *
+ * Create and update arrive as multipart form data (logo and cover image uploads)
+ */
+
+const Joi = require('joi');
+const Organisation = require('../models/organisation.model');
+const { EVENT_POLICIES } = require('../services/organisationCascade.service');
+const { objectId, email, idParams, listQuery } = require('./common.validator');
+
+const TYPES = Organisation.schema.path('type').enumValues;
+
+const memberParams = Joi.object({
+    id: objectId().required(),
+    userId: objectId().required(),
+});
+
+const memberRole = Joi.string().valid(...Organisation.ROLES);
+
+const organisationBody = Joi.object({
+    name: Joi.string().trim().max(100),
+    type: Joi.string().valid(...TYPES),
+    description: Joi.string().trim().max(1000),
+    website: Joi.string().trim().allow('').max(200),
+    email: email(),
+    phone: Joi.string().trim().allow('').max(30),
+    socialMedia: Joi.object({
+        linkedin: Joi.string().trim().allow('').max(200),
+        facebook: Joi.string().trim().allow('').max(200),
+        twitter: Joi.string().trim().allow('').max(200),
+        instagram: Joi.string().trim().allow('').max(200),
+    }),
+});
+
+/**
+ * GET /organisations
+ * Field filters are checked by APIFeatures against the filterable fields
+ */
+const getAllOrganisations = {
+    query: Joi.object(listQuery).unknown(true),
+};
+
+/**
+ * GET /organisations/:id, GET /organisations/:id/calendar.ics
+ */
+const organisationById = {
+    params: idParams,
+};
+
+/**
+ * POST /organisations
+ */
+const createOrganisation = {
+    body: organisationBody.fork(['name', 'type', 'description', 'email'], (schema) => schema.required()).keys({
+        // A single owner arrives as a plain string in multipart data
+        owners: Joi.array().items(objectId()).unique().single(),
+    }),
+};
+
+/**
+ * PUT /organisations/:id
+ * Only platform admins may change verified; it is ignored for owners
+ */
+const updateOrganisation = {
+    params: idParams,
+    body: organisationBody.keys({
+        verified: Joi.boolean(),
+    }),
+};
+
+// What happens to the events of a deleted organisation
+const deletionOptions = {
+    events: Joi.string().valid(...EVENT_POLICIES).default('archive'),
+    transferTo: objectId().when('events', { is: 'transfer', then: Joi.required(), otherwise: Joi.strip() }),
+};
+
+/**
+ * GET /organisations/:id/deletion-preview
+ */
+const previewDeletion = {
+    params: idParams,
+    query: Joi.object(deletionOptions),
+};
+
+/**
+ * DELETE /organisations/:id
+ * The body is optional: events are archived by default
+ */
+const deleteOrganisation = {
+    params: idParams,
+    body: Joi.object({
+        ...deletionOptions,
+        reason: Joi.string().trim().allow('').max(500),
+    }),
+};
+
+/**
+ * POST /organisations/:id/members
+ * The user is found by ID or by email
+ */
+const addMember = {
+    params: idParams,
+    body: Joi.object({
+        userId: objectId(),
+        email: email(),
+        role: memberRole.default('editor'),
+    }).xor('userId', 'email').messages({
+        'object.xor': 'Provide either a user ID or an email',
+        'object.missing': 'Provide either a user ID or an email',
+    }),
+};
+
+/**
+ * PATCH /organisations/:id/members/:userId
+ */
+const updateMemberRole = {
+    params: memberParams,
+    body: Joi.object({
+        role: memberRole.required(),
+    }),
+};
+
+/**
+ * DELETE /organisations/:id/members/:userId
+ */
+const removeMember = {
+    params: memberParams,
+};
+
+module.exports = {
+    organisationBody,
+    getAllOrganisations,
+    organisationById,
+    createOrganisation,
+    updateOrganisation,
+    previewDeletion,
+    deleteOrganisation,
+    addMember,
+    updateMemberRole,
+    removeMember,
+};
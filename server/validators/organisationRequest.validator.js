@@ -0,0 +1,52 @@
+/**
+ * Organisation Request Validation Schemas
+ *
+ * Requests arrive as multipart form data (logo and document uploads)
+ */
+
+const Joi = require('joi');
+const { organisationBody } = require('./organisation.validator');
+const { idParams, listQuery } = require('./common.validator');
+
+/**
+ * POST /organisation-requests
+ */
+const createOrganisationRequest = {
+    body: organisationBody.fork(['name', 'type', 'description', 'email'], (schema) => schema.required()).keys({
+        contactName: Joi.string().trim().max(100).required(),
+        contactPhone: Joi.string().trim().allow('').max(30),
+        message: Joi.string().trim().allow('').max(1000),
+    }),
+};
+
+/**
+ * GET /organisation-requests
+ * Field filters are checked by APIFeatures against the filterable fields
+ */
+const getOrganisationRequests = {
+    query: Joi.object(listQuery).unknown(true),
+};
+
+/**
+ * POST /organisation-requests/:id/approve
+ */
+const approveOrganisationRequest = {
+    params: idParams,
+};
+
+/**
+ * POST /organisation-requests/:id/reject
+ */
+const rejectOrganisationRequest = {
+    params: idParams,
+    body: Joi.object({
+        reason: Joi.string().trim().max(500).required(),
+    }),
+};
+
+module.exports = {
+    createOrganisationRequest,
+    getOrganisationRequests,
+    approveOrganisationRequest,
+    rejectOrganisationRequest,
+};
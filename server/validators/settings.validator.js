@@ -0,0 +1,21 @@
+/**
+ * Platform Settings Validation Schemas
+ */
+
+const Joi = require('joi');
+const User = require('../models/user.model');
+
+const ROLES = User.schema.path('role').enumValues;
+
+/**
+ * PATCH /settings/security
+ */
+const updateSecuritySettings = {
+    body: Joi.object({
+        twoFactorRequiredRoles: Joi.array().items(Joi.string().valid(...ROLES)).unique().required(),
+    }),
+};
+
+module.exports = {
+    updateSecuritySettings,
+};
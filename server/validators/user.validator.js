@@ -0,0 +1,45 @@
+/**
+ * User Validation Schemas (admin user management)
+ */
+
+const Joi = require('joi');
+const User = require('../models/user.model');
+const { idParams, listQuery } = require('./common.validator');
+
+const ROLES = User.schema.path('role').enumValues;
+
+// The organisation role follows organisation membership and is not assigned directly
+const ASSIGNABLE_ROLES = ROLES.filter((role) => role !== 'organisation');
+
+/**
+ * GET /users
+ * Field filters are checked by APIFeatures against the filterable fields
+ */
+const getAllUsers = {
+    query: Joi.object(listQuery).unknown(true),
+};
+
+/**
+ * GET /users/:id
+ */
+const userById = {
+    params: idParams,
+};
+
+/**
+ * PATCH /users/:id/role
+ */
+const updateUserRole = {
+    params: idParams,
+    body: Joi.object({
+        role: Joi.string().valid(...ASSIGNABLE_ROLES).required().messages({
+            'any.only': 'Role must be user or admin. Organisation access comes from organisation membership',
+        }),
+    }),
+};
+
+module.exports = {
+    getAllUsers,
+    userById,
+    updateUserRole,
+};